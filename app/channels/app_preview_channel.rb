@@ -27,6 +27,10 @@
 #
 # Rails ActionCable best practice: Use channels for real-time bidirectional communication
 class AppPreviewChannel < ApplicationCable::Channel
+  # Number of recent file updates kept for replay to reconnecting clients
+  REPLAY_LOG_SIZE = 100
+  REPLAY_TTL = 1.day
+
   def subscribed
     # Stream from app-specific channel for isolated updates
     app = App.find(params[:app_id])
@@ -41,7 +45,8 @@ class AppPreviewChannel < ApplicationCable::Channel
       app_id: app.id,
       preview_url: app.preview_url,
       hmr_enabled: true,
-      session_id: SecureRandom.uuid
+      session_id: SecureRandom.uuid,
+      seq: current_sequence(app)
     })
 
     Rails.logger.info "[AppPreviewChannel] Client subscribed to app #{app.id} preview updates"
@@ -86,6 +91,61 @@ class AppPreviewChannel < ApplicationCable::Channel
     end
   end
 
+  # Send current source files so the client can build its module graph, and
+  # their compiled output so importers of a hot updated module can be
+  # re-evaluated without a full reload. Only already compiled modules go out
+  # here; the rest are compiled by CompilePreviewModulesJob, which broadcasts
+  # them when done. Files that fail to compile are left out of modules; the
+  # client reloads if it ever needs them.
+  def request_state(data = {})
+    app = App.find(params[:app_id])
+    files = app.app_files
+      .where("path ~ ?", '\.(tsx?|jsx?)$')
+      .each_with_object({}) { |file, hash| hash[file.path] = file.content.to_s }
+
+    builder = FastBuildService.new(app)
+    modules = files.each_with_object({}) do |(path, content), hash|
+      result = builder.cached_module(path, content)
+      hash[path] = result[:compiled_content] if result
+    end
+
+    uncompiled = files.keys - modules.keys
+    CompilePreviewModulesJob.perform_later(app.id, uncompiled) if uncompiled.any?
+
+    transmit({
+      type: "state",
+      files: files,
+      modules: modules,
+      timestamp: Time.current.to_i
+    })
+  end
+
+  # Bring a reconnecting client up to date after missing updates.
+  # Replays the missed updates when they are still in the log, otherwise
+  # sends a manifest of file hashes for the client to reconcile against.
+  def resync(data)
+    app = App.find(params[:app_id])
+    since = data["since"].to_i
+    current = current_sequence(app)
+    missed = replayable_updates(app, since, current)
+
+    Rails.logger.info "[AppPreviewChannel] Resyncing app #{app.id} from seq #{since} to #{current}"
+
+    if missed
+      transmit({
+        type: "replay",
+        seq: current,
+        updates: missed
+      })
+    else
+      transmit({
+        type: "manifest",
+        seq: current,
+        files: file_manifest(app)
+      })
+    end
+  end
+
   # Handle component hot reload requests
   def reload_component(data)
     app = App.find(params[:app_id])
@@ -160,10 +220,11 @@ class AppPreviewChannel < ApplicationCable::Channel
 
   def broadcast_hmr_update(app, file_path, compiled_content)
     # Broadcast to all connected clients watching this app
-    AppPreviewChannel.broadcast_to(app, {
+    broadcast_sequenced(app, {
       type: "hmr_update",
       path: file_path,
       content: compiled_content,
+      hash: content_digest(compiled_content),
       timestamp: Time.current.to_i,
       hot_reload: true
     })
@@ -171,14 +232,73 @@ class AppPreviewChannel < ApplicationCable::Channel
 
   def broadcast_hmr_batch(app, files)
     # Broadcast multiple file updates at once
-    AppPreviewChannel.broadcast_to(app, {
+    broadcast_sequenced(app, {
       type: "hmr_batch",
       files: files,
+      hashes: files.transform_values { |content| content_digest(content) },
       timestamp: Time.current.to_i,
       hot_reload: true
     })
   end
 
+  # Stamp file updates with a per-app sequence number so clients can detect
+  # gaps, and record them for replay and the resync manifest. The sequence
+  # comes from an atomic increment and every update and file hash has its own
+  # key, so concurrent broadcasts never overwrite each other's entries.
+  def broadcast_sequenced(app, message)
+    message[:seq] = Rails.cache.increment(sequence_key(app)).to_i
+
+    Rails.cache.write(replay_key(app, message[:seq]), message, expires_in: REPLAY_TTL)
+
+    hashes = message[:hashes] || {message[:path] => message[:hash]}
+    hashes.each do |path, hash|
+      Rails.cache.write(manifest_key(app, path), {hash: hash, seq: message[:seq]})
+    end
+
+    AppPreviewChannel.broadcast_to(app, message)
+  end
+
+  # The updates after `since` in order, or nil when the log no longer holds
+  # all of them (too many missed, or expired) and the client must reconcile
+  # against the manifest instead
+  def replayable_updates(app, since, current)
+    return [] if since >= current
+    return if current - since > REPLAY_LOG_SIZE
+
+    keys = ((since + 1)..current).map { |seq| replay_key(app, seq) }
+    updates = Rails.cache.read_multi(*keys)
+    return unless updates.size == keys.size
+
+    keys.map { |key| updates[key] }
+  end
+
+  def file_manifest(app)
+    keys = app.app_files.pluck(:path).index_by { |path| manifest_key(app, path) }
+    Rails.cache.read_multi(*keys.keys).transform_keys { |key| keys[key] }
+  end
+
+  # Counters are stored raw by increment (plain integers in Redis), so they
+  # have to be read back with read_counter rather than read
+  def current_sequence(app)
+    Rails.cache.read_counter(sequence_key(app)).to_i
+  end
+
+  def content_digest(content)
+    Digest::SHA256.hexdigest(content.to_s)
+  end
+
+  def sequence_key(app)
+    "preview_seq:#{app.id}"
+  end
+
+  def replay_key(app, seq)
+    "preview_replay:#{app.id}:#{seq}"
+  end
+
+  def manifest_key(app, path)
+    "preview_manifest:#{app.id}:#{path}"
+  end
+
   def determine_file_type(path)
     case File.extname(path)
     when ".tsx", ".jsx"
@@ -27,7 +27,9 @@ class ChatProgressChannel < ApplicationCable::Channel
       ApprovalService.handle_approval(
         message_id: message.id,
         callback_id: data["callback_id"],
-        approved_files: data["approved_files"]
+        approved_changes: data["approved_changes"],
+        approved_files: data["approved_files"],
+        user: current_user
       )
     end
   end
@@ -39,7 +41,36 @@ class ChatProgressChannel < ApplicationCable::Channel
     if message.app.team.users.include?(current_user)
       ApprovalService.handle_rejection(
         message_id: message.id,
-        callback_id: data["callback_id"]
+        callback_id: data["callback_id"],
+        user: current_user
+      )
+    end
+  end
+
+  # Handle the reviewer's edit of one proposed file
+  def update_change(data)
+    message = AppChatMessage.find(params[:message_id])
+
+    if message.app.team.users.include?(current_user)
+      ApprovalService.update_change(
+        message_id: message.id,
+        callback_id: data["callback_id"],
+        file_path: data["file_path"],
+        content: data["content"]
+      )
+    end
+  end
+
+  # Handle a preview of the selected changes only
+  def preview_changes(data)
+    message = AppChatMessage.find(params[:message_id])
+
+    if message.app.team.users.include?(current_user)
+      ApprovalService.preview(
+        message_id: message.id,
+        callback_id: data["callback_id"],
+        approved_changes: data["approved_changes"],
+        user: current_user
       )
     end
   end
@@ -61,4 +92,40 @@ class ChatProgressChannel < ApplicationCable::Channel
       GenerationControlService.resume(message.id)
     end
   end
+
+  # Handle stop request
+  def stop_generation(data)
+    message = AppChatMessage.find(params[:message_id])
+
+    if message.app.team.users.include?(current_user)
+      GenerationControlService.stop(message.id)
+    end
+  end
+
+  # Handle skipping a tool call that hasn't started yet
+  def skip_tool(data)
+    message = AppChatMessage.find(params[:message_id])
+
+    if message.app.team.users.include?(current_user)
+      GenerationControlService.skip_tool(message.id, data["execution_id"], data["tool_index"])
+    end
+  end
+
+  # Handle retrying a failed tool call
+  def retry_tool(data)
+    message = AppChatMessage.find(params[:message_id])
+
+    if message.app.team.users.include?(current_user)
+      GenerationControlService.retry_tool(message.id, data["execution_id"], data["tool_index"])
+    end
+  end
+
+  # Handle a follow-up instruction for the running generation
+  def send_instruction(data)
+    message = AppChatMessage.find(params[:message_id])
+
+    if message.app.team.users.include?(current_user)
+      GenerationControlService.add_instruction(message.id, data["text"])
+    end
+  end
 end
@@ -31,12 +31,14 @@ class UnifiedAppChannel < ApplicationCable::Channel
     app_id = params[:app_id]
     app = current_user.teams.joins(:apps).find_by(apps: {id: app_id})
 
-    return unless app
+    return unless app && app_message?(data["message_id"])
 
     ApprovalService.handle_approval(
       message_id: data["message_id"],
       callback_id: data["callback_id"],
-      approved_files: data["approved_files"]
+      approved_changes: data["approved_changes"],
+      approved_files: data["approved_files"],
+      user: current_user
     )
   end
 
@@ -45,11 +47,42 @@ class UnifiedAppChannel < ApplicationCable::Channel
     app_id = params[:app_id]
     app = current_user.teams.joins(:apps).find_by(apps: {id: app_id})
 
-    return unless app
+    return unless app && app_message?(data["message_id"])
 
     ApprovalService.handle_rejection(
       message_id: data["message_id"],
-      callback_id: data["callback_id"]
+      callback_id: data["callback_id"],
+      user: current_user
+    )
+  end
+
+  # Handle the reviewer's edit of one proposed file
+  def update_change(data)
+    app_id = params[:app_id]
+    app = current_user.teams.joins(:apps).find_by(apps: {id: app_id})
+
+    return unless app && app_message?(data["message_id"])
+
+    ApprovalService.update_change(
+      message_id: data["message_id"],
+      callback_id: data["callback_id"],
+      file_path: data["file_path"],
+      content: data["content"]
+    )
+  end
+
+  # Handle a preview of the selected changes only
+  def preview_changes(data)
+    app_id = params[:app_id]
+    app = current_user.teams.joins(:apps).find_by(apps: {id: app_id})
+
+    return unless app && app_message?(data["message_id"])
+
+    ApprovalService.preview(
+      message_id: data["message_id"],
+      callback_id: data["callback_id"],
+      approved_changes: data["approved_changes"],
+      user: current_user
     )
   end
 
@@ -71,4 +104,10 @@ class UnifiedAppChannel < ApplicationCable::Channel
 
     GenerationControlService.resume(data["message_id"])
   end
+
+  private
+
+  def app_message?(message_id)
+    AppChatMessage.where(app_id: params[:app_id]).exists?(id: message_id)
+  end
 end
@@ -0,0 +1,197 @@
+# Saved requests, collections and environments for the dashboard's API
+# explorer. Everything here belongs to the app, so the whole team shares it.
+class Account::AppApiExplorerController < Account::ApplicationController
+  before_action :set_app
+  before_action :set_collection, only: [:update_collection, :delete_collection, :export_collection, :create_request]
+  before_action :set_api_request, only: [:update_request, :delete_request]
+  before_action :set_environment, only: [:update_environment, :delete_environment]
+
+  def show
+    collections = @app.app_api_collections.ordered.includes(:app_api_requests)
+    environments = @app.app_api_environments.order(:name)
+
+    render json: {
+      success: true,
+      collections: collections.map { |collection| serialize_collection(collection) },
+      environments: environments.map { |environment| serialize_environment(environment) }
+    }
+  end
+
+  # The app's OpenAPI 3 document, generated from its tables and integrations.
+  # ?as=yaml for YAML, ?download=1 to save it as a file.
+  def openapi
+    spec = ApiExplorer::OpenapiSpecService.new(@app)
+    spec_format = (params[:as] == "yaml") ? "yaml" : "json"
+
+    send_data (spec_format == "yaml") ? spec.to_yaml : JSON.pretty_generate(spec.generate),
+      filename: spec.filename(spec_format),
+      type: (spec_format == "yaml") ? "application/yaml" : "application/json",
+      disposition: params[:download].present? ? "attachment" : "inline"
+  end
+
+  def create_collection
+    collection = @app.app_api_collections.new(collection_params.merge(created_by: current_user))
+    return render_invalid(collection) unless collection.save
+
+    render json: {success: true, collection: serialize_collection(collection)}
+  end
+
+  def update_collection
+    return render_invalid(@collection) unless @collection.update(collection_params)
+
+    render json: {success: true, collection: serialize_collection(@collection)}
+  end
+
+  def delete_collection
+    @collection.destroy
+    render json: {success: true}
+  end
+
+  # Accepts a Postman collection or an OpenAPI 3 document (JSON or YAML),
+  # uploaded as file or posted as content
+  def import_collection
+    content = params[:file].respond_to?(:read) ? params[:file].read : params[:content]
+    return render json: {success: false, error: "Choose a file to import"}, status: :unprocessable_entity if content.blank?
+
+    result = ApiExplorer::CollectionImportService.new(@app, content, user: current_user).import
+    return render json: result, status: :unprocessable_entity unless result[:success]
+
+    render json: {
+      success: true,
+      format: result[:format],
+      collection: serialize_collection(result[:collection].reload),
+      environment: result[:environment] && serialize_environment(result[:environment])
+    }
+  end
+
+  # GET ...?as=postman|openapi[&environment_id=]
+  def export_collection
+    export_format = ApiExplorer::CollectionExportService::FORMATS.include?(params[:as]) ? params[:as] : "postman"
+    environment = @app.app_api_environments.find_by(id: params[:environment_id]) if params[:environment_id].present?
+    exporter = ApiExplorer::CollectionExportService.new(@collection, environment: environment)
+
+    send_data JSON.pretty_generate(exporter.export(export_format)),
+      filename: exporter.filename(export_format),
+      type: "application/json",
+      disposition: "attachment"
+  end
+
+  def create_request
+    api_request = @collection.app_api_requests.new(api_request_params)
+    return render_invalid(api_request) unless api_request.save
+
+    render json: {success: true, request: serialize_request(api_request)}
+  end
+
+  # Also moves a request to another collection of the same app
+  def update_request
+    attributes = api_request_params
+    if params.dig(:request, :collection_id).present?
+      attributes[:app_api_collection] = @app.app_api_collections.find(params[:request][:collection_id])
+    end
+    return render_invalid(@api_request) unless @api_request.update(attributes)
+
+    render json: {success: true, request: serialize_request(@api_request)}
+  end
+
+  def delete_request
+    @api_request.destroy
+    render json: {success: true}
+  end
+
+  def create_environment
+    environment = @app.app_api_environments.new(environment_params)
+    return render_invalid(environment) unless environment.save
+
+    render json: {success: true, environment: serialize_environment(environment)}
+  end
+
+  def update_environment
+    return render_invalid(@environment) unless @environment.update(environment_params)
+
+    render json: {success: true, environment: serialize_environment(@environment)}
+  end
+
+  def delete_environment
+    @environment.destroy
+    render json: {success: true}
+  end
+
+  private
+
+  def set_app
+    @app = current_team.apps.find(params[:app_id])
+  end
+
+  def set_collection
+    @collection = @app.app_api_collections.find(params[:collection_id])
+  end
+
+  def set_api_request
+    @api_request = AppApiRequest.joins(:app_api_collection).where(app_api_collections: {app_id: @app.id}).find(params[:request_id])
+  end
+
+  def set_environment
+    @environment = @app.app_api_environments.find(params[:environment_id])
+  end
+
+  def collection_params
+    params.require(:collection).permit(:name, :description)
+  end
+
+  def api_request_params
+    permitted = params.require(:request).permit(:name, :http_method, :url, :body)
+    if params[:request].key?(:headers)
+      permitted[:headers] = Array(params[:request][:headers]).map do |header|
+        header = header.permit(:name, :value, :enabled)
+        {"name" => header[:name].to_s, "value" => header[:value].to_s, "enabled" => header[:enabled].to_s != "false"}
+      end
+    end
+    permitted
+  end
+
+  def environment_params
+    permitted = params.require(:environment).permit(:name)
+    if params[:environment].key?(:variables)
+      permitted[:variables] = Array(params[:environment][:variables]).map do |variable|
+        variable = variable.permit(:key, :value, :secret)
+        {"key" => variable[:key].to_s.strip, "value" => variable[:value].to_s, "secret" => variable[:secret].to_s == "true"}
+      end
+    end
+    permitted
+  end
+
+  def render_invalid(record)
+    render json: {success: false, error: record.errors.full_messages.to_sentence}, status: :unprocessable_entity
+  end
+
+  def serialize_collection(collection)
+    {
+      id: collection.id,
+      name: collection.name,
+      description: collection.description,
+      requests: collection.app_api_requests.map { |api_request| serialize_request(api_request) }
+    }
+  end
+
+  def serialize_request(api_request)
+    {
+      id: api_request.id,
+      collection_id: api_request.app_api_collection_id,
+      name: api_request.name,
+      method: api_request.http_method,
+      url: api_request.url,
+      headers: api_request.headers,
+      body: api_request.body,
+      updated_at: api_request.updated_at
+    }
+  end
+
+  def serialize_environment(environment)
+    {
+      id: environment.id,
+      name: environment.name,
+      variables: environment.variables
+    }
+  end
+end
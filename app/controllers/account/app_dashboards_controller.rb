@@ -1,4 +1,16 @@
 class Account::AppDashboardsController < Account::ApplicationController
+  DEFAULT_PAGE_SIZE = 100
+  MAX_PAGE_SIZE = 500
+
+  # Columns every app table has besides its user-defined schema
+  STANDARD_COLUMNS = %w[id created_at updated_at].freeze
+
+  # Row limits offered by the SQL query panel
+  QUERY_ROW_LIMITS = [100, 1000, 10_000].freeze
+
+  # PostgREST operators accepted from the data viewer's column filters
+  FILTER_OPERATORS = %w[eq neq gt gte lt lte ilike is].freeze
+
   before_action :set_app
 
   def show
@@ -12,38 +24,26 @@ class Account::AppDashboardsController < Account::ApplicationController
     return render json: {error: "App not found"}, status: :not_found unless @app
 
     @tables = @app.app_tables.includes(:app_table_columns)
+    relationships = Database::RelationshipService.new(@app).relationships
 
     respond_to do |format|
-      format.json { render json: {tables: serialize_tables(@tables)} }
-      format.html { render json: {tables: serialize_tables(@tables)} }
+      format.json { render json: {tables: serialize_tables(@tables), relationships: relationships} }
+      format.html { render json: {tables: serialize_tables(@tables), relationships: relationships} }
     end
   end
 
+  # Schema changes below accept dry_run=true to preview the migration's SQL
+  # and the rows it affects without applying it
   def create_table
-    @table = @app.app_tables.build(table_params)
-
-    if @table.save
-      # Create the table in Supabase
-      begin
-        @table.create_in_supabase!
-        render json: {
-          success: true,
-          table: serialize_table(@table),
-          message: "Table '#{@table.name}' created successfully"
-        }
-      rescue => e
-        @table.destroy
-        render json: {
-          success: false,
-          error: "Failed to create table in database: #{e.message}"
-        }, status: :unprocessable_entity
-      end
-    else
-      render json: {
-        success: false,
-        errors: @table.errors.full_messages
-      }, status: :unprocessable_entity
-    end
+    result = schema_migrations.create_table(table_params.to_h, dry_run: dry_run?)
+    return render_schema_change(result) unless result[:success] && !result[:dry_run]
+
+    render json: {
+      success: true,
+      table: serialize_table(result[:record]),
+      migration: serialize_migration(result[:migration]),
+      message: "Table '#{result[:record].name}' created successfully"
+    }
   end
 
   def update_table
@@ -66,19 +66,24 @@ class Account::AppDashboardsController < Account::ApplicationController
   def delete_table
     @table = @app.app_tables.find(params[:table_id])
 
-    begin
-      @table.drop_from_supabase!
-      @table.destroy
-      render json: {
-        success: true,
-        message: "Table '#{@table.name}' deleted successfully"
-      }
-    rescue => e
-      render json: {
+    # The foreign keys would block the drop anyway; say which ones
+    referencing = @table.referencing_columns
+    if referencing.any?
+      names = referencing.map { |column| "#{column.app_table.name}.#{column.name}" }
+      return render json: {
         success: false,
-        error: "Failed to delete table: #{e.message}"
+        error: "Remove the relationships from #{names.to_sentence} before deleting '#{@table.name}'"
       }, status: :unprocessable_entity
     end
+
+    result = schema_migrations.drop_table(@table, dry_run: dry_run?)
+    return render_schema_change(result, "Failed to delete table") unless result[:success] && !result[:dry_run]
+
+    render json: {
+      success: true,
+      migration: serialize_migration(result[:migration]),
+      message: "Table '#{@table.name}' deleted successfully"
+    }
   end
 
   def table_data
@@ -86,13 +91,29 @@ class Account::AppDashboardsController < Account::ApplicationController
 
     begin
       service = Supabase::AppDatabaseService.new(@app)
-      data = service.get_table_data(@table.name, current_user&.id)
+      limit = params.fetch(:limit, DEFAULT_PAGE_SIZE).to_i.clamp(1, MAX_PAGE_SIZE)
+      offset = [params[:offset].to_i, 0].max
+
+      result = service.query_table_data(
+        @table.name,
+        current_user&.id,
+        limit: limit,
+        offset: offset,
+        order: table_data_order(@table),
+        filters: table_data_filters(@table)
+      )
 
       render json: {
         success: true,
-        data: data,
-        columns: @table.schema
+        data: result[:rows],
+        total: result[:total],
+        offset: offset,
+        limit: limit,
+        columns: @table.schema,
+        related: related_labels(service, @table, result[:rows])
       }
+    rescue ArgumentError => e
+      render json: {success: false, error: e.message}, status: :bad_request
     rescue => e
       render json: {
         success: false,
@@ -160,105 +181,223 @@ class Account::AppDashboardsController < Account::ApplicationController
     end
   end
 
+  def bulk_update_records
+    @table = @app.app_tables.find(params[:table_id])
+    ids = Array(params.require(:ids))
+
+    begin
+      service = Supabase::AppDatabaseService.new(@app)
+      records = service.update_records(@table.name, ids, record_params, current_user&.id)
+
+      render json: {
+        success: true,
+        records: records,
+        message: "#{ids.size} #{"record".pluralize(ids.size)} updated successfully"
+      }
+    rescue => e
+      render json: {
+        success: false,
+        error: "Failed to update records: #{e.message}"
+      }, status: :unprocessable_entity
+    end
+  end
+
+  def bulk_delete_records
+    @table = @app.app_tables.find(params[:table_id])
+    ids = Array(params.require(:ids))
+
+    begin
+      service = Supabase::AppDatabaseService.new(@app)
+      service.delete_records(@table.name, ids, current_user&.id)
+
+      render json: {
+        success: true,
+        message: "#{ids.size} #{"record".pluralize(ids.size)} deleted successfully"
+      }
+    rescue => e
+      render json: {
+        success: false,
+        error: "Failed to delete records: #{e.message}"
+      }, status: :unprocessable_entity
+    end
+  end
+
+  # Step one of the import wizard: parse the upload and suggest a column mapping
+  def preview_import
+    @table = @app.app_tables.find(params[:table_id])
+    importer = DataImport::TableImportService.new(@table, params.require(:file), current_user&.id)
+    result = importer.preview
+
+    render json: result, status: result[:success] ? :ok : :unprocessable_entity
+  end
+
+  # The file is uploaded again with the chosen mapping, so nothing is kept between steps
+  def import_records
+    @table = @app.app_tables.find(params[:table_id])
+    importer = DataImport::TableImportService.new(@table, params.require(:file), current_user&.id)
+
+    result = importer.import(
+      mapping: JSON.parse(params.require(:mapping)),
+      mode: params.fetch(:mode, "insert"),
+      key: params[:key].presence,
+      validate_only: ActiveModel::Type::Boolean.new.cast(params[:validate_only])
+    )
+
+    render json: result, status: result[:success] ? :ok : :unprocessable_entity
+  rescue JSON::ParserError
+    render json: {success: false, error: "mapping must be valid JSON"}, status: :bad_request
+  end
+
+  # Streams the whole table, or the viewer's current sort and filters when given
+  def export_table_data
+    @table = @app.app_tables.find(params[:table_id])
+    format = params[:format].presence || "csv"
+
+    begin
+      exporter = DataExport::TableExportService.new(
+        @table,
+        current_user&.id,
+        order: table_data_order(@table),
+        filters: table_data_filters(@table)
+      )
+      body = exporter.stream(format)
+    rescue ArgumentError => e
+      return render json: {success: false, error: e.message}, status: :bad_request
+    end
+
+    response.headers["Content-Type"] = exporter.content_type(format)
+    response.headers["Content-Disposition"] = ActionDispatch::Http::ContentDisposition.format(
+      disposition: "attachment", filename: exporter.filename(format)
+    )
+    # Keep Rack::ETag and proxies from buffering the whole body
+    response.headers["Cache-Control"] = "no-cache"
+    response.headers["Last-Modified"] = Time.current.httpdate
+    response.headers["X-Accel-Buffering"] = "no"
+    response.headers.delete("Content-Length")
+
+    self.response_body = body
+  end
+
+  def create_relationship
+    parent = @app.app_tables.find(params.require(:parent_table_id))
+    child = @app.app_tables.find(params.require(:child_table_id))
+
+    result = Database::RelationshipService.new(@app, user: current_user).create(
+      parent: parent,
+      child: child,
+      kind: params.fetch(:kind, "one_to_many"),
+      on_delete: params.fetch(:on_delete, "restrict"),
+      column_name: params[:column_name]
+    )
+
+    if result[:success]
+      render json: result.merge(message: "Relationship created successfully")
+    else
+      render json: result, status: :unprocessable_entity
+    end
+  end
+
+  def delete_relationship
+    column = AppTableColumn.joins(:app_table)
+      .where(app_tables: {app_id: @app.id}, column_type: "reference")
+      .find(params[:column_id])
+
+    result = Database::RelationshipService.new(@app, user: current_user).destroy(column)
+
+    if result[:success]
+      render json: result.merge(message: "Relationship removed successfully")
+    else
+      render json: result, status: :unprocessable_entity
+    end
+  end
+
   def table_schema
     @table = @app.app_tables.find(params[:table_id])
 
     render json: {
       success: true,
-      columns: @table.schema,
+      columns: @table.app_table_columns.order(:created_at).map { |column| serialize_column(column) },
       table: serialize_table(@table)
     }
   end
 
   def create_column
     @table = @app.app_tables.find(params[:table_id])
-    @column = @table.app_table_columns.build(column_params)
-
-    if @column.save
-      begin
-        # Add column to Supabase table
-        service = Supabase::AppDatabaseService.new(@app)
-        service.add_column(@table.name, @column.name, @column.supabase_type)
-
-        render json: {
-          success: true,
-          column: serialize_column(@column),
-          message: "Column '#{@column.name}' added successfully"
-        }
-      rescue => e
-        @column.destroy
-        render json: {
-          success: false,
-          error: "Failed to add column to database: #{e.message}"
-        }, status: :unprocessable_entity
-      end
-    else
-      render json: {
-        success: false,
-        errors: @column.errors.full_messages
-      }, status: :unprocessable_entity
-    end
+
+    result = schema_migrations.add_column(@table, column_params.to_h, dry_run: dry_run?)
+    return render_schema_change(result, "Failed to add column to database") unless result[:success] && !result[:dry_run]
+
+    render json: {
+      success: true,
+      column: serialize_column(result[:record]),
+      migration: serialize_migration(result[:migration]),
+      message: "Column '#{result[:record].name}' added successfully"
+    }
   end
 
   def update_column
     @table = @app.app_tables.find(params[:table_id])
     @column = @table.app_table_columns.find(params[:column_id])
 
-    old_name = @column.name
-    old_type = @column.supabase_type
-
-    if @column.update(column_params)
-      begin
-        # Update column in Supabase if name or type changed
-        if @column.name != old_name || @column.supabase_type != old_type
-          service = Supabase::AppDatabaseService.new(@app)
-          service.alter_column(@table.name, old_name, @column.name, @column.supabase_type)
-        end
-
-        render json: {
-          success: true,
-          column: serialize_column(@column),
-          message: "Column '#{@column.name}' updated successfully"
-        }
-      rescue => e
-        # Rollback the change
-        @column.update(name: old_name, column_type: old_type)
-        render json: {
-          success: false,
-          error: "Failed to update column in database: #{e.message}"
-        }, status: :unprocessable_entity
-      end
-    else
-      render json: {
-        success: false,
-        errors: @column.errors.full_messages
-      }, status: :unprocessable_entity
-    end
+    result = schema_migrations.alter_column(@column, column_params.to_h, dry_run: dry_run?)
+    return render_schema_change(result, "Failed to update column in database") unless result[:success] && !result[:dry_run]
+
+    render json: {
+      success: true,
+      column: serialize_column(@column),
+      migration: serialize_migration(result[:migration]),
+      message: "Column '#{@column.name}' updated successfully"
+    }
   end
 
   def delete_column
     @table = @app.app_tables.find(params[:table_id])
     @column = @table.app_table_columns.find(params[:column_id])
 
-    column_name = @column.name
+    result = schema_migrations.drop_column(@column, dry_run: dry_run?)
+    return render_schema_change(result, "Failed to delete column") unless result[:success] && !result[:dry_run]
 
-    begin
-      # Remove column from Supabase
-      service = Supabase::AppDatabaseService.new(@app)
-      service.drop_column(@table.name, @column.name)
+    render json: {
+      success: true,
+      migration: serialize_migration(result[:migration]),
+      message: "Column '#{@column.name}' deleted successfully"
+    }
+  end
 
-      @column.destroy
+  # Newest first, including rolled back migrations
+  def schema_migrations_history
+    migrations = @app.app_schema_migrations.newest_first.includes(:app_version, :user).limit(100)
 
-      render json: {
-        success: true,
-        message: "Column '#{column_name}' deleted successfully"
-      }
-    rescue => e
-      render json: {
-        success: false,
-        error: "Failed to delete column: #{e.message}"
-      }, status: :unprocessable_entity
-    end
+    render json: {
+      success: true,
+      migrations: migrations.map { |migration| serialize_migration(migration) }
+    }
+  end
+
+  def rollback_schema_migrations
+    steps = params.fetch(:steps, 1).to_i
+    return render json: {success: false, error: "Choose how many migrations to roll back"}, status: :unprocessable_entity unless steps.positive?
+
+    result = schema_migrations.rollback(steps, dry_run: dry_run?)
+    render json: result, status: result[:success] ? :ok : :unprocessable_entity
+  end
+
+  # SQL from the query panel, checked against the app's SQL policy.
+  # Read-only unless the user turns it off; params are scalars bound to $1..$n.
+  def run_query
+    return render json: {success: false, error: "Enter a query to run"}, status: :unprocessable_entity if params[:sql].blank?
+
+    query_params = params.permit(params: []).fetch(:params, [])
+    max_rows = params[:max_rows].to_i
+    max_rows = QUERY_ROW_LIMITS.first unless QUERY_ROW_LIMITS.include?(max_rows)
+
+    result = Supabase::AppDatabaseService.new(@app).run_query(
+      params[:sql],
+      params: query_params,
+      read_only: ActiveModel::Type::Boolean.new.cast(params.fetch(:read_only, true)),
+      max_rows: max_rows
+    )
+    render json: result, status: result["error"] ? :unprocessable_entity : :ok
   end
 
   private
@@ -271,10 +410,78 @@ class Account::AppDashboardsController < Account::ApplicationController
     params.require(:record).permit!
   end
 
+  def schema_migrations
+    Database::SchemaMigrationService.new(@app, user: current_user)
+  end
+
+  def dry_run?
+    ActiveModel::Type::Boolean.new.cast(params[:dry_run]) || false
+  end
+
+  # Dry runs and failures; error_prefix is put in front of database errors
+  def render_schema_change(result, error_prefix = nil)
+    return render json: result if result[:success]
+
+    error = (error_prefix && result[:errors].blank?) ? "#{error_prefix}: #{result[:error]}" : result[:error]
+    render json: result.merge(error: error), status: :unprocessable_entity
+  end
+
   def column_params
     params.require(:column).permit(:name, :column_type, :required, :default_value, :options)
   end
 
+  def sortable_columns(table)
+    STANDARD_COLUMNS + table.schema.map { |column| column[:name] }
+  end
+
+  def table_data_order(table)
+    return nil if params[:sort].blank?
+    raise ArgumentError, "Unknown sort column: #{params[:sort]}" unless sortable_columns(table).include?(params[:sort])
+
+    {column: params[:sort], direction: (params[:direction] == "desc") ? "desc" : "asc"}
+  end
+
+  # filters param is a JSON array of {column, operator, value}
+  def table_data_filters(table)
+    return [] if params[:filters].blank?
+
+    filters = JSON.parse(params[:filters])
+    raise ArgumentError, "filters must be an array" unless filters.is_a?(Array)
+
+    filters.map do |filter|
+      column = filter["column"].to_s
+      operator = filter["operator"].to_s
+      raise ArgumentError, "Unknown filter column: #{column}" unless sortable_columns(table).include?(column)
+      raise ArgumentError, "Unsupported filter operator: #{operator}" unless FILTER_OPERATORS.include?(operator)
+
+      {column: column, operator: operator, value: filter["value"]}
+    end
+  rescue JSON::ParserError
+    raise ArgumentError, "filters must be valid JSON"
+  end
+
+  # Display labels for the rows that this page's reference columns point at:
+  # {column => {table_id:, table:, label_column:, labels: {id => label}}}
+  def related_labels(service, table, rows)
+    table.app_table_columns.select(&:reference?).each_with_object({}) do |column, related|
+      target = column.referenced_table
+      next unless target
+
+      label_column = target.label_column
+      ids = rows.map { |row| row[column.name] }.compact.uniq
+      labels = begin
+        found = ids.any? ? service.find_records_by(target.name, "id", ids, current_user&.id, select: ["id", label_column].uniq) : []
+        found.to_h { |row| [row["id"], row[label_column]] }
+      rescue => e
+        # Rows still render with bare ids
+        Rails.logger.warn "[AppDashboards] Could not load #{target.name} labels: #{e.message}"
+        {}
+      end
+
+      related[column.name] = {table_id: target.id, table: target.name, label_column: label_column, labels: labels}
+    end
+  end
+
   def serialize_tables(tables)
     tables.map { |table| serialize_table(table) }
   end
@@ -291,6 +498,27 @@ class Account::AppDashboardsController < Account::ApplicationController
     }
   end
 
+  def serialize_migration(migration)
+    {
+      id: migration.id,
+      version: migration.version,
+      name: migration.name,
+      operation: migration.operation,
+      table_name: migration.table_name,
+      up_sql: migration.up_sql,
+      down_sql: migration.down_sql,
+      status: migration.status,
+      applied_at: migration.applied_at,
+      rolled_back_at: migration.rolled_back_at,
+      user: migration.user&.name,
+      app_version: migration.app_version && {
+        id: migration.app_version.id,
+        version_number: migration.app_version.version_number,
+        display_name: migration.app_version.display_name
+      }
+    }
+  end
+
   def serialize_column(column)
     {
       id: column.id,
@@ -2,6 +2,8 @@ class Account::AppEditorsController < Account::ApplicationController
   layout "editor"
   before_action :set_app
 
+  MAX_MENTIONS = 20
+
   def show
     @messages = @app.app_chat_messages.order(created_at: :asc)
     @files = @app.app_files.order(:path)
@@ -93,59 +95,58 @@ class Account::AppEditorsController < Account::ApplicationController
     end
   end
 
-  private
+  def versions
+    @versions = @app.app_versions.order(created_at: :desc)
+    render partial: "version_history_list", locals: {app: @app, versions: @versions}
+  end
 
-  # Build a new user message from params
-  def build_user_message
-    message = @app.app_chat_messages.build(message_params)
-    message.role = "user"
-    message.user = current_user
-    message
+  def update_preview
+    # Trigger preview update (already handled by UpdatePreviewJob)
+    UpdatePreviewJob.perform_later(@app.id)
+    render json: {success: true}
   end
 
-  # Queue the appropriate AI processing job
-  def queue_ai_processing(message)
-    # Use the App model's unified method which handles all the logic
-    # for determining which AI system to use (V3, Unified, or Legacy)
-    Rails.logger.info "[AI] Delegating to App model for message ##{message.id}"
-    @app.initiate_generation!
+  # Autocomplete data for the composer's slash commands and @mentions.
+  # Versions are numbered from 1 in the order they were made, as in "/restore v12".
+  def composer_context
+    versions = @app.app_versions.order(:created_at).pluck(:id, :version_number, :display_name, :changelog)
+
+    render json: {
+      files: @app.app_files.order(:path).pluck(:path),
+      tables: @app.app_tables.order(:name).pluck(:name),
+      versions: versions.each_with_index.map do |(id, version_number, display_name, changelog), index|
+        {id: id, number: index + 1, version_number: version_number, title: (display_name.presence || changelog).to_s.truncate(80)}
+      end.reverse
+    }
   end
 
-  # Render the chat form reset (successful message creation)
-  def render_chat_form_reset
-    respond_to do |format|
-      format.turbo_stream do
-        render turbo_stream: turbo_stream.replace(
-          "chat_form",
-          partial: "account/app_editors/chat_input_wrapper",
-          locals: {app: @app}
-        )
-      end
-    end
+  # Ranked next-step suggestions for the composer, see Ai::NextStepSuggestionService
+  def suggestions
+    render json: {suggestions: Ai::NextStepSuggestionService.new(@app).suggestions}
   end
 
-  # Render the chat form with errors
-  def render_chat_form_with_errors
-    respond_to do |format|
-      format.turbo_stream do
-        render turbo_stream: turbo_stream.replace(
-          "chat_form",
-          partial: "account/app_editors/chat_input_wrapper",
-          locals: {app: @app, message: @message}
-        )
-      end
-    end
+  def dismiss_suggestion
+    service = Ai::NextStepSuggestionService.new(@app)
+    service.dismiss(params.require(:key))
+    render json: {suggestions: service.suggestions}
   end
 
-  def versions
-    @versions = @app.app_versions.order(created_at: :desc)
-    render partial: "version_history_list", locals: {app: @app, versions: @versions}
+  # Uncaught errors the preview reported through the OverSkill bridge
+  def preview_error
+    Ai::NextStepSuggestionService.record_preview_error(@app, params.require(:error).permit(:message, :type, :url))
+    head :no_content
   end
 
-  def update_preview
-    # Trigger preview update (already handled by UpdatePreviewJob)
+  # Writes an edit made on the preview's selected element back to the
+  # component source, see VisualEditService
+  def apply_visual_edit
+    change = params.require(:change).permit(:type, :before, :after, :name, source: [:file, :line, :column, :exact])
+    app_file = VisualEditService.new(@app, current_user).apply(change.to_h.deep_symbolize_keys)
+
     UpdatePreviewJob.perform_later(@app.id)
-    render json: {success: true}
+    render json: {status: "saved", path: app_file.path}
+  rescue VisualEditService::Error => e
+    render json: {status: "error", error: e.message}, status: :unprocessable_entity
   end
 
   def restore_version
@@ -202,6 +203,48 @@ class Account::AppEditorsController < Account::ApplicationController
 
   private
 
+  # Build a new user message from params
+  def build_user_message
+    message = @app.app_chat_messages.build(message_params)
+    message.role = "user"
+    message.user = current_user
+    message
+  end
+
+  # Queue the appropriate AI processing job
+  def queue_ai_processing(message)
+    # Use the App model's unified method which handles all the logic
+    # for determining which AI system to use (V3, Unified, or Legacy)
+    Rails.logger.info "[AI] Delegating to App model for message ##{message.id}"
+    @app.initiate_generation!
+  end
+
+  # Render the chat form reset (successful message creation)
+  def render_chat_form_reset
+    respond_to do |format|
+      format.turbo_stream do
+        render turbo_stream: turbo_stream.replace(
+          "chat_form",
+          partial: "account/app_editors/chat_input_wrapper",
+          locals: {app: @app}
+        )
+      end
+    end
+  end
+
+  # Render the chat form with errors
+  def render_chat_form_with_errors
+    respond_to do |format|
+      format.turbo_stream do
+        render turbo_stream: turbo_stream.replace(
+          "chat_form",
+          partial: "account/app_editors/chat_input_wrapper",
+          locals: {app: @app, message: @message}
+        )
+      end
+    end
+  end
+
   def set_app
     @app = current_team.apps.find(params[:app_id])
   end
@@ -219,8 +262,37 @@ class Account::AppEditorsController < Account::ApplicationController
     end
   end
 
+  # Images arrive as signed blob ids from the form's direct uploads; the
+  # composer's command and @mentions are kept in the message's metadata
   def message_params
-    content = params.require(:app_chat_message)[:content] || params.require(:app_chat_message)[:content_mobile]
-    {content: content}
+    message = params.require(:app_chat_message)
+    attributes = {content: message[:content].presence || message[:content_mobile]}
+
+    images = Array(message[:images]).compact_blank
+    attributes[:images] = images if images.any?
+
+    command = message[:command].presence_in(AppChatMessage::COMMANDS.keys)
+    context = mentioned_context(message[:context])
+    attributes[:metadata] = {command: command, context: context}.compact_blank if command || context.any?
+
+    if attributes[:content].blank?
+      attributes[:content] = if command
+        AppChatMessage::COMMANDS[command]
+      elsif images.any?
+        "Please implement the design shown in the attached image(s)."
+      end
+    end
+
+    attributes
+  end
+
+  # Only mentions of files and tables this app actually has
+  def mentioned_context(context)
+    return {} unless context.respond_to?(:key?)
+
+    {
+      files: @app.app_files.where(path: Array(context[:files]).first(MAX_MENTIONS)).order(:path).pluck(:path),
+      tables: @app.app_tables.where(name: Array(context[:tables]).first(MAX_MENTIONS)).order(:name).pluck(:name)
+    }.compact_blank
   end
 end
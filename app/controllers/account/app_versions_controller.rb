@@ -2,7 +2,7 @@ class Account::AppVersionsController < Account::ApplicationController
   account_load_and_authorize_resource :app_version, through: :app, through_association: :app_versions
 
   # For member actions, load the app_version directly
-  before_action :load_app_version, only: [:preview, :serve_file, :compare, :bookmark, :restore]
+  before_action :load_app_version, only: [:preview, :serve_file, :compare, :bookmark, :restore, :restore_hunk, :merge_preview, :merge_restore]
 
   # GET /account/apps/:app_id/app_versions
   # GET /account/apps/:app_id/app_versions.json
@@ -340,6 +340,85 @@ class Account::AppVersionsController < Account::ApplicationController
     end
   end
 
+  # GET /account/app_versions/:id/merge_preview
+  # Three-way merge of this version into the current files, for review
+  def merge_preview
+    result = Deployment::AppVersionRestorationService.new(@app_version.app).plan_merge_restore(@app_version)
+
+    if result[:success]
+      render json: result
+    else
+      render json: {success: false, error: result[:error]}, status: :unprocessable_entity
+    end
+  end
+
+  # POST /account/app_versions/:id/merge_restore
+  # Commits the reviewed merge; files maps path => content (null deletes)
+  def merge_restore
+    app = @app_version.app
+    restoration_service = Deployment::AppVersionRestorationService.new(app)
+
+    # Only the files of the merge can be written, each as a string or null
+    plan = restoration_service.plan_merge_restore(@app_version)
+    unless plan[:success]
+      return render json: {success: false, error: plan[:error]}, status: :unprocessable_entity
+    end
+    files = params.require(:files).permit(*plan[:files].map { |file| file[:path] }).to_h
+
+    result = restoration_service.commit_merge_restore(
+      @app_version,
+      files,
+      head_digest: params.require(:head_digest)
+    )
+
+    if result[:success]
+      UpdatePreviewJob.perform_later(app.id)
+
+      render json: {
+        success: true,
+        new_version_id: result[:version]&.id,
+        files_restored: result[:restored_count],
+        message: result[:message]
+      }
+    else
+      render json: {
+        success: false,
+        error: result[:error],
+        unresolved: result[:unresolved]
+      }, status: (result[:conflict] ? :conflict : :unprocessable_entity)
+    end
+  end
+
+  # POST /account/app_versions/:id/restore_hunk
+  # Reverts a single diff hunk of one file from this version's changes
+  def restore_hunk
+    app = @app_version.app
+
+    restoration_service = Deployment::AppVersionRestorationService.new(app)
+    result = restoration_service.restore_hunk(
+      @app_version,
+      params.require(:path),
+      params.require(:hunk).to_i,
+      expected_header: params[:header]
+    )
+
+    if result[:success]
+      UpdatePreviewJob.perform_later(app.id)
+
+      render json: {
+        success: true,
+        new_version_id: result[:version]&.id,
+        message: result[:message]
+      }
+    else
+      render json: {
+        success: false,
+        error: result[:error],
+        conflict: result[:conflict] || false
+      }, status: (result[:conflict] ? :conflict : :unprocessable_entity)
+    end
+  end
+
   private
 
   def load_app_version
@@ -406,48 +485,7 @@ class Account::AppVersionsController < Account::ApplicationController
   end
 
   def generate_unified_diff(old_content, new_content, filename)
-    old_lines = old_content.split("\n")
-    new_lines = new_content.split("\n")
-
-    # Simple line-by-line diff
-    diff_lines = []
-    additions = 0
-    deletions = 0
-
-    # Add file header
-    diff_lines << "@@ -1,#{old_lines.length} +1,#{new_lines.length} @@"
-
-    # Very basic diff - show all lines for now
-    # In a real implementation, you'd use a proper diff algorithm like Myers
-    max_lines = [old_lines.length, new_lines.length].max
-
-    (0...max_lines).each do |i|
-      old_line = old_lines[i]
-      new_line = new_lines[i]
-
-      if old_line && new_line
-        if old_line != new_line
-          diff_lines << "-#{old_line}"
-          diff_lines << "+#{new_line}"
-          deletions += 1
-          additions += 1
-        else
-          diff_lines << " #{old_line}"
-        end
-      elsif old_line
-        diff_lines << "-#{old_line}"
-        deletions += 1
-      elsif new_line
-        diff_lines << "+#{new_line}"
-        additions += 1
-      end
-    end
-
-    {
-      diff: diff_lines.join("\n"),
-      additions: additions,
-      deletions: deletions
-    }
+    VersionControl::DiffService.new(old_content, new_content).unified.slice(:diff, :additions, :deletions)
   end
 
   def generate_creation_diff(content)
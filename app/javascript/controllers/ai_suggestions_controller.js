@@ -1,99 +1,175 @@
 import { Controller } from "@hotwired/stimulus"
+import OverSkillBridge from "../overskill_bridge"
 
+// Next-step suggestions above the chat composer. The server ranks them from
+// the app's state (see Ai::NextStepSuggestionService); this controller shows
+// them once the agent is idle, reports the preview's uncaught errors so they
+// can be suggested, and remembers dismissals per app.
 export default class extends Controller {
-  static targets = ["form", "input", "suggestions"]
-  
+  static targets = ["input", "suggestions"]
+  static values = {
+    url: String,
+    dismissUrl: String,
+    errorUrl: String,
+    frameSelector: { type: String, default: "#preview_frame iframe" }
+  }
+
   connect() {
-    // Show suggestions after AI completes a task
-    if (this.hasSuggestionsTarget) {
-      this.showSuggestions()
+    this.busy = this.isGenerating()
+    this.boundStreamRender = this.handleStreamRender.bind(this)
+    document.addEventListener('turbo:before-stream-render', this.boundStreamRender)
+
+    const iframe = document.querySelector(this.frameSelectorValue)
+    if (iframe && this.hasErrorUrlValue) {
+      this.bridge = OverSkillBridge.for(iframe)
+      this.unsubscribe = this.bridge.on('error', (error) => this.reportError(error))
     }
+
+    if (!this.busy) this.load()
   }
-  
-  showSuggestions() {
-    // Common follow-up suggestions based on last action
-    const suggestions = this.getSuggestionsForContext()
-    
-    if (suggestions.length > 0) {
-      this.suggestionsTarget.innerHTML = this.renderSuggestions(suggestions)
-      this.suggestionsTarget.classList.remove("hidden")
-    }
+
+  disconnect() {
+    document.removeEventListener('turbo:before-stream-render', this.boundStreamRender)
+    clearTimeout(this.reloadTimer)
+    this.unsubscribe?.()
+    this.bridge?.release()
+  }
+
+  // Suggestions are hidden while the agent works and refreshed when it stops
+  handleStreamRender() {
+    setTimeout(() => {
+      const busy = this.isGenerating()
+      if (busy === this.busy) return
+
+      this.busy = busy
+      busy ? this.hide() : this.load()
+    }, 50)
+  }
+
+  isGenerating() {
+    return document.querySelector('[data-message-status="planning"], [data-message-status="executing"], [data-message-status="generating"]') !== null
   }
-  
-  getSuggestionsForContext() {
-    // Analyze the last AI response to suggest relevant actions
-    const lastMessage = document.querySelector('[data-role="assistant"]:last-child')
-    if (!lastMessage) return []
-    
-    const content = lastMessage.textContent.toLowerCase()
-    const suggestions = []
-    
-    // Context-aware suggestions
-    if (content.includes("component") || content.includes("created")) {
-      suggestions.push({
-        text: "Add styling",
-        prompt: "Add modern styling with Tailwind CSS classes"
-      })
-      suggestions.push({
-        text: "Make it responsive",
-        prompt: "Make the component responsive for mobile devices"
-      })
+
+  async load() {
+    try {
+      const response = await fetch(this.urlValue, { headers: { 'Accept': 'application/json' } })
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const data = await response.json()
+      this.render(data.suggestions)
+    } catch (error) {
+      console.warn('Failed to load suggestions:', error)
     }
-    
-    if (content.includes("function") || content.includes("method")) {
-      suggestions.push({
-        text: "Add error handling",
-        prompt: "Add proper error handling and validation"
-      })
-      suggestions.push({
-        text: "Add tests",
-        prompt: "Create unit tests for this function"
-      })
+  }
+
+  async dismiss(event) {
+    event.stopPropagation()
+    const button = event.currentTarget.closest('[data-key]')
+    button?.remove()
+
+    try {
+      const response = await this.post(this.dismissUrlValue, { key: event.params.key })
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const data = await response.json()
+      this.render(data.suggestions)
+    } catch (error) {
+      console.warn('Failed to dismiss suggestion:', error)
     }
-    
-    if (content.includes("api") || content.includes("fetch")) {
-      suggestions.push({
-        text: "Add loading state",
-        prompt: "Add loading indicators while data is being fetched"
-      })
-      suggestions.push({
-        text: "Handle errors",
-        prompt: "Add error handling for failed API requests"
-      })
+  }
+
+  useSuggestion(event) {
+    const textarea = this.visibleInput()
+    if (!textarea) return
+
+    textarea.value = event.params.prompt
+    textarea.dispatchEvent(new Event('input', { bubbles: true }))
+    textarea.focus()
+  }
+
+  // Repeated errors are batched into one refresh
+  reportError(error) {
+    if (!error?.message) return
+
+    let path = null
+    try {
+      path = new URL(error.url).pathname
+    } catch (e) {
+      // Keep the error without a page
     }
-    
-    // Always available suggestions
-    suggestions.push({
-      text: "Deploy to production",
-      prompt: "Deploy the current version to production"
+
+    this.post(this.errorUrlValue, {
+      error: { message: error.message, type: error.context?.type, url: path }
+    }).catch(failure => console.warn('Failed to report preview error:', failure))
+
+    clearTimeout(this.reloadTimer)
+    this.reloadTimer = setTimeout(() => {
+      if (!this.busy) this.load()
+    }, 2000)
+  }
+
+  post(url, body) {
+    return fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'X-CSRF-Token': document.querySelector('[name="csrf-token"]')?.content
+      },
+      body: JSON.stringify(body)
     })
-    
-    return suggestions.slice(0, 3) // Limit to 3 suggestions
   }
-  
+
+  visibleInput() {
+    return this.inputTargets.find(input => input.offsetParent !== null) || this.inputTargets[0]
+  }
+
+  hide() {
+    if (!this.hasSuggestionsTarget) return
+
+    this.suggestionsTarget.innerHTML = ''
+    this.suggestionsTarget.classList.add('hidden')
+  }
+
+  render(suggestions) {
+    if (!this.hasSuggestionsTarget) return
+    if (this.busy || !suggestions?.length) return this.hide()
+
+    this.suggestionsTarget.innerHTML = this.renderSuggestions(suggestions)
+    this.suggestionsTarget.classList.remove('hidden')
+  }
+
   renderSuggestions(suggestions) {
     return `
-      <div class="flex items-center space-x-2 mt-3 pt-3 border-t border-gray-700">
-        <span class="text-xs text-gray-500">Suggested:</span>
+      <div class="flex flex-wrap items-center gap-2 mb-2">
+        <span class="text-xs text-gray-500 dark:text-gray-400">Suggested:</span>
         ${suggestions.map(s => `
-          <button class="text-xs bg-gray-700 hover:bg-gray-600 text-gray-300 px-3 py-1 rounded-full transition-colors"
-                  data-action="click->ai-suggestions#useSuggestion"
-                  data-suggestion="${s.prompt}">
-            ${s.text}
-          </button>
+          <span class="inline-flex items-center text-xs bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-full transition-colors hover:bg-gray-200 dark:hover:bg-gray-600"
+                data-key="${this.escapeHtml(s.key)}">
+            <button type="button"
+                    class="pl-3 pr-1 py-1"
+                    title="${this.escapeHtml(s.reason)}"
+                    data-action="click->ai-suggestions#useSuggestion"
+                    data-ai-suggestions-prompt-param="${this.escapeHtml(s.prompt)}">
+              ${this.escapeHtml(s.label)}
+            </button>
+            <button type="button"
+                    class="pr-2 pl-1 py-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+                    title="Don't suggest this again"
+                    aria-label="Dismiss suggestion"
+                    data-action="click->ai-suggestions#dismiss"
+                    data-ai-suggestions-key-param="${this.escapeHtml(s.key)}">
+              <i class="fas fa-times"></i>
+            </button>
+          </span>
         `).join('')}
       </div>
     `
   }
-  
-  useSuggestion(event) {
-    const suggestion = event.currentTarget.dataset.suggestion
-    if (this.hasInputTarget) {
-      this.inputTarget.value = suggestion
-      this.inputTarget.focus()
-      
-      // Optionally auto-submit
-      // this.formTarget.requestSubmit()
-    }
+
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text ?? ''
+    return div.innerHTML.replace(/"/g, '&quot;')
   }
-}
\ No newline at end of file
+}
@@ -1,101 +1,726 @@
 import { Controller } from "@hotwired/stimulus"
 
+const HISTORY_LIMIT = 20
+const SPEC_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options']
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g
+// :name after a slash, or {name} that isn't part of a {{variable}}
+const PATH_PARAM_PATTERN = /(?<=\/):([A-Za-z_]\w*)|(?<!\{)\{([A-Za-z_]\w*)\}(?!\})/g
+
+const METHOD_BADGES = {
+  GET: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  POST: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  PUT: 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200',
+  PATCH: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  DELETE: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+}
+
+// Request builder for an app's API. Saved requests are grouped into
+// collections and variables into environments, both stored on the server so
+// the whole team shares them. {{variables}} from the selected environment are
+// filled into the URL, headers, body and token when a request is sent.
+// Endpoints and sample bodies come from the app's generated OpenAPI spec,
+// and JSON bodies are checked against it before they go out.
 export default class extends Controller {
   static targets = [
     "baseUrl", "endpointsList", "requestPanel", "responsePanel", "responseInfo",
-    "methodSelect", "urlInput", "bodyInput", "headersList", "tabContent", "tab"
+    "methodSelect", "urlInput", "bodyInput", "headersList", "tabContent", "tab",
+    "collectionsList", "historyList", "environmentSelect", "environmentDialog", "environmentName",
+    "variablesList", "deleteEnvironmentButton", "pathParams", "authType", "authToken",
+    "saveForm", "saveName", "saveCollection", "collectionOptions", "importInput", "notice"
   ]
   static values = { appId: Number }
-  
+
   connect() {
-    this.headers = [
-      { name: 'Content-Type', value: 'application/json' }
-    ]
-    this.authToken = null
+    this.collections = []
+    this.environments = []
+    this.currentRequest = null
+    this.editingEnvironment = null
+    this.pathParamValues = {}
+    this.renderHistory()
+    this.load()
+    this.loadSpec()
+  }
+
+  get endpoint() {
+    return `/account/apps/${this.appIdValue}/api_explorer`
+  }
+
+  get storageKey() {
+    return `api-explorer:${this.appIdValue}`
+  }
+
+  get selectedEnvironment() {
+    const id = Number(this.environmentSelectTarget.value)
+    return this.environments.find(environment => environment.id === id) || null
+  }
+
+  async load() {
+    const data = await this.request(this.endpoint, 'GET')
+    if (!data) return
+
+    this.collections = data.collections
+    this.environments = data.environments
+    this.renderEnvironments(localStorage.getItem(`${this.storageKey}:environment`))
+    this.renderCollections()
+  }
+
+  // Collections
+
+  renderCollections() {
+    this.collectionOptionsTarget.innerHTML = this.collections
+      .map(collection => `<option value="${this.escapeHtml(collection.name)}"></option>`).join('')
+
+    if (this.collections.length === 0) {
+      this.collectionsListTarget.innerHTML = `
+        <p class="text-sm text-gray-500 dark:text-gray-400 italic">
+          No saved requests yet. Build a request and click Save, or import a Postman collection or OpenAPI file.
+        </p>
+      `
+      return
+    }
+
+    const environment = this.selectedEnvironment
+    const environmentParam = environment ? `&environment_id=${environment.id}` : ''
+
+    this.collectionsListTarget.innerHTML = this.collections.map(collection => `
+      <details class="group/collection" open>
+        <summary class="flex items-center justify-between px-2 py-1 text-sm font-medium text-gray-700 dark:text-gray-300 cursor-pointer rounded-md hover:bg-gray-100 dark:hover:bg-gray-700">
+          <span class="truncate">${this.escapeHtml(collection.name)} <span class="text-xs text-gray-400">${collection.requests.length}</span></span>
+          <span class="flex items-center space-x-2 text-xs text-gray-400">
+            <a href="${this.endpoint}/collections/${collection.id}/export?as=postman${environmentParam}" class="hover:text-gray-600 dark:hover:text-gray-200" title="Export as Postman collection">Postman</a>
+            <a href="${this.endpoint}/collections/${collection.id}/export?as=openapi${environmentParam}" class="hover:text-gray-600 dark:hover:text-gray-200" title="Export as OpenAPI document">OpenAPI</a>
+            <button type="button" class="hover:text-red-600" title="Delete collection"
+                    data-action="click->api-explorer#deleteCollection" data-collection-id="${collection.id}">
+              <i class="fas fa-trash"></i>
+            </button>
+          </span>
+        </summary>
+        <div class="mt-1 space-y-1">
+          ${collection.requests.map(savedRequest => `
+            <div class="flex items-center group ${this.currentRequest?.id === savedRequest.id ? 'bg-blue-50 dark:bg-blue-900/20 rounded-md' : ''}">
+              <button type="button" class="flex-1 min-w-0 text-left px-3 py-2 text-sm rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center space-x-2"
+                      data-action="click->api-explorer#loadRequest" data-request-id="${savedRequest.id}">
+                ${this.methodBadge(savedRequest.method)}
+                <span class="text-gray-700 dark:text-gray-300 truncate">${this.escapeHtml(savedRequest.name)}</span>
+              </button>
+              <button type="button" class="px-2 text-xs text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100" title="Delete request"
+                      data-action="click->api-explorer#deleteRequest" data-request-id="${savedRequest.id}">
+                <i class="fas fa-times"></i>
+              </button>
+            </div>
+          `).join('')}
+        </div>
+      </details>
+    `).join('')
+  }
+
+  methodBadge(method) {
+    const classes = METHOD_BADGES[method] || 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200'
+    return `<span class="px-2 py-0.5 text-xs font-medium rounded ${classes}">${this.escapeHtml(method)}</span>`
+  }
+
+  findRequest(id) {
+    for (const collection of this.collections) {
+      const savedRequest = collection.requests.find(candidate => candidate.id === id)
+      if (savedRequest) return { collection, savedRequest }
+    }
+    return {}
+  }
+
+  loadRequest(event) {
+    const { collection, savedRequest } = this.findRequest(Number(event.currentTarget.dataset.requestId))
+    if (!savedRequest) return
+
+    this.currentRequest = savedRequest
+    this.methodSelectTarget.value = savedRequest.method
+    this.urlInputTarget.value = savedRequest.url
+    this.bodyInputTarget.value = savedRequest.body || ''
+
+    // A bearer Authorization header is edited on the Auth tab
+    const authorization = savedRequest.headers.find(header => header.name.toLowerCase() === 'authorization' && header.value.startsWith('Bearer '))
+    this.authTypeTarget.value = authorization ? 'bearer' : 'none'
+    this.authTokenTarget.value = authorization ? authorization.value.slice('Bearer '.length) : ''
+    this.renderHeaders(savedRequest.headers.filter(header => header !== authorization))
+
+    this.saveNameTarget.value = savedRequest.name
+    this.saveCollectionTarget.value = collection.name
+    this.updatePathParams()
+    this.renderCollections()
+    this.clearNotice()
+  }
+
+  async deleteCollection(event) {
+    event.preventDefault()
+    const collection = this.collections.find(candidate => candidate.id === Number(event.currentTarget.dataset.collectionId))
+    if (!collection || !confirm(`Delete "${collection.name}" and its ${collection.requests.length} saved requests for everyone on the team?`)) return
+
+    if (!await this.request(`${this.endpoint}/collections/${collection.id}`, 'DELETE')) return
+
+    if (collection.requests.some(savedRequest => savedRequest.id === this.currentRequest?.id)) this.currentRequest = null
+    this.collections = this.collections.filter(candidate => candidate !== collection)
+    this.renderCollections()
+  }
+
+  async deleteRequest(event) {
+    const { collection, savedRequest } = this.findRequest(Number(event.currentTarget.dataset.requestId))
+    if (!savedRequest || !confirm(`Delete "${savedRequest.name}"?`)) return
+
+    if (!await this.request(`${this.endpoint}/requests/${savedRequest.id}`, 'DELETE')) return
+
+    if (this.currentRequest?.id === savedRequest.id) this.currentRequest = null
+    collection.requests = collection.requests.filter(candidate => candidate !== savedRequest)
+    this.renderCollections()
+  }
+
+  // Saving
+
+  toggleSaveForm() {
+    this.saveFormTarget.classList.toggle('hidden')
+    if (this.saveFormTarget.classList.contains('hidden')) return
+
+    if (!this.saveNameTarget.value) {
+      this.saveNameTarget.value = `${this.methodSelectTarget.value} ${this.urlInputTarget.value}`.trim()
+    }
+    this.saveNameTarget.focus()
+  }
+
+  // Updates the loaded request, moving it if the collection changed
+  async saveRequest(event) {
+    event.preventDefault()
+    await this.persistRequest(this.currentRequest)
+  }
+
+  async saveRequestAsNew() {
+    await this.persistRequest(null)
+  }
+
+  async persistRequest(existing) {
+    const name = this.saveNameTarget.value.trim()
+    const collectionName = this.saveCollectionTarget.value.trim()
+    if (!name || !collectionName) {
+      this.showNotice('Give the request a name and a collection.', 'error')
+      return
+    }
+
+    const collection = await this.findOrCreateCollection(collectionName)
+    if (!collection) return
+
+    const attributes = {
+      name,
+      http_method: this.methodSelectTarget.value,
+      url: this.urlInputTarget.value.trim(),
+      headers: this.requestHeaders(),
+      body: this.bodyInputTarget.value
+    }
+
+    const data = existing
+      ? await this.request(`${this.endpoint}/requests/${existing.id}`, 'PATCH', { request: { ...attributes, collection_id: collection.id } })
+      : await this.request(`${this.endpoint}/collections/${collection.id}/requests`, 'POST', { request: attributes })
+    if (!data) return
+
+    this.collections.forEach(candidate => {
+      candidate.requests = candidate.requests.filter(savedRequest => savedRequest.id !== data.request.id)
+    })
+    collection.requests.push(data.request)
+    this.currentRequest = data.request
+    this.saveFormTarget.classList.add('hidden')
+    this.renderCollections()
+    this.showNotice(`Saved "${data.request.name}" to ${collection.name}.`, 'success')
+  }
+
+  async findOrCreateCollection(name) {
+    const existing = this.collections.find(collection => collection.name.toLowerCase() === name.toLowerCase())
+    if (existing) return existing
+
+    const data = await this.request(`${this.endpoint}/collections`, 'POST', { collection: { name } })
+    if (!data) return null
+
+    this.collections.push(data.collection)
+    return data.collection
+  }
+
+  // Import
+
+  chooseImportFile() {
+    this.importInputTarget.click()
   }
-  
+
+  async importCollection() {
+    const file = this.importInputTarget.files[0]
+    if (!file) return
+
+    const formData = new FormData()
+    formData.append('file', file)
+    const data = await this.request(`${this.endpoint}/collections/import`, 'POST', formData)
+    this.importInputTarget.value = ''
+    if (!data) return
+
+    this.collections.push(data.collection)
+    if (data.environment) {
+      this.environments.push(data.environment)
+      this.renderEnvironments(data.environment.id)
+    }
+    this.renderCollections()
+
+    const count = data.collection.requests.length
+    this.showNotice(`Imported ${count} ${count === 1 ? 'request' : 'requests'} into "${data.collection.name}"${data.environment ? ` with the "${data.environment.name}" environment` : ''}.`, 'success')
+  }
+
+  // Environments
+
+  renderEnvironments(selectedId) {
+    this.environmentSelectTarget.innerHTML = [
+      '<option value="">No environment</option>',
+      ...this.environments.map(environment => `<option value="${environment.id}">${this.escapeHtml(environment.name)}</option>`)
+    ].join('')
+
+    const selected = this.environments.some(environment => String(environment.id) === String(selectedId))
+    this.environmentSelectTarget.value = selected ? String(selectedId) : ''
+    this.rememberEnvironment()
+  }
+
+  selectEnvironment() {
+    this.rememberEnvironment()
+    this.renderCollections()
+  }
+
+  rememberEnvironment() {
+    localStorage.setItem(`${this.storageKey}:environment`, this.environmentSelectTarget.value)
+  }
+
+  editEnvironment() {
+    this.openEnvironmentDialog(this.selectedEnvironment)
+  }
+
+  newEnvironment() {
+    this.openEnvironmentDialog(null)
+  }
+
+  openEnvironmentDialog(environment) {
+    this.editingEnvironment = environment
+    this.environmentNameTarget.value = environment?.name || ''
+    this.variablesListTarget.innerHTML = ''
+    const variables = environment?.variables?.length ? environment.variables : [{ key: 'baseUrl', value: this.baseUrlTarget.value, secret: false }]
+    variables.forEach(variable => this.appendVariableRow(variable))
+    this.deleteEnvironmentButtonTarget.classList.toggle('hidden', !environment)
+    this.environmentDialogTarget.classList.remove('hidden')
+    this.environmentNameTarget.focus()
+  }
+
+  closeEnvironmentDialog() {
+    this.environmentDialogTarget.classList.add('hidden')
+    this.editingEnvironment = null
+  }
+
+  addVariable() {
+    this.appendVariableRow({ key: '', value: '', secret: false })
+  }
+
+  appendVariableRow(variable) {
+    const row = document.createElement('div')
+    row.className = 'flex items-center space-x-2'
+    row.dataset.variableRow = ''
+    row.innerHTML = `
+      <input type="text" placeholder="key" value="${this.escapeHtml(variable.key)}" data-variable-key
+             class="w-1/3 px-3 py-2 text-sm font-mono border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white">
+      <input type="${variable.secret ? 'password' : 'text'}" placeholder="value" value="${this.escapeHtml(variable.value || '')}" data-variable-value autocomplete="off"
+             class="flex-1 px-3 py-2 text-sm font-mono border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white">
+      <label class="flex items-center space-x-1 text-xs text-gray-600 dark:text-gray-400" title="Secret values are hidden here and left out of exports">
+        <input type="checkbox" data-variable-secret data-action="change->api-explorer#toggleSecret" ${variable.secret ? 'checked' : ''}>
+        <span>Secret</span>
+      </label>
+      <button type="button" class="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300" data-action="click->api-explorer#removeVariable">
+        <i class="fas fa-times"></i>
+      </button>
+    `
+    this.variablesListTarget.appendChild(row)
+  }
+
+  toggleSecret(event) {
+    const row = event.currentTarget.closest('[data-variable-row]')
+    row.querySelector('[data-variable-value]').type = event.currentTarget.checked ? 'password' : 'text'
+  }
+
+  removeVariable(event) {
+    event.currentTarget.closest('[data-variable-row]').remove()
+  }
+
+  async saveEnvironment(event) {
+    event.preventDefault()
+    const variables = Array.from(this.variablesListTarget.querySelectorAll('[data-variable-row]'))
+      .map(row => ({
+        key: row.querySelector('[data-variable-key]').value.trim(),
+        value: row.querySelector('[data-variable-value]').value,
+        secret: row.querySelector('[data-variable-secret]').checked
+      }))
+      .filter(variable => variable.key || variable.value)
+    const body = { environment: { name: this.environmentNameTarget.value.trim(), variables } }
+
+    const existing = this.editingEnvironment
+    const data = existing
+      ? await this.request(`${this.endpoint}/environments/${existing.id}`, 'PATCH', body)
+      : await this.request(`${this.endpoint}/environments`, 'POST', body)
+    if (!data) return
+
+    this.environments = this.environments.filter(environment => environment.id !== data.environment.id)
+    this.environments.push(data.environment)
+    this.environments.sort((a, b) => a.name.localeCompare(b.name))
+    this.renderEnvironments(data.environment.id)
+    this.renderCollections()
+    this.closeEnvironmentDialog()
+  }
+
+  async deleteEnvironment() {
+    const environment = this.editingEnvironment
+    if (!environment || !confirm(`Delete the "${environment.name}" environment for everyone on the team?`)) return
+
+    if (!await this.request(`${this.endpoint}/environments/${environment.id}`, 'DELETE')) return
+
+    this.environments = this.environments.filter(candidate => candidate.id !== environment.id)
+    this.renderEnvironments('')
+    this.renderCollections()
+    this.closeEnvironmentDialog()
+  }
+
+  // The Base URL field stands in for {{baseUrl}} unless the environment sets it
+  variables() {
+    const values = { baseUrl: this.baseUrlTarget.value.trim() }
+    this.selectedEnvironment?.variables.forEach(variable => { values[variable.key] = variable.value ?? '' })
+    return values
+  }
+
+  substitute(text, values, unresolved) {
+    return (text || '').replace(VARIABLE_PATTERN, (match, key) => {
+      if (Object.prototype.hasOwnProperty.call(values, key)) return values[key]
+      unresolved.add(key)
+      return match
+    })
+  }
+
+  // Endpoints, from the app's OpenAPI spec
+
+  async loadSpec() {
+    try {
+      const response = await fetch(`${this.endpoint}/openapi`, { headers: { 'Accept': 'application/json' } })
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`)
+      this.spec = await response.json()
+      this.renderEndpoints()
+    } catch (error) {
+      console.error('Failed to load the OpenAPI spec:', error)
+      this.endpointsListTarget.innerHTML = '<p class="text-sm text-red-600 dark:text-red-400">Could not load the endpoints.</p>'
+    }
+  }
+
+  renderEndpoints() {
+    const groups = new Map((this.spec.tags || []).map(tag => [tag.name, []]))
+    Object.entries(this.spec.paths || {}).forEach(([path, item]) => {
+      SPEC_METHODS.forEach(method => {
+        const operation = item[method]
+        if (!operation) return
+
+        const tag = operation.tags?.[0] || 'other'
+        if (!groups.has(tag)) groups.set(tag, [])
+        groups.get(tag).push({ method: method.toUpperCase(), path, operation })
+      })
+    })
+
+    this.endpointsListTarget.innerHTML = `
+      <div class="flex items-center justify-between">
+        <h3 class="text-sm font-medium text-gray-700 dark:text-gray-300">Endpoints</h3>
+        <span class="text-xs text-gray-400">
+          OpenAPI
+          <a href="${this.endpoint}/openapi?download=1" class="hover:text-gray-600 dark:hover:text-gray-200">JSON</a> ·
+          <a href="${this.endpoint}/openapi?as=yaml&download=1" class="hover:text-gray-600 dark:hover:text-gray-200">YAML</a>
+        </span>
+      </div>
+      ${[...groups].filter(([, endpoints]) => endpoints.length > 0).map(([tag, endpoints]) => `
+        <div class="space-y-1">
+          <div class="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase mt-3">${this.escapeHtml(tag)}</div>
+          ${endpoints.map(({ method, path, operation }) => `
+            <button type="button" class="w-full text-left px-3 py-2 text-sm rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center justify-between group"
+                    data-action="click->api-explorer#selectEndpoint"
+                    data-method="${method}"
+                    data-path="${this.escapeHtml(path)}"
+                    title="${this.escapeHtml(path)}">
+              <div class="flex items-center space-x-2 min-w-0">
+                ${this.methodBadge(method)}
+                <span class="text-gray-700 dark:text-gray-300 truncate">${this.escapeHtml(operation.summary || path)}</span>
+              </div>
+              <i class="fas fa-chevron-right text-xs text-gray-400 group-hover:text-gray-600"></i>
+            </button>
+          `).join('')}
+        </div>
+      `).join('')}
+      ${groups.size === 0 ? '<p class="text-sm text-gray-500 dark:text-gray-400 italic">No tables created yet</p>' : ''}
+    `
+  }
+
+  // Fills the builder from the spec: required query parameters become
+  // fields like path parameters, and the body is scaffolded from its schema
   selectEndpoint(event) {
     const button = event.currentTarget
     const method = button.dataset.method
     const path = button.dataset.path
-    const description = button.dataset.description
-    
-    // Update method and URL
+    const pathItem = this.spec.paths[path]
+    const operation = pathItem[method.toLowerCase()]
+    const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+
+    const query = parameters.filter(parameter => parameter.in === 'query' && parameter.required).map(parameter => {
+      const fixed = parameter.schema?.default ?? (parameter.schema?.enum?.length === 1 ? parameter.schema.enum[0] : undefined)
+      if (fixed !== undefined) return `${parameter.name}=${encodeURIComponent(fixed)}`
+
+      if (parameter.example !== undefined && !this.pathParamValues[parameter.name]) this.pathParamValues[parameter.name] = String(parameter.example)
+      return `${parameter.name}={${parameter.name}}`
+    })
+
+    // Paths with their own servers aren't served under the base URL
+    const server = pathItem.servers?.[0]?.url || ''
+
+    this.currentRequest = null
+    this.saveNameTarget.value = operation.summary || `${method} ${path}`
     this.methodSelectTarget.value = method
-    this.urlInputTarget.value = path
-    
-    // Switch to body tab for POST/PUT
-    if (['POST', 'PUT', 'PATCH'].includes(method)) {
-      this.switchToTab('body')
-      
-      // Add sample body based on endpoint
-      if (path.includes('auth/login')) {
-        this.bodyInputTarget.value = JSON.stringify({
-          email: "user@example.com",
-          password: "password"
-        }, null, 2)
-      } else if (path.includes('auth/signup')) {
-        this.bodyInputTarget.value = JSON.stringify({
-          email: "user@example.com",
-          password: "password",
-          name: "John Doe"
-        }, null, 2)
-      } else if (method === 'POST') {
-        // Generic create body
-        this.bodyInputTarget.value = JSON.stringify({
-          // Add fields based on table
-        }, null, 2)
-      }
-    }
-    
+    this.urlInputTarget.value = server + path + (query.length > 0 ? `?${query.join('&')}` : '')
+
+    const schema = this.requestSchema(operation)
+    this.renderHeaders([
+      ...(schema ? [{ name: 'Content-Type', value: 'application/json' }] : []),
+      ...parameters.filter(parameter => parameter.in === 'header' && parameter.schema?.default !== undefined)
+        .map(parameter => ({ name: parameter.name, value: String(parameter.schema.default) }))
+    ])
+    this.bodyInputTarget.value = schema ? JSON.stringify(this.exampleFor(schema), null, 2) : ''
+    this.updatePathParams()
+    this.switchToTab(schema ? 'body' : 'headers')
+    this.clearNotice()
+
     // Highlight selected endpoint
     const allButtons = this.endpointsListTarget.querySelectorAll('button')
     allButtons.forEach(btn => btn.classList.remove('bg-blue-50', 'dark:bg-blue-900/20'))
     button.classList.add('bg-blue-50', 'dark:bg-blue-900/20')
+    this.renderCollections()
+  }
+
+  // The spec operation a URL as typed refers to, matched on the end of its path
+  operationFor(method, url) {
+    if (!this.spec) return null
+
+    const path = url.replace(/^\{\{\s*baseUrl\s*\}\}/, '').replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]+/i, '').split(/[?#]/)[0]
+    for (const [template, pathItem] of Object.entries(this.spec.paths || {})) {
+      const operation = pathItem[method.toLowerCase()]
+      if (!operation) continue
+
+      const pattern = template.split(/\{[^}]+\}/).map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.+')
+      if (new RegExp(`${pattern}$`).test(path)) return operation
+    }
+    return null
+  }
+
+  requestSchema(operation) {
+    return operation?.requestBody?.content?.['application/json']?.schema || null
+  }
+
+  resolveSchema(schema, seen = []) {
+    if (!schema?.$ref) return schema
+    if (seen.includes(schema.$ref) || !schema.$ref.startsWith('#/')) return null
+
+    const target = schema.$ref.slice(2).split('/').reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], this.spec)
+    return this.resolveSchema(target, [...seen, schema.$ref])
+  }
+
+  // A sample value from the schema's examples, defaults and types;
+  // read-only properties (ids, timestamps) are left out
+  exampleFor(schema, depth = 0) {
+    schema = this.resolveSchema(schema)
+    if (!schema || depth > 5) return null
+    if (schema.example !== undefined) return schema.example
+    if (schema.default !== undefined) return schema.default
+    if (schema.enum?.length) return schema.enum[0]
+
+    switch (schema.type) {
+      case 'object':
+        return Object.fromEntries(Object.entries(schema.properties || {})
+          .filter(([, property]) => !this.resolveSchema(property)?.readOnly)
+          .map(([name, property]) => [name, this.exampleFor(property, depth + 1)]))
+      case 'array':
+        return schema.items ? [this.exampleFor(schema.items, depth + 1)] : []
+      case 'integer':
+      case 'number':
+        return 0
+      case 'boolean':
+        return false
+      case 'string':
+        return { date: new Date().toISOString().slice(0, 10), 'date-time': new Date().toISOString(), email: 'user@example.com' }[schema.format] ?? ''
+      default:
+        return null
+    }
+  }
+
+  // Problems with a JSON body against the operation's schema, as messages
+  validateBody(operation, bodyText) {
+    const schema = this.requestSchema(operation)
+    if (!schema) return []
+    if (!bodyText) return operation.requestBody.required ? ['The request body is required'] : []
+
+    let value
+    try {
+      value = JSON.parse(bodyText)
+    } catch (error) {
+      return [`The body isn't valid JSON: ${error.message}`]
+    }
+    return this.schemaErrors(schema, value, '')
+  }
+
+  schemaErrors(schema, value, path) {
+    schema = this.resolveSchema(schema)
+    if (!schema) return []
+
+    const label = path || 'The body'
+    if (value === null) return schema.nullable || !schema.type ? [] : [`${label} can't be null`]
+
+    const type = Array.isArray(value) ? 'array' : (Number.isInteger(value) ? 'integer' : typeof value)
+    if (schema.type && schema.type !== type && !(schema.type === 'number' && type === 'integer')) {
+      return [`${label} should be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}`]
+    }
+
+    const errors = []
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${label} should be one of ${schema.enum.join(', ')}`)
+
+    if (type === 'string') {
+      if (schema.minLength && value.length < schema.minLength) errors.push(`${label} should be at least ${schema.minLength} characters`)
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${label} doesn't match ${schema.pattern}`)
+      if (schema.format === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) errors.push(`${label} should be a date like 2024-01-31`)
+      if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) errors.push(`${label} should be a date and time`)
+      if (schema.format === 'email' && !/^[^@\s]+@[^@\s]+$/.test(value)) errors.push(`${label} should be an email address`)
+    }
+
+    if (type === 'object') {
+      (schema.required || []).forEach(name => {
+        if (!(name in value)) errors.push(`${path ? `${path}.` : ''}${name} is required`)
+      })
+      Object.entries(value).forEach(([key, item]) => {
+        const propertyPath = path ? `${path}.${key}` : key
+        const property = schema.properties?.[key]
+        if (!property) {
+          if (schema.additionalProperties === false) errors.push(`${propertyPath} isn't a known field`)
+        } else if (this.resolveSchema(property)?.readOnly) {
+          errors.push(`${propertyPath} is read-only`)
+        } else {
+          errors.push(...this.schemaErrors(property, item, propertyPath))
+        }
+      })
+    }
+
+    if (type === 'array' && schema.items) {
+      value.forEach((item, index) => errors.push(...this.schemaErrors(schema.items, item, `${path}[${index}]`)))
+    }
+
+    return errors
+  }
+
+  // Request builder
+
+  // One field per :name or {name} in the URL (path parameters, and query
+  // parameters the spec requires); values survive edits to the URL
+  updatePathParams() {
+    const names = [...new Set(Array.from(this.urlInputTarget.value.matchAll(PATH_PARAM_PATTERN), match => match[1] || match[2]))]
+
+    if (names.length === 0) {
+      this.pathParamsTarget.innerHTML = ''
+      this.pathParamsTarget.classList.add('hidden')
+      return
+    }
+
+    this.pathParamsTarget.classList.remove('hidden')
+    this.pathParamsTarget.innerHTML = `
+      <h4 class="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase mb-2">Parameters</h4>
+      <div class="grid grid-cols-2 gap-3">
+        ${names.map(name => `
+          <label class="flex items-center space-x-2">
+            <span class="w-24 text-sm font-mono text-gray-700 dark:text-gray-300 truncate">${this.escapeHtml(name)}</span>
+            <input type="text" placeholder="value or {{variable}}" value="${this.escapeHtml(this.pathParamValues[name] || '')}"
+                   data-path-param="${this.escapeHtml(name)}" data-action="input->api-explorer#setPathParam"
+                   class="flex-1 px-3 py-1.5 text-sm font-mono border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white">
+          </label>
+        `).join('')}
+      </div>
+    `
+  }
+
+  setPathParam(event) {
+    this.pathParamValues[event.currentTarget.dataset.pathParam] = event.currentTarget.value
+  }
+
+  // Headers as typed in the Headers tab, plus the Auth tab's bearer token
+  requestHeaders() {
+    const headers = Array.from(this.headersListTarget.querySelectorAll('[data-header-row]'))
+      .map(row => ({
+        name: row.querySelector('[data-header-name]').value.trim(),
+        value: row.querySelector('[data-header-value]').value,
+        enabled: row.querySelector('[data-header-enabled]').checked
+      }))
+      .filter(header => header.name)
+
+    const token = this.authTokenTarget.value.trim()
+    if (this.authTypeTarget.value === 'bearer' && token) {
+      headers.push({ name: 'Authorization', value: `Bearer ${token}`, enabled: true })
+    }
+    return headers
   }
-  
+
   async sendRequest() {
     const method = this.methodSelectTarget.value
-    const path = this.urlInputTarget.value
-    const baseUrl = this.baseUrlTarget.value
-    
+    const values = this.variables()
+    const unresolved = new Set()
+    this.clearNotice()
+
+    let path = this.substitute(this.urlInputTarget.value.trim(), values, unresolved)
+    const missing = []
+    path = path.replace(PATH_PARAM_PATTERN, (match, colonName, braceName) => {
+      const name = colonName || braceName
+      const value = this.substitute(this.pathParamValues[name], values, unresolved)
+      if (!value) missing.push(name)
+      return value.split('/').map(encodeURIComponent).join('/')
+    })
+
     // Build full URL
-    let url = baseUrl + path
-    
-    // Replace :id with actual ID if present
-    if (url.includes(':id')) {
-      const id = prompt('Enter the ID:')
-      if (!id) return
-      url = url.replace(':id', id)
-    }
-    
+    const url = /^https?:\/\//i.test(path) ? path : this.substitute(this.baseUrlTarget.value.trim(), values, unresolved) + path
+
     // Build headers
     const headers = {}
-    this.headers.forEach(h => {
-      if (h.name && h.value) {
-        headers[h.name] = h.value
+    this.requestHeaders().forEach(header => {
+      if (header.enabled) {
+        headers[this.substitute(header.name, values, unresolved)] = this.substitute(header.value, values, unresolved)
       }
     })
-    
-    // Add auth if configured
-    if (this.authToken) {
-      headers['Authorization'] = `Bearer ${this.authToken}`
-    }
-    
+
     // Build request options
     const options = {
       method: method,
       headers: headers
     }
-    
+
     // Add body for non-GET requests
-    if (['POST', 'PUT', 'PATCH'].includes(method) && this.hasBodyInputTarget) {
-      const bodyText = this.bodyInputTarget.value.trim()
-      if (bodyText) {
-        options.body = bodyText
-      }
+    const bodyText = this.bodyInputTarget.value.trim()
+    if (!['GET', 'HEAD'].includes(method) && bodyText) {
+      options.body = this.substitute(bodyText, values, unresolved)
+    }
+
+    const operation = this.operationFor(method, this.urlInputTarget.value.trim())
+    const bodyErrors = operation && !['GET', 'HEAD'].includes(method) ? this.validateBody(operation, options.body) : []
+
+    if (missing.length > 0) {
+      this.showNotice(`Fill in the path ${missing.length === 1 ? 'parameter' : 'parameters'} ${missing.join(', ')}.`, 'error')
+      return
+    }
+    if (unresolved.size > 0) {
+      const names = [...unresolved].map(name => `{{${name}}}`).join(', ')
+      this.showNotice(`${names} ${unresolved.size === 1 ? 'isn\'t' : 'aren\'t'} defined in ${this.selectedEnvironment ? `the "${this.selectedEnvironment.name}" environment` : 'any environment'}.`, 'warning')
+      return
     }
-    
+    if (bodyErrors.length > 0) {
+      this.showNotice(`The body doesn't match the ${operation.summary || 'endpoint'} schema: ${bodyErrors.slice(0, 5).join('; ')}${bodyErrors.length > 5 ? ` and ${bodyErrors.length - 5} more` : ''}.`, 'error')
+      return
+    }
+
     // Show loading state
     this.responseInfoTarget.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...'
     this.responsePanelTarget.innerHTML = `
@@ -104,68 +729,59 @@ export default class extends Controller {
         <p class="text-gray-600 dark:text-gray-400">Sending request...</p>
       </div>
     `
-    
+
     const startTime = Date.now()
-    
+
     try {
       const response = await fetch(url, options)
       const duration = Date.now() - startTime
-      
+
       // Update response info
       const statusClass = response.ok ? 'text-green-600' : 'text-red-600'
       this.responseInfoTarget.innerHTML = `
-        <span class="${statusClass} font-medium">${response.status} ${response.statusText}</span>
+        <span class="${statusClass} font-medium">${response.status} ${this.escapeHtml(response.statusText)}</span>
         <span class="text-gray-500">${duration}ms</span>
         <span class="text-gray-500">${this.formatBytes(response.headers.get('content-length'))}</span>
       `
-      
+
       // Get response body
       const contentType = response.headers.get('content-type')
-      let responseBody
-      
+
       if (contentType && contentType.includes('application/json')) {
-        responseBody = await response.json()
-        this.displayJsonResponse(responseBody)
+        this.displayJsonResponse(await response.json())
       } else {
-        responseBody = await response.text()
-        this.displayTextResponse(responseBody)
+        this.displayTextResponse(await response.text())
       }
-      
-      // Save to history (optional)
-      this.saveToHistory({
-        method, url, headers, body: options.body,
-        response: { status: response.status, body: responseBody },
-        duration
-      })
-      
+
+      this.saveToHistory({ method, url: this.urlInputTarget.value.trim(), status: response.status, duration })
     } catch (error) {
       const duration = Date.now() - startTime
-      
+
       this.responseInfoTarget.innerHTML = `
         <span class="text-red-600 font-medium">Error</span>
         <span class="text-gray-500">${duration}ms</span>
       `
-      
+
       this.responsePanelTarget.innerHTML = `
         <div class="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-6">
           <h4 class="text-red-800 dark:text-red-200 font-medium mb-2">Request Failed</h4>
-          <p class="text-red-700 dark:text-red-300">${error.message}</p>
+          <p class="text-red-700 dark:text-red-300">${this.escapeHtml(error.message)}</p>
         </div>
       `
     }
   }
-  
+
   displayJsonResponse(data) {
     this.responsePanelTarget.innerHTML = `
       <div class="bg-gray-900 rounded-lg p-4 overflow-x-auto">
-        <pre class="text-sm text-gray-300"><code>${JSON.stringify(data, null, 2)}</code></pre>
+        <pre class="text-sm text-gray-300"><code>${this.escapeHtml(JSON.stringify(data, null, 2))}</code></pre>
       </div>
     `
-    
+
     // Syntax highlighting (optional - could use a library like Prism)
     this.highlightJson()
   }
-  
+
   displayTextResponse(text) {
     this.responsePanelTarget.innerHTML = `
       <div class="bg-gray-100 dark:bg-gray-800 rounded-lg p-4">
@@ -173,10 +789,10 @@ export default class extends Controller {
       </div>
     `
   }
-  
+
   switchTab(event) {
-    const tabName = event.currentTarget.dataset.tab || event
-    
+    const tabName = event.currentTarget?.dataset.tab || event
+
     // Update active tab
     this.tabTargets.forEach(tab => {
       if (tab.dataset.tab === tabName) {
@@ -187,7 +803,7 @@ export default class extends Controller {
         tab.classList.add('border-transparent', 'text-gray-500')
       }
     })
-    
+
     // Show/hide panels
     this.tabContentTarget.querySelectorAll('[data-tab-panel]').forEach(panel => {
       if (panel.dataset.tabPanel === tabName) {
@@ -197,66 +813,154 @@ export default class extends Controller {
       }
     })
   }
-  
+
   switchToTab(tabName) {
     this.switchTab(tabName)
   }
-  
+
+  renderHeaders(headers) {
+    this.headersListTarget.innerHTML = ''
+    headers.forEach(header => this.appendHeaderRow(header))
+  }
+
   addHeader() {
+    this.appendHeaderRow({})
+  }
+
+  appendHeaderRow(header) {
     const headerRow = document.createElement('div')
     headerRow.className = 'flex items-center space-x-3'
+    headerRow.dataset.headerRow = ''
     headerRow.innerHTML = `
-      <input type="text" placeholder="Header name"
+      <input type="checkbox" data-header-enabled title="Send this header" ${header.enabled === false ? '' : 'checked'}>
+      <input type="text" placeholder="Header name" value="${this.escapeHtml(header.name || '')}" data-header-name
              class="flex-1 px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white">
-      <input type="text" placeholder="Header value"
+      <input type="text" placeholder="Header value or {{variable}}" value="${this.escapeHtml(header.value || '')}" data-header-value
              class="flex-1 px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white">
-      <button class="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+      <button type="button" class="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
               data-action="click->api-explorer#removeHeader">
         <i class="fas fa-times"></i>
       </button>
     `
-    
+
     this.headersListTarget.appendChild(headerRow)
   }
-  
+
   removeHeader(event) {
-    event.currentTarget.closest('.flex').remove()
+    event.currentTarget.closest('[data-header-row]').remove()
   }
-  
+
+  showNotice(message, type = 'warning') {
+    const classes = {
+      error: 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300',
+      warning: 'bg-yellow-50 dark:bg-yellow-900/20 text-yellow-800 dark:text-yellow-200',
+      success: 'bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-300'
+    }
+    this.noticeTarget.className = `mb-4 px-3 py-2 text-sm rounded-md ${classes[type]}`
+    this.noticeTarget.textContent = message
+  }
+
+  clearNotice() {
+    this.noticeTarget.className = 'hidden'
+    this.noticeTarget.textContent = ''
+  }
+
+  // Resolves to the parsed response, or null after showing the error
+  async request(url, method, body) {
+    const headers = {
+      'Accept': 'application/json',
+      'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
+    }
+    if (body && !(body instanceof FormData)) headers['Content-Type'] = 'application/json'
+
+    try {
+      const response = await fetch(url, {
+        method: method,
+        headers: headers,
+        body: body instanceof FormData ? body : (body ? JSON.stringify(body) : undefined)
+      })
+      const data = await response.json()
+
+      if (data.success) return data
+      this.showNotice(data.error || 'Request failed', 'error')
+    } catch (error) {
+      console.error('API explorer request failed:', error)
+      this.showNotice('Request failed. Please try again.', 'error')
+    }
+    return null
+  }
+
   formatBytes(bytes) {
     if (!bytes) return ''
     const kb = bytes / 1024
     return kb > 1024 ? `${(kb / 1024).toFixed(2)} MB` : `${kb.toFixed(2)} KB`
   }
-  
+
   escapeHtml(text) {
     const div = document.createElement('div')
     div.textContent = text
-    return div.innerHTML
+    return div.innerHTML.replace(/"/g, '&quot;')
   }
-  
+
   highlightJson() {
     // Simple JSON syntax highlighting
     const pre = this.responsePanelTarget.querySelector('pre')
     if (!pre) return
-    
+
     let html = pre.innerHTML
-    
+
     // Highlight strings
     html = html.replace(/"([^"]+)":/g, '<span class="text-blue-400">"$1"</span>:')
     html = html.replace(/: "([^"]+)"/g, ': <span class="text-green-400">"$1"</span>')
-    
+
     // Highlight numbers
     html = html.replace(/: (\d+)/g, ': <span class="text-yellow-400">$1</span>')
-    
+
     // Highlight booleans and null
     html = html.replace(/: (true|false|null)/g, ': <span class="text-purple-400">$1</span>')
-    
+
     pre.innerHTML = html
   }
-  
-  saveToHistory(request) {
-    // Could save to localStorage or send to backend
-    console.log('Request saved to history:', request)
+
+  // Recent requests stay in this browser. Only the method and the URL as
+  // typed (with its {{variables}}) are kept, never headers or bodies.
+  saveToHistory(entry) {
+    const history = this.history().filter(item => item.method !== entry.method || item.url !== entry.url)
+    history.unshift({ ...entry, sent_at: new Date().toISOString() })
+    localStorage.setItem(`${this.storageKey}:history`, JSON.stringify(history.slice(0, HISTORY_LIMIT)))
+    this.renderHistory()
+  }
+
+  history() {
+    try {
+      return JSON.parse(localStorage.getItem(`${this.storageKey}:history`)) || []
+    } catch {
+      return []
+    }
+  }
+
+  renderHistory() {
+    const history = this.history()
+    this.historyListTarget.innerHTML = history.length === 0
+      ? '<p class="text-sm text-gray-500 dark:text-gray-400 italic">Requests you send show up here</p>'
+      : history.map((entry, index) => `
+        <button type="button" class="w-full text-left px-3 py-1.5 text-sm rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center space-x-2"
+                data-action="click->api-explorer#loadHistory" data-index="${index}" title="${this.escapeHtml(new Date(entry.sent_at).toLocaleString())}">
+          ${this.methodBadge(entry.method)}
+          <span class="flex-1 font-mono text-xs text-gray-700 dark:text-gray-300 truncate">${this.escapeHtml(entry.url)}</span>
+          <span class="text-xs ${entry.status < 400 ? 'text-green-600' : 'text-red-600'}">${entry.status}</span>
+        </button>
+      `).join('')
+  }
+
+  loadHistory(event) {
+    const entry = this.history()[Number(event.currentTarget.dataset.index)]
+    if (!entry) return
+
+    this.currentRequest = null
+    this.methodSelectTarget.value = entry.method
+    this.urlInputTarget.value = entry.url
+    this.updatePathParams()
+    this.renderCollections()
   }
-}
\ No newline at end of file
+}
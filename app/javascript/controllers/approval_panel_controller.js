@@ -5,71 +5,123 @@ import consumer from "../channels/consumer"
 export default class extends Controller {
   static targets = [
     "changeCheckbox",
-    "selectedCount", 
+    "hunkCheckbox",
+    "selectedCount",
+    "totalCount",
     "approveButton",
-    "changesList"
+    "previewButton",
+    "previewStatus",
+    "changesList",
+    "diff",
+    "editor"
   ]
-  
+
   static values = {
     callbackId: String,
     chatMessageId: Number
   }
-  
+
   connect() {
     this.updateSelectionCount()
     this.subscription = this.subscribeToChannel()
   }
-  
+
   disconnect() {
     if (this.subscription) {
       this.subscription.unsubscribe()
     }
   }
-  
-  // Subscribe to the chat channel for this message
+
+  // Subscribe to the progress channel of this message
   subscribeToChannel() {
     return consumer.subscriptions.create(
-      { 
-        channel: "ChatChannel",
-        chat_message_id: this.chatMessageIdValue
+      {
+        channel: "ChatProgressChannel",
+        message_id: this.chatMessageIdValue
       },
       {
         received: (data) => this.handleChannelData(data)
       }
     )
   }
-  
+
   // Handle channel data
   handleChannelData(data) {
-    if (data.action === 'approval_response' && data.callback_id === this.callbackIdValue) {
-      this.handleApprovalResponse(data)
+    if (data.callback_id !== this.callbackIdValue) return
+
+    switch (data.action) {
+      case 'approval_response':
+        this.handleApprovalResponse(data)
+        break
+      case 'change_updated':
+        this.replaceChange(data.file_path, data.html)
+        break
+      case 'approval_preview':
+        this.handlePreview(data)
+        break
     }
   }
-  
+
   // Select all checkboxes
   selectAll(event) {
     event.preventDefault()
-    this.changeCheckboxTargets.forEach(checkbox => {
-      checkbox.checked = true
-    })
-    this.updateSelectionCount()
+    this.setAllChecked(true)
   }
-  
+
   // Deselect all checkboxes
   deselectAll(event) {
     event.preventDefault()
+    this.setAllChecked(false)
+  }
+
+  setAllChecked(checked) {
     this.changeCheckboxTargets.forEach(checkbox => {
-      checkbox.checked = false
+      checkbox.checked = checked
+      checkbox.indeterminate = false
+    })
+    this.hunkCheckboxTargets.forEach(checkbox => {
+      checkbox.checked = checked
+    })
+    this.updateSelectionCount()
+  }
+
+  // A file's checkbox selects or clears all of its hunks
+  toggleFile(event) {
+    const checkbox = event.currentTarget
+    checkbox.indeterminate = false
+    this.hunksFor(checkbox.dataset.filePath).forEach(hunk => {
+      hunk.checked = checkbox.checked
     })
     this.updateSelectionCount()
   }
-  
+
+  // A hunk's checkbox leaves its file checked, unchecked or partly checked
+  toggleHunk(event) {
+    this.syncFileCheckbox(event.currentTarget.dataset.filePath)
+    this.updateSelectionCount()
+  }
+
+  syncFileCheckbox(filePath) {
+    const fileCheckbox = this.fileCheckboxFor(filePath)
+    const hunks = this.hunksFor(filePath)
+    if (!fileCheckbox || hunks.length === 0) return
+
+    const checked = hunks.filter(hunk => hunk.checked).length
+    fileCheckbox.checked = checked > 0
+    fileCheckbox.indeterminate = checked > 0 && checked < hunks.length
+  }
+
   // Update the selected count display
   updateSelectionCount() {
-    const selectedCount = this.changeCheckboxTargets.filter(cb => cb.checked).length
+    const total = this.changeCheckboxTargets.reduce((sum, cb) => sum + Math.max(this.hunksFor(cb.dataset.filePath).length, 1), 0)
+    const selectedCount = this.selectedChanges().reduce((sum, change) => {
+      return sum + (change.hunks === 'all' ? Math.max(this.hunksFor(change.file_path).length, 1) : change.hunks.length)
+    }, 0)
+
     this.selectedCountTarget.textContent = selectedCount
-    
-    // Enable/disable approve button based on selection
+    if (this.hasTotalCountTarget) this.totalCountTarget.textContent = total
+
+    // Enable/disable approve and preview buttons based on selection
     if (this.hasApproveButtonTarget) {
       this.approveButtonTarget.disabled = selectedCount === 0
       if (selectedCount === 0) {
@@ -78,49 +130,156 @@ export default class extends Controller {
         this.approveButtonTarget.classList.remove('opacity-50', 'cursor-not-allowed')
       }
     }
+    if (this.hasPreviewButtonTarget) {
+      this.previewButtonTarget.disabled = selectedCount === 0
+    }
   }
-  
+
+  // [{ file_path, hunks: [indexes] | 'all' }] for every file with something selected
+  selectedChanges() {
+    return this.changeCheckboxTargets.flatMap(checkbox => {
+      const filePath = checkbox.dataset.filePath
+      const hunks = this.hunksFor(filePath)
+
+      if (hunks.length === 0) {
+        return checkbox.checked ? [{ file_path: filePath, hunks: 'all' }] : []
+      }
+
+      const selected = hunks.filter(hunk => hunk.checked).map(hunk => Number(hunk.dataset.hunkIndex))
+      if (selected.length === 0) return []
+
+      return [{ file_path: filePath, hunks: selected.length === hunks.length ? 'all' : selected }]
+    })
+  }
+
   // Approve selected changes
   approveSelected(event) {
     event.preventDefault()
-    
-    const selectedFiles = this.changeCheckboxTargets
-      .filter(cb => cb.checked)
-      .map(cb => cb.dataset.filePath)
-    
-    if (selectedFiles.length === 0) {
+
+    const selectedChanges = this.selectedChanges()
+
+    if (selectedChanges.length === 0) {
       return
     }
-    
+
     // Show loading state
     this.setLoadingState(true)
-    
+
     // Send approval to server
     this.subscription.perform('approve_changes', {
       callback_id: this.callbackIdValue,
-      approved_files: selectedFiles
+      approved_changes: selectedChanges
     })
   }
-  
+
   // Reject all changes
   rejectAll(event) {
     event.preventDefault()
-    
+
     // Show loading state
     this.setLoadingState(true)
-    
+
     // Send rejection to server
     this.subscription.perform('reject_changes', {
       callback_id: this.callbackIdValue
     })
   }
-  
+
+  // Deploy a temporary preview with only the selected changes applied
+  previewSelected(event) {
+    event.preventDefault()
+
+    const selectedChanges = this.selectedChanges()
+    if (selectedChanges.length === 0) return
+
+    this.handlePreview({ status: 'building' })
+    this.subscription.perform('preview_changes', {
+      callback_id: this.callbackIdValue,
+      approved_changes: selectedChanges
+    })
+  }
+
+  handlePreview(data) {
+    if (!this.hasPreviewStatusTarget) return
+
+    const building = data.status === 'building'
+    if (this.hasPreviewButtonTarget) this.previewButtonTarget.disabled = building
+
+    switch (data.status) {
+      case 'building':
+        this.previewStatusTarget.textContent = 'Building preview...'
+        break
+      case 'ready':
+        this.previewStatusTarget.innerHTML = `
+          <a href="${this.escapeHtml(data.preview_url)}" target="_blank" rel="noopener" class="text-blue-600 dark:text-blue-400 hover:underline">
+            Open preview
+          </a>
+        `
+        break
+      default:
+        this.previewStatusTarget.innerHTML = `
+          <span class="text-red-600 dark:text-red-400">${this.escapeHtml(data.error || 'Preview failed')}</span>
+        `
+    }
+  }
+
+  // Show the editor for a file's proposed content in place of its diff
+  editChange(event) {
+    event.preventDefault()
+    const filePath = event.currentTarget.dataset.filePath
+    const editor = this.editorFor(filePath)
+    if (!editor) return
+
+    this.diffFor(filePath)?.classList.add('hidden')
+    editor.classList.remove('hidden')
+    editor.querySelector('textarea').focus()
+  }
+
+  cancelEdit(event) {
+    event.preventDefault()
+    const filePath = event.currentTarget.dataset.filePath
+    const editor = this.editorFor(filePath)
+    if (!editor) return
+
+    const textarea = editor.querySelector('textarea')
+    textarea.value = textarea.defaultValue
+    editor.classList.add('hidden')
+    this.diffFor(filePath)?.classList.remove('hidden')
+  }
+
+  // The server answers with the file's block re-rendered against the edit
+  saveEdit(event) {
+    event.preventDefault()
+    const button = event.currentTarget
+    const editor = this.editorFor(button.dataset.filePath)
+    if (!editor) return
+
+    button.disabled = true
+    button.textContent = 'Saving...'
+    this.subscription.perform('update_change', {
+      callback_id: this.callbackIdValue,
+      file_path: button.dataset.filePath,
+      content: editor.querySelector('textarea').value
+    })
+  }
+
+  replaceChange(filePath, html) {
+    const current = this.changeElementFor(filePath)
+    if (!current || !html) return
+
+    const template = document.createElement('template')
+    template.innerHTML = html.trim()
+    current.replaceWith(template.content)
+    this.updateSelectionCount()
+  }
+
   // Set loading state for the panel
   setLoadingState(loading) {
     if (loading) {
       // Disable all inputs
       this.changeCheckboxTargets.forEach(cb => cb.disabled = true)
-      
+      this.hunkCheckboxTargets.forEach(cb => cb.disabled = true)
+
       // Update button states
       if (this.hasApproveButtonTarget) {
         const originalText = this.approveButtonTarget.innerHTML
@@ -134,57 +293,65 @@ export default class extends Controller {
         `
         this.approveButtonTarget.disabled = true
       }
-      
+
       // Add loading overlay
       this.element.classList.add('opacity-75')
     } else {
       // Re-enable inputs
       this.changeCheckboxTargets.forEach(cb => cb.disabled = false)
-      
+      this.hunkCheckboxTargets.forEach(cb => cb.disabled = false)
+
       // Restore button states
       if (this.hasApproveButtonTarget && this.approveButtonTarget.dataset.originalText) {
         this.approveButtonTarget.innerHTML = this.approveButtonTarget.dataset.originalText
         this.approveButtonTarget.disabled = false
       }
-      
+
       // Remove loading overlay
       this.element.classList.remove('opacity-75')
     }
   }
-  
+
   // Handle approval response from server
   handleApprovalResponse(data) {
     if (data.success) {
+      const rejected = data.rejected === true
+
       // Success animation
       this.element.classList.add('animate-fade-out')
-      
+
       setTimeout(() => {
-        // Replace with success message
+        // Replace with a summary of the decision
         this.element.innerHTML = `
-          <div class="rounded-lg bg-green-50 dark:bg-green-900/20 p-4">
+          <div class="rounded-lg ${rejected ? 'bg-gray-50 dark:bg-gray-800' : 'bg-green-50 dark:bg-green-900/20'} p-4">
             <div class="flex items-center space-x-3">
-              <svg class="w-6 h-6 text-green-500" fill="currentColor" viewBox="0 0 20 20">
+              <svg class="w-6 h-6 ${rejected ? 'text-gray-400' : 'text-green-500'}" fill="currentColor" viewBox="0 0 20 20">
                 <path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clip-rule="evenodd"/>
               </svg>
               <div>
-                <h3 class="text-sm font-medium text-green-800 dark:text-green-200">
-                  Changes Applied Successfully
+                <h3 class="text-sm font-medium ${rejected ? 'text-gray-800 dark:text-gray-200' : 'text-green-800 dark:text-green-200'}">
+                  ${rejected ? 'Changes Rejected' : 'Changes Applied Successfully'}
                 </h3>
-                <p class="text-sm text-green-600 dark:text-green-400">
-                  ${data.message || 'Your selected changes have been applied.'}
+                <p class="text-sm ${rejected ? 'text-gray-600 dark:text-gray-400' : 'text-green-600 dark:text-green-400'}">
+                  ${this.escapeHtml(data.message || 'Your selected changes have been applied.')}
                 </p>
               </div>
             </div>
           </div>
         `
+        this.element.classList.remove('animate-fade-out', 'opacity-75')
       }, 300)
     } else {
       // Error handling
       this.setLoadingState(false)
+      this.element.querySelectorAll('[data-action~="click->approval-panel#saveEdit"]').forEach(button => {
+        button.disabled = false
+        button.textContent = 'Save edit'
+      })
       this.showError(data.error || 'Failed to apply changes')
     }
   }
-  
+
   // Show error message
   showError(message) {
     const errorDiv = document.createElement('div')
@@ -194,13 +361,39 @@ export default class extends Controller {
         <svg class="w-4 h-4 inline-block mr-1" fill="currentColor" viewBox="0 0 20 20">
           <path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clip-rule="evenodd"/>
         </svg>
-        ${message}
+        ${this.escapeHtml(message)}
       </p>
     `
-    
+
     this.element.appendChild(errorDiv)
-    
+
     // Remove error after 5 seconds
     setTimeout(() => errorDiv.remove(), 5000)
   }
-}
\ No newline at end of file
+
+  fileCheckboxFor(filePath) {
+    return this.changeCheckboxTargets.find(cb => cb.dataset.filePath === filePath)
+  }
+
+  hunksFor(filePath) {
+    return this.hunkCheckboxTargets.filter(cb => cb.dataset.filePath === filePath)
+  }
+
+  diffFor(filePath) {
+    return this.diffTargets.find(el => el.dataset.filePath === filePath)
+  }
+
+  editorFor(filePath) {
+    return this.editorTargets.find(el => el.dataset.filePath === filePath)
+  }
+
+  changeElementFor(filePath) {
+    return Array.from(this.element.querySelectorAll('[data-change-path]')).find(el => el.dataset.changePath === filePath)
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text == null ? '' : String(text)
+    return div.innerHTML
+  }
+}
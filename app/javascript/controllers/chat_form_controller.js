@@ -1,8 +1,29 @@
 import { Controller } from "@hotwired/stimulus"
+import { DirectUpload } from "@rails/activestorage"
+
+// Slash commands in the composer. deploy, restore and undo call their
+// endpoints straight away; explain and fix-errors are sent to the AI as a
+// message carrying the command.
+const COMMANDS = [
+  { name: 'deploy', args: '[production|preview]', description: 'Deploy the app' },
+  { name: 'restore', args: 'v12', description: 'Restore an earlier version' },
+  { name: 'undo', description: 'Go back to the version before the latest' },
+  { name: 'explain', args: '[question]', description: 'Explain the code without changing it' },
+  { name: 'fix-errors', description: 'Find and fix the errors in the app' }
+]
+const DEPLOY_ENVIRONMENTS = ['production', 'preview']
+const MAX_SUGGESTIONS = 8
 
 export default class extends Controller {
-  static targets = ["textarea", "submit"]
-  static values = { processing: Boolean }
+  static targets = ["textarea", "submit", "fileInput", "attachments", "notice", "palette"]
+  static values = {
+    processing: Boolean,
+    directUploadUrl: String,
+    maxImages: { type: Number, default: 5 },
+    maxImageSize: Number,
+    appId: Number,
+    contextUrl: String
+  }
   
   connect() {
     // Check if there's an assistant message being generated
@@ -37,6 +58,11 @@ export default class extends Controller {
     if (this.processingTimeout) {
       clearTimeout(this.processingTimeout)
     }
+
+    // Free the thumbnails' object URLs
+    if (this.hasAttachmentsTarget) {
+      this.attachmentsTarget.querySelectorAll('img').forEach(image => URL.revokeObjectURL(image.src))
+    }
   }
   
   checkProcessingState() {
@@ -141,6 +167,8 @@ export default class extends Controller {
   }
   
   disable() {
+    this.closePalette()
+
     // Disable all textareas
     this.textareaTargets.forEach(textarea => {
       textarea.disabled = true
@@ -195,6 +223,27 @@ export default class extends Controller {
   
   // Handle keyboard shortcuts
   handleKeydown(event) {
+    // The command palette takes the arrow keys, Enter, Tab and Escape while it's open
+    if (this.paletteOpen && !event.metaKey && !event.ctrlKey) {
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault()
+        const step = event.key === 'ArrowDown' ? 1 : -1
+        this.selectedSuggestion = (this.selectedSuggestion + step + this.suggestions.length) % this.suggestions.length
+        this.renderPalette()
+        return
+      }
+      if (event.key === 'Enter' || event.key === 'Tab') {
+        event.preventDefault()
+        this.applySuggestion(this.selectedSuggestion)
+        return
+      }
+      if (event.key === 'Escape') {
+        event.preventDefault()
+        this.closePalette()
+        return
+      }
+    }
+
     // console.log('Keydown event:', event.key, 'Meta:', event.metaKey, 'Ctrl:', event.ctrlKey)
     
     // Check for cmd+enter (Mac) or ctrl+enter (Windows/Linux)
@@ -214,12 +263,17 @@ export default class extends Controller {
         return
       }
       
-      // Check if the current textarea has content
+      // Check if the current textarea has content (or images are attached)
       const currentTextarea = event.target
-      if (!currentTextarea.value.trim()) {
+      if (!currentTextarea.value.trim() && !this.hasAttachedImages) {
         console.log('No content in textarea, ignoring keyboard shortcut')
         return
       }
+
+      if (this.hasPendingUploads) {
+        this.showNotice('Wait for the images to finish uploading')
+        return
+      }
       
       // Find the form element and submit it
       const form = this.element
@@ -260,14 +314,20 @@ export default class extends Controller {
       return
     }
     
-    // Check if any textarea has content
-    const hasContent = this.textareaTargets.some(textarea => textarea.value.trim())
+    // Check if any textarea has content (or images are attached)
+    const hasContent = this.textareaTargets.some(textarea => textarea.value.trim()) || this.hasAttachedImages
     
     if (!hasContent) {
       console.log('No content to submit, ignoring button click')
       event.preventDefault()
       return
     }
+
+    if (this.hasPendingUploads) {
+      this.showNotice('Wait for the images to finish uploading')
+      event.preventDefault()
+      return
+    }
     
     // Trigger form submission
     console.log('Button validation passed, triggering form submission...')
@@ -310,14 +370,44 @@ export default class extends Controller {
       return
     }
     
+    this.closePalette()
+
+    // The signed ids only exist once the direct uploads have finished
+    if (this.hasPendingUploads) {
+      this.showNotice('Wait for the images to finish uploading')
+      if (event) event.preventDefault()
+      return
+    }
+
+    // Slash commands: deploy, restore and undo run here; explain and
+    // fix-errors go to the AI with the command attached
+    this.removeComposerFields()
+    const command = this.parseCommand()
+    if (command && !['explain', 'fix-errors'].includes(command.name)) {
+      if (event) event.preventDefault()
+      if (command.definition) {
+        this.runCommand(command)
+      } else {
+        this.showNotice(`Unknown command /${command.name}. Try ${COMMANDS.map(({ name }) => `/${name}`).join(', ')}`)
+      }
+      return
+    }
+
     // Check if any textarea has content (Rails will handle which one to use based on parameter names)
-    const hasContent = this.textareaTargets.some(textarea => textarea.value.trim())
+    // An image or a command on its own is enough; the server fills in a default prompt
+    const hasContent = this.textareaTargets.some(textarea => textarea.value.trim()) || this.hasAttachedImages
     
     if (!hasContent) {
       console.log('No content to submit, preventing submission')
       if (event) event.preventDefault()
       return
     }
+
+    if (command) {
+      command.textarea.value = command.args
+      this.addComposerField('app_chat_message[command]', command.name.replace('-', '_'))
+    }
+    this.addMentionFields()
     
     console.log('Form validation passed, allowing submission to proceed to Rails...')
     // Set processing state to prevent duplicate submissions
@@ -326,4 +416,427 @@ export default class extends Controller {
     // Allow the form to submit naturally - don't preventDefault()
     // The form will be submitted by Rails/Turbo automatically
   }
-}
\ No newline at end of file
+
+  // Image attachments
+  // Images are uploaded straight to storage as soon as they are added; each
+  // thumbnail carries a hidden app_chat_message[images][] field with the
+  // blob's signed id once its upload is done.
+
+  chooseFiles() {
+    if (this.processingValue) return
+    this.fileInputTarget.click()
+  }
+
+  filesChosen() {
+    this.addFiles(this.fileInputTarget.files)
+    this.fileInputTarget.value = ''
+  }
+
+  // Files handed over by other controllers, e.g. the mobile camera button
+  attachFiles(event) {
+    this.addFiles(event.detail?.files || [])
+  }
+
+  dragOver(event) {
+    if (!this.isFileDrag(event)) return
+
+    event.preventDefault()
+    this.element.classList.add('ring-2', 'ring-blue-400', 'ring-offset-2', 'dark:ring-offset-gray-900')
+  }
+
+  dragLeave(event) {
+    if (event.relatedTarget && this.element.contains(event.relatedTarget)) return
+
+    this.element.classList.remove('ring-2', 'ring-blue-400', 'ring-offset-2', 'dark:ring-offset-gray-900')
+  }
+
+  drop(event) {
+    if (!this.isFileDrag(event)) return
+
+    event.preventDefault()
+    this.dragLeave({})
+    this.addFiles(event.dataTransfer.files)
+  }
+
+  paste(event) {
+    const files = Array.from(event.clipboardData?.files || [])
+    if (files.length === 0) return
+
+    event.preventDefault()
+    this.addFiles(files)
+  }
+
+  removeAttachment(event) {
+    const attachment = event.currentTarget.closest('[data-attachment]')
+    const image = attachment.querySelector('img')
+    if (image) URL.revokeObjectURL(image.src)
+
+    attachment.remove()
+    this.clearNotice()
+    this.attachmentsTarget.classList.toggle('hidden', this.attachmentsTarget.children.length === 0)
+  }
+
+  isFileDrag(event) {
+    return Array.from(event.dataTransfer?.types || []).includes('Files')
+  }
+
+  addFiles(files) {
+    if (this.processingValue) return
+
+    this.clearNotice()
+    const accepted = this.fileInputTarget.accept.split(',')
+
+    for (const file of Array.from(files)) {
+      if (this.attachmentsTarget.children.length >= this.maxImagesValue) {
+        this.showNotice(`You can attach up to ${this.maxImagesValue} images per message`)
+        break
+      }
+      if (!accepted.includes(file.type)) {
+        this.showNotice(`${file.name} isn't a PNG, JPEG, GIF or WebP image`)
+        continue
+      }
+      if (this.maxImageSizeValue && file.size > this.maxImageSizeValue) {
+        const limit = (this.maxImageSizeValue / (1024 * 1024)).toFixed(1)
+        this.showNotice(`${file.name} is larger than ${limit} MB`)
+        continue
+      }
+
+      this.upload(file)
+    }
+  }
+
+  upload(file) {
+    const attachment = document.createElement('div')
+    attachment.className = 'relative w-16 h-16 rounded-md overflow-hidden border border-gray-200 dark:border-gray-700 bg-gray-100 dark:bg-gray-800 flex-shrink-0'
+    attachment.dataset.attachment = ''
+    attachment.dataset.uploading = ''
+    attachment.title = file.name
+    attachment.innerHTML = `
+      <img class="w-full h-full object-cover opacity-60" alt="">
+      <div class="absolute inset-x-0 bottom-0 h-1 bg-gray-200 dark:bg-gray-700" data-progress>
+        <div class="h-full bg-blue-600 transition-all" style="width: 0%"></div>
+      </div>
+      <button type="button"
+              class="absolute top-0.5 right-0.5 w-5 h-5 rounded-full bg-black bg-opacity-60 text-white text-xs flex items-center justify-center hover:bg-opacity-80"
+              title="Remove"
+              data-action="click->chat-form#removeAttachment">
+        <i class="fas fa-times"></i>
+      </button>
+    `
+    const image = attachment.querySelector('img')
+    image.src = URL.createObjectURL(file)
+    image.alt = file.name
+    const progressBar = attachment.querySelector('[data-progress] div')
+
+    this.attachmentsTarget.appendChild(attachment)
+    this.attachmentsTarget.classList.remove('hidden')
+
+    const upload = new DirectUpload(file, this.directUploadUrlValue, {
+      directUploadWillStoreFileWithXHR: request => {
+        request.upload.addEventListener('progress', event => {
+          if (event.lengthComputable) progressBar.style.width = `${Math.round(event.loaded / event.total * 100)}%`
+        })
+      }
+    })
+
+    upload.create((error, blob) => {
+      // Removed while it was uploading
+      if (!attachment.isConnected) return
+
+      if (error) {
+        console.error('Image upload failed:', error)
+        URL.revokeObjectURL(image.src)
+        attachment.remove()
+        this.attachmentsTarget.classList.toggle('hidden', this.attachmentsTarget.children.length === 0)
+        this.showNotice(`Couldn't upload ${file.name}, please try again`)
+        return
+      }
+
+      const input = document.createElement('input')
+      input.type = 'hidden'
+      input.name = 'app_chat_message[images][]'
+      input.value = blob.signed_id
+      attachment.appendChild(input)
+      attachment.querySelector('[data-progress]').remove()
+      image.classList.remove('opacity-60')
+      delete attachment.dataset.uploading
+    })
+  }
+
+  get hasAttachedImages() {
+    return this.hasAttachmentsTarget && this.attachmentsTarget.children.length > 0
+  }
+
+  get hasPendingUploads() {
+    return this.hasAttachmentsTarget && this.attachmentsTarget.querySelector('[data-uploading]') !== null
+  }
+
+  showNotice(message, type = 'error') {
+    if (!this.hasNoticeTarget) return
+
+    this.noticeTarget.textContent = message
+    this.noticeTarget.classList.remove('hidden', 'text-red-600', 'dark:text-red-400', 'text-green-600', 'dark:text-green-400')
+    this.noticeTarget.classList.add(...(type === 'success' ? ['text-green-600', 'dark:text-green-400'] : ['text-red-600', 'dark:text-red-400']))
+  }
+
+  clearNotice() {
+    if (!this.hasNoticeTarget) return
+
+    this.noticeTarget.textContent = ''
+    this.noticeTarget.classList.add('hidden')
+  }
+
+  // Command palette
+  // Typing "/" at the start of the message lists the commands, "/restore "
+  // the versions and "@" the app's files and tables (as @table:name).
+
+  updatePalette(event) {
+    const textarea = event.currentTarget
+    const before = textarea.value.slice(0, textarea.selectionStart)
+
+    const commandMatch = before.match(/^\/([\w-]*)$/)
+    const restoreMatch = before.match(/^\/restore\s+v?(\d*)$/)
+    const deployMatch = before.match(/^\/deploy\s+(\w*)$/)
+    const mentionMatch = before.match(/(?:^|\s)@([\w@./:-]*)$/)
+
+    if (!commandMatch && !restoreMatch && !deployMatch && !mentionMatch) {
+      this.closePalette()
+      return
+    }
+
+    if (commandMatch) {
+      this.showSuggestions(textarea, 0, COMMANDS.filter(({ name }) => name.startsWith(commandMatch[1])).map(command => ({
+        label: `/${command.name}`,
+        hint: command.args,
+        detail: command.description,
+        insert: `/${command.name}${command.args ? ' ' : ''}`
+      })))
+    } else if (deployMatch) {
+      this.showSuggestions(textarea, 0, DEPLOY_ENVIRONMENTS.filter(environment => environment.startsWith(deployMatch[1])).map(environment => ({
+        label: `/deploy ${environment}`,
+        detail: `Deploy to ${environment}`,
+        insert: `/deploy ${environment}`
+      })))
+    } else {
+      // Files, tables and versions come from the server the first time they're needed
+      this.withComposerContext(context => {
+        if (restoreMatch) {
+          this.showSuggestions(textarea, 0, context.versions.filter(version => String(version.number).startsWith(restoreMatch[1])).map(version => ({
+            label: `v${version.number}`,
+            hint: version.version_number,
+            detail: version.title,
+            insert: `/restore v${version.number}`
+          })))
+        } else {
+          const query = mentionMatch[1].toLowerCase()
+          const tableQuery = query.startsWith('table:') ? query.slice('table:'.length) : query
+          const tables = context.tables.filter(name => name.toLowerCase().includes(tableQuery)).map(name => ({
+            label: `@table:${name}`,
+            detail: 'Table',
+            insert: `@table:${name} `
+          }))
+          const files = query.startsWith('table:') ? [] : context.files.filter(path => path.toLowerCase().includes(query)).map(path => ({
+            label: `@${path}`,
+            detail: 'File',
+            insert: `@${path} `
+          }))
+          this.showSuggestions(textarea, before.length - mentionMatch[1].length - 1, [...tables, ...files])
+        }
+      })
+    }
+  }
+
+  showSuggestions(textarea, start, suggestions) {
+    this.suggestions = suggestions.slice(0, MAX_SUGGESTIONS)
+    this.suggestionTextarea = textarea
+    this.suggestionStart = start
+    this.selectedSuggestion = 0
+
+    if (this.suggestions.length === 0) {
+      this.closePalette()
+    } else {
+      this.renderPalette()
+    }
+  }
+
+  renderPalette() {
+    this.paletteTarget.innerHTML = this.suggestions.map((suggestion, index) => `
+      <button type="button"
+              role="option"
+              aria-selected="${index === this.selectedSuggestion}"
+              class="w-full flex items-center justify-between gap-3 px-3 py-2 text-left text-sm ${index === this.selectedSuggestion ? 'bg-blue-50 dark:bg-blue-900/30' : 'hover:bg-gray-50 dark:hover:bg-gray-700'}"
+              data-index="${index}"
+              data-action="mousedown->chat-form#pickSuggestion">
+        <span class="font-mono text-gray-900 dark:text-gray-100 truncate">
+          ${this.escapeHtml(suggestion.label)}${suggestion.hint ? ` <span class="text-gray-400 dark:text-gray-500">${this.escapeHtml(suggestion.hint)}</span>` : ''}
+        </span>
+        <span class="text-xs text-gray-500 dark:text-gray-400 truncate">${this.escapeHtml(suggestion.detail || '')}</span>
+      </button>
+    `).join('')
+    this.paletteTarget.classList.remove('hidden')
+    this.paletteTarget.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: 'nearest' })
+  }
+
+  // mousedown rather than click, so the textarea keeps its focus
+  pickSuggestion(event) {
+    event.preventDefault()
+    this.applySuggestion(Number(event.currentTarget.dataset.index))
+  }
+
+  applySuggestion(index) {
+    const suggestion = this.suggestions[index]
+    const textarea = this.suggestionTextarea
+    if (!suggestion || !textarea) return
+
+    const caret = textarea.selectionStart
+    textarea.value = textarea.value.slice(0, this.suggestionStart) + suggestion.insert + textarea.value.slice(caret)
+    const position = this.suggestionStart + suggestion.insert.length
+    textarea.setSelectionRange(position, position)
+    textarea.focus()
+
+    // Resizes the textarea and offers the next step, e.g. the versions after "/restore "
+    this.closePalette()
+    textarea.dispatchEvent(new Event('input', { bubbles: true }))
+  }
+
+  closePalette() {
+    this.suggestions = []
+    if (!this.hasPaletteTarget) return
+
+    this.paletteTarget.classList.add('hidden')
+    this.paletteTarget.innerHTML = ''
+  }
+
+  get paletteOpen() {
+    return this.hasPaletteTarget && !this.paletteTarget.classList.contains('hidden') && this.suggestions?.length > 0
+  }
+
+  async withComposerContext(callback) {
+    if (!this.hasContextUrlValue) return
+
+    this.composerContext ||= fetch(this.contextUrlValue, { headers: { 'Accept': 'application/json' } })
+      .then(response => response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`)))
+      .catch(error => {
+        console.error('Failed to load composer context:', error)
+        this.composerContext = null
+        return { files: [], tables: [], versions: [] }
+      })
+
+    callback(await this.composerContext)
+  }
+
+  // { name, args, definition, textarea } when the message starts with a slash command
+  parseCommand() {
+    const textarea = this.textareaTargets.find(textarea => textarea.value.trim())
+    const match = textarea?.value.trim().match(/^\/([\w-]+)(?:\s+([\s\S]*))?$/)
+    if (!match) return null
+
+    return {
+      name: match[1],
+      args: (match[2] || '').trim(),
+      definition: COMMANDS.find(({ name }) => name === match[1]),
+      textarea
+    }
+  }
+
+  async runCommand({ name, args, textarea }) {
+    let result = null
+
+    if (name === 'deploy') {
+      const environment = args || 'production'
+      if (!DEPLOY_ENVIRONMENTS.includes(environment)) {
+        this.showNotice(`Deploy to ${DEPLOY_ENVIRONMENTS.join(' or ')}`)
+        return
+      }
+      result = await this.postJSON(`/account/apps/${this.appIdValue}/deploy`, { environment })
+      if (result) this.showNotice(`${result.message || 'Deployment started'} (${environment})`, 'success')
+    } else {
+      const versions = await new Promise(resolve => this.withComposerContext(context => resolve(context.versions)))
+      let version
+      if (name === 'undo') {
+        version = versions[1]
+        if (!version) {
+          this.showNotice('There is no earlier version to go back to')
+          return
+        }
+      } else {
+        const number = args.replace(/^v/i, '')
+        version = versions.find(candidate => String(candidate.number) === number || candidate.version_number === args || candidate.version_number === number)
+        if (!version) {
+          this.showNotice(args ? `There is no version ${args}` : 'Which version? e.g. /restore v12')
+          return
+        }
+      }
+
+      if (!confirm(`Restore v${version.number} (${version.version_number})? This will create a new version with its content.`)) return
+
+      result = await this.postJSON(`/account/apps/${this.appIdValue}/versions/${version.id}/restore`)
+      if (result) this.showNotice(result.message || `Restored v${version.number}`, 'success')
+    }
+
+    if (result) {
+      textarea.value = ''
+      textarea.dispatchEvent(new Event('input', { bubbles: true }))
+      this.composerContext = null
+    }
+  }
+
+  async postJSON(url, body = {}) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
+        },
+        body: JSON.stringify(body)
+      })
+      const data = await response.json().catch(() => ({}))
+
+      if (!response.ok || data.success === false) {
+        this.showNotice(data.error || `Request failed (${response.status})`)
+        return null
+      }
+      return data
+    } catch (error) {
+      console.error('Command failed:', error)
+      this.showNotice('Network error, please try again')
+      return null
+    }
+  }
+
+  // @mentions in the text go along as structured context; the server keeps
+  // only the files and tables the app really has
+  addMentionFields() {
+    const text = this.textareaTargets.map(textarea => textarea.value).join('\n')
+    const mentions = new Set(Array.from(text.matchAll(/(?:^|\s)@([\w@./:-]+)/g), match => match[1].replace(/[.,:;]+$/, '')))
+
+    mentions.forEach(mention => {
+      if (mention.startsWith('table:')) {
+        this.addComposerField('app_chat_message[context][tables][]', mention.slice('table:'.length))
+      } else {
+        this.addComposerField('app_chat_message[context][files][]', mention)
+      }
+    })
+  }
+
+  addComposerField(name, value) {
+    const input = document.createElement('input')
+    input.type = 'hidden'
+    input.name = name
+    input.value = value
+    input.dataset.composerField = ''
+    this.element.appendChild(input)
+  }
+
+  removeComposerFields() {
+    this.element.querySelectorAll('[data-composer-field]').forEach(input => input.remove())
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML.replace(/"/g, '&quot;')
+  }
+}
@@ -231,10 +231,13 @@ export default class extends Controller {
   createTableDataViewerModal(tableId, tableName) {
     const modal = document.createElement('div')
     modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50'
-    modal.setAttribute('data-controller', 'table-data-viewer')
+    modal.setAttribute('data-controller', 'table-data-viewer table-import')
+    modal.setAttribute('data-action', 'table-import:imported->table-data-viewer#refreshData')
     modal.setAttribute('data-table-data-viewer-app-id-value', this.appIdValue)
     modal.setAttribute('data-table-data-viewer-table-id-value', tableId)
     modal.setAttribute('data-table-data-viewer-table-name-value', tableName)
+    modal.setAttribute('data-table-import-app-id-value', this.appIdValue)
+    modal.setAttribute('data-table-import-table-id-value', tableId)
     
     modal.innerHTML = `
       <div class="flex items-center justify-center min-h-screen p-4">
@@ -249,6 +252,27 @@ export default class extends Controller {
                       data-action="click->table-data-viewer#refreshData">
                 <i class="fas fa-sync-alt mr-2"></i>Refresh
               </button>
+              <button class="px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600"
+                      data-action="click->table-import#open">
+                <i class="fas fa-file-import mr-2"></i>Import
+              </button>
+              <details class="relative">
+                <summary class="list-none cursor-pointer px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600">
+                  <i class="fas fa-file-export mr-2"></i>Export<i class="fas fa-chevron-down ml-2 text-xs"></i>
+                </summary>
+                <div class="absolute right-0 mt-1 w-56 py-1 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-md shadow-lg z-30 text-sm">
+                  <div class="px-3 py-1 text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">Current view</div>
+                  <button class="w-full text-left px-3 py-1.5 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                          data-action="click->table-data-viewer#exportData" data-format="csv" data-scope="view">CSV</button>
+                  <button class="w-full text-left px-3 py-1.5 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                          data-action="click->table-data-viewer#exportData" data-format="json" data-scope="view">JSON</button>
+                  <div class="px-3 py-1 mt-1 text-xs font-medium text-gray-500 dark:text-gray-400 uppercase border-t border-gray-200 dark:border-gray-700">Whole table</div>
+                  <button class="w-full text-left px-3 py-1.5 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                          data-action="click->table-data-viewer#exportData" data-format="csv" data-scope="table">CSV</button>
+                  <button class="w-full text-left px-3 py-1.5 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                          data-action="click->table-data-viewer#exportData" data-format="json" data-scope="table">JSON</button>
+                </div>
+              </details>
               <button class="px-3 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700"
                       data-action="click->table-data-viewer#showAddRecord">
                 <i class="fas fa-plus mr-2"></i>Add Record
@@ -260,7 +284,7 @@ export default class extends Controller {
             </div>
           </div>
           
-          <div class="overflow-y-auto max-h-[calc(90vh-120px)]">
+          <div class="overflow-hidden max-h-[calc(90vh-120px)]">
             <div data-table-data-viewer-target="tableContainer" class="p-6">
               <!-- Table data will be loaded here -->
               <div class="flex items-center justify-center py-12">
@@ -272,6 +296,103 @@ export default class extends Controller {
         </div>
       </div>
       
+      <!-- Import Wizard -->
+      <div class="fixed inset-0 bg-black bg-opacity-50 hidden z-10" data-table-import-target="dialog">
+        <div class="flex items-center justify-center min-h-screen p-4">
+          <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-4xl max-h-[85vh] flex flex-col">
+            <div class="flex items-center justify-between px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+              <div>
+                <h3 class="text-lg font-semibold text-gray-900 dark:text-white">Import into ${tableName}</h3>
+                <p class="text-sm text-gray-600 dark:text-gray-400" data-table-import-target="fileName"></p>
+              </div>
+              <button class="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+                      data-action="click->table-import#close">
+                <i class="fas fa-times"></i>
+              </button>
+            </div>
+
+            <div class="hidden mx-6 mt-4 px-4 py-2 rounded-md bg-red-50 dark:bg-red-900/20 text-sm text-red-700 dark:text-red-300" data-table-import-target="error"></div>
+
+            <div class="flex-1 overflow-y-auto p-6">
+              <!-- Upload -->
+              <div data-table-import-target="uploadStep">
+                <label class="flex flex-col items-center justify-center py-12 border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg cursor-pointer hover:border-primary-500"
+                       data-table-import-target="dropZone"
+                       data-action="dragover->table-import#dragOver dragleave->table-import#dragLeave drop->table-import#drop">
+                  <i class="fas fa-cloud-upload-alt text-3xl text-gray-400 mb-3"></i>
+                  <span class="text-sm font-medium text-gray-900 dark:text-white">Drop a CSV or JSON file here, or click to choose one</span>
+                  <span class="mt-1 text-xs text-gray-500 dark:text-gray-400">CSV needs a header row; JSON must be an array of objects. Up to 10 MB.</span>
+                  <input type="file" accept=".csv,.tsv,.json,text/csv,application/json" class="hidden"
+                         data-table-import-target="fileInput"
+                         data-action="change->table-import#chooseFile">
+                </label>
+              </div>
+
+              <!-- Map columns -->
+              <div class="hidden space-y-6" data-table-import-target="mapStep">
+                <div class="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-md" data-table-import-target="preview"></div>
+
+                <div>
+                  <h4 class="text-sm font-semibold text-gray-900 dark:text-white mb-2">Columns</h4>
+                  <table class="min-w-full text-sm">
+                    <thead class="bg-gray-50 dark:bg-gray-800">
+                      <tr>
+                        <th class="px-3 py-2 text-left text-xs font-medium text-gray-600 dark:text-gray-300">File column</th>
+                        <th class="px-3 py-2 text-left text-xs font-medium text-gray-600 dark:text-gray-300">Sample</th>
+                        <th class="px-3 py-2 text-left text-xs font-medium text-gray-600 dark:text-gray-300">Import into</th>
+                      </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-200 dark:divide-gray-700" data-table-import-target="mapping"></tbody>
+                  </table>
+                </div>
+
+                <div class="flex flex-wrap items-center gap-6 text-sm text-gray-700 dark:text-gray-300">
+                  <label class="flex items-center space-x-2">
+                    <input type="radio" name="import_mode" value="insert" checked data-action="change->table-import#modeChanged">
+                    <span>Insert every row</span>
+                  </label>
+                  <label class="flex items-center space-x-2">
+                    <input type="radio" name="import_mode" value="upsert" data-action="change->table-import#modeChanged">
+                    <span>Update rows that already exist</span>
+                  </label>
+                  <label class="hidden flex items-center space-x-2" data-table-import-target="keyField">
+                    <span>matching on</span>
+                    <select class="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                            data-table-import-target="keySelect"></select>
+                  </label>
+                </div>
+              </div>
+
+              <!-- Result -->
+              <div class="hidden space-y-4" data-table-import-target="resultStep">
+                <div data-table-import-target="summary"></div>
+                <div class="max-h-80 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md empty:hidden" data-table-import-target="errors"></div>
+              </div>
+            </div>
+
+            <div class="flex items-center justify-between px-6 py-4 border-t border-gray-200 dark:border-gray-700">
+              <button class="hidden px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600"
+                      data-table-import-target="backButton"
+                      data-action="click->table-import#back">
+                <i class="fas fa-arrow-left mr-2"></i>Back
+              </button>
+              <div class="flex items-center space-x-3 ml-auto">
+                <button class="hidden px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
+                        data-table-import-target="validateButton"
+                        data-action="click->table-import#validate">
+                  <i class="fas fa-check-double mr-2"></i>Check rows
+                </button>
+                <button class="hidden px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+                        data-table-import-target="importButton"
+                        data-action="click->table-import#import">
+                  <i class="fas fa-file-import mr-2"></i>Import
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+
       <!-- Add Record Modal -->
       <div class="fixed inset-0 bg-black bg-opacity-50 hidden z-10" data-table-data-viewer-target="addRecordModal">
         <div class="flex items-center justify-center min-h-screen p-4">
@@ -524,7 +645,8 @@ export default class extends Controller {
       'date': 'bg-orange-100 dark:bg-orange-900 text-orange-800 dark:text-orange-200',
       'datetime': 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200',
       'select': 'bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200',
-      'multiselect': 'bg-indigo-100 dark:bg-indigo-900 text-indigo-800 dark:text-indigo-200'
+      'multiselect': 'bg-indigo-100 dark:bg-indigo-900 text-indigo-800 dark:text-indigo-200',
+      'reference': 'bg-teal-100 dark:bg-teal-900 text-teal-800 dark:text-teal-200'
     }
     return classes[type] || 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200'
   }
@@ -537,7 +659,8 @@ export default class extends Controller {
       'date': 'calendar',
       'datetime': 'clock',
       'select': 'list',
-      'multiselect': 'list-ul'
+      'multiselect': 'list-ul',
+      'reference': 'link'
     }
     return icons[type] || 'question'
   }
@@ -1,5 +1,13 @@
 import { Controller } from "@hotwired/stimulus"
 
+const ON_DELETE_LABELS = {
+  cascade: 'delete them too',
+  set_null: 'clear the reference',
+  restrict: 'block the delete'
+}
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+
 export default class extends Controller {
   static targets = ["canvas", "toolbar", "properties", "tableTemplate", "connectionLine"]
   static values = { 
@@ -14,11 +22,16 @@ export default class extends Controller {
     this.isDragging = false
     this.draggedTable = null
     this.connectionStart = null
+    this.positions = this.loadPositions()
     
     this.initializeCanvas()
     this.loadExistingTables()
     this.setupEventListeners()
   }
+
+  disconnect() {
+    document.removeEventListener('keydown', this.handleKeydown)
+  }
   
   initializeCanvas() {
     // Set up the canvas/grid background
@@ -27,6 +40,26 @@ export default class extends Controller {
       linear-gradient(90deg, rgba(0,0,0,0.05) 1px, transparent 1px)
     `
     this.canvasTarget.style.backgroundSize = '20px 20px'
+
+    // Relationship lines are drawn under the tables
+    if (!this.hasConnectionLineTarget) {
+      const svg = document.createElementNS(SVG_NS, 'svg')
+      svg.setAttribute('class', 'absolute top-0 left-0 pointer-events-none text-blue-500 dark:text-blue-400')
+      svg.dataset.databaseSchemaEditorTarget = 'connectionLine'
+      svg.innerHTML = `
+        <defs>
+          <marker id="schema-many" viewBox="0 0 12 12" refX="1" refY="6" markerWidth="12" markerHeight="12" orient="auto-start-reverse">
+            <path d="M12 6 L1 1 M12 6 L1 6 M12 6 L1 11" stroke="currentColor" stroke-width="1.5" fill="none"/>
+          </marker>
+          <marker id="schema-one" viewBox="0 0 12 12" refX="11" refY="6" markerWidth="12" markerHeight="12" orient="auto-start-reverse">
+            <path d="M8 1 L8 11" stroke="currentColor" stroke-width="1.5" fill="none"/>
+          </marker>
+        </defs>
+        <g data-connections></g>
+        <path data-pending-connection class="hidden" stroke="currentColor" stroke-width="2" stroke-dasharray="6 4" fill="none"/>
+      `
+      this.canvasTarget.prepend(svg)
+    }
   }
   
   loadExistingTables() {
@@ -34,24 +67,46 @@ export default class extends Controller {
     fetch(`/account/apps/${this.appIdValue}/dashboard/data.json`)
       .then(response => response.json())
       .then(data => {
+        this.tables.forEach(table => table.element.remove())
+        this.tables.clear()
+        this.connections = data.relationships || []
+
         if (data.tables) {
           data.tables.forEach(table => this.addTableToCanvas(table))
         }
+        this.updateConnections()
+
+        // Keep the selected table's panel current after a reload
+        if (this.selectedTable) {
+          const selected = this.tables.get(this.selectedTable.id)
+          selected ? this.selectTable(selected.element, selected.data) : this.deselectAll()
+        }
       })
   }
   
   setupEventListeners() {
     // Canvas click to deselect
     this.canvasTarget.addEventListener('click', (e) => {
-      if (e.target === this.canvasTarget) {
-        this.deselectAll()
-      }
+      if (e.target !== this.canvasTarget) return
+      this.connectionStart ? this.cancelConnection() : this.deselectAll()
     })
     
     // Prevent text selection while dragging
     this.canvasTarget.addEventListener('selectstart', (e) => {
       if (this.isDragging) e.preventDefault()
     })
+
+    // Follow the pointer while picking the other end of a relationship
+    this.canvasTarget.addEventListener('mousemove', (e) => {
+      if (this.connectionStart) this.drawPendingConnection(e)
+    })
+
+    this.canvasTarget.addEventListener('scroll', () => this.updateConnections())
+
+    this.handleKeydown = (e) => {
+      if (e.key === 'Escape' && this.connectionStart) this.cancelConnection()
+    }
+    document.addEventListener('keydown', this.handleKeydown)
   }
   
   // Create new table
@@ -87,7 +142,7 @@ export default class extends Controller {
   
   addTableToCanvas(tableData) {
     const table = this.createTableElement(tableData)
-    const position = this.findEmptyPosition()
+    const position = this.positions[tableData.id] || this.findEmptyPosition()
     
     table.style.left = position.x + 'px'
     table.style.top = position.y + 'px'
@@ -114,9 +169,15 @@ export default class extends Controller {
     header.innerHTML = `
       <div class="flex items-center justify-between">
         <h3 class="font-semibold text-gray-900 dark:text-white">${tableData.name}</h3>
-        <button class="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300" data-action="click->database-schema-editor#deleteTable">
-          <i class="fas fa-times text-xs"></i>
-        </button>
+        <div class="flex items-center space-x-2">
+          <button class="text-gray-400 hover:text-blue-600 dark:hover:text-blue-400" title="Relate to another table"
+                  data-action="click->database-schema-editor#startConnection">
+            <i class="fas fa-link text-xs"></i>
+          </button>
+          <button class="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300" data-action="click->database-schema-editor#deleteTable">
+            <i class="fas fa-times text-xs"></i>
+          </button>
+        </div>
       </div>
     `
     
@@ -127,7 +188,7 @@ export default class extends Controller {
     // Add ID column (always present)
     columns.appendChild(this.createColumnElement({
       name: 'id',
-      type: 'uuid',
+      type: 'integer',
       isPrimary: true
     }))
     
@@ -153,10 +214,14 @@ export default class extends Controller {
     // Make draggable
     this.makeDraggable(table)
     
-    // Click to select
+    // Click to select, or to finish a relationship started on another table
     table.addEventListener('click', (e) => {
       e.stopPropagation()
-      this.selectTable(table, tableData)
+      if (this.connectionStart) {
+        this.completeConnection(tableData)
+      } else {
+        this.selectTable(table, tableData)
+      }
     })
     
     return table
@@ -165,17 +230,20 @@ export default class extends Controller {
   createColumnElement(column) {
     const col = document.createElement('div')
     col.className = 'flex items-center justify-between text-sm py-1 px-2 rounded hover:bg-gray-50 dark:hover:bg-gray-700'
+    col.dataset.columnName = column.name
     
+    const isReference = column.type === 'reference'
     const icon = column.isPrimary ? 'fa-key text-yellow-500' : 
-                 column.isForeign ? 'fa-link text-blue-500' : 
+                 isReference ? 'fa-link text-blue-500' : 
                  'fa-columns text-gray-400'
+    const type = isReference ? `→ ${column.options?.table || 'reference'}` : column.type
     
     col.innerHTML = `
       <div class="flex items-center space-x-2">
         <i class="fas ${icon} text-xs"></i>
         <span class="text-gray-900 dark:text-white">${column.name}</span>
       </div>
-      <span class="text-gray-500 dark:text-gray-400 text-xs">${column.type}</span>
+      <span class="text-gray-500 dark:text-gray-400 text-xs">${type}</span>
     `
     
     return col
@@ -233,6 +301,7 @@ export default class extends Controller {
           x: parseInt(element.style.left),
           y: parseInt(element.style.top)
         }
+        this.savePosition(table.data.id, table.position)
       }
       
       document.removeEventListener('mousemove', mouseMove)
@@ -295,6 +364,13 @@ export default class extends Controller {
               ${this.renderColumnsList(tableData.columns || [])}
             </div>
           </div>
+
+          <div>
+            <h4 class="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Relationships</h4>
+            <div class="space-y-2">
+              ${this.renderRelationshipsList(tableData)}
+            </div>
+          </div>
         </div>
       </div>
     `
@@ -342,20 +418,213 @@ export default class extends Controller {
     return { x, y }
   }
   
+  // Redraw every relationship line; called whenever a table moves.
+  // Lines run from the reference column to the referenced table's id, with a
+  // crow's foot on the "many" end. Join table lines are dashed.
   updateConnections() {
-    // This would draw connection lines between related tables
-    // For now, just a placeholder
+    if (!this.hasConnectionLineTarget) return
+
+    const svg = this.connectionLineTarget
+    svg.setAttribute('width', this.canvasTarget.scrollWidth)
+    svg.setAttribute('height', this.canvasTarget.scrollHeight)
+
+    const group = svg.querySelector('[data-connections]')
+    group.innerHTML = ''
+
+    this.connectionEdges().forEach(edge => {
+      const from = this.columnAnchor(edge.child_table_id, edge.column)
+      const to = this.columnAnchor(edge.parent_table_id, 'id')
+      if (!from || !to) return
+
+      const path = document.createElementNS(SVG_NS, 'path')
+      path.setAttribute('d', this.connectionPath(from, to))
+      path.setAttribute('stroke', 'currentColor')
+      path.setAttribute('stroke-width', '2')
+      path.setAttribute('fill', 'none')
+      path.setAttribute('marker-start', 'url(#schema-many)')
+      path.setAttribute('marker-end', 'url(#schema-one)')
+      if (edge.joinTable) path.setAttribute('stroke-dasharray', '6 4')
+
+      const title = document.createElementNS(SVG_NS, 'title')
+      title.textContent = `${edge.column} → ${edge.parent_table}.id (on delete: ${ON_DELETE_LABELS[edge.on_delete]})`
+      path.appendChild(title)
+      group.appendChild(path)
+    })
   }
-  
-  deleteTable(event) {
+
+  // Many-to-many relationships are drawn as the join table's two references
+  connectionEdges() {
+    return this.connections.flatMap(relationship =>
+      relationship.kind === 'many_to_many'
+        ? relationship.columns.map(column => ({ ...column, joinTable: true }))
+        : [relationship]
+    )
+  }
+
+  // Point on the left or right edge of a column row, in canvas coordinates
+  columnAnchor(tableId, columnName) {
+    const table = this.tables.get(tableId)
+    if (!table) return null
+
+    const row = table.element.querySelector(`[data-column-name="${columnName}"]`) || table.element
+    const canvasRect = this.canvasTarget.getBoundingClientRect()
+    const tableRect = table.element.getBoundingClientRect()
+    const rowRect = row.getBoundingClientRect()
+
+    const offsetX = this.canvasTarget.scrollLeft - canvasRect.left
+    const offsetY = this.canvasTarget.scrollTop - canvasRect.top
+    return {
+      left: tableRect.left + offsetX,
+      right: tableRect.right + offsetX,
+      y: rowRect.top + rowRect.height / 2 + offsetY
+    }
+  }
+
+  connectionPath(from, to) {
+    // Leave from whichever sides face each other
+    const leftToRight = from.right <= to.left || (from.left < to.left && from.right < to.right)
+    const startX = leftToRight ? from.right : from.left
+    const endX = leftToRight ? to.left : to.right
+    const bend = Math.max(Math.abs(endX - startX) / 2, 40) * (leftToRight ? 1 : -1)
+
+    return `M ${startX} ${from.y} C ${startX + bend} ${from.y}, ${endX - bend} ${to.y}, ${endX} ${to.y}`
+  }
+
+  // Creating relationships: click the link icon on one table, then click another
+
+  startConnection(event) {
     event.stopPropagation()
-    
-    if (!confirm('Are you sure you want to delete this table?')) return
-    
+
     const tableElement = event.target.closest('[data-table-id]')
-    const tableId = parseInt(tableElement.dataset.tableId)
-    
-    fetch(`/account/apps/${this.appIdValue}/dashboard/tables/${tableId}`, {
+    this.connectionStart = this.tables.get(parseInt(tableElement.dataset.tableId))
+    this.canvasTarget.classList.add('cursor-crosshair')
+    tableElement.classList.add('ring-2', 'ring-blue-400')
+  }
+
+  cancelConnection() {
+    if (this.connectionStart) {
+      this.connectionStart.element.classList.remove('ring-2', 'ring-blue-400')
+    }
+    this.connectionStart = null
+    this.canvasTarget.classList.remove('cursor-crosshair')
+    this.connectionLineTarget.querySelector('[data-pending-connection]').classList.add('hidden')
+  }
+
+  drawPendingConnection(event) {
+    const pending = this.connectionLineTarget.querySelector('[data-pending-connection]')
+    const canvasRect = this.canvasTarget.getBoundingClientRect()
+    const startRect = this.connectionStart.element.getBoundingClientRect()
+
+    const offsetX = this.canvasTarget.scrollLeft - canvasRect.left
+    const offsetY = this.canvasTarget.scrollTop - canvasRect.top
+    const startX = startRect.left + startRect.width / 2 + offsetX
+    const startY = startRect.top + startRect.height / 2 + offsetY
+
+    pending.setAttribute('d', `M ${startX} ${startY} L ${event.clientX + offsetX} ${event.clientY + offsetY}`)
+    pending.classList.remove('hidden')
+  }
+
+  // The table the connection started from holds the reference
+  completeConnection(targetData) {
+    const child = this.connectionStart.data
+    this.cancelConnection()
+    this.showRelationshipForm(child, targetData)
+  }
+
+  showRelationshipForm(child, parent) {
+    if (!this.hasPropertiesTarget) return
+    this.deselectAll()
+
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm'
+    this.propertiesTarget.innerHTML = `
+      <form class="p-4 space-y-4" data-action="submit->database-schema-editor#createRelationship"
+            data-child-table-id="${child.id}" data-parent-table-id="${parent.id}">
+        <h3 class="font-semibold text-gray-900 dark:text-white">New Relationship</h3>
+
+        <div>
+          <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Kind</label>
+          <select name="kind" class="${inputClass}" data-action="change->database-schema-editor#relationshipKindChanged">
+            <option value="one_to_many">Each ${child.name} row belongs to one ${parent.name} row</option>
+            <option value="many_to_many">${child.name} and ${parent.name} rows link many to many</option>
+          </select>
+        </div>
+
+        <div data-relationship-column>
+          <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Column on ${child.name}</label>
+          <input type="text" name="column_name" class="${inputClass}" placeholder="${this.referenceName(parent.name)}">
+        </div>
+
+        <p class="hidden text-xs text-gray-600 dark:text-gray-400" data-relationship-join>
+          Creates a ${[child.name, parent.name].sort().join('_')} table linking the two.
+        </p>
+
+        <div>
+          <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">When a ${parent.name} row with linked ${child.name} rows is deleted</label>
+          <select name="on_delete" class="${inputClass}">
+            ${Object.entries(ON_DELETE_LABELS).map(([value, label]) => `
+              <option value="${value}" ${value === 'restrict' ? 'selected' : ''}>${label[0].toUpperCase()}${label.slice(1)}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <div class="flex space-x-2">
+          <button type="button" class="flex-1 px-3 py-2 text-sm bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600"
+                  data-action="click->database-schema-editor#deselectAll">Cancel</button>
+          <button type="submit" class="flex-1 px-3 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700">Create</button>
+        </div>
+      </form>
+    `
+    this.propertiesTarget.classList.remove('hidden')
+  }
+
+  relationshipKindChanged(event) {
+    const manyToMany = event.target.value === 'many_to_many'
+    const form = event.target.closest('form')
+    form.querySelector('[data-relationship-column]').classList.toggle('hidden', manyToMany)
+    form.querySelector('[data-relationship-join]').classList.toggle('hidden', !manyToMany)
+  }
+
+  createRelationship(event) {
+    event.preventDefault()
+
+    const form = event.target
+    const formData = new FormData(form)
+
+    fetch(`/account/apps/${this.appIdValue}/dashboard/relationships`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
+      },
+      body: JSON.stringify({
+        parent_table_id: form.dataset.parentTableId,
+        child_table_id: form.dataset.childTableId,
+        kind: formData.get('kind'),
+        on_delete: formData.get('on_delete'),
+        column_name: formData.get('column_name')
+      })
+    })
+    .then(response => response.json())
+    .then(data => {
+      if (data.success) {
+        this.deselectAll()
+        this.loadExistingTables()
+      } else {
+        alert(data.error || 'Failed to create relationship')
+      }
+    })
+  }
+
+  deleteRelationship(event) {
+    event.stopPropagation()
+
+    const { columnId, joinTable } = event.currentTarget.dataset
+    const message = joinTable
+      ? `Delete the ${joinTable} join table and every link in it?`
+      : 'Remove this relationship? The reference column and its values will be deleted.'
+    if (!confirm(message)) return
+
+    fetch(`/account/apps/${this.appIdValue}/dashboard/relationships/${columnId}`, {
       method: 'DELETE',
       headers: {
         'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
@@ -364,14 +633,106 @@ export default class extends Controller {
     .then(response => response.json())
     .then(data => {
       if (data.success) {
-        tableElement.remove()
-        this.tables.delete(tableId)
-        this.deselectAll()
+        this.loadExistingTables()
       } else {
-        alert(data.error || 'Failed to delete table')
+        alert(data.error || 'Failed to remove relationship')
       }
     })
   }
+
+  renderRelationshipsList(tableData) {
+    const tableName = id => this.tables.get(id)?.data.name || 'deleted table'
+    const items = this.connections.flatMap(relationship => {
+      if (relationship.kind === 'many_to_many') {
+        if (!relationship.table_ids.includes(tableData.id) && relationship.join_table_id !== tableData.id) return []
+        const [first, second] = relationship.table_ids.map(tableName)
+        return [{ id: relationship.id, joinTable: relationship.join_table, text: `${first} ↔ ${second}`, detail: `via ${relationship.join_table}` }]
+      }
+
+      if (relationship.child_table_id === tableData.id) {
+        return [{ id: relationship.id, text: `${relationship.column} → ${tableName(relationship.parent_table_id)}`, detail: `on delete: ${ON_DELETE_LABELS[relationship.on_delete]}` }]
+      }
+      if (relationship.parent_table_id === tableData.id) {
+        return [{ id: relationship.id, text: `${tableName(relationship.child_table_id)}.${relationship.column} → id`, detail: `on delete: ${ON_DELETE_LABELS[relationship.on_delete]}` }]
+      }
+      return []
+    })
+
+    if (items.length === 0) {
+      return '<p class="text-xs text-gray-500 dark:text-gray-400">None yet. Use the link icon on a table to add one.</p>'
+    }
+
+    return items.map(item => `
+      <div class="flex items-center justify-between p-2 bg-gray-50 dark:bg-gray-800 rounded">
+        <div>
+          <div class="text-sm font-medium text-gray-900 dark:text-white">${item.text}</div>
+          <div class="text-xs text-gray-500 dark:text-gray-400">${item.detail}</div>
+        </div>
+        <button class="text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                data-action="click->database-schema-editor#deleteRelationship"
+                data-column-id="${item.id}"
+                ${item.joinTable ? `data-join-table="${item.joinTable}"` : ''}>
+          <i class="fas fa-trash-alt text-xs"></i>
+        </button>
+      </div>
+    `).join('')
+  }
+
+  referenceName(tableName) {
+    const singular = tableName.endsWith('ies') ? `${tableName.slice(0, -3)}y` : tableName.replace(/s$/, '')
+    return `${singular}_id`
+  }
+
+  loadPositions() {
+    try {
+      return JSON.parse(localStorage.getItem(`schemaEditorPositions:${this.appIdValue}`)) || {}
+    } catch (e) {
+      return {}
+    }
+  }
+
+  savePosition(tableId, position) {
+    this.positions[tableId] = position
+    localStorage.setItem(`schemaEditorPositions:${this.appIdValue}`, JSON.stringify(this.positions))
+  }
+  
+  deleteTable(event) {
+    event.stopPropagation()
+    
+    const tableElement = event.target.closest('[data-table-id]')
+    const tableId = parseInt(tableElement.dataset.tableId)
+    const url = `/account/apps/${this.appIdValue}/dashboard/tables/${tableId}`
+    const headers = {
+      'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
+    }
+    
+    // Dry run first so the confirmation can say what will be lost
+    fetch(`${url}?dry_run=true`, { method: 'DELETE', headers })
+    .then(response => response.json())
+    .then(preview => {
+      if (!preview.success) {
+        alert(preview.error || 'Failed to delete table')
+        return
+      }
+
+      const { name, up_sql, warnings } = preview.migration
+      const details = [...warnings, `SQL: ${up_sql}`].join('\n\n')
+      if (!confirm(`Apply migration ${name}?\n\n${details}`)) return
+
+      return fetch(url, { method: 'DELETE', headers })
+      .then(response => response.json())
+      .then(data => {
+        if (data.success) {
+          tableElement.remove()
+          this.tables.delete(tableId)
+          this.deselectAll()
+          this.updateConnections()
+        } else {
+          alert(data.error || 'Failed to delete table')
+        }
+      })
+    })
+  }
   
   addColumn(event) {
     event.stopPropagation()
@@ -409,7 +770,8 @@ export default class extends Controller {
     })
   }
   
-  // Helper methods for creating common tables
+  // Helper methods for creating common tables.
+  // id, created_at and updated_at are added to every table automatically.
   createUsersTable(event) {
     event.preventDefault()
     
@@ -419,9 +781,7 @@ export default class extends Controller {
       columns: [
         { name: 'email', type: 'text', required: true },
         { name: 'name', type: 'text' },
-        { name: 'avatar_url', type: 'text' },
-        { name: 'created_at', type: 'timestamp' },
-        { name: 'updated_at', type: 'timestamp' }
+        { name: 'avatar_url', type: 'text' }
       ]
     })
   }
@@ -435,11 +795,11 @@ export default class extends Controller {
       columns: [
         { name: 'title', type: 'text', required: true },
         { name: 'content', type: 'text' },
-        { name: 'user_id', type: 'uuid', isForeign: true },
         { name: 'published', type: 'boolean', default: false },
-        { name: 'published_at', type: 'timestamp' },
-        { name: 'created_at', type: 'timestamp' },
-        { name: 'updated_at', type: 'timestamp' }
+        { name: 'published_at', type: 'datetime' }
+      ],
+      references: [
+        { table: 'users', column: 'user_id', onDelete: 'cascade' }
       ]
     })
   }
@@ -451,23 +811,26 @@ export default class extends Controller {
       name: 'comments',
       description: 'User comments on posts',
       columns: [
-        { name: 'content', type: 'text', required: true },
-        { name: 'post_id', type: 'uuid', isForeign: true },
-        { name: 'user_id', type: 'uuid', isForeign: true },
-        { name: 'created_at', type: 'timestamp' },
-        { name: 'updated_at', type: 'timestamp' }
+        { name: 'content', type: 'text', required: true }
+      ],
+      references: [
+        { table: 'posts', column: 'post_id', onDelete: 'cascade' },
+        { table: 'users', column: 'user_id', onDelete: 'set_null' }
       ]
     })
   }
   
-  createTableWithSchema(schema) {
-    // Create table with predefined schema
-    fetch(`/account/apps/${this.appIdValue}/dashboard/tables`, {
+  // Creates the table, then its columns and references one at a time.
+  // References to tables that don't exist yet are skipped.
+  async createTableWithSchema(schema) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
+    }
+
+    const response = await fetch(`/account/apps/${this.appIdValue}/dashboard/tables`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
-      },
+      headers,
       body: JSON.stringify({
         table: {
           name: schema.name,
@@ -475,25 +838,48 @@ export default class extends Controller {
         }
       })
     })
-    .then(response => response.json())
-    .then(data => {
-      if (data.success) {
-        this.addTableToCanvas(data.table)
-        
-        // Add columns one by one
-        schema.columns.forEach((col, index) => {
-          setTimeout(() => {
-            this.addColumnToTable(data.table.id, col)
-          }, index * 500) // Stagger the requests
-        })
-      } else {
-        alert(data.error || 'Failed to create table')
+    const data = await response.json()
+
+    if (!data.success) {
+      alert(data.error || (data.errors || []).join(', ') || 'Failed to create table')
+      return
+    }
+
+    this.addTableToCanvas(data.table)
+
+    for (const col of schema.columns) {
+      await this.addColumnToTable(data.table.id, col)
+    }
+
+    const missing = []
+    for (const reference of schema.references || []) {
+      const parent = [...this.tables.values()].find(table => table.data.name === reference.table)
+      if (!parent) {
+        missing.push(reference.table)
+        continue
       }
-    })
+
+      await fetch(`/account/apps/${this.appIdValue}/dashboard/relationships`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          parent_table_id: parent.data.id,
+          child_table_id: data.table.id,
+          kind: 'one_to_many',
+          on_delete: reference.onDelete,
+          column_name: reference.column
+        })
+      })
+    }
+
+    if (missing.length > 0) {
+      console.info(`Skipped links to ${missing.join(', ')}: create those tables first, then relate them with the link icon`)
+    }
+    this.loadExistingTables()
   }
   
   addColumnToTable(tableId, columnDef) {
-    fetch(`/account/apps/${this.appIdValue}/dashboard/tables/${tableId}/columns`, {
+    return fetch(`/account/apps/${this.appIdValue}/dashboard/tables/${tableId}/columns`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
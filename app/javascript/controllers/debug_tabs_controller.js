@@ -1,91 +1,197 @@
 import { Controller } from "@hotwired/stimulus"
+import OverSkillBridge from "../overskill_bridge"
 
-// Debug version to help diagnose tab switching issues
+// Web Vitals thresholds (good, poor) from web.dev
+const VITAL_THRESHOLDS = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500]
+}
+
+// Tabs of the editor's debug area. Also hosts the Console/Network/Performance
+// panels, fed by the telemetry that public/overskill.js streams from the
+// running preview
 export default class extends Controller {
-  static targets = ["tab", "panel"]
+  static targets = ["tab", "panel", "consoleLog", "networkLog", "vital", "consoleCount", "networkCount", "droppedNotice"]
+  static values = {
+    frameSelector: { type: String, default: "#preview_frame iframe" },
+    maxEntries: { type: Number, default: 500 }
+  }
 
   connect() {
-    console.log("🐛 DEBUG: Tabs controller connected!")
-    console.log("Element with controller:", this.element)
-    console.log("Number of tabs found:", this.tabTargets.length)
-    console.log("Number of panels found:", this.panelTargets.length)
-    
-    // List all tabs
-    console.log("Tabs:")
-    this.tabTargets.forEach((tab, i) => {
-      console.log(`  ${i}: data-panel="${tab.dataset.panel}"`, tab)
+    // Start on the tab named in ?tab= (for links into a panel), else the first
+    const tabNames = this.tabTargets.map(tab => tab.dataset.panel)
+    const requestedTab = new URLSearchParams(window.location.search).get('tab')
+    this.showPanel(tabNames.includes(requestedTab) ? requestedTab : (tabNames[0] || 'preview'))
+
+    this.connectPreview()
+  }
+
+  disconnect() {
+    this.unsubscribe?.forEach(unsubscribe => unsubscribe())
+    this.bridge?.release()
+  }
+
+  connectPreview() {
+    const iframe = document.querySelector(this.frameSelectorValue)
+    if (!iframe) return
+
+    this.bridge = OverSkillBridge.for(iframe)
+    this.unsubscribe = [
+      // Telemetry is opt-in and forgotten on reload, so ask for it on each page
+      this.bridge.onReady(() => {
+        this.bridge.request('enable_telemetry', { console: true, network: true, vitals: true })
+          .catch(error => console.warn('Failed to enable preview telemetry:', error))
+      }),
+      this.bridge.on('telemetry', (data) => this.appendTelemetry(data))
+    ]
+  }
+
+  appendTelemetry({ entries = [], dropped = 0 }) {
+    entries.forEach(entry => {
+      if (entry.kind === 'console') this.appendConsoleEntry(entry)
+      else if (entry.kind === 'network') this.appendNetworkEntry(entry)
+      else if (entry.kind === 'vital') this.updateVital(entry)
     })
-    
-    // List all panels
-    console.log("Panels:")
-    this.panelTargets.forEach((panel, i) => {
-      console.log(`  ${i}: data-panel-name="${panel.dataset.panelName}", hidden=${panel.classList.contains('hidden')}`, panel)
+
+    if (dropped > 0 && this.hasDroppedNoticeTarget) {
+      this.droppedCount = (this.droppedCount || 0) + dropped
+      this.droppedNoticeTarget.textContent = `${this.droppedCount} entries dropped (rate limited)`
+      this.droppedNoticeTarget.classList.remove("hidden")
+    }
+  }
+
+  appendConsoleEntry(entry) {
+    if (!this.hasConsoleLogTarget) return
+
+    const levelClasses = {
+      error: "text-red-400 bg-red-900/20",
+      warn: "text-yellow-300 bg-yellow-900/20",
+      info: "text-blue-300",
+      debug: "text-gray-500",
+      log: "text-gray-200"
+    }
+
+    const row = document.createElement("div")
+    row.className = `px-3 py-1 border-b border-gray-800 font-mono text-xs whitespace-pre-wrap break-all ${levelClasses[entry.level] || levelClasses.log}`
+    row.dataset.level = entry.level
+
+    const time = document.createElement("span")
+    time.className = "text-gray-500 mr-2"
+    time.textContent = new Date(entry.timestamp).toLocaleTimeString()
+
+    // Built with textContent only: console output is untrusted app content
+    const message = document.createElement("span")
+    message.textContent = (entry.args || []).map(arg => this.formatArg(arg)).join(" ")
+
+    row.append(time, message)
+    this.appendRow(this.consoleLogTarget, row, this.hasConsoleCountTarget ? this.consoleCountTarget : null)
+  }
+
+  appendNetworkEntry(entry) {
+    if (!this.hasNetworkLogTarget) return
+
+    const failed = !entry.status || entry.status >= 400
+    const row = document.createElement("details")
+    row.className = "border-b border-gray-800 font-mono text-xs"
+
+    const summary = document.createElement("summary")
+    summary.className = `px-3 py-1 cursor-pointer flex items-center gap-3 ${failed ? "text-red-400" : "text-gray-200"}`
+    const columns = [
+      [entry.method, "w-14 font-semibold"],
+      [entry.status || entry.error || "failed", "w-12"],
+      [entry.url, "flex-1 truncate"],
+      [`${entry.duration ?? "?"} ms`, "w-16 text-right text-gray-500"]
+    ]
+    columns.forEach(([text, className]) => {
+      const cell = document.createElement("span")
+      cell.className = className
+      cell.textContent = text
+      summary.appendChild(cell)
     })
-    
-    // Check if we have matching tabs and panels
-    const tabNames = this.tabTargets.map(t => t.dataset.panel)
-    const panelNames = this.panelTargets.map(p => p.dataset.panelName)
-    console.log("Tab names:", tabNames)
-    console.log("Panel names:", panelNames)
-    
-    // Initialize with first tab or URL param
-    const urlParams = new URLSearchParams(window.location.search)
-    const activeTab = urlParams.get('tab') || 'preview'
-    console.log(`Initializing with tab: ${activeTab}`)
-    this.showPanel(activeTab)
+    row.appendChild(summary)
+
+    const bodies = [["Request", entry.requestBody], ["Response", entry.responseBody]]
+    bodies.filter(([, body]) => body).forEach(([label, body]) => {
+      const heading = document.createElement("div")
+      heading.className = "px-3 pt-2 text-gray-500"
+      heading.textContent = label
+      const pre = document.createElement("pre")
+      pre.className = "px-3 pb-2 text-gray-300 whitespace-pre-wrap break-all"
+      pre.textContent = body
+      row.append(heading, pre)
+    })
+
+    this.appendRow(this.networkLogTarget, row, this.hasNetworkCountTarget ? this.networkCountTarget : null)
+  }
+
+  updateVital(entry) {
+    const target = this.vitalTargets.find(element => element.dataset.vital === entry.name)
+    if (!target) return
+
+    const [good, poor] = VITAL_THRESHOLDS[entry.name] || [Infinity, Infinity]
+    const rating = entry.value <= good ? "good" : entry.value <= poor ? "needs-improvement" : "poor"
+    const ratingClasses = {
+      good: "text-green-400",
+      "needs-improvement": "text-yellow-300",
+      poor: "text-red-400"
+    }
+
+    const value = target.querySelector("[data-vital-value]") || target
+    value.textContent = entry.name === "CLS" ? entry.value.toFixed(3) : `${entry.value} ms`
+    value.classList.remove(...Object.values(ratingClasses))
+    value.classList.add(ratingClasses[rating])
+    target.dataset.rating = rating
+  }
+
+  appendRow(container, row, counter) {
+    const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 20
+    container.appendChild(row)
+
+    // Keep the DOM bounded for long-running previews
+    while (container.children.length > this.maxEntriesValue) {
+      container.firstElementChild.remove()
+    }
+    if (counter) counter.textContent = container.children.length
+    if (atBottom) container.scrollTop = container.scrollHeight
+  }
+
+  formatArg(arg) {
+    if (typeof arg === "string") return arg
+    if (arg && typeof arg === "object" && arg.stack && arg.message) return arg.stack
+    try {
+      return JSON.stringify(arg, null, 2)
+    } catch (error) {
+      return String(arg)
+    }
+  }
+
+  clearConsole() {
+    if (this.hasConsoleLogTarget) this.consoleLogTarget.replaceChildren()
+    if (this.hasConsoleCountTarget) this.consoleCountTarget.textContent = 0
+  }
+
+  clearNetwork() {
+    if (this.hasNetworkLogTarget) this.networkLogTarget.replaceChildren()
+    if (this.hasNetworkCountTarget) this.networkCountTarget.textContent = 0
   }
 
   switchTab(event) {
     event.preventDefault()
-    const panel = event.currentTarget.dataset.panel
-    console.log(`🐛 Tab clicked: ${panel}`)
-    this.showPanel(panel)
+    this.showPanel(event.currentTarget.dataset.panel)
   }
 
   showPanel(panelName) {
-    console.log(`🐛 showPanel called with: ${panelName}`)
-    
-    // Update tabs
     this.tabTargets.forEach((tab) => {
-      const tabPanel = tab.dataset.panel
-      const isActive = tabPanel === panelName
-      
-      console.log(`  Tab ${tabPanel}: active=${isActive}`)
-      
-      if (isActive) {
-        tab.classList.remove("text-gray-400", "border-transparent")
-        tab.classList.add("text-white", "border-primary-500")
-      } else {
-        tab.classList.remove("text-white", "border-primary-500")
-        tab.classList.add("text-gray-400", "border-transparent")
-      }
+      const isActive = tab.dataset.panel === panelName
+      tab.classList.toggle("text-white", isActive)
+      tab.classList.toggle("border-primary-500", isActive)
+      tab.classList.toggle("text-gray-400", !isActive)
+      tab.classList.toggle("border-transparent", !isActive)
     })
 
-    // Update panels
     this.panelTargets.forEach((panel) => {
-      const panelDataName = panel.dataset.panelName
-      const shouldShow = panelDataName === panelName
-      
-      console.log(`  Panel ${panelDataName}: shouldShow=${shouldShow}, currentlyHidden=${panel.classList.contains('hidden')}`)
-      
-      if (shouldShow) {
-        panel.classList.remove("hidden")
-        console.log(`    ✅ Removed hidden class`)
-      } else {
-        panel.classList.add("hidden")
-        console.log(`    ➕ Added hidden class`)
-      }
-    })
-    
-    // Verify final state
-    console.log("🐛 Final panel visibility:")
-    this.panelTargets.forEach(panel => {
-      console.log(`  ${panel.dataset.panelName}: ${panel.classList.contains('hidden') ? 'HIDDEN' : 'VISIBLE'}`)
+      panel.classList.toggle("hidden", panel.dataset.panelName !== panelName)
     })
-    
-    // Update URL
-    const url = new URL(window.location)
-    url.searchParams.set('tab', panelName)
-    window.history.replaceState({}, '', url)
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,338 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Matches one conflict written by VersionControl::MergeService
+const CONFLICT_BLOCK = /^<{7} .*\n([\s\S]*?)^={7}\n([\s\S]*?)^>{7} .*(?:\n|$)/gm
+
+const STATUS_STYLES = {
+  created: { label: 'created', badge: 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300' },
+  merged: { label: 'merged', badge: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-300' },
+  deleted: { label: 'deleted', badge: 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300' },
+  conflict: { label: 'conflict', badge: 'bg-orange-100 dark:bg-orange-900/30 text-orange-800 dark:text-orange-300' },
+  resolved: { label: 'resolved', badge: 'bg-blue-100 dark:bg-blue-900/30 text-blue-800 dark:text-blue-300' }
+}
+
+// Restores an older version by three-way merging it into the current files.
+// Opened with a `version:restore` window event; conflicts are resolved in the
+// modal before the merged files are committed as a new version.
+export default class extends Controller {
+  static targets = ["modal", "loading", "content", "title", "summary", "fileList", "filePath",
+                    "editor", "conflictList", "deletedNotice", "deletedMessage", "deleteToggle",
+                    "restoreButton", "error"]
+
+  open(event) {
+    const versionId = event.detail?.versionId
+    if (!versionId) return
+
+    this.versionId = versionId
+    this.files = []
+    this.selectedIndex = null
+
+    this.modalTarget.classList.remove('hidden')
+    document.body.style.overflow = 'hidden'
+    this.loadPlan()
+  }
+
+  close(event) {
+    if (event) event.preventDefault()
+    this.modalTarget.classList.add('hidden')
+    document.body.style.overflow = ''
+  }
+
+  closeOnBackdrop(event) {
+    if (event.target === this.modalTarget) {
+      this.close()
+    }
+  }
+
+  async loadPlan() {
+    this.loadingTarget.classList.remove('hidden')
+    this.contentTarget.classList.add('hidden')
+    this.hideError()
+
+    try {
+      const response = await fetch(`/account/app_versions/${this.versionId}/merge_preview`, {
+        headers: { 'Accept': 'application/json' }
+      })
+      const plan = await response.json()
+
+      if (!response.ok || !plan.success) {
+        this.showError(plan.error || "Failed to prepare the restore")
+        this.loadingTarget.classList.add('hidden')
+        return
+      }
+
+      this.plan = plan
+      this.files = plan.files.map(file => ({
+        ...file,
+        resolved: file.content,
+        deleted: file.status === 'deleted'
+      }))
+      this.render()
+    } catch (error) {
+      console.error("Failed to load merge preview:", error)
+      this.showError("Error preparing the restore")
+      this.loadingTarget.classList.add('hidden')
+    }
+  }
+
+  render() {
+    this.loadingTarget.classList.add('hidden')
+    this.contentTarget.classList.remove('hidden')
+    this.titleTarget.textContent = `Restore ${this.plan.version_number}`
+
+    this.renderFileList()
+    this.updateSummary()
+
+    // Start on the first file that needs attention
+    const firstConflict = this.files.findIndex(file => this.countConflicts(file) > 0)
+    if (this.files.length > 0) this.showFile(Math.max(firstConflict, 0))
+  }
+
+  renderFileList() {
+    if (this.files.length === 0) {
+      this.fileListTarget.innerHTML = '<div class="p-4 text-sm text-gray-500 dark:text-gray-400">Nothing to restore</div>'
+      return
+    }
+
+    this.fileListTarget.innerHTML = this.files.map((file, index) => {
+      const style = STATUS_STYLES[this.fileStatus(file)]
+      const conflicts = this.countConflicts(file)
+      const selected = index === this.selectedIndex
+
+      return `
+        <button type="button"
+                class="w-full text-left px-3 py-2 border-b border-gray-100 dark:border-gray-700 flex items-center justify-between gap-2 hover:bg-gray-50 dark:hover:bg-gray-700 ${selected ? 'bg-blue-50 dark:bg-blue-900/20' : ''}"
+                data-action="click->merge-restore#selectFile"
+                data-index="${index}">
+          <span class="font-mono text-xs truncate text-gray-900 dark:text-gray-100">${this.escapeHtml(file.path)}</span>
+          <span class="text-xs px-2 py-0.5 rounded-full whitespace-nowrap ${style.badge}">
+            ${conflicts > 0 ? `${conflicts} conflict${conflicts === 1 ? '' : 's'}` : style.label}
+          </span>
+        </button>
+      `
+    }).join('')
+  }
+
+  fileStatus(file) {
+    if (file.deleted) return 'deleted'
+    if (file.status === 'conflict') return this.countConflicts(file) > 0 ? 'conflict' : 'resolved'
+    return file.status
+  }
+
+  selectFile(event) {
+    this.showFile(Number(event.currentTarget.dataset.index))
+  }
+
+  showFile(index) {
+    this.selectedIndex = index
+    const file = this.files[index]
+
+    this.filePathTarget.textContent = file.path
+    this.editorTarget.value = file.resolved || ''
+    this.editorTarget.classList.toggle('hidden', file.deleted)
+    this.deletedNoticeTarget.classList.toggle('hidden', !file.deleted && !file.deleted_in)
+
+    if (file.deleted_in) {
+      this.deletedMessageTarget.textContent = file.deleted_in === 'current'
+        ? "This file was deleted after this version but the version changed it."
+        : "This version deleted the file but it has changed since."
+      this.deleteToggleTarget.classList.remove('hidden')
+      this.deleteToggleTarget.textContent = file.deleted ? "Keep file" : "Delete file"
+    } else {
+      this.deletedMessageTarget.textContent = "This file will be deleted."
+      this.deleteToggleTarget.classList.add('hidden')
+    }
+
+    this.renderConflicts()
+    this.renderFileList()
+  }
+
+  toggleDelete() {
+    const file = this.files[this.selectedIndex]
+    if (!file?.deleted_in) return
+
+    file.deleted = !file.deleted
+    this.showFile(this.selectedIndex)
+    this.updateSummary()
+  }
+
+  editorInput() {
+    const file = this.files[this.selectedIndex]
+    if (!file) return
+
+    file.resolved = this.editorTarget.value
+    this.renderConflicts()
+    this.renderFileList()
+    this.updateSummary()
+  }
+
+  renderConflicts() {
+    const file = this.files[this.selectedIndex]
+    const conflicts = file && !file.deleted ? this.parseConflicts(file.resolved) : []
+
+    this.conflictListTarget.classList.toggle('hidden', conflicts.length === 0)
+    this.conflictListTarget.innerHTML = conflicts.map((conflict, index) => `
+      <div class="border border-orange-200 dark:border-orange-800 rounded-lg overflow-hidden">
+        <div class="flex items-center justify-between px-3 py-1.5 bg-orange-50 dark:bg-orange-900/20 text-xs">
+          <span class="font-medium text-orange-800 dark:text-orange-200">Conflict ${index + 1} · line ${conflict.line}</span>
+          <div class="flex items-center gap-1">
+            ${this.renderChoice(index, 'ours', 'Keep current')}
+            ${this.renderChoice(index, 'theirs', 'Use restored')}
+            ${this.renderChoice(index, 'both', 'Keep both')}
+          </div>
+        </div>
+        <div class="grid grid-cols-2 text-xs font-mono">
+          <pre class="p-2 whitespace-pre-wrap bg-red-50 dark:bg-red-900/10 text-gray-800 dark:text-gray-200 border-r border-orange-100 dark:border-orange-900">${this.escapeHtml(conflict.ours) || '<span class="italic text-gray-400">(nothing)</span>'}</pre>
+          <pre class="p-2 whitespace-pre-wrap bg-green-50 dark:bg-green-900/10 text-gray-800 dark:text-gray-200">${this.escapeHtml(conflict.theirs) || '<span class="italic text-gray-400">(nothing)</span>'}</pre>
+        </div>
+      </div>
+    `).join('')
+  }
+
+  renderChoice(index, choice, label) {
+    return `
+      <button type="button"
+              class="px-2 py-0.5 rounded border border-orange-200 dark:border-orange-700 text-orange-800 dark:text-orange-200 hover:bg-orange-100 dark:hover:bg-orange-800/40"
+              data-action="click->merge-restore#resolveConflict"
+              data-conflict="${index}"
+              data-choice="${choice}">${label}</button>
+    `
+  }
+
+  resolveConflict(event) {
+    const file = this.files[this.selectedIndex]
+    const { conflict, choice } = event.currentTarget.dataset
+
+    file.resolved = this.applyChoice(file.resolved, Number(conflict), choice)
+    this.editorTarget.value = file.resolved
+    this.renderConflicts()
+    this.renderFileList()
+    this.updateSummary()
+  }
+
+  useRestoredForAll() {
+    this.files.forEach(file => {
+      while (file.resolved && this.parseConflicts(file.resolved).length > 0) {
+        file.resolved = this.applyChoice(file.resolved, 0, 'theirs')
+      }
+    })
+    if (this.selectedIndex !== null) this.showFile(this.selectedIndex)
+    this.updateSummary()
+  }
+
+  applyChoice(text, index, choice) {
+    const conflict = this.parseConflicts(text)[index]
+    if (!conflict) return text
+
+    const replacement = {
+      ours: conflict.ours,
+      theirs: conflict.theirs,
+      both: conflict.ours + conflict.theirs
+    }[choice]
+
+    return text.slice(0, conflict.start) + replacement + text.slice(conflict.end)
+  }
+
+  parseConflicts(text) {
+    if (!text) return []
+    return [...text.matchAll(CONFLICT_BLOCK)].map(match => ({
+      start: match.index,
+      end: match.index + match[0].length,
+      line: text.slice(0, match.index).split('\n').length,
+      ours: match[1],
+      theirs: match[2]
+    }))
+  }
+
+  countConflicts(file) {
+    return file.deleted ? 0 : this.parseConflicts(file.resolved).length
+  }
+
+  updateSummary() {
+    const remaining = this.files.reduce((total, file) => total + this.countConflicts(file), 0)
+    const automatic = this.files.filter(file => file.status !== 'conflict').length
+
+    if (this.files.length === 0) {
+      this.summaryTarget.textContent = "Your current files already match this version."
+    } else {
+      const parts = [`${this.files.length} file${this.files.length === 1 ? '' : 's'} to restore`]
+      if (automatic > 0) parts.push(`${automatic} merged automatically`)
+      parts.push(remaining > 0 ? `${remaining} conflict${remaining === 1 ? '' : 's'} to resolve` : 'no conflicts left')
+      this.summaryTarget.textContent = parts.join(' · ')
+    }
+
+    this.restoreButtonTarget.disabled = this.files.length === 0 || remaining > 0
+  }
+
+  async restore() {
+    this.restoreButtonTarget.disabled = true
+    this.hideError()
+
+    const files = Object.fromEntries(this.files.map(file => [file.path, file.deleted ? null : file.resolved]))
+
+    try {
+      const response = await fetch(`/account/app_versions/${this.versionId}/merge_restore`, {
+        method: 'POST',
+        headers: {
+          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ files, head_digest: this.plan.head_digest })
+      })
+      const result = await response.json().catch(() => ({}))
+
+      if (response.ok && result.success) {
+        // Refresh the page to show the new version
+        window.location.reload()
+      } else {
+        this.showError(result.error || "Failed to restore version. Please try again.")
+        this.updateSummary()
+      }
+    } catch (error) {
+      console.error("Failed to restore version:", error)
+      this.showError("An error occurred while restoring the version.")
+      this.updateSummary()
+    }
+  }
+
+  // Previous behaviour: replace every file with the version's contents
+  async overwrite() {
+    if (!confirm("Replace all current files with this version? Changes made after it will be lost.")) {
+      return
+    }
+
+    try {
+      const response = await fetch(`/account/app_versions/${this.versionId}/restore`, {
+        method: 'POST',
+        headers: {
+          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content,
+          'Content-Type': 'application/json'
+        }
+      })
+
+      if (response.ok) {
+        window.location.reload()
+      } else {
+        this.showError("Failed to restore version. Please try again.")
+      }
+    } catch (error) {
+      console.error("Failed to restore version:", error)
+      this.showError("An error occurred while restoring the version.")
+    }
+  }
+
+  showError(message) {
+    this.errorTarget.textContent = message
+    this.errorTarget.classList.remove('hidden')
+  }
+
+  hideError() {
+    this.errorTarget.classList.add('hidden')
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML
+  }
+}
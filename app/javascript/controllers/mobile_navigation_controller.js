@@ -530,32 +530,19 @@ export default class extends Controller {
     }
   }
   
-  // Handle image upload from camera or gallery
+  // Handle image upload from camera or gallery: the chat form uploads the
+  // photo and shows it in the composer so it can be sent with a message
   handleImageUpload(event) {
-    const file = event.target.files[0]
-    if (file) {
-      // Convert to base64 and send to chat
-      const reader = new FileReader()
-      reader.onload = (e) => {
-        const base64Image = e.target.result
-        
-        // Insert image description request into chat
-        const chatTextarea = document.querySelector('textarea[name="app_chat_message[content]"]')
-        if (chatTextarea) {
-          chatTextarea.value = `I've uploaded an image. Please analyze it and suggest how to implement similar features or design in my app. [Image: ${file.name}]`
-          
-          // Trigger form submission
-          const submitButton = chatTextarea.closest('form').querySelector('button[type="submit"]')
-          if (submitButton) {
-            submitButton.click()
-          }
-        }
-        
-        // Close the plus menu
-        this.closeModal({ target: document.querySelector('.mobile-modal') })
-      }
-      reader.readAsDataURL(file)
-    }
+    const files = Array.from(event.target.files)
+    event.target.value = ''
+    if (files.length === 0) return
+
+    document.dispatchEvent(new CustomEvent('chat:attach-files', { detail: { files } }))
+
+    // Close the plus menu and bring the composer into view
+    this.closeModal({ target: event.target })
+    this.showChat()
+    document.querySelector('textarea[name="app_chat_message[content_mobile]"]')?.focus()
   }
   
   // Open AI suggestions modal
@@ -688,7 +675,7 @@ export default class extends Controller {
         <!-- Hidden file inputs -->
         <input type="file" id="mobile-camera-input" accept="image/*" capture="camera" class="hidden" 
                data-action="change->mobile-navigation#handleImageUpload">
-        <input type="file" id="mobile-image-input" accept="image/*" class="hidden"
+        <input type="file" id="mobile-image-input" accept="image/*" multiple class="hidden"
                data-action="change->mobile-navigation#handleImageUpload">
         
         <!-- AI Suggestions -->
@@ -173,50 +173,31 @@ export default class extends Controller {
     const formData = new FormData(this.formTarget)
     const columnData = {
       name: formData.get('name'),
-      type: formData.get('type'),
+      column_type: formData.get('type'),
       required: formData.get('required') === 'on',
       default_value: formData.get('default_value') || null
     }
     
     // Handle options for select types
-    if (columnData.type === 'select' || columnData.type === 'multiselect') {
+    if (columnData.column_type === 'select' || columnData.column_type === 'multiselect') {
       const optionsText = formData.get('options') || ''
       const choices = optionsText.split('\n').map(s => s.trim()).filter(s => s.length > 0)
-      columnData.options = { choices }
+      columnData.options = JSON.stringify({ choices })
     }
     
+    const editing = this.currentEditIndex !== null
+    const url = editing
+      ? `${this.columnsUrl}/${this.columns[this.currentEditIndex].id}`
+      : this.columnsUrl
+    
     try {
-      let url, method
-      if (this.currentEditIndex !== null) {
-        // Update existing column
-        this.columns[this.currentEditIndex] = columnData
-        method = 'PATCH'
-        url = `/account/apps/${this.appIdValue}/dashboard/tables/${this.tableIdValue}/columns/${this.currentEditIndex}`
-      } else {
-        // Add new column
-        this.columns.push(columnData)
-        method = 'POST'
-        url = `/account/apps/${this.appIdValue}/dashboard/tables/${this.tableIdValue}/columns`
-      }
-      
-      const response = await fetch(url, {
-        method: method,
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
-        },
-        body: JSON.stringify({ column: columnData })
-      })
-      
-      const result = await response.json()
+      const result = await this.migrate(url, editing ? 'PATCH' : 'POST', { column: columnData })
+      if (!result) return
       
       if (result.success) {
         this.hideModal()
-        this.renderSchema()
-        this.showNotification(
-          this.currentEditIndex !== null ? 'Column updated successfully' : 'Column added successfully',
-          'success'
-        )
+        await this.loadTableSchema()
+        this.showNotification(editing ? 'Column updated successfully' : 'Column added successfully', 'success')
       } else {
         this.showNotification(result.error || 'Failed to save column', 'error')
       }
@@ -229,25 +210,16 @@ export default class extends Controller {
 
   async deleteColumn(event) {
     const index = parseInt(event.currentTarget.dataset.columnIndex)
-    const columnName = event.currentTarget.dataset.columnName
-    
-    if (!confirm(`Are you sure you want to delete the column "${columnName}"? This will permanently remove the column and all its data.`)) {
-      return
-    }
+    const column = this.columns[index]
+    if (!column) return
     
     try {
-      const response = await fetch(`/account/apps/${this.appIdValue}/dashboard/tables/${this.tableIdValue}/columns/${index}`, {
-        method: 'DELETE',
-        headers: {
-          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
-        }
-      })
-      
-      const result = await response.json()
+      const result = await this.migrate(`${this.columnsUrl}/${column.id}`, 'DELETE')
+      if (!result) return
       
       if (result.success) {
         this.columns.splice(index, 1)
-        this.renderSchema()
+        this.columns.length > 0 ? this.renderSchema() : this.renderEmptySchema()
         this.showNotification('Column deleted successfully', 'success')
       } else {
         this.showNotification(result.error || 'Failed to delete column', 'error')
@@ -259,6 +231,94 @@ export default class extends Controller {
     }
   }
 
+  get columnsUrl() {
+    return `/account/apps/${this.appIdValue}/dashboard/tables/${this.tableIdValue}/columns`
+  }
+
+  // Every schema change is a migration: preview it with a dry run, then apply
+  // it once confirmed. Resolves to the response, or null when cancelled.
+  async migrate(url, method, body = {}) {
+    const preview = await this.request(`${url}?dry_run=true`, method, body)
+    if (!preview.success) return preview
+    
+    if (!(await this.confirmMigration(preview.migration))) return null
+    return this.request(url, method, body)
+  }
+
+  async request(url, method, body) {
+    const response = await fetch(url, {
+      method: method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
+      },
+      body: JSON.stringify(body)
+    })
+    return response.json()
+  }
+
+  confirmMigration(migration) {
+    const rows = migration.affected_rows
+    const dialog = document.createElement('div')
+    dialog.className = 'fixed inset-0 bg-black bg-opacity-50 z-20 flex items-center justify-center p-4'
+    dialog.innerHTML = `
+      <div class="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-lg space-y-4">
+        <div>
+          <h3 class="text-lg font-semibold text-gray-900 dark:text-white">Review Migration</h3>
+          <p class="text-sm font-mono text-gray-600 dark:text-gray-400">${this.escapeHtml(migration.name)}</p>
+        </div>
+        
+        <p class="text-sm text-gray-700 dark:text-gray-300">
+          ${rows === null ? 'Could not count the affected rows.' : `Affects ${rows} ${rows === 1 ? 'row' : 'rows'}.`}
+        </p>
+        
+        ${migration.warnings.map(warning => `
+          <div class="flex items-start p-3 text-sm rounded-md bg-yellow-50 dark:bg-yellow-900/20 text-yellow-800 dark:text-yellow-200">
+            <i class="fas fa-exclamation-triangle mt-0.5 mr-2"></i>
+            <span>${this.escapeHtml(warning)}</span>
+          </div>
+        `).join('')}
+        
+        <div>
+          <h4 class="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase mb-1">SQL</h4>
+          <pre class="p-3 text-xs font-mono whitespace-pre-wrap rounded-md bg-gray-900 text-gray-100 max-h-48 overflow-auto">${this.escapeHtml(migration.up_sql)}</pre>
+        </div>
+        
+        <details>
+          <summary class="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase cursor-pointer">Rollback SQL</summary>
+          <pre class="mt-1 p-3 text-xs font-mono whitespace-pre-wrap rounded-md bg-gray-900 text-gray-100 max-h-48 overflow-auto">${this.escapeHtml(migration.down_sql)}</pre>
+        </details>
+        
+        <div class="flex space-x-3">
+          <button type="button" data-migration-cancel
+                  class="flex-1 px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600">
+            Cancel
+          </button>
+          <button type="button" data-migration-apply
+                  class="flex-1 px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700">
+            Apply
+          </button>
+        </div>
+      </div>
+    `
+    this.element.appendChild(dialog)
+    
+    return new Promise(resolve => {
+      const close = (confirmed) => {
+        dialog.remove()
+        resolve(confirmed)
+      }
+      dialog.querySelector('[data-migration-cancel]').addEventListener('click', () => close(false))
+      dialog.querySelector('[data-migration-apply]').addEventListener('click', () => close(true))
+    })
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML
+  }
+
   handleTypeChange(event) {
     const type = event ? event.target.value : this.formTarget.querySelector('[name="type"]').value
     const optionsGroup = this.formTarget.querySelector('[data-options-group]')
@@ -310,7 +370,8 @@ export default class extends Controller {
       'date': 'bg-orange-100 dark:bg-orange-900 text-orange-600 dark:text-orange-400',
       'datetime': 'bg-red-100 dark:bg-red-900 text-red-600 dark:text-red-400',
       'select': 'bg-yellow-100 dark:bg-yellow-900 text-yellow-600 dark:text-yellow-400',
-      'multiselect': 'bg-indigo-100 dark:bg-indigo-900 text-indigo-600 dark:text-indigo-400'
+      'multiselect': 'bg-indigo-100 dark:bg-indigo-900 text-indigo-600 dark:text-indigo-400',
+      'reference': 'bg-teal-100 dark:bg-teal-900 text-teal-600 dark:text-teal-400'
     }
     return classes[type] || 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400'
   }
@@ -323,7 +384,8 @@ export default class extends Controller {
       'date': 'calendar',
       'datetime': 'clock',
       'select': 'list',
-      'multiselect': 'list-ul'
+      'multiselect': 'list-ul',
+      'reference': 'link'
     }
     return icons[type] || 'question'
   }
@@ -0,0 +1,189 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Migration history for an app's database: every schema change with its SQL,
+// the app version it belongs to, and a dry-run preview before rolling back
+// the latest ones.
+export default class extends Controller {
+  static targets = ["dialog", "list", "steps", "preview", "rollbackButton", "error"]
+  static values = { appId: String }
+
+  get baseUrl() {
+    return `/account/apps/${this.appIdValue}/dashboard/migrations`
+  }
+
+  open() {
+    this.dialogTarget.classList.remove('hidden')
+    this.load()
+  }
+
+  close() {
+    this.dialogTarget.classList.add('hidden')
+    this.clearPreview()
+  }
+
+  async load() {
+    this.listTarget.innerHTML = '<p class="p-4 text-sm text-gray-500 dark:text-gray-400">Loading...</p>'
+
+    const data = await this.request(this.baseUrl, 'GET')
+    if (!data) return
+
+    this.migrations = data.migrations
+    const applied = this.migrations.filter(migration => migration.status === 'applied').length
+    this.stepsTarget.max = Math.max(applied, 1)
+    this.stepsTarget.value = Math.min(Number(this.stepsTarget.value) || 1, Math.max(applied, 1))
+    this.stepsTarget.disabled = applied === 0
+    this.clearPreview()
+    this.renderList()
+  }
+
+  renderList() {
+    if (this.migrations.length === 0) {
+      this.listTarget.innerHTML = `
+        <p class="p-4 text-sm text-gray-500 dark:text-gray-400">
+          No schema changes yet. Tables and columns you create or change are recorded here.
+        </p>
+      `
+      return
+    }
+
+    this.listTarget.innerHTML = this.migrations.map(migration => `
+      <details class="border-b border-gray-200 dark:border-gray-700 ${migration.status === 'rolled_back' ? 'opacity-60' : ''}">
+        <summary class="flex items-center justify-between px-4 py-3 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700">
+          <div class="min-w-0">
+            <div class="flex items-center space-x-2">
+              <span class="text-xs font-mono text-gray-500 dark:text-gray-400">#${migration.version}</span>
+              <span class="text-sm font-mono text-gray-900 dark:text-white truncate ${migration.status === 'rolled_back' ? 'line-through' : ''}">${this.escapeHtml(migration.name)}</span>
+            </div>
+            <div class="text-xs text-gray-500 dark:text-gray-400">
+              ${this.formatTime(migration.applied_at)}${migration.user ? ` by ${this.escapeHtml(migration.user)}` : ''}
+              ${migration.app_version ? ` · version ${this.escapeHtml(migration.app_version.display_name || migration.app_version.version_number)}` : ''}
+            </div>
+          </div>
+          ${migration.status === 'rolled_back'
+            ? `<span class="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300" title="${this.formatTime(migration.rolled_back_at)}">Rolled back</span>`
+            : '<span class="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200">Applied</span>'}
+        </summary>
+        <div class="px-4 pb-3 space-y-2">
+          ${this.renderSql('Up', migration.up_sql)}
+          ${this.renderSql('Down', migration.down_sql)}
+        </div>
+      </details>
+    `).join('')
+  }
+
+  renderSql(label, sql) {
+    return `
+      <div>
+        <h5 class="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase mb-1">${label}</h5>
+        <pre class="p-2 text-xs font-mono whitespace-pre-wrap rounded-md bg-gray-900 text-gray-100 max-h-40 overflow-auto">${this.escapeHtml(sql)}</pre>
+      </div>
+    `
+  }
+
+  // Rollback: preview first, then the same button applies it
+
+  stepsChanged() {
+    this.clearPreview()
+  }
+
+  async rollback() {
+    const steps = Number(this.stepsTarget.value)
+    if (!this.previewed) {
+      const preview = await this.request(`${this.baseUrl}/rollback`, 'POST', { steps, dry_run: true })
+      if (preview) this.renderPreview(preview.migrations)
+      return
+    }
+
+    this.rollbackButtonTarget.disabled = true
+    const result = await this.request(`${this.baseUrl}/rollback`, 'POST', { steps })
+    const failure = this.lastError
+    this.rollbackButtonTarget.disabled = false
+
+    // A partial rollback still changed the schema
+    if (result || failure?.rolled_back?.length > 0) {
+      this.dispatch('rolled-back', { target: window, detail: result || failure })
+    }
+    await this.load()
+    if (failure) this.showError(failure.error)
+  }
+
+  renderPreview(migrations) {
+    this.previewed = true
+    this.previewTarget.innerHTML = `
+      <p class="text-sm font-medium text-gray-900 dark:text-white mb-2">
+        Rolling back will undo ${migrations.length} ${migrations.length === 1 ? 'migration' : 'migrations'}, newest first:
+      </p>
+      ${migrations.map(migration => `
+        <div class="mb-3">
+          <div class="flex items-center justify-between text-sm">
+            <span class="font-mono text-gray-900 dark:text-white">#${migration.version} ${this.escapeHtml(migration.name)}</span>
+            <span class="text-xs text-gray-500 dark:text-gray-400">
+              ${migration.affected_rows === null ? 'unknown rows' : `${migration.affected_rows} ${migration.affected_rows === 1 ? 'row' : 'rows'}`}
+            </span>
+          </div>
+          ${migration.warnings.map(warning => `
+            <p class="text-xs text-yellow-700 dark:text-yellow-300"><i class="fas fa-exclamation-triangle mr-1"></i>${this.escapeHtml(warning)}</p>
+          `).join('')}
+          <pre class="mt-1 p-2 text-xs font-mono whitespace-pre-wrap rounded-md bg-gray-900 text-gray-100 max-h-32 overflow-auto">${this.escapeHtml(migration.sql)}</pre>
+        </div>
+      `).join('')}
+    `
+    this.previewTarget.classList.remove('hidden')
+    this.rollbackButtonTarget.innerHTML = '<i class="fas fa-undo mr-2"></i>Confirm Rollback'
+    this.rollbackButtonTarget.classList.replace('bg-gray-600', 'bg-red-600')
+    this.rollbackButtonTarget.classList.replace('hover:bg-gray-700', 'hover:bg-red-700')
+  }
+
+  clearPreview() {
+    this.previewed = false
+    this.previewTarget.classList.add('hidden')
+    this.previewTarget.innerHTML = ''
+    this.errorTarget.classList.add('hidden')
+    this.rollbackButtonTarget.innerHTML = '<i class="fas fa-search mr-2"></i>Preview Rollback'
+    this.rollbackButtonTarget.classList.replace('bg-red-600', 'bg-gray-600')
+    this.rollbackButtonTarget.classList.replace('hover:bg-red-700', 'hover:bg-gray-700')
+  }
+
+  // Resolves to the parsed response, or null after showing the error
+  async request(url, method, body) {
+    this.errorTarget.classList.add('hidden')
+    this.lastError = null
+
+    try {
+      const response = await fetch(url, {
+        method: method,
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
+        },
+        body: body ? JSON.stringify(body) : undefined
+      })
+      const data = await response.json()
+
+      if (data.success) return data
+      this.lastError = data
+      this.showError(data.error || 'Request failed')
+    } catch (error) {
+      console.error('Migration request failed:', error)
+      this.lastError = { error: 'Request failed. Please try again.' }
+      this.showError(this.lastError.error)
+    }
+    return null
+  }
+
+  showError(message) {
+    this.errorTarget.textContent = message
+    this.errorTarget.classList.remove('hidden')
+  }
+
+  formatTime(time) {
+    return time ? new Date(time).toLocaleString() : ''
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML
+  }
+}
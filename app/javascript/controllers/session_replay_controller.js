@@ -0,0 +1,311 @@
+import { Controller } from "@hotwired/stimulus"
+import OverSkillBridge from "../overskill_bridge"
+
+// Plays back session recordings attached to preview error reports.
+// Recording is opt-in per editor session via the record toggle; playback
+// rebuilds the recorded DOM inside an iframe sandboxed without scripts.
+export default class extends Controller {
+  static targets = ["recordToggle", "list", "emptyState", "stage", "scrubber", "time", "playButton"]
+  static values = {
+    frameSelector: { type: String, default: "#preview_frame iframe" },
+    windowMs: { type: Number, default: 30000 }
+  }
+
+  connect() {
+    this.recordings = []
+    this.playing = false
+
+    const iframe = document.querySelector(this.frameSelectorValue)
+    if (!iframe) return
+
+    this.bridge = OverSkillBridge.for(iframe)
+    this.unsubscribe = [
+      // The app forgets the setting on reload, so re-apply it on each page
+      this.bridge.onReady(() => this.applyRecordingSetting()),
+      this.bridge.on("error", (error) => {
+        if (error?.replay) this.addRecording(error)
+      })
+    ]
+  }
+
+  disconnect() {
+    this.pause()
+    this.unsubscribe?.forEach(unsubscribe => unsubscribe())
+    this.bridge?.release()
+  }
+
+  toggleRecording() {
+    this.applyRecordingSetting()
+  }
+
+  applyRecordingSetting() {
+    if (!this.bridge?.connected || !this.hasRecordToggleTarget) return
+
+    const request = this.recordToggleTarget.checked
+      ? this.bridge.request("enable_replay", { windowMs: this.windowMsValue })
+      : this.bridge.request("disable_replay")
+    request.catch(error => console.warn("Failed to update session recording:", error))
+  }
+
+  addRecording(error) {
+    this.recordings.push(error)
+    if (!this.hasListTarget) return
+
+    if (this.hasEmptyStateTarget) this.emptyStateTarget.classList.add("hidden")
+
+    const item = document.createElement("button")
+    item.type = "button"
+    item.className = "w-full text-left px-3 py-2 text-xs border-b border-gray-800 hover:bg-gray-800 flex items-center gap-2"
+    item.dataset.action = "click->session-replay#select"
+    item.dataset.index = this.recordings.length - 1
+
+    const icon = document.createElement("i")
+    icon.className = "fas fa-exclamation-circle text-red-400"
+    const message = document.createElement("span")
+    message.className = "flex-1 truncate"
+    message.textContent = error.message
+    const time = document.createElement("span")
+    time.className = "text-gray-500"
+    time.textContent = new Date(error.timestamp).toLocaleTimeString()
+
+    item.append(icon, message, time)
+    this.listTarget.prepend(item)
+  }
+
+  select(event) {
+    const error = this.recordings[Number(event.currentTarget.dataset.index)]
+    if (error) this.load(error.replay)
+  }
+
+  load(recording) {
+    this.pause()
+    this.recording = recording
+    this.events = [...recording.events].sort((a, b) => a.t - b.t)
+    this.startTime = this.events[0]?.t || recording.startedAt
+    this.duration = Math.max(recording.endedAt - this.startTime, 0)
+
+    if (this.hasScrubberTarget) {
+      this.scrubberTarget.max = this.duration
+      this.scrubberTarget.value = 0
+    }
+
+    this.createPlayerFrame()
+    this.seek(0)
+  }
+
+  createPlayerFrame() {
+    this.stageTarget.replaceChildren()
+
+    // No allow-scripts: recorded markup can never execute. allow-same-origin
+    // only lets this controller reach into the frame's document to rebuild it.
+    this.frame = document.createElement("iframe")
+    this.frame.setAttribute("sandbox", "allow-same-origin")
+    this.frame.className = "border-0 bg-white origin-top-left"
+    this.stageTarget.appendChild(this.frame)
+
+    this.cursor = document.createElement("div")
+    this.cursor.className = "absolute w-3 h-3 -ml-1.5 -mt-1.5 rounded-full bg-red-500/80 pointer-events-none hidden"
+    this.stageTarget.appendChild(this.cursor)
+  }
+
+  togglePlay() {
+    this.playing ? this.pause() : this.play()
+  }
+
+  play() {
+    if (!this.recording) return
+    if (this.currentTime >= this.duration) this.seek(0)
+
+    this.playing = true
+    this.updatePlayButton()
+
+    let last = performance.now()
+    const tick = (now) => {
+      if (!this.playing) return
+      this.advanceTo(Math.min(this.currentTime + (now - last), this.duration))
+      last = now
+
+      if (this.currentTime >= this.duration) {
+        this.pause()
+      } else {
+        this.animationFrame = requestAnimationFrame(tick)
+      }
+    }
+    this.animationFrame = requestAnimationFrame(tick)
+  }
+
+  pause() {
+    this.playing = false
+    cancelAnimationFrame(this.animationFrame)
+    this.updatePlayButton()
+  }
+
+  scrub(event) {
+    this.pause()
+    this.seek(Number(event.target.value))
+  }
+
+  // Rebuild from the last snapshot at or before the time, then apply events up to it
+  seek(time) {
+    const target = this.startTime + time
+    let snapshotIndex = 0
+    this.events.forEach((event, index) => {
+      if (event.type === "snapshot" && event.t <= target) snapshotIndex = index
+    })
+
+    this.eventIndex = snapshotIndex
+    this.currentTime = this.events[snapshotIndex] ? this.events[snapshotIndex].t - this.startTime : 0
+    this.advanceTo(time)
+  }
+
+  advanceTo(time) {
+    const target = this.startTime + time
+    while (this.eventIndex < this.events.length && this.events[this.eventIndex].t <= target) {
+      this.applyEvent(this.events[this.eventIndex])
+      this.eventIndex++
+    }
+
+    this.currentTime = time
+    if (this.hasScrubberTarget) this.scrubberTarget.value = time
+    if (this.hasTimeTarget) {
+      this.timeTarget.textContent = `${(time / 1000).toFixed(1)}s / ${(this.duration / 1000).toFixed(1)}s`
+    }
+  }
+
+  applyEvent(event) {
+    try {
+      switch (event.type) {
+        case "snapshot": return this.applySnapshot(event)
+        case "mutation": return this.applyMutation(event)
+        case "input": return this.applyInput(event)
+        case "scroll": return this.applyScroll(event)
+        case "mouse": return this.moveCursor(event.x, event.y)
+        case "click": return this.showClick(event.x, event.y)
+        case "viewport": return this.resizeViewport(event.width, event.height)
+      }
+    } catch (error) {
+      console.warn("Skipping replay event:", event.type, error)
+    }
+  }
+
+  applySnapshot(event) {
+    const doc = this.frame.contentDocument
+    this.nodes = new Map()
+
+    doc.open()
+    doc.write("<!DOCTYPE html><html></html>")
+    doc.close()
+
+    const root = this.buildNode(event.node, doc)
+    doc.replaceChild(root, doc.documentElement)
+
+    // Resolve the app's relative stylesheet and image URLs
+    const head = doc.head || root.insertBefore(doc.createElement("head"), root.firstChild)
+    const base = doc.createElement("base")
+    base.href = this.recording.url
+    head.prepend(base)
+
+    this.resizeViewport(event.viewport.width, event.viewport.height)
+    this.frame.contentWindow.scrollTo(event.scroll.x, event.scroll.y)
+  }
+
+  buildNode(data, doc) {
+    let node
+    if (data.type === "text") {
+      node = doc.createTextNode(data.text)
+    } else if (data.type === "comment") {
+      node = doc.createComment("")
+    } else {
+      node = data.ns ? doc.createElementNS(data.ns, data.tag) : doc.createElement(data.tag)
+      Object.entries(data.attrs || {}).forEach(([name, value]) => this.setAttribute(node, name, value))
+      if (data.tag !== "script") {
+        (data.children || []).forEach(child => node.appendChild(this.buildNode(child, doc)))
+      }
+      if (data.value !== undefined) node.value = data.value
+      if (data.checked !== undefined) node.checked = data.checked
+    }
+
+    this.nodes.set(data.id, node)
+    return node
+  }
+
+  setAttribute(node, name, value) {
+    // Scripts cannot run in the sandbox, but avoid fetching them at all
+    if (/^on/i.test(name) || (node.tagName?.toLowerCase() === "script" && name === "src")) return
+
+    try {
+      if (value === null) node.removeAttribute(name)
+      else node.setAttribute(name, value)
+    } catch (error) {
+      // Attribute names that are valid in the DOM but not via setAttribute
+    }
+  }
+
+  applyMutation(event) {
+    const doc = this.frame.contentDocument
+
+    event.removes.forEach(({ id }) => this.nodes.get(id)?.remove())
+    event.adds.forEach(({ parentId, nextId, node }) => {
+      const parent = this.nodes.get(parentId)
+      if (!parent) return
+      const next = nextId ? this.nodes.get(nextId) : null
+      parent.insertBefore(this.buildNode(node, doc), next?.parentNode === parent ? next : null)
+    })
+    event.attrs.forEach(({ id, name, value }) => {
+      const node = this.nodes.get(id)
+      if (node) this.setAttribute(node, name, value)
+    })
+    event.texts.forEach(({ id, text }) => {
+      const node = this.nodes.get(id)
+      if (node) node.textContent = text
+    })
+  }
+
+  applyInput(event) {
+    const node = this.nodes.get(event.id)
+    if (!node) return
+    node.value = event.value
+    if (event.checked !== undefined) node.checked = event.checked
+  }
+
+  applyScroll(event) {
+    if (event.id === null) {
+      this.frame.contentWindow.scrollTo(event.x, event.y)
+      return
+    }
+    const node = this.nodes.get(event.id)
+    if (node) {
+      node.scrollLeft = event.x
+      node.scrollTop = event.y
+    }
+  }
+
+  resizeViewport(width, height) {
+    // Render at the recorded size and scale down to fit the stage
+    const scale = Math.min(1, this.stageTarget.clientWidth / width)
+    this.scale = scale
+    this.frame.style.width = `${width}px`
+    this.frame.style.height = `${height}px`
+    this.frame.style.transform = `scale(${scale})`
+    this.stageTarget.style.height = `${height * scale}px`
+  }
+
+  moveCursor(x, y) {
+    this.cursor.classList.remove("hidden")
+    this.cursor.style.left = `${x * (this.scale || 1)}px`
+    this.cursor.style.top = `${y * (this.scale || 1)}px`
+  }
+
+  showClick(x, y) {
+    this.moveCursor(x, y)
+    this.cursor.classList.add("ring-4", "ring-red-400")
+    setTimeout(() => this.cursor?.classList.remove("ring-4", "ring-red-400"), 300)
+  }
+
+  updatePlayButton() {
+    if (!this.hasPlayButtonTarget) return
+    this.playButtonTarget.innerHTML = this.playing
+      ? '<i class="fas fa-pause"></i>'
+      : '<i class="fas fa-play"></i>'
+  }
+}
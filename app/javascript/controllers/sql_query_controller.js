@@ -0,0 +1,107 @@
+import { Controller } from "@hotwired/stimulus"
+
+// SQL query panel in the app dashboard. Queries run through execute-sql
+// under the app's SQL policy (see Account::AppDashboardsController#run_query);
+// each statement's rows or row count is shown below the editor.
+export default class extends Controller {
+  static targets = ["sql", "params", "maxRows", "readOnly", "runButton", "results"]
+  static values = { url: String }
+
+  // Cmd/Ctrl+Enter runs the query
+  runOnShortcut(event) {
+    if (event.key === 'Enter' && (event.metaKey || event.ctrlKey)) {
+      event.preventDefault()
+      this.run()
+    }
+  }
+
+  async run() {
+    const sql = this.sqlTarget.value.trim()
+    if (!sql) return
+
+    let params = []
+    if (this.paramsTarget.value.trim()) {
+      try {
+        params = JSON.parse(this.paramsTarget.value)
+      } catch (error) {
+        return this.renderError('Parameters must be a JSON array, like ["a", 1]')
+      }
+      if (!Array.isArray(params)) return this.renderError('Parameters must be a JSON array, like ["a", 1]')
+    }
+
+    this.runButtonTarget.disabled = true
+    try {
+      const response = await fetch(this.urlValue, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'X-CSRF-Token': document.querySelector('[name="csrf-token"]')?.content
+        },
+        body: JSON.stringify({
+          sql,
+          params,
+          read_only: this.readOnlyTarget.checked,
+          max_rows: Number(this.maxRowsTarget.value)
+        })
+      })
+      const data = await response.json()
+
+      data.error ? this.renderError(data.error) : this.renderResults(data.results)
+    } catch (error) {
+      this.renderError(`Failed to run the query: ${error.message}`)
+    } finally {
+      this.runButtonTarget.disabled = false
+    }
+  }
+
+  renderError(message) {
+    this.resultsTarget.innerHTML = `
+      <div class="p-3 text-sm text-red-700 dark:text-red-300 bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 rounded-md whitespace-pre-wrap">${this.escapeHtml(message)}</div>
+    `
+  }
+
+  renderResults(results = []) {
+    this.resultsTarget.innerHTML = results.map(result => result.columns ? this.renderRows(result) : `
+      <p class="text-sm text-gray-600 dark:text-gray-400">
+        Statement ${result.statement + 1} (${this.escapeHtml(result.kind)}): ${result.row_count} ${result.row_count === 1 ? 'row' : 'rows'} changed
+      </p>
+    `).join('')
+  }
+
+  renderRows(result) {
+    const header = result.columns.map(column => `
+      <th class="px-3 py-2 text-left font-medium text-gray-700 dark:text-gray-300" title="${this.escapeHtml(column.type)}">${this.escapeHtml(column.name)}</th>
+    `).join('')
+    const rows = result.rows.map(row => `
+      <tr class="border-t border-gray-200 dark:border-gray-700">
+        ${row.map(value => `<td class="px-3 py-1.5 font-mono text-gray-900 dark:text-gray-100 whitespace-nowrap">${this.formatValue(value)}</td>`).join('')}
+      </tr>
+    `).join('')
+
+    return `
+      <div>
+        <p class="mb-2 text-sm text-gray-600 dark:text-gray-400">
+          ${result.row_count} ${result.row_count === 1 ? 'row' : 'rows'}${result.truncated ? ' (limit reached, more rows match)' : ''}
+        </p>
+        <div class="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-md">
+          <table class="min-w-full text-sm">
+            <thead class="bg-gray-50 dark:bg-gray-800"><tr>${header}</tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      </div>
+    `
+  }
+
+  formatValue(value) {
+    if (value === null) return '<span class="text-gray-400 italic">NULL</span>'
+    return this.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value))
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text ?? ''
+    return div.innerHTML.replace(/"/g, '&quot;')
+  }
+}
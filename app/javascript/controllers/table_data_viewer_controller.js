@@ -1,7 +1,20 @@
 import { Controller } from "@hotwired/stimulus"
 
+// Rows are fetched in pages and only the visible window (plus overscan) is in the DOM
+const PAGE_SIZE = 100
+const ROW_HEIGHT = 40
+const OVERSCAN = 10
+const FILTER_DEBOUNCE = 300
+
+// Cells longer than this get an expander instead of the full value
+const PREVIEW_LENGTH = 80
+
+const COMPARISON_OPERATORS = { '>=': 'gte', '<=': 'lte', '!=': 'neq', '>': 'gt', '<': 'lt', '=': 'eq' }
+
 export default class extends Controller {
-  static targets = ["modal", "tableContainer", "addRecordModal", "editRecordModal", "addForm", "editForm"]
+  static targets = ["modal", "tableContainer", "addRecordModal", "editRecordModal", "addForm", "editForm",
+                    "viewport", "headerRow", "rows", "footer", "bulkBar", "selectionCount", "bulkColumn",
+                    "bulkValue", "selectAll", "expander", "expanderTitle", "expanderContent"]
   static values = { 
     appId: String, 
     tableId: String,
@@ -9,15 +22,57 @@ export default class extends Controller {
   }
 
   connect() {
-    this.records = []
     this.tableSchema = []
     this.currentEditRecord = null
+    this.sort = { column: null, direction: 'asc' }
+    this.filters = {}
+    this.selected = new Set()
+    this.lastSelectedIndex = null
+    this.resetPages()
     this.loadTableData()
   }
 
+  disconnect() {
+    clearTimeout(this.filterTimer)
+  }
+
+  get dataUrl() {
+    return `/account/apps/${this.appIdValue}/dashboard/tables/${this.tableIdValue}`
+  }
+
+  resetPages() {
+    this.pages = new Map()
+    this.pendingPages = new Set()
+    this.related = {}
+    this.total = 0
+    // Responses for an older sort/filter are ignored
+    this.queryVersion = (this.queryVersion || 0) + 1
+  }
+
   async loadTableData() {
+    this.resetPages()
+    const loaded = await this.fetchPage(0)
+    if (!loaded) return
+
+    if (!this.hasViewportTarget) {
+      this.renderTable()
+    } else {
+      this.renderRows()
+    }
+  }
+
+  // Fetch one page with the current sort and filters; resolves false on failure
+  async fetchPage(pageIndex) {
+    if (this.pendingPages.has(pageIndex)) return true
+    this.pendingPages.add(pageIndex)
+    const version = this.queryVersion
+
+    const params = this.viewParams()
+    params.set('offset', pageIndex * PAGE_SIZE)
+    params.set('limit', PAGE_SIZE)
+
     try {
-      const response = await fetch(`/account/apps/${this.appIdValue}/dashboard/tables/${this.tableIdValue}/data`, {
+      const response = await fetch(`${this.dataUrl}/data?${params}`, {
         headers: {
           'Accept': 'application/json',
           'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
@@ -25,71 +80,222 @@ export default class extends Controller {
       })
       
       const data = await response.json()
+      if (version !== this.queryVersion) return false
       
       if (data.success) {
-        this.records = data.data || []
+        this.pages.set(pageIndex, data.data || [])
+        this.total = data.total ?? (data.data || []).length
         this.tableSchema = data.columns || []
-        this.renderTable()
+        // Labels for the referenced rows on this page, keyed by column then id
+        Object.entries(data.related || {}).forEach(([name, related]) => {
+          const known = this.related[name]?.labels || {}
+          this.related[name] = { ...related, labels: { ...known, ...related.labels } }
+        })
+        return true
       } else {
         this.showNotification(data.error || 'Failed to load table data', 'error')
+        return false
       }
     } catch (error) {
       console.error('Failed to load table data:', error)
       this.showNotification('Failed to load table data. Please try again.', 'error')
+      return false
+    } finally {
+      if (version === this.queryVersion) this.pendingPages.delete(pageIndex)
     }
   }
 
+  // Current sort and filters as query parameters
+  viewParams() {
+    const params = new URLSearchParams()
+    if (this.sort.column) {
+      params.set('sort', this.sort.column)
+      params.set('direction', this.sort.direction)
+    }
+    const filters = this.buildFilters()
+    if (filters.length > 0) params.set('filters', JSON.stringify(filters))
+    return params
+  }
+
+  getRecord(index) {
+    return this.pages.get(Math.floor(index / PAGE_SIZE))?.[index % PAGE_SIZE]
+  }
+
+  getColumn(name) {
+    return this.tableSchema.find(column => column.name === name)
+  }
+
   renderTable() {
     if (this.tableSchema.length === 0) {
       this.renderEmptySchema()
       return
     }
 
-    if (this.records.length === 0) {
+    if (this.total === 0 && Object.keys(this.filters).length === 0) {
       this.renderEmptyTable()
       return
     }
 
     const tableHTML = `
-      <div class="overflow-x-auto">
-        <table class="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
-          <thead class="bg-gray-50 dark:bg-gray-800">
+      <div class="hidden items-center gap-3 mb-3 px-3 py-2 rounded-md bg-blue-50 dark:bg-blue-900/20 text-sm" data-table-data-viewer-target="bulkBar">
+        <span class="font-medium text-blue-800 dark:text-blue-200" data-table-data-viewer-target="selectionCount"></span>
+        <select class="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                data-table-data-viewer-target="bulkColumn"
+                data-action="change->table-data-viewer#renderBulkValue">
+          ${this.tableSchema.map(column => `<option value="${this.escapeHtml(column.name)}">${this.escapeHtml(column.name)}</option>`).join('')}
+        </select>
+        <div data-table-data-viewer-target="bulkValue"></div>
+        <button class="px-3 py-1 text-xs font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700"
+                data-action="click->table-data-viewer#bulkUpdate">Set value</button>
+        <button class="px-3 py-1 text-xs font-medium text-red-700 dark:text-red-300 bg-red-100 dark:bg-red-900 rounded-md hover:bg-red-200 dark:hover:bg-red-800"
+                data-action="click->table-data-viewer#bulkDelete"><i class="fas fa-trash mr-1"></i>Delete</button>
+        <button class="ml-auto text-xs text-gray-600 dark:text-gray-400 hover:underline"
+                data-action="click->table-data-viewer#clearSelection">Clear selection</button>
+      </div>
+      <div class="overflow-auto h-[60vh] border border-gray-200 dark:border-gray-700 rounded-md"
+           data-table-data-viewer-target="viewport"
+           data-action="scroll->table-data-viewer#handleScroll">
+        <table class="min-w-full text-sm">
+          <thead class="bg-gray-50 dark:bg-gray-800 sticky top-0 z-10">
+            <tr data-table-data-viewer-target="headerRow"></tr>
             <tr>
+              <th class="px-3 py-1"></th>
               ${this.tableSchema.map(column => `
-                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
-                  <div class="flex items-center space-x-1">
-                    <span>${column.name}</span>
-                    <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${this.getColumnTypeClass(column.type)}">
-                      ${column.type}
-                    </span>
-                    ${column.required ? '<span class="text-red-500">*</span>' : ''}
-                  </div>
-                </th>
+                <th class="px-3 py-1 font-normal">${this.renderFilterInput(column)}</th>
               `).join('')}
-              <th class="px-6 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
-                Actions
-              </th>
+              <th class="px-3 py-1"></th>
             </tr>
           </thead>
-          <tbody class="bg-white dark:bg-gray-900 divide-y divide-gray-200 dark:divide-gray-700">
-            ${this.records.map((record, index) => this.renderTableRow(record, index)).join('')}
-          </tbody>
+          <tbody class="bg-white dark:bg-gray-900 divide-y divide-gray-200 dark:divide-gray-700" data-table-data-viewer-target="rows"></tbody>
         </table>
       </div>
+      <div class="mt-2 text-xs text-gray-500 dark:text-gray-400" data-table-data-viewer-target="footer"></div>
+      ${this.renderExpanderPanel()}
     `
 
     this.tableContainerTarget.innerHTML = tableHTML
+    this.renderHeader()
+    this.renderBulkValue()
+    this.renderRows()
+  }
+
+  renderHeader() {
+    this.headerRowTarget.innerHTML = `
+      <th class="w-10 px-3 py-2">
+        <input type="checkbox" class="rounded border-gray-300" title="Select loaded rows"
+               data-table-data-viewer-target="selectAll"
+               data-action="change->table-data-viewer#toggleAll">
+      </th>
+      ${this.tableSchema.map(column => {
+        const sorted = this.sort.column === column.name
+        const icon = sorted ? (this.sort.direction === 'asc' ? 'fa-sort-up' : 'fa-sort-down') : 'fa-sort text-gray-300 dark:text-gray-600'
+        return `
+          <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider whitespace-nowrap">
+            <button class="flex items-center space-x-1 uppercase" data-action="click->table-data-viewer#sortBy" data-column="${this.escapeHtml(column.name)}">
+              <span>${this.escapeHtml(column.name)}</span>
+              <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium normal-case ${this.getColumnTypeClass(column.type)}">
+                ${column.type}
+              </span>
+              ${column.required ? '<span class="text-red-500">*</span>' : ''}
+              <i class="fas ${icon}"></i>
+            </button>
+          </th>
+        `
+      }).join('')}
+      <th class="px-3 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+        Actions
+      </th>
+    `
+  }
+
+  renderFilterInput(column) {
+    const name = this.escapeHtml(column.name)
+    const inputClass = 'w-full min-w-[6rem] px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white'
+
+    if (column.type === 'boolean') {
+      return `
+        <select class="${inputClass}" data-column="${name}" data-action="change->table-data-viewer#filterChanged">
+          <option value="">Any</option>
+          <option value="true">True</option>
+          <option value="false">False</option>
+          <option value="null">Empty</option>
+        </select>
+      `
+    }
+
+    const placeholder = ['number', 'date', 'datetime'].includes(column.type) ? '>= value' : 'Filter...'
+    return `<input type="text" class="${inputClass}" placeholder="${placeholder}" data-column="${name}" data-action="input->table-data-viewer#filterChanged">`
+  }
+
+  // Render only the rows inside the scrolled window; missing pages are fetched
+  renderRows() {
+    if (!this.hasRowsTarget) return
+
+    const viewport = this.viewportTarget
+    const visible = Math.ceil((viewport.clientHeight || 600) / ROW_HEIGHT)
+    const start = Math.max(0, Math.floor(viewport.scrollTop / ROW_HEIGHT) - OVERSCAN)
+    const end = Math.min(this.total, start + visible + OVERSCAN * 2)
+    const columnCount = this.tableSchema.length + 2
+
+    const missing = new Set()
+    let html = `<tr style="height: ${start * ROW_HEIGHT}px"><td colspan="${columnCount}"></td></tr>`
+    for (let index = start; index < end; index++) {
+      const record = this.getRecord(index)
+      if (record) {
+        html += this.renderTableRow(record, index)
+      } else {
+        missing.add(Math.floor(index / PAGE_SIZE))
+        html += `
+          <tr style="height: ${ROW_HEIGHT}px">
+            <td colspan="${columnCount}" class="px-3"><div class="h-3 bg-gray-100 dark:bg-gray-800 rounded animate-pulse"></div></td>
+          </tr>
+        `
+      }
+    }
+    html += `<tr style="height: ${(this.total - end) * ROW_HEIGHT}px"><td colspan="${columnCount}"></td></tr>`
+
+    if (this.total === 0) {
+      const message = Object.keys(this.filters).length > 0 ? 'No rows match these filters' : 'This table is empty'
+      html = `<tr><td colspan="${columnCount}" class="px-3 py-8 text-center text-gray-500 dark:text-gray-400">${message}</td></tr>`
+    }
+
+    this.rowsTarget.innerHTML = html
+    this.footerTarget.textContent = this.total === 0
+      ? 'No rows'
+      : `Showing ${(start + 1).toLocaleString()}–${end.toLocaleString()} of ${this.total.toLocaleString()} rows`
+    this.updateSelectionState()
+
+    missing.forEach(pageIndex => {
+      this.fetchPage(pageIndex).then(loaded => { if (loaded) this.renderRows() })
+    })
+  }
+
+  handleScroll() {
+    if (this.scrollFrame) return
+    this.scrollFrame = requestAnimationFrame(() => {
+      this.scrollFrame = null
+      this.renderRows()
+    })
   }
 
   renderTableRow(record, index) {
+    const selected = this.selected.has(record.id)
     return `
-      <tr class="hover:bg-gray-50 dark:hover:bg-gray-800">
+      <tr class="hover:bg-gray-50 dark:hover:bg-gray-800 ${selected ? 'bg-blue-50 dark:bg-blue-900/20' : ''}" style="height: ${ROW_HEIGHT}px">
+        <td class="w-10 px-3">
+          <input type="checkbox" class="rounded border-gray-300" ${selected ? 'checked' : ''}
+                 data-action="click->table-data-viewer#toggleRow"
+                 data-record-index="${index}">
+        </td>
         ${this.tableSchema.map(column => `
-          <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
-            ${this.formatCellValue(record[column.name], column)}
+          <td class="px-3 whitespace-nowrap max-w-xs overflow-hidden text-ellipsis text-gray-900 dark:text-white cursor-text"
+              data-action="dblclick->table-data-viewer#editCell"
+              data-record-index="${index}"
+              data-column="${this.escapeHtml(column.name)}">
+            ${this.formatCellValue(record[column.name], column, index)}
           </td>
         `).join('')}
-        <td class="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+        <td class="px-3 whitespace-nowrap text-right text-sm font-medium">
           <div class="flex items-center justify-end space-x-2">
             <button class="text-blue-600 hover:text-blue-900 dark:text-blue-400 dark:hover:text-blue-300"
                     data-action="click->table-data-viewer#editRecord"
@@ -107,6 +313,65 @@ export default class extends Controller {
     `
   }
 
+  sortBy(event) {
+    const column = event.currentTarget.dataset.column
+
+    // Cycle ascending → descending → unsorted
+    if (this.sort.column !== column) {
+      this.sort = { column, direction: 'asc' }
+    } else if (this.sort.direction === 'asc') {
+      this.sort = { column, direction: 'desc' }
+    } else {
+      this.sort = { column: null, direction: 'asc' }
+    }
+
+    this.renderHeader()
+    this.reloadFromTop()
+  }
+
+  filterChanged(event) {
+    const { column } = event.currentTarget.dataset
+    const value = event.currentTarget.value.trim()
+
+    if (value) {
+      this.filters[column] = value
+    } else {
+      delete this.filters[column]
+    }
+
+    clearTimeout(this.filterTimer)
+    this.filterTimer = setTimeout(() => this.reloadFromTop(), FILTER_DEBOUNCE)
+  }
+
+  reloadFromTop() {
+    this.viewportTarget.scrollTop = 0
+    this.clearSelection()
+    this.loadTableData()
+  }
+
+  // Column filter inputs as {column, operator, value} for the data endpoint.
+  // Numbers and dates accept a comparison prefix (">= 10"); text matches substrings.
+  buildFilters() {
+    return Object.entries(this.filters).map(([name, raw]) => {
+      const column = this.getColumn(name) || { type: 'text' }
+
+      if (raw.toLowerCase() === 'null') {
+        return { column: name, operator: 'is', value: 'null' }
+      }
+
+      if (column.type === 'boolean') {
+        return { column: name, operator: 'is', value: raw }
+      }
+
+      if (['number', 'reference', 'date', 'datetime'].includes(column.type)) {
+        const match = raw.match(/^(>=|<=|!=|>|<|=)?\s*(.+)$/)
+        return { column: name, operator: COMPARISON_OPERATORS[match[1] || '='], value: match[2] }
+      }
+
+      return { column: name, operator: 'ilike', value: `*${raw}*` }
+    })
+  }
+
   renderEmptySchema() {
     this.tableContainerTarget.innerHTML = `
       <div class="text-center py-12">
@@ -139,7 +404,7 @@ export default class extends Controller {
     `
   }
 
-  formatCellValue(value, column) {
+  formatCellValue(value, column, index) {
     if (value === null || value === undefined) {
       return '<span class="text-gray-400 italic">null</span>'
     }
@@ -157,18 +422,497 @@ export default class extends Controller {
         return new Date(value).toLocaleString()
       
       case 'select':
+        return `<span class="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">${this.escapeHtml(value)}</span>`
+        
       case 'multiselect':
-        return `<span class="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">${value}</span>`
+        return this.parseMultiselect(value).map(option =>
+          `<span class="inline-flex items-center px-2 py-1 mr-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">${this.escapeHtml(option)}</span>`
+        ).join('')
+
+      case 'reference': {
+        const label = this.related[column.name]?.labels?.[value]
+        return `
+          <button class="inline-flex items-center gap-1 text-blue-600 dark:text-blue-400 hover:underline max-w-full"
+                  data-action="click->table-data-viewer#showRelated"
+                  data-column="${this.escapeHtml(column.name)}"
+                  data-id="${this.escapeHtml(value)}">
+            <i class="fas fa-link text-xs"></i>
+            <span class="truncate">${this.escapeHtml(label ?? `#${value}`)}</span>
+          </button>
+        `
+      }
         
+      default: {
+        const json = this.parseJson(value)
+        const text = json !== undefined ? JSON.stringify(json) : String(value)
+        if (text.length <= PREVIEW_LENGTH && json === undefined) return this.escapeHtml(text)
+
+        // Long text and JSON open in the expander
+        return `
+          <span class="inline-flex items-center gap-1 max-w-full">
+            <button class="flex-shrink-0 text-gray-400 hover:text-blue-600 dark:hover:text-blue-400" title="Expand"
+                    data-action="click->table-data-viewer#expandCell"
+                    data-record-index="${index}"
+                    data-column="${this.escapeHtml(column.name)}">
+              <i class="fas ${json !== undefined ? 'fa-code' : 'fa-expand-alt'} text-xs"></i>
+            </button>
+            <span class="truncate ${json !== undefined ? 'font-mono text-xs' : ''}">${this.escapeHtml(text.substring(0, PREVIEW_LENGTH))}${text.length > PREVIEW_LENGTH ? '…' : ''}</span>
+          </span>
+        `
+      }
+    }
+  }
+
+  // Objects, arrays and strings holding a JSON object or array; undefined otherwise
+  parseJson(value) {
+    if (typeof value === 'object') return value
+    if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) return undefined
+    try {
+      return JSON.parse(value)
+    } catch (error) {
+      return undefined
+    }
+  }
+
+  parseMultiselect(value) {
+    if (Array.isArray(value)) return value
+    return String(value).split(',').map(option => option.trim()).filter(Boolean)
+  }
+
+  renderExpanderPanel() {
+    return `
+      <div class="fixed inset-0 bg-black bg-opacity-50 hidden z-20" data-table-data-viewer-target="expander"
+           data-action="click->table-data-viewer#closeExpander">
+        <div class="flex items-center justify-center min-h-screen p-4">
+          <div class="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-3xl max-h-[80vh] flex flex-col" data-expander-dialog>
+            <div class="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+              <h4 class="font-mono text-sm font-semibold text-gray-900 dark:text-white" data-table-data-viewer-target="expanderTitle"></h4>
+              <div class="flex items-center space-x-3">
+                <button class="text-sm text-gray-600 dark:text-gray-300 hover:text-blue-600" data-action="click->table-data-viewer#copyExpanded">
+                  <i class="fas fa-copy mr-1"></i>Copy
+                </button>
+                <button class="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300" data-action="click->table-data-viewer#closeExpander">
+                  <i class="fas fa-times"></i>
+                </button>
+              </div>
+            </div>
+            <pre class="flex-1 overflow-auto p-4 text-xs font-mono whitespace-pre-wrap break-words text-gray-900 dark:text-gray-100" data-table-data-viewer-target="expanderContent"></pre>
+          </div>
+        </div>
+      </div>
+    `
+  }
+
+  expandCell(event) {
+    event.stopPropagation()
+    const { recordIndex, column } = event.currentTarget.dataset
+    const value = this.getRecord(Number(recordIndex))?.[column]
+    const json = this.parseJson(value)
+
+    this.expanderTitleTarget.textContent = column
+    this.expanderContentTarget.textContent = json !== undefined ? JSON.stringify(json, null, 2) : String(value)
+    this.expanderTarget.classList.remove('hidden')
+  }
+
+  // Show the referenced row in the expander
+  async showRelated(event) {
+    event.stopPropagation()
+    const { column, id } = event.currentTarget.dataset
+    const target = this.referencedTable(this.getColumn(column))
+    if (!target) return
+
+    this.expanderTitleTarget.textContent = `${target.table} #${id}`
+    this.expanderContentTarget.textContent = 'Loading...'
+    this.expanderTarget.classList.remove('hidden')
+
+    const params = new URLSearchParams({
+      limit: 1,
+      filters: JSON.stringify([{ column: 'id', operator: 'eq', value: id }])
+    })
+    const data = await this.fetchReferenced(target.table_id, params)
+    const row = data?.data?.[0]
+    this.expanderContentTarget.textContent = row
+      ? JSON.stringify(row, null, 2)
+      : `No ${target.table} row with id ${id}`
+  }
+
+  // {table_id, table, label_column} for a reference column; label_column is
+  // only known once a page holding the column has loaded
+  referencedTable(column) {
+    if (!column) return null
+    const options = typeof column.options === 'string' ? this.parseJson(column.options) : column.options
+    const related = this.related[column.name] || {}
+    const tableId = related.table_id ?? options?.table_id
+    if (!tableId) return null
+
+    return { table_id: tableId, table: related.table ?? options.table, label_column: related.label_column }
+  }
+
+  async fetchReferenced(tableId, params) {
+    try {
+      const response = await fetch(`/account/apps/${this.appIdValue}/dashboard/tables/${tableId}/data?${params}`, {
+        headers: {
+          'Accept': 'application/json',
+          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
+        }
+      })
+      const data = await response.json()
+      if (data.success) return data
+
+      this.showNotification(data.error || 'Failed to load related rows', 'error')
+    } catch (error) {
+      console.error('Failed to load related rows:', error)
+      this.showNotification('Failed to load related rows. Please try again.', 'error')
+    }
+    return null
+  }
+
+  // Fill a select with up to 100 rows of the referenced table, keeping the current value
+  async loadReferenceOptions(column, select, value) {
+    const target = this.referencedTable(column)
+    const current = value === null || value === undefined || value === '' ? '' : String(value)
+    const addOption = (optionValue, text) => {
+      const optionEl = document.createElement('option')
+      optionEl.value = optionValue
+      optionEl.textContent = text
+      select.appendChild(optionEl)
+    }
+
+    select.innerHTML = ''
+    addOption('', 'None')
+    if (current) addOption(current, this.related[column.name]?.labels?.[current] ?? `#${current}`)
+    select.value = current
+    if (!target) return
+
+    const labelColumn = target.label_column || 'id'
+    const data = await this.fetchReferenced(target.table_id, new URLSearchParams({ limit: 100, sort: labelColumn }))
+    if (!data || !select.isConnected) return
+
+    select.innerHTML = ''
+    addOption('', 'None')
+    const rows = data.data || []
+    if (current && !rows.some(row => String(row.id) === current)) {
+      addOption(current, this.related[column.name]?.labels?.[current] ?? `#${current}`)
+    }
+    rows.forEach(row => {
+      const label = row[labelColumn]
+      addOption(row.id, labelColumn === 'id' || label === null || label === undefined ? `#${row.id}` : `${label} (#${row.id})`)
+    })
+    select.value = current
+  }
+
+  closeExpander(event) {
+    // Clicks inside the dialog only close it through the close button
+    if (event && !event.currentTarget.matches('button') && event.target.closest('[data-expander-dialog]')) return
+    this.expanderTarget.classList.add('hidden')
+  }
+
+  async copyExpanded() {
+    try {
+      await navigator.clipboard.writeText(this.expanderContentTarget.textContent)
+      this.showNotification('Copied to clipboard', 'success')
+    } catch (error) {
+      console.error('Failed to copy:', error)
+    }
+  }
+
+  // Inline editing: double-click a cell, Enter (Ctrl+Enter in text areas) saves, Escape cancels
+  editCell(event) {
+    if (event.target.closest('button, input, select, textarea')) return
+
+    const cell = event.currentTarget
+    const index = Number(cell.dataset.recordIndex)
+    const column = this.getColumn(cell.dataset.column)
+    const record = this.getRecord(index)
+    if (!column || !record) return
+
+    // Booleans just toggle
+    if (column.type === 'boolean') {
+      this.saveCell(index, column, !record[column.name])
+      return
+    }
+
+    const editor = this.buildEditor(column, record[column.name])
+    editor.classList.add('w-full')
+    cell.classList.remove('max-w-xs', 'overflow-hidden')
+    cell.innerHTML = ''
+    cell.appendChild(editor)
+    editor.focus()
+
+    let finished = false
+    const finish = (save) => {
+      if (finished) return
+      finished = true
+      if (!save) {
+        this.renderRows()
+        return
+      }
+      try {
+        this.saveCell(index, column, this.readEditor(editor, column))
+      } catch (error) {
+        this.showNotification(error.message, 'error')
+        this.renderRows()
+      }
+    }
+
+    editor.addEventListener('keydown', (keyEvent) => {
+      if (keyEvent.key === 'Escape') finish(false)
+      if (keyEvent.key === 'Enter' && (editor.tagName !== 'TEXTAREA' || keyEvent.ctrlKey || keyEvent.metaKey)) {
+        keyEvent.preventDefault()
+        finish(true)
+      }
+    })
+    editor.addEventListener('blur', () => finish(true))
+  }
+
+  // Per-type editor element holding the value
+  buildEditor(column, value) {
+    const inputClass = 'px-2 py-1 text-sm border border-primary-500 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white'
+    let editor
+
+    switch (column.type) {
+      case 'number':
+        editor = document.createElement('input')
+        editor.type = 'number'
+        editor.step = 'any'
+        editor.value = value ?? ''
+        break
+
+      case 'boolean':
+        editor = document.createElement('select')
+        editor.innerHTML = '<option value="true">True</option><option value="false">False</option>'
+        editor.value = String(Boolean(value))
+        break
+
+      case 'date':
+        editor = document.createElement('input')
+        editor.type = 'date'
+        if (value) editor.value = new Date(value).toISOString().split('T')[0]
+        break
+
+      case 'datetime':
+        editor = document.createElement('input')
+        editor.type = 'datetime-local'
+        if (value) editor.value = new Date(value).toISOString().slice(0, 16)
+        break
+
+      case 'reference':
+        editor = document.createElement('select')
+        this.loadReferenceOptions(column, editor, value)
+        break
+
+      case 'select':
+      case 'multiselect': {
+        editor = document.createElement('select')
+        editor.multiple = column.type === 'multiselect'
+        if (editor.multiple) editor.size = 4
+        const selected = column.type === 'multiselect' ? this.parseMultiselect(value ?? '') : [value]
+        this.columnOptions(column).forEach(option => {
+          const optionEl = document.createElement('option')
+          optionEl.value = option
+          optionEl.textContent = option
+          optionEl.selected = selected.includes(option)
+          editor.appendChild(optionEl)
+        })
+        break
+      }
+
+      default: {
+        const json = this.parseJson(value)
+        const text = json !== undefined ? JSON.stringify(json, null, 2) : (value ?? '')
+        if (json !== undefined || String(text).length > PREVIEW_LENGTH) {
+          editor = document.createElement('textarea')
+          editor.rows = 6
+          editor.className = 'font-mono text-xs'
+          editor.dataset.json = json !== undefined
+        } else {
+          editor = document.createElement('input')
+          editor.type = 'text'
+        }
+        editor.value = text
+      }
+    }
+
+    editor.classList.add(...inputClass.split(' '))
+    return editor
+  }
+
+  readEditor(editor, column) {
+    switch (column.type) {
+      case 'number':
+        return editor.value === '' ? null : parseFloat(editor.value)
+      case 'reference':
+        return editor.value === '' ? null : Number(editor.value)
+      case 'boolean':
+        return editor.value === 'true'
+      case 'multiselect':
+        return [...editor.selectedOptions].map(option => option.value).join(',') || null
       default:
-        // Truncate long text
-        const stringValue = String(value)
-        return stringValue.length > 50 ? 
-          `<span title="${stringValue}">${stringValue.substring(0, 50)}...</span>` : 
-          stringValue
+        if (editor.dataset.json === 'true') {
+          try {
+            JSON.parse(editor.value)
+          } catch (error) {
+            throw new Error(`${column.name} is not valid JSON`)
+          }
+        }
+        return editor.value === '' ? null : editor.value
+    }
+  }
+
+  columnOptions(column) {
+    try {
+      const parsed = typeof column.options === 'string' ? JSON.parse(column.options) : column.options
+      return (parsed && (parsed.choices || (Array.isArray(parsed) ? parsed : null))) || []
+    } catch (e) {
+      return []
     }
   }
 
+  async saveCell(index, column, value) {
+    const record = this.getRecord(index)
+    const previous = record[column.name]
+    if (previous === value) {
+      this.renderRows()
+      return
+    }
+
+    // Optimistic update, rolled back on failure
+    record[column.name] = value
+    this.renderRows()
+
+    try {
+      const response = await fetch(`${this.dataUrl}/records/${record.id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
+        },
+        body: JSON.stringify({ record: { [column.name]: value } })
+      })
+      const result = await response.json()
+
+      if (!result.success) throw new Error(result.error || 'Failed to update record')
+    } catch (error) {
+      console.error('Failed to update cell:', error)
+      record[column.name] = previous
+      this.renderRows()
+      this.showNotification(error.message || 'Failed to update record. Please try again.', 'error')
+    }
+  }
+
+  // Selection: click toggles, shift-click selects the range from the last clicked row
+  toggleRow(event) {
+    const index = Number(event.currentTarget.dataset.recordIndex)
+    const checked = event.currentTarget.checked
+
+    const from = event.shiftKey && this.lastSelectedIndex !== null ? Math.min(this.lastSelectedIndex, index) : index
+    const to = event.shiftKey && this.lastSelectedIndex !== null ? Math.max(this.lastSelectedIndex, index) : index
+    for (let i = from; i <= to; i++) {
+      const record = this.getRecord(i)
+      if (!record) continue
+      checked ? this.selected.add(record.id) : this.selected.delete(record.id)
+    }
+
+    this.lastSelectedIndex = index
+    this.renderRows()
+  }
+
+  toggleAll(event) {
+    const checked = event.currentTarget.checked
+    this.pages.forEach(records => records.forEach(record => {
+      checked ? this.selected.add(record.id) : this.selected.delete(record.id)
+    }))
+    this.renderRows()
+  }
+
+  clearSelection() {
+    this.selected.clear()
+    this.lastSelectedIndex = null
+    this.updateSelectionState()
+    if (this.hasRowsTarget) this.renderRows()
+  }
+
+  updateSelectionState() {
+    if (!this.hasBulkBarTarget) return
+
+    const count = this.selected.size
+    this.bulkBarTarget.classList.toggle('hidden', count === 0)
+    this.bulkBarTarget.classList.toggle('flex', count > 0)
+    this.selectionCountTarget.textContent = `${count.toLocaleString()} selected`
+
+    if (this.hasSelectAllTarget) {
+      const loaded = [...this.pages.values()].flat()
+      const selectedLoaded = loaded.filter(record => this.selected.has(record.id)).length
+      this.selectAllTarget.checked = loaded.length > 0 && selectedLoaded === loaded.length
+      this.selectAllTarget.indeterminate = selectedLoaded > 0 && selectedLoaded < loaded.length
+    }
+  }
+
+  renderBulkValue() {
+    const column = this.getColumn(this.bulkColumnTarget.value)
+    if (!column) return
+
+    const editor = this.buildEditor(column, null)
+    if (editor.tagName === 'TEXTAREA') editor.rows = 1
+    this.bulkValueTarget.replaceChildren(editor)
+  }
+
+  async bulkUpdate() {
+    const column = this.getColumn(this.bulkColumnTarget.value)
+    const editor = this.bulkValueTarget.firstElementChild
+    if (!column || !editor || this.selected.size === 0) return
+
+    let value
+    try {
+      value = this.readEditor(editor, column)
+    } catch (error) {
+      this.showNotification(error.message, 'error')
+      return
+    }
+
+    if (!confirm(`Set ${column.name} on ${this.selected.size} records?`)) return
+
+    await this.performBulkAction('bulk_update', { ids: [...this.selected], record: { [column.name]: value } })
+  }
+
+  async bulkDelete() {
+    if (this.selected.size === 0) return
+    if (!confirm(`Delete ${this.selected.size} records? This action cannot be undone.`)) return
+
+    await this.performBulkAction('bulk_delete', { ids: [...this.selected] })
+  }
+
+  async performBulkAction(action, body) {
+    try {
+      const response = await fetch(`${this.dataUrl}/records/${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
+        },
+        body: JSON.stringify(body)
+      })
+      const result = await response.json()
+
+      if (result.success) {
+        this.clearSelection()
+        this.loadTableData()
+        this.showNotification(result.message, 'success')
+      } else {
+        this.showNotification(result.error || 'Bulk action failed', 'error')
+      }
+    } catch (error) {
+      console.error('Bulk action failed:', error)
+      this.showNotification('Bulk action failed. Please try again.', 'error')
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML
+  }
+
   getColumnTypeClass(type) {
     const classes = {
       'text': 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
@@ -177,7 +921,8 @@ export default class extends Controller {
       'date': 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200',
       'datetime': 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
       'select': 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
-      'multiselect': 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-200'
+      'multiselect': 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-200',
+      'reference': 'bg-teal-100 text-teal-800 dark:bg-teal-900 dark:text-teal-200'
     }
     return classes[type] || 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200'
   }
@@ -190,7 +935,7 @@ export default class extends Controller {
 
   editRecord(event) {
     const index = parseInt(event.currentTarget.dataset.recordIndex)
-    const record = this.records[index]
+    const record = this.getRecord(index)
     
     if (!record) return
     
@@ -272,6 +1017,11 @@ export default class extends Controller {
           }
           break
           
+        case 'reference':
+          input = document.createElement('select')
+          this.loadReferenceOptions(column, input, value)
+          break
+          
         case 'select':
           input = document.createElement('select')
           input.innerHTML = '<option value="">Select an option</option>'
@@ -361,6 +1111,8 @@ export default class extends Controller {
         recordData[column.name] = value === 'on'
       } else if (column.type === 'number') {
         recordData[column.name] = value ? parseFloat(value) : null
+      } else if (column.type === 'reference') {
+        recordData[column.name] = value ? Number(value) : null
       } else {
         recordData[column.name] = value || null
       }
@@ -406,7 +1158,7 @@ export default class extends Controller {
 
   async deleteRecord(event) {
     const index = parseInt(event.currentTarget.dataset.recordIndex)
-    const record = this.records[index]
+    const record = this.getRecord(index)
     
     if (!record) return
     
@@ -447,6 +1199,16 @@ export default class extends Controller {
     this.loadTableData()
   }
 
+  // The server streams the file as an attachment, so this doesn't leave the page
+  exportData(event) {
+    const { format, scope } = event.currentTarget.dataset
+    const params = scope === 'view' ? this.viewParams() : new URLSearchParams()
+    const query = params.toString()
+
+    event.currentTarget.closest('details')?.removeAttribute('open')
+    window.location.href = `${this.dataUrl}/export.${format}${query ? `?${query}` : ''}`
+  }
+
   showNotification(message, type = 'info') {
     // Create a simple notification
     const notification = document.createElement('div')
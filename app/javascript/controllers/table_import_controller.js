@@ -0,0 +1,303 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Import wizard for one app table: upload a CSV or JSON file, map its columns
+// to the table schema, check it, then insert or upsert the rows. The server
+// keeps nothing between steps, so the file is sent again for each request.
+export default class extends Controller {
+  static targets = ["dialog", "uploadStep", "mapStep", "resultStep", "fileInput", "dropZone", "fileName",
+                    "preview", "mapping", "keyField", "keySelect", "summary", "errors", "error",
+                    "backButton", "validateButton", "importButton"]
+  static values = {
+    appId: String,
+    tableId: String
+  }
+
+  get importUrl() {
+    return `/account/apps/${this.appIdValue}/dashboard/tables/${this.tableIdValue}/import`
+  }
+
+  open() {
+    this.file = null
+    this.preview = null
+    this.fileInputTarget.value = ''
+    this.fileNameTarget.textContent = ''
+    this.showStep('upload')
+    this.dialogTarget.classList.remove('hidden')
+  }
+
+  close() {
+    this.dialogTarget.classList.add('hidden')
+  }
+
+  back() {
+    this.showStep(this.currentStep === 'result' ? 'map' : 'upload')
+  }
+
+  showStep(step) {
+    this.currentStep = step
+    this.uploadStepTarget.classList.toggle('hidden', step !== 'upload')
+    this.mapStepTarget.classList.toggle('hidden', step !== 'map')
+    this.resultStepTarget.classList.toggle('hidden', step !== 'result')
+    this.backButtonTarget.classList.toggle('hidden', step === 'upload')
+    this.validateButtonTarget.classList.toggle('hidden', step !== 'map')
+    this.importButtonTarget.classList.toggle('hidden', step !== 'map')
+    this.hideError()
+  }
+
+  // Step 1: choose a file
+
+  chooseFile() {
+    const file = this.fileInputTarget.files[0]
+    if (file) this.loadPreview(file)
+  }
+
+  dragOver(event) {
+    event.preventDefault()
+    this.dropZoneTarget.classList.add('border-primary-500', 'bg-primary-50', 'dark:bg-primary-900/20')
+  }
+
+  dragLeave() {
+    this.dropZoneTarget.classList.remove('border-primary-500', 'bg-primary-50', 'dark:bg-primary-900/20')
+  }
+
+  drop(event) {
+    event.preventDefault()
+    this.dragLeave()
+    const file = event.dataTransfer.files[0]
+    if (file) this.loadPreview(file)
+  }
+
+  async loadPreview(file) {
+    this.file = file
+    this.fileNameTarget.textContent = `Reading ${file.name}...`
+    this.hideError()
+
+    const result = await this.post(`${this.importUrl}/preview`, this.formData())
+    if (!result) {
+      this.fileNameTarget.textContent = ''
+      return
+    }
+
+    this.preview = result
+    this.fileNameTarget.textContent = file.name
+    this.renderMapping()
+    this.showStep('map')
+  }
+
+  // Step 2: map columns and choose insert or upsert
+
+  renderMapping() {
+    const { headers, rows, mapping, columns, total_rows } = this.preview
+
+    this.mappingTarget.innerHTML = headers.map((header, index) => `
+      <tr>
+        <td class="px-3 py-2 font-medium text-gray-900 dark:text-white whitespace-nowrap">${this.escapeHtml(header)}</td>
+        <td class="px-3 py-2 text-xs text-gray-500 dark:text-gray-400 max-w-xs truncate">
+          ${rows.slice(0, 3).map(row => this.escapeHtml(this.displayValue(row[header]))).join(' · ')}
+        </td>
+        <td class="px-3 py-2">
+          <select class="w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  data-header-index="${index}"
+                  data-action="change->table-import#mappingChanged">
+            <option value="">Don't import</option>
+            ${columns.map(column => `
+              <option value="${this.escapeHtml(column.name)}" ${mapping[header] === column.name ? 'selected' : ''}>
+                ${this.escapeHtml(column.name)} (${column.type}${column.required ? ', required' : ''})
+              </option>
+            `).join('')}
+          </select>
+        </td>
+      </tr>
+    `).join('')
+
+    this.previewTarget.innerHTML = `
+      <table class="min-w-full text-xs">
+        <thead class="bg-gray-50 dark:bg-gray-800">
+          <tr>${headers.map(header => `<th class="px-2 py-1 text-left font-medium text-gray-600 dark:text-gray-300 whitespace-nowrap">${this.escapeHtml(header)}</th>`).join('')}</tr>
+        </thead>
+        <tbody class="divide-y divide-gray-200 dark:divide-gray-700">
+          ${rows.map(row => `
+            <tr>${headers.map(header => `<td class="px-2 py-1 text-gray-700 dark:text-gray-300 whitespace-nowrap max-w-[12rem] truncate">${this.escapeHtml(this.displayValue(row[header]))}</td>`).join('')}</tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p class="mt-1 text-xs text-gray-500 dark:text-gray-400">
+        Showing ${rows.length} of ${total_rows.toLocaleString()} rows
+      </p>
+    `
+
+    this.mappingChanged()
+  }
+
+  mappingChanged() {
+    // Only mapped columns can be the upsert key
+    const mapped = Object.values(this.currentMapping())
+    const previous = this.keySelectTarget.value
+    this.keySelectTarget.innerHTML = mapped.map(column =>
+      `<option value="${this.escapeHtml(column)}">${this.escapeHtml(column)}</option>`
+    ).join('')
+    if (mapped.includes(previous)) this.keySelectTarget.value = previous
+
+    this.modeChanged()
+  }
+
+  modeChanged() {
+    this.keyFieldTarget.classList.toggle('hidden', this.currentMode() !== 'upsert')
+  }
+
+  currentMode() {
+    return this.element.querySelector('input[name="import_mode"]:checked')?.value || 'insert'
+  }
+
+  currentMapping() {
+    const mapping = {}
+    this.mappingTarget.querySelectorAll('select[data-header-index]').forEach(select => {
+      if (select.value) mapping[this.preview.headers[Number(select.dataset.headerIndex)]] = select.value
+    })
+    return mapping
+  }
+
+  // Step 3: check or import, then report per-row errors
+
+  validate() {
+    this.runImport(true)
+  }
+
+  import() {
+    this.runImport(false)
+  }
+
+  async runImport(validateOnly) {
+    const mapping = this.currentMapping()
+    if (Object.keys(mapping).length === 0) {
+      this.showError('Map at least one column to import')
+      return
+    }
+
+    const body = this.formData()
+    body.append('mapping', JSON.stringify(mapping))
+    body.append('mode', this.currentMode())
+    if (this.currentMode() === 'upsert') body.append('key', this.keySelectTarget.value)
+    body.append('validate_only', validateOnly)
+
+    this.setBusy(true)
+    const result = await this.post(this.importUrl, body)
+    this.setBusy(false)
+    if (!result) return
+
+    this.renderResult(result)
+    this.showStep('result')
+    this.importButtonTarget.classList.toggle('hidden', !validateOnly)
+
+    if (!validateOnly && result.inserted + result.updated > 0) {
+      this.dispatch('imported', { detail: result })
+    }
+  }
+
+  renderResult(result) {
+    const describe = (count, action) => {
+      const verb = result.validate_only ? 'would be' : (count === 1 ? 'was' : 'were')
+      return `${count.toLocaleString()} ${this.pluralize(count, 'row')} ${verb} ${action}`
+    }
+    const parts = []
+    if (result.inserted > 0 || result.updated === 0) parts.push(describe(result.inserted, 'inserted'))
+    if (result.updated > 0) parts.push(describe(result.updated, 'updated'))
+    if (result.failed > 0) parts.push(describe(result.failed, 'skipped'))
+
+    this.summaryTarget.innerHTML = `
+      <div class="flex items-center space-x-2 ${result.failed > 0 ? 'text-yellow-700 dark:text-yellow-300' : 'text-green-700 dark:text-green-300'}">
+        <i class="fas ${result.failed > 0 ? 'fa-exclamation-triangle' : 'fa-check-circle'}"></i>
+        <span class="font-medium">${parts.join(', ')}.</span>
+      </div>
+      ${result.validate_only ? '<p class="mt-1 text-xs text-gray-500 dark:text-gray-400">Nothing has been written yet. Import to load the valid rows.</p>' : ''}
+    `
+
+    if (result.errors.length === 0) {
+      this.errorsTarget.innerHTML = ''
+      return
+    }
+
+    this.errorsTarget.innerHTML = `
+      <table class="min-w-full text-xs">
+        <thead class="bg-gray-50 dark:bg-gray-800 sticky top-0">
+          <tr>
+            <th class="px-3 py-1 text-left font-medium text-gray-600 dark:text-gray-300">Row</th>
+            <th class="px-3 py-1 text-left font-medium text-gray-600 dark:text-gray-300">Column</th>
+            <th class="px-3 py-1 text-left font-medium text-gray-600 dark:text-gray-300">Problem</th>
+          </tr>
+        </thead>
+        <tbody class="divide-y divide-gray-200 dark:divide-gray-700">
+          ${result.errors.map(error => `
+            <tr>
+              <td class="px-3 py-1 text-gray-700 dark:text-gray-300">${error.row}</td>
+              <td class="px-3 py-1 font-mono text-gray-700 dark:text-gray-300">${this.escapeHtml(error.column || '')}</td>
+              <td class="px-3 py-1 text-red-600 dark:text-red-400">${this.escapeHtml(error.message)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ${result.errors_truncated ? `<p class="px-3 py-2 text-xs text-gray-500 dark:text-gray-400">Only the first ${result.errors.length} problems are shown.</p>` : ''}
+    `
+  }
+
+  formData() {
+    const body = new FormData()
+    body.append('file', this.file)
+    return body
+  }
+
+  // Resolves to the parsed response, or null after showing the error
+  async post(url, body) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
+        },
+        body
+      })
+      const result = await response.json()
+
+      if (result.success) return result
+      this.showError(result.error || 'Import failed')
+    } catch (error) {
+      console.error('Import request failed:', error)
+      this.showError('Import failed. Please try again.')
+    }
+    return null
+  }
+
+  setBusy(busy) {
+    this.validateButtonTarget.disabled = busy
+    this.importButtonTarget.disabled = busy
+    this.importButtonTarget.innerHTML = busy
+      ? '<i class="fas fa-spinner fa-spin mr-2"></i>Working...'
+      : '<i class="fas fa-file-import mr-2"></i>Import'
+  }
+
+  showError(message) {
+    this.errorTarget.textContent = message
+    this.errorTarget.classList.remove('hidden')
+  }
+
+  hideError() {
+    this.errorTarget.classList.add('hidden')
+  }
+
+  displayValue(value) {
+    if (value === null || value === undefined) return ''
+    return typeof value === 'object' ? JSON.stringify(value) : String(value)
+  }
+
+  pluralize(count, word) {
+    return count === 1 ? word : `${word}s`
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    // innerHTML leaves quotes alone; values also land in attributes
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;')
+  }
+}
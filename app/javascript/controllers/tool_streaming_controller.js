@@ -1,8 +1,12 @@
 import { Controller } from "@hotwired/stimulus"
 import consumer from "../channels/consumer"
 
+// Unsent instructions, kept across Turbo replacing the message partial
+const instructionDrafts = new Map()
+
 // Handles real-time tool streaming updates via ActionCable
 export default class extends Controller {
+  static targets = ["controls", "pauseButton", "resumeButton", "stopButton", "controlStatus", "instructionInput"]
   static values = { 
     messageId: Number,
     appId: Number 
@@ -31,6 +35,8 @@ export default class extends Controller {
         }
       }
     )
+    
+    this.restoreDraft()
   }
   
   disconnect() {
@@ -55,6 +61,9 @@ export default class extends Controller {
       case 'incremental_tool_update':
         this.handleIncrementalToolUpdate(data)
         break
+      case 'generation_control':
+        this.handleGenerationControl(data)
+        break
       default:
         console.log("[ToolStreaming] Unknown action:", data.action)
     }
@@ -141,6 +150,108 @@ export default class extends Controller {
     }
   }
   
+  // Generation controls
+  
+  pause() {
+    this.subscription?.perform('pause_generation')
+  }
+  
+  resume() {
+    this.subscription?.perform('resume_generation')
+  }
+  
+  stop() {
+    if (!confirm('Stop this generation? Files already changed are kept.')) return
+    
+    this.subscription?.perform('stop_generation')
+    this.showControlStatus('Stopping...')
+  }
+  
+  skipTool(event) {
+    event.currentTarget.disabled = true
+    this.subscription?.perform('skip_tool', {
+      execution_id: event.params.executionId,
+      tool_index: event.params.toolIndex
+    })
+  }
+  
+  retryTool(event) {
+    event.currentTarget.disabled = true
+    this.subscription?.perform('retry_tool', {
+      execution_id: event.params.executionId,
+      tool_index: event.params.toolIndex
+    })
+  }
+  
+  sendInstruction(event) {
+    event.preventDefault()
+    if (!this.hasInstructionInputTarget) return
+    
+    const text = this.instructionInputTarget.value.trim()
+    if (!text) return
+    
+    this.subscription?.perform('send_instruction', { text })
+    this.instructionInputTarget.value = ''
+    instructionDrafts.delete(this.messageIdValue)
+  }
+  
+  saveDraft() {
+    if (!this.hasInstructionInputTarget) return
+    
+    const text = this.instructionInputTarget.value
+    if (text) {
+      instructionDrafts.set(this.messageIdValue, text)
+    } else {
+      instructionDrafts.delete(this.messageIdValue)
+    }
+  }
+  
+  restoreDraft() {
+    const draft = instructionDrafts.get(this.messageIdValue)
+    if (!draft || !this.hasInstructionInputTarget) return
+    
+    this.instructionInputTarget.value = draft
+    this.instructionInputTarget.focus()
+  }
+  
+  handleGenerationControl(data) {
+    const state = data.state
+    
+    if (this.hasControlsTarget) this.controlsTarget.dataset.state = state
+    if (this.hasPauseButtonTarget) this.pauseButtonTarget.classList.toggle('hidden', state !== 'running')
+    if (this.hasResumeButtonTarget) this.resumeButtonTarget.classList.toggle('hidden', state !== 'paused')
+    if (this.hasStopButtonTarget) this.stopButtonTarget.disabled = state === 'stopped'
+    
+    switch(data.event) {
+      case 'instruction_queued':
+        this.showControlStatus('Instruction sent - the agent reads it before its next step')
+        break
+      case 'tool_skip_requested':
+        this.showControlStatus('Skipping the tool call')
+        break
+      case 'tool_retry_requested':
+        this.showControlStatus('Retrying the tool call before the next step')
+        break
+      case 'stopped':
+        this.showControlStatus('Stopped')
+        break
+      default:
+        this.showControlStatus(state === 'paused' ? 'Paused before the next step' : state === 'stopped' ? 'Stopping...' : '')
+    }
+    
+    // Let the chat form accept a new message once the generation has ended
+    if (data.event === 'stopped') {
+      if (this.hasControlsTarget) this.controlsTarget.remove()
+      document.dispatchEvent(new CustomEvent('chat:complete'))
+    }
+  }
+  
+  showControlStatus(text) {
+    if (this.hasControlStatusTarget) {
+      this.controlStatusTarget.textContent = text
+    }
+  }
+  
   findToolInFlow(flow, toolName, filePath) {
     for (const item of flow) {
       if (item.type === 'tools' && (item.tools || item.calls)) {
@@ -157,7 +268,7 @@ export default class extends Controller {
   
   updateToolElement(element, status) {
     // Remove all status classes
-    element.classList.remove('tool-running', 'tool-complete', 'tool-error')
+    element.classList.remove('tool-running', 'tool-complete', 'tool-error', 'tool-skipped')
     
     // Add appropriate status class
     switch(status) {
@@ -185,6 +296,13 @@ export default class extends Controller {
           error.innerHTML = '<i class="fas fa-times-circle text-red-500"></i>'
         }
         break
+      case 'skipped':
+        element.classList.add('tool-skipped')
+        const skipped = element.querySelector('.status-icon')
+        if (skipped) {
+          skipped.innerHTML = '<i class="fas fa-forward text-gray-400"></i>'
+        }
+        break
     }
   }
 }
\ No newline at end of file
@@ -1,13 +1,80 @@
 import { Controller } from "@hotwired/stimulus"
 
+// Context runs longer than this are folded, keeping CONTEXT_VISIBLE lines each side
+const CONTEXT_COLLAPSE_THRESHOLD = 8
+const CONTEXT_VISIBLE = 3
+
+// Word-level highlighting is skipped for very long lines or mostly rewritten lines
+const MAX_WORD_DIFF_TOKENS = 300
+const MIN_WORD_DIFF_SIMILARITY = 0.3
+
+const LANGUAGES = {
+  js: 'script', jsx: 'script', ts: 'script', tsx: 'script', mjs: 'script', cjs: 'script',
+  css: 'css', scss: 'css',
+  html: 'markup', htm: 'markup', svg: 'markup', xml: 'markup',
+  json: 'json'
+}
+
+// Single-line token rules per language; inner groups must be non-capturing
+const STRING = /"(?:\\.|[^"\\])*"?|'(?:\\.|[^'\\])*'?|`(?:\\.|[^`\\])*`?/
+const SYNTAX = {
+  script: [
+    ['comment', /\/\/.*|\/\*.*?(?:\*\/|$)/],
+    ['string', STRING],
+    ['keyword', /\b(?:import|from|export|default|const|let|var|function|return|if|else|for|while|do|switch|case|break|continue|new|class|extends|async|await|try|catch|finally|throw|typeof|instanceof|interface|type|enum|implements|readonly|as|of|in|this|null|undefined|true|false)\b/],
+    ['tag', /<\/?[A-Za-z][\w.]*|\/>/],
+    ['number', /\b\d+(?:\.\d+)?\b/]
+  ],
+  css: [
+    ['comment', /\/\*.*?(?:\*\/|$)/],
+    ['string', STRING],
+    ['keyword', /@[\w-]+|!important/],
+    ['property', /[\w-]+(?=\s*:)/],
+    ['number', /-?\b\d+(?:\.\d+)?(?:px|rem|em|%|vh|vw|ms|s)?/]
+  ],
+  markup: [
+    ['comment', /<!--.*?(?:-->|$)/],
+    ['tag', /<\/?[\w-]+|\/?>/],
+    ['property', /[\w:-]+(?==)/],
+    ['string', STRING]
+  ],
+  json: [
+    ['property', /"(?:\\.|[^"\\])*"(?=\s*:)/],
+    ['string', STRING],
+    ['keyword', /\b(?:true|false|null)\b/],
+    ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/]
+  ]
+}
+
+const TOKEN_CLASSES = {
+  comment: 'text-gray-400 dark:text-gray-500 italic',
+  string: 'text-emerald-700 dark:text-emerald-300',
+  keyword: 'text-purple-700 dark:text-purple-300',
+  tag: 'text-blue-700 dark:text-blue-300',
+  property: 'text-sky-700 dark:text-sky-300',
+  number: 'text-orange-600 dark:text-orange-300'
+}
+
+const LINE_STYLES = {
+  add: { row: 'bg-green-50 dark:bg-green-900/20 text-green-900 dark:text-green-100', sign: '+', mark: 'bg-green-200 dark:bg-green-700/60 rounded-sm' },
+  del: { row: 'bg-red-50 dark:bg-red-900/20 text-red-900 dark:text-red-100', sign: '-', mark: 'bg-red-200 dark:bg-red-700/60 rounded-sm' },
+  context: { row: 'text-gray-700 dark:text-gray-300', sign: ' ', mark: '' }
+}
+
+const NUMBER_CELL = 'w-12 px-2 text-right select-none text-gray-400 dark:text-gray-500 border-r border-gray-100 dark:border-gray-700 align-top'
+const CODE_CELL = 'px-2 whitespace-pre align-top'
+
 export default class extends Controller {
-  static targets = ["modal", "content", "loading", "versionA", "versionB", "diffContainer"]
+  static targets = ["modal", "content", "loading", "versionA", "versionB", "diffContainer", "viewButton"]
   static values = { 
     appId: String,
     versionId: String 
   }
   
   connect() {
+    this.viewMode = localStorage.getItem('versionComparisonView') === 'split' ? 'split' : 'unified'
+    this.fileContents = new Map()
+
     // Listen for version comparison requests
     window.addEventListener('message', this.handleVersionComparison.bind(this))
   }
@@ -24,6 +91,7 @@ export default class extends Controller {
   
   async compareVersion(versionId) {
     this.versionIdValue = versionId
+    this.fileContents.clear()
     this.open()
     this.showLoading()
     
@@ -53,9 +121,29 @@ export default class extends Controller {
       this.versionBTarget.textContent = data.current_version || "Current"
     }
     
-    // Generate diff HTML
-    const diffHtml = this.generateDiffHtml(data.file_changes)
-    this.diffContainerTarget.innerHTML = diffHtml
+    this.fileChanges = data.file_changes
+    this.renderDiffs()
+  }
+  
+  renderDiffs() {
+    this.diffContainerTarget.innerHTML = this.generateDiffHtml(this.fileChanges)
+    this.updateViewButtons()
+  }
+  
+  setView(event) {
+    this.viewMode = event.currentTarget.dataset.view === 'split' ? 'split' : 'unified'
+    localStorage.setItem('versionComparisonView', this.viewMode)
+    if (this.fileChanges) this.renderDiffs()
+  }
+  
+  updateViewButtons() {
+    this.viewButtonTargets.forEach(button => {
+      const active = button.dataset.view === this.viewMode
+      button.classList.toggle('bg-white', active)
+      button.classList.toggle('dark:bg-gray-600', active)
+      button.classList.toggle('shadow-sm', active)
+      button.setAttribute('aria-pressed', active)
+    })
   }
   
   generateDiffHtml(fileChanges) {
@@ -71,7 +159,7 @@ export default class extends Controller {
           <div class="flex items-center justify-between px-4 py-3 bg-gray-50 dark:bg-gray-700 border-b border-gray-200 dark:border-gray-600">
             <div class="flex items-center space-x-3">
               <div class="w-3 h-3 rounded-full ${this.getStatusColor(change.status)}"></div>
-              <span class="font-mono text-sm font-medium text-gray-900 dark:text-gray-100">${change.path}</span>
+              <span class="font-mono text-sm font-medium text-gray-900 dark:text-gray-100">${this.escapeHtml(change.path)}</span>
               <span class="text-xs px-2 py-1 rounded-full ${this.getStatusBadgeColor(change.status)}">${change.status}</span>
             </div>
             <div class="text-xs text-gray-500 dark:text-gray-400">
@@ -79,7 +167,7 @@ export default class extends Controller {
             </div>
           </div>
           <div class="overflow-x-auto">
-            <pre class="text-xs leading-relaxed">${this.formatDiff(change.diff)}</pre>
+            ${this.formatDiff(change.diff, change)}
           </div>
         </div>
       `
@@ -89,22 +177,382 @@ export default class extends Controller {
     return html
   }
   
-  formatDiff(diff) {
+  formatDiff(diff, change = {}) {
     if (!diff) return '<div class="p-4 text-gray-500 dark:text-gray-400 text-center">No diff available</div>'
     
-    return diff.split('\n').map(line => {
-      const escapedLine = this.escapeHtml(line)
+    const hunks = this.parseDiff(diff)
+    const language = this.languageFor(change.path)
+    let html = '<table class="w-full text-xs font-mono leading-relaxed border-collapse">'
+    
+    hunks.forEach((hunk, index) => {
+      const previous = hunks[index - 1]
+      const gapStart = previous ? previous.newStart + previous.newCount : 1
+      html += this.renderGap(change, gapStart, hunk.newStart - 1, hunk.oldStart - hunk.newStart)
+      html += this.renderHunkHeader(hunk, index, change)
+      html += this.renderHunkLines(hunk, language)
+    })
+    
+    return html + '</table>'
+  }
+  
+  // Split a unified diff into hunks with old/new line numbers on each line
+  parseDiff(diff) {
+    const hunks = []
+    let hunk = null
+    let oldNo = 1
+    let newNo = 1
+    
+    diff.split('\n').forEach(line => {
+      const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/)
+      if (header) {
+        hunk = {
+          header: header[0],
+          oldStart: Number(header[1]),
+          oldCount: header[2] === undefined ? 1 : Number(header[2]),
+          newStart: Number(header[3]),
+          newCount: header[4] === undefined ? 1 : Number(header[4]),
+          lines: []
+        }
+        hunks.push(hunk)
+        oldNo = hunk.oldStart
+        newNo = hunk.newStart
+        return
+      }
+      if (line.startsWith('\\')) return
+      
+      if (!hunk) {
+        hunk = { header: null, oldStart: 1, oldCount: 0, newStart: 1, newCount: 0, lines: [] }
+        hunks.push(hunk)
+      }
       
       if (line.startsWith('+')) {
-        return `<div class="bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-200 px-4 py-1">${escapedLine}</div>`
+        hunk.lines.push({ type: 'add', text: line.slice(1), newNo: newNo++ })
       } else if (line.startsWith('-')) {
-        return `<div class="bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-200 px-4 py-1">${escapedLine}</div>`
-      } else if (line.startsWith('@@')) {
-        return `<div class="bg-blue-50 dark:bg-blue-900/20 text-blue-800 dark:text-blue-200 px-4 py-1 font-medium">${escapedLine}</div>`
+        hunk.lines.push({ type: 'del', text: line.slice(1), oldNo: oldNo++ })
+      } else {
+        hunk.lines.push({ type: 'context', text: line.slice(1), oldNo: oldNo++, newNo: newNo++ })
+      }
+    })
+    
+    return hunks
+  }
+  
+  renderHunkHeader(hunk, index, change) {
+    const canRevert = hunk.header && this.versionIdValue && change.path
+    const revertButton = canRevert ? `
+      <button type="button"
+              class="text-xs font-sans px-2 py-0.5 rounded border border-blue-200 dark:border-blue-700 hover:bg-blue-100 dark:hover:bg-blue-800/40 disabled:opacity-60"
+              data-action="click->version-comparison#revertHunk"
+              data-path="${this.escapeHtml(change.path)}"
+              data-hunk="${index}"
+              data-header="${this.escapeHtml(hunk.header)}">
+        <i class="fas fa-undo mr-1"></i>Revert this hunk
+      </button>` : ''
+    
+    return `
+      <tr class="bg-blue-50 dark:bg-blue-900/20 text-blue-800 dark:text-blue-200">
+        <td colspan="${this.columnCount}" class="px-4 py-1">
+          <div class="flex items-center justify-between">
+            <span class="font-medium">${this.escapeHtml(hunk.header || '')}</span>
+            ${revertButton}
+          </div>
+        </td>
+      </tr>
+    `
+  }
+  
+  renderHunkLines(hunk, language) {
+    const rows = this.buildRows(hunk.lines)
+    let html = ''
+    let index = 0
+    
+    while (index < rows.length) {
+      // Fold long runs of unchanged lines
+      let end = index
+      while (end < rows.length && rows[end].context) end++
+      
+      if (end - index > CONTEXT_COLLAPSE_THRESHOLD) {
+        const group = `ctx-${Math.random().toString(36).slice(2, 10)}`
+        const hidden = rows.slice(index + CONTEXT_VISIBLE, end - CONTEXT_VISIBLE)
+        
+        rows.slice(index, index + CONTEXT_VISIBLE).forEach(row => { html += this.renderRow(row, language) })
+        html += this.renderExpander(`data-action="click->version-comparison#expandContext" data-group="${group}"`, hidden.length)
+        hidden.forEach(row => { html += this.renderRow(row, language, `hidden" data-context-group="${group}`) })
+        rows.slice(end - CONTEXT_VISIBLE, end).forEach(row => { html += this.renderRow(row, language) })
+        index = end
+      } else if (end > index) {
+        rows.slice(index, end).forEach(row => { html += this.renderRow(row, language) })
+        index = end
+      } else {
+        html += this.renderRow(rows[index], language)
+        index++
+      }
+    }
+    
+    return html
+  }
+  
+  // Pair removed and added lines of each change block for word diffs and the split view
+  buildRows(lines) {
+    const rows = []
+    let index = 0
+    
+    while (index < lines.length) {
+      if (lines[index].type === 'context') {
+        rows.push({ context: true, left: lines[index], right: lines[index] })
+        index++
+        continue
+      }
+      
+      const removed = []
+      const added = []
+      while (index < lines.length && lines[index].type === 'del') removed.push(lines[index++])
+      while (index < lines.length && lines[index].type === 'add') added.push(lines[index++])
+      
+      const pairs = Math.max(removed.length, added.length)
+      for (let i = 0; i < pairs; i++) {
+        const left = removed[i]
+        const right = added[i]
+        if (left && right) {
+          const ranges = this.wordDiff(left.text, right.text)
+          if (ranges) {
+            left.ranges = ranges.old
+            right.ranges = ranges.new
+          }
+        }
+        rows.push({ context: false, left, right })
+      }
+    }
+    
+    if (this.viewMode === 'split') return rows
+    
+    // Unified view lists a block's removals before its additions
+    const unified = []
+    let block = []
+    rows.forEach(row => {
+      if (row.context) {
+        unified.push(...block.filter(r => r.left).map(r => ({ line: r.left })), ...block.filter(r => r.right).map(r => ({ line: r.right })))
+        block = []
+        unified.push({ context: true, line: row.left })
+      } else {
+        block.push(row)
+      }
+    })
+    unified.push(...block.filter(r => r.left).map(r => ({ line: r.left })), ...block.filter(r => r.right).map(r => ({ line: r.right })))
+    return unified
+  }
+  
+  renderRow(row, language, extraClass = '') {
+    if (this.viewMode === 'split') {
+      const left = row.left && row.left.type !== 'add' ? row.left : null
+      const right = row.right && row.right.type !== 'del' ? row.right : null
+      return `
+        <tr class="${extraClass}">
+          ${this.renderSplitCells(left, left?.oldNo, language)}
+          ${this.renderSplitCells(right, right?.newNo, language)}
+        </tr>
+      `
+    }
+    
+    const line = row.line
+    const style = LINE_STYLES[line.type]
+    return `
+      <tr class="${style.row} ${extraClass}">
+        <td class="${NUMBER_CELL}">${line.oldNo ?? ''}</td>
+        <td class="${NUMBER_CELL}">${line.newNo ?? ''}</td>
+        <td class="${CODE_CELL}"><span class="select-none opacity-60 mr-2">${style.sign}</span>${this.highlight(line.text, language, line.ranges, style.mark)}</td>
+      </tr>
+    `
+  }
+  
+  renderSplitCells(line, number, language) {
+    if (!line) {
+      return `<td class="${NUMBER_CELL} bg-gray-50 dark:bg-gray-900/40"></td><td class="${CODE_CELL} bg-gray-50 dark:bg-gray-900/40 w-1/2"></td>`
+    }
+    const style = LINE_STYLES[line.type]
+    return `
+      <td class="${NUMBER_CELL} ${style.row}">${number ?? ''}</td>
+      <td class="${CODE_CELL} ${style.row} w-1/2">${this.highlight(line.text, language, line.ranges, style.mark)}</td>
+    `
+  }
+  
+  get columnCount() {
+    return this.viewMode === 'split' ? 4 : 3
+  }
+  
+  renderExpander(attributes, count) {
+    return `
+      <tr class="bg-gray-50 dark:bg-gray-900/40 text-gray-500 dark:text-gray-400">
+        <td colspan="${this.columnCount}" class="px-4 py-0.5">
+          <button type="button" class="text-xs font-sans hover:text-blue-600 dark:hover:text-blue-400" ${attributes}>
+            <i class="fas fa-arrows-alt-v mr-1"></i>Show ${count} unchanged line${count === 1 ? '' : 's'}
+          </button>
+        </td>
+      </tr>
+    `
+  }
+  
+  // Unchanged lines between hunks, loaded from the version's file on demand
+  renderGap(change, from, to, oldOffset) {
+    if (change.status !== 'updated' || to < from) return ''
+    return this.renderExpander(
+      `data-action="click->version-comparison#expandGap" data-path="${this.escapeHtml(change.path)}" data-from="${from}" data-to="${to}" data-old-offset="${oldOffset}"`,
+      to - from + 1
+    )
+  }
+  
+  expandContext(event) {
+    const group = event.currentTarget.dataset.group
+    this.diffContainerTarget.querySelectorAll(`[data-context-group="${group}"]`).forEach(row => row.classList.remove('hidden'))
+    event.currentTarget.closest('tr').remove()
+  }
+  
+  async expandGap(event) {
+    const button = event.currentTarget
+    const { path, from, to, oldOffset } = button.dataset
+    button.disabled = true
+    
+    try {
+      const lines = await this.loadFileLines(path)
+      const language = this.languageFor(path)
+      let html = ''
+      for (let newNo = Number(from); newNo <= Number(to) && newNo <= lines.length; newNo++) {
+        const line = { type: 'context', text: lines[newNo - 1], oldNo: newNo + Number(oldOffset), newNo }
+        html += this.renderRow({ context: true, line, left: line, right: line }, language)
+      }
+      const row = button.closest('tr')
+      row.insertAdjacentHTML('afterend', html)
+      row.remove()
+    } catch (error) {
+      console.error("Failed to load unchanged lines:", error)
+      button.disabled = false
+    }
+  }
+  
+  async loadFileLines(path) {
+    if (!this.fileContents.has(path)) {
+      const encodedPath = path.split('/').map(encodeURIComponent).join('/')
+      const response = await fetch(`/account/app_versions/${this.versionIdValue}/files/${encodedPath}`)
+      if (!response.ok) throw new Error(`Failed to load ${path}`)
+      this.fileContents.set(path, (await response.text()).split('\n'))
+    }
+    return this.fileContents.get(path)
+  }
+  
+  async revertHunk(event) {
+    const button = event.currentTarget
+    const { path, hunk, header } = button.dataset
+    
+    if (!confirm(`Revert this change to ${path}? This will create a new version with only this hunk undone.`)) {
+      return
+    }
+    
+    button.disabled = true
+    
+    try {
+      const response = await fetch(`/account/app_versions/${this.versionIdValue}/restore_hunk`, {
+        method: 'POST',
+        headers: {
+          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ path, hunk: Number(hunk), header })
+      })
+      const result = await response.json().catch(() => ({}))
+      
+      if (response.ok && result.success) {
+        button.innerHTML = '<i class="fas fa-check mr-1"></i>Reverted'
+        // Editor state is refreshed when the modal closes
+        this.hasRestoredChanges = true
       } else {
-        return `<div class="text-gray-700 dark:text-gray-300 px-4 py-1">${escapedLine}</div>`
+        button.disabled = false
+        alert(result.error || "Failed to revert this change. Please try again.")
+      }
+    } catch (error) {
+      console.error("Failed to revert hunk:", error)
+      button.disabled = false
+      alert("An error occurred while reverting this change.")
+    }
+  }
+  
+  // Changed character ranges on each side, from an LCS over word tokens
+  wordDiff(oldText, newText) {
+    const a = oldText.match(/\w+|\s+|[^\w\s]/g) || []
+    const b = newText.match(/\w+|\s+|[^\w\s]/g) || []
+    if (a.length > MAX_WORD_DIFF_TOKENS || b.length > MAX_WORD_DIFF_TOKENS) return null
+    
+    const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1])
       }
-    }).join('')
+    }
+    
+    const ranges = { old: [], new: [] }
+    const mark = (list, start, length) => {
+      const last = list[list.length - 1]
+      if (last && last[1] === start) last[1] += length
+      else list.push([start, start + length])
+    }
+    
+    let i = 0, j = 0, oldPos = 0, newPos = 0, common = 0
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        common += a[i].length
+        oldPos += a[i++].length
+        newPos += b[j++].length
+      } else if (j >= b.length || (i < a.length && table[i + 1][j] >= table[i][j + 1])) {
+        mark(ranges.old, oldPos, a[i].length)
+        oldPos += a[i++].length
+      } else {
+        mark(ranges.new, newPos, b[j].length)
+        newPos += b[j++].length
+      }
+    }
+    
+    if (common / Math.max(oldText.length, newText.length, 1) < MIN_WORD_DIFF_SIMILARITY) return null
+    return ranges
+  }
+  
+  languageFor(path) {
+    const extension = (path || '').split('.').pop().toLowerCase()
+    return LANGUAGES[extension] || null
+  }
+  
+  // Escaped line HTML with syntax token spans and changed-word marks
+  highlight(text, language, ranges = [], markClass = '') {
+    const tokens = []
+    const rules = SYNTAX[language]
+    
+    if (rules) {
+      const pattern = new RegExp(rules.map(([, rule]) => `(${rule.source})`).join('|'), 'g')
+      let match
+      while ((match = pattern.exec(text))) {
+        if (match[0].length === 0) {
+          pattern.lastIndex++
+          continue
+        }
+        const rule = rules[match.slice(1).findIndex(group => group !== undefined)]
+        tokens.push({ start: match.index, end: match.index + match[0].length, className: TOKEN_CLASSES[rule[0]] })
+      }
+    }
+    
+    const boundaries = new Set([0, text.length])
+    tokens.forEach(token => { boundaries.add(token.start); boundaries.add(token.end) })
+    ranges.forEach(([start, end]) => { boundaries.add(start); boundaries.add(end) })
+    const points = [...boundaries].sort((x, y) => x - y)
+    
+    let html = ''
+    for (let index = 0; index < points.length - 1; index++) {
+      const start = points[index]
+      const segment = this.escapeHtml(text.slice(start, points[index + 1]))
+      const token = tokens.find(t => t.start <= start && start < t.end)
+      const marked = ranges.some(([from, to]) => from <= start && start < to)
+      
+      const classes = [token?.className, marked ? markClass : null].filter(Boolean).join(' ')
+      html += classes ? `<span class="${classes}">${segment}</span>` : segment
+    }
+    return html
   }
   
   getStatusColor(status) {
@@ -125,10 +573,11 @@ export default class extends Controller {
     }
   }
   
+  // Also escapes quotes: paths and headers go into data-* attributes
   escapeHtml(text) {
     const div = document.createElement('div')
-    div.textContent = text
-    return div.innerHTML
+    div.textContent = text ?? ''
+    return div.innerHTML.replace(/"/g, '&quot;')
   }
   
   showLoading() {
@@ -179,6 +628,11 @@ export default class extends Controller {
       this.modalTarget.classList.add('hidden')
       document.body.style.overflow = ''
     }
+    
+    // Reverted hunks created a new version; reload to show it
+    if (this.hasRestoredChanges) {
+      window.location.reload()
+    }
   }
   
   closeOnBackdrop(event) {
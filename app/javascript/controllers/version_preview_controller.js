@@ -65,38 +65,14 @@ export default class extends Controller {
     }
   }
   
-  async restoreVersion() {
+  restoreVersion() {
     if (!this.currentVersionId) return
     
-    // Confirm restoration
-    if (!confirm("Restore this version? This will create a new version with the contents of this version.")) {
-      return
-    }
-    
-    try {
-      const response = await fetch(`/account/app_versions/${this.currentVersionId}/restore`, {
-        method: 'POST',
-        headers: {
-          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content,
-          'Content-Type': 'application/json'
-        }
-      })
-      
-      if (response.ok) {
-        const result = await response.json()
-        
-        // Refresh the page to show the new version
-        window.location.reload()
-      } else {
-        alert("Failed to restore version. Please try again.")
-      }
-    } catch (error) {
-      console.error("Failed to restore version:", error)
-      alert("An error occurred while restoring the version.")
-    }
+    // Three-way merge with the current files, reviewed in the merge restore modal
+    window.dispatchEvent(new CustomEvent('version:restore', { detail: { versionId: this.currentVersionId } }))
   }
   
-  async restoreSpecificVersion(versionIdOrEvent) {
+  restoreSpecificVersion(versionIdOrEvent) {
     // Handle both direct versionId string and event object
     const versionId = typeof versionIdOrEvent === 'string' 
       ? versionIdOrEvent 
@@ -107,27 +83,7 @@ export default class extends Controller {
       return
     }
     
-    try {
-      const response = await fetch(`/account/app_versions/${versionId}/restore`, {
-        method: 'POST',
-        headers: {
-          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content,
-          'Content-Type': 'application/json'
-        }
-      })
-      
-      if (response.ok) {
-        const result = await response.json()
-        
-        // Refresh the page to show the new version
-        window.location.reload()
-      } else {
-        alert("Failed to restore version. Please try again.")
-      }
-    } catch (error) {
-      console.error("Failed to restore version:", error)
-      alert("An error occurred while restoring the version.")
-    }
+    window.dispatchEvent(new CustomEvent('version:restore', { detail: { versionId } }))
   }
   
   showLatest() {
@@ -270,30 +270,8 @@ export default class extends Controller {
   restore(event) {
     const versionId = event.currentTarget.dataset.versionProgressVersionIdParam
     
-    if (confirm('Are you sure you want to restore to this version? This will replace your current files.')) {
-      const appId = this.getAppIdFromUrl()
-      
-      fetch(`/account/apps/${appId}/versions/${versionId}/restore`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').content
-        }
-      })
-      .then(response => response.json())
-      .then(data => {
-        if (data.success) {
-          // Refresh the page to show restored files
-          window.location.reload()
-        } else {
-          alert('Failed to restore version: ' + (data.error || 'Unknown error'))
-        }
-      })
-      .catch(error => {
-        console.error('Restore failed:', error)
-        alert('Failed to restore version. Please try again.')
-      })
-    }
+    // Opens the merge restore modal, which keeps later edits where it can
+    window.dispatchEvent(new CustomEvent('version:restore', { detail: { versionId } }))
   }
 
   bookmark(event) {
@@ -0,0 +1,129 @@
+import { Controller } from "@hotwired/stimulus"
+import OverSkillBridge from "../overskill_bridge"
+
+// Visual editing of the preview: pick an element, change its text, classes
+// or an attribute, and see the change live. overskill.js applies each edit
+// in the iframe and reports it as element_changed with the element's JSX
+// location; the change is then written back to the component file (see
+// VisualEditService), so it doesn't need another AI prompt.
+export default class extends Controller {
+  static targets = ["pickButton", "panel", "summary", "text", "classes", "attributeName", "attributeValue", "status"]
+  static values = {
+    url: String,
+    frameSelector: { type: String, default: "#preview_frame iframe" }
+  }
+
+  connect() {
+    const iframe = document.querySelector(this.frameSelectorValue)
+    if (!iframe) return
+
+    this.bridge = OverSkillBridge.for(iframe)
+    this.unsubscribe = [
+      this.bridge.on("element_selected", (element) => this.showElement(element)),
+      this.bridge.on("element_changed", (change) => this.save(change)),
+      this.bridge.on("selection_disabled", () => this.pickButtonTarget.classList.remove("ring-2"))
+    ]
+  }
+
+  disconnect() {
+    this.unsubscribe?.forEach(unsubscribe => unsubscribe())
+    this.bridge?.release()
+  }
+
+  pick() {
+    this.pickButtonTarget.classList.add("ring-2")
+    this.send("enable_selection")
+  }
+
+  close() {
+    this.panelTarget.classList.add("hidden")
+    this.send("clear_selection")
+  }
+
+  applyText() {
+    this.send("set_text", { text: this.textTarget.value })
+  }
+
+  applyClasses() {
+    this.send("set_classes", { className: this.classesTarget.value.trim() })
+  }
+
+  applyAttribute() {
+    const name = this.attributeNameTarget.value.trim()
+    if (!name) return
+
+    // An empty value removes the attribute
+    const value = this.attributeValueTarget.value
+    this.send("set_attribute", { name, value: value === "" ? null : value })
+  }
+
+  // Fill the attribute value when a known attribute name is typed
+  fillAttribute() {
+    const attribute = this.selected?.attributes.find(attr => attr.name === this.attributeNameTarget.value.trim())
+    this.attributeValueTarget.value = attribute ? attribute.value : ""
+  }
+
+  showElement(element) {
+    this.selected = element
+    this.panelTarget.classList.remove("hidden")
+
+    const location = element.source ? `${element.source.file}:${element.source.line}` : "no source location"
+    this.summaryTarget.textContent = `<${element.tagName}> · ${location}`
+
+    // Only leaf elements have text that can be edited in place
+    const isLeaf = element.childElementCount === 0
+    this.textTarget.value = isLeaf ? element.textContent : ""
+    this.textTarget.disabled = !isLeaf
+    this.textTarget.placeholder = isLeaf ? "" : "Select a text element to edit its text"
+    this.classesTarget.value = typeof element.className === "string" ? element.className : ""
+    this.attributeNameTarget.value = ""
+    this.attributeValueTarget.value = ""
+    this.setStatus("")
+  }
+
+  send(type, data) {
+    if (!this.bridge?.connected) return this.setStatus("The preview isn't connected yet", "error")
+
+    this.bridge.request(type, data).catch(error => this.setStatus(error.message, "error"))
+  }
+
+  async save(change) {
+    this.setStatus("Saving…")
+
+    try {
+      const response = await fetch(this.urlValue, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept": "application/json",
+          "X-CSRF-Token": document.querySelector("[name='csrf-token']")?.content
+        },
+        body: JSON.stringify({
+          change: {
+            type: change.type,
+            before: change.before,
+            after: change.after,
+            name: change.name,
+            source: change.source
+          }
+        })
+      })
+      const data = await response.json()
+
+      data.error
+        ? this.setStatus(`Changed in the preview only: ${data.error}. Ask the AI to make this change instead.`, "error")
+        : this.setStatus(`Saved to ${data.path}`, "success")
+    } catch (error) {
+      this.setStatus(`Failed to save the change: ${error.message}`, "error")
+    }
+  }
+
+  setStatus(message, kind = "info") {
+    if (!this.hasStatusTarget) return
+
+    this.statusTarget.textContent = message
+    this.statusTarget.classList.toggle("text-red-600", kind === "error")
+    this.statusTarget.classList.toggle("text-green-600", kind === "success")
+    this.statusTarget.classList.toggle("text-gray-500", kind === "info")
+  }
+}
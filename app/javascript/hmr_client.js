@@ -4,18 +4,151 @@
 
 import consumer from "./channels/consumer";
 
+// How long to wait for the server to answer a resync before reloading
+const RESYNC_TIMEOUT = 10000;
+
+const MODULE_EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js', '.css'];
+
+// Matches static imports, re-exports and dynamic imports:
+//   import X from './x'  |  import './x'  |  export { y } from './y'  |  import('./z')
+const IMPORT_PATTERN = /(?:^|[;\s])(?:import|export)\s+(?:[\w*{}\s,$]+\s+from\s+)?['"]([^'"]+)['"]|\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)/g;
+
+// Matches export declarations and lists, for telling component modules apart:
+//   export default ...  |  export function X  |  export const X  |  export { a, b as X }  |  export * from
+const EXPORT_PATTERN = /(?:^|[;\s])export\s+(?:(default)\b|(?:async\s+)?(?:function\s*\*?|class|const|let|var)\s+([\w$]+)|\{([^}]*)\}|(\*))/g;
+
+// Tracks which app files import which, so updates can be ordered and
+// propagated to the modules that consume them
+class ModuleGraph {
+  constructor() {
+    this.imports = new Map();   // path -> Set of paths it imports
+    this.importers = new Map(); // path -> Set of paths importing it
+  }
+
+  has(path) {
+    return this.imports.has(path);
+  }
+
+  // Registers paths ahead of parsing so extensionless imports between
+  // files arriving together resolve to each other
+  register(paths) {
+    paths.forEach(path => {
+      if (!this.imports.has(path)) this.imports.set(path, new Set());
+    });
+  }
+
+  updateAll(files) {
+    const modules = Object.entries(files || {}).filter(([path]) => !path.endsWith('.css'));
+    this.register(modules.map(([path]) => path));
+    modules.forEach(([path, content]) => this.update(path, content));
+  }
+
+  update(path, content) {
+    // Drop stale edges before recording the module's current imports
+    (this.imports.get(path) || new Set()).forEach(dep => {
+      this.importers.get(dep)?.delete(path);
+    });
+
+    const deps = new Set(
+      this.parseImports(content)
+        .map(specifier => this.resolve(path, specifier))
+        .filter(Boolean)
+    );
+
+    this.imports.set(path, deps);
+    deps.forEach(dep => {
+      if (!this.importers.has(dep)) this.importers.set(dep, new Set());
+      this.importers.get(dep).add(path);
+    });
+  }
+
+  parseImports(content) {
+    const specifiers = [];
+    const source = content.replace(/\/\*[\s\S]*?\*\/|(^|[^:])\/\/.*$/gm, '$1');
+
+    for (const match of source.matchAll(IMPORT_PATTERN)) {
+      specifiers.push(match[1] || match[2]);
+    }
+    return specifiers;
+  }
+
+  // Exported names, or null when a module re-exports everything from
+  // another and its names cannot be known from the source alone
+  parseExports(content) {
+    const names = [];
+    const source = content.replace(/\/\*[\s\S]*?\*\/|(^|[^:])\/\/.*$/gm, '$1');
+
+    for (const [, defaultExport, declared, list, star] of source.matchAll(EXPORT_PATTERN)) {
+      if (star) return null;
+      if (defaultExport) names.push('default');
+      if (declared) names.push(declared);
+      if (list) {
+        list.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+          names.push(entry.split(/\s+as\s+/).pop().trim());
+        });
+      }
+    }
+    return names;
+  }
+
+  // Resolves relative and "@/" aliased specifiers to app file paths.
+  // Bare package imports are not part of the app graph and return null.
+  resolve(fromPath, specifier) {
+    let base;
+    if (specifier.startsWith('@/')) {
+      base = `src/${specifier.slice(2)}`;
+    } else if (specifier.startsWith('.')) {
+      const segments = fromPath.split('/').slice(0, -1);
+      specifier.split('/').forEach(segment => {
+        if (segment === '..') segments.pop();
+        else if (segment !== '.' && segment !== '') segments.push(segment);
+      });
+      base = segments.join('/');
+    } else {
+      return null;
+    }
+
+    if (MODULE_EXTENSIONS.some(ext => base.endsWith(ext))) return base;
+
+    const candidates = [
+      ...MODULE_EXTENSIONS.map(ext => `${base}${ext}`),
+      ...MODULE_EXTENSIONS.map(ext => `${base}/index${ext}`)
+    ];
+    return candidates.find(candidate => this.has(candidate)) || `${base}.ts`;
+  }
+
+  importersOf(path) {
+    return this.importers.get(path) || new Set();
+  }
+}
+
 class HMRClient {
   constructor(appId) {
     this.appId = appId;
     this.subscription = null;
     this.moduleCache = new Map();
+    this.moduleGraph = new ModuleGraph();
+    this.importMap = this.loadImportMap();
+    this.sourceCache = new Map();
+    this.previewOrigin = null;
+    this.pendingInvalidations = new Set();
     this.updateQueue = [];
     this.isUpdating = false;
+
+    // Sequencing state for detecting updates missed while disconnected
+    this.lastSeq = null;
+    this.fileHashes = new Map();
+    this.isResyncing = false;
+    this.resyncBuffer = [];
+    this.resyncTimer = null;
   }
 
   connect() {
     console.log('[HMR] Connecting to preview channel...');
     
+    // Never keep two subscriptions alive, or every update arrives twice
+    this.disconnect();
+    
     this.subscription = consumer.subscriptions.create(
       { 
         channel: "AppPreviewChannel",
@@ -45,15 +178,30 @@ class HMRClient {
     switch(data.type) {
       case 'connected':
         this.sessionId = data.session_id;
+        this.setPreviewOrigin(data.preview_url);
         this.enableHMR();
+        this.checkSequence(data.seq);
         break;
-        
-      case 'hmr_update':
-        this.applyHMRUpdate(data.path, data.content);
+
+      case 'state':
+        this.seedModuleGraph(data.files, data.modules);
+        break;
+
+      case 'modules':
+        this.seedModules(data.modules);
         break;
         
+      case 'hmr_update':
       case 'hmr_batch':
-        this.applyBatchUpdate(data.files);
+        this.receiveSequenced(data);
+        break;
+
+      case 'replay':
+        this.applyReplay(data);
+        break;
+
+      case 'manifest':
+        this.reconcileManifest(data);
         break;
         
       case 'hmr_component':
@@ -73,6 +221,100 @@ class HMRClient {
     }
   }
 
+  checkSequence(seq) {
+    if (seq === undefined) return;
+
+    if (this.lastSeq === null) {
+      // First connection: the page was loaded with everything up to here
+      this.lastSeq = seq;
+    } else if (seq > this.lastSeq) {
+      console.log(`[HMR] Missed updates ${this.lastSeq + 1}..${seq} while disconnected`);
+      this.requestResync();
+    }
+  }
+
+  receiveSequenced(data) {
+    // Hold live updates until the resync has caught us up
+    if (this.isResyncing) {
+      this.resyncBuffer.push(data);
+      return;
+    }
+
+    if (this.lastSeq !== null && data.seq > this.lastSeq + 1) {
+      console.log(`[HMR] Gap in update sequence (${this.lastSeq} -> ${data.seq})`);
+      this.resyncBuffer.push(data);
+      this.requestResync();
+      return;
+    }
+
+    this.applySequenced(data);
+  }
+
+  applySequenced(data) {
+    // Duplicates (e.g. replayed and also buffered) are dropped by sequence
+    if (this.lastSeq !== null && data.seq !== undefined && data.seq <= this.lastSeq) return;
+    if (data.seq !== undefined) this.lastSeq = data.seq;
+
+    if (data.type === 'hmr_batch') {
+      Object.entries(data.hashes || {}).forEach(([path, hash]) => this.fileHashes.set(path, hash));
+      this.applyBatchUpdate(data.files);
+    } else {
+      if (data.hash) this.fileHashes.set(data.path, data.hash);
+      this.applyHMRUpdate(data.path, data.content);
+    }
+  }
+
+  requestResync() {
+    if (this.isResyncing || !this.subscription) return;
+
+    this.isResyncing = true;
+    this.showConnectionStatus('resyncing');
+    this.subscription.perform('resync', { since: this.lastSeq });
+
+    // A resync that never completes leaves the preview stale; reload instead
+    this.resyncTimer = setTimeout(() => {
+      console.log('[HMR] Resync timed out, reloading');
+      this.fullReload();
+    }, RESYNC_TIMEOUT);
+  }
+
+  applyReplay(data) {
+    console.log(`[HMR] Replaying ${data.updates.length} missed updates`);
+    data.updates.forEach(update => this.applySequenced(update));
+    this.finishResync();
+  }
+
+  reconcileManifest(data) {
+    // The replay log no longer covers the gap; compare hashes of files that
+    // changed since our last sequence against what we have applied
+    const stale = Object.entries(data.files || {}).filter(([path, entry]) =>
+      entry.seq > this.lastSeq && this.fileHashes.get(path) !== entry.hash
+    );
+
+    if (stale.length > 0) {
+      console.log(`[HMR] ${stale.length} files changed while disconnected, reloading`);
+      return this.fullReload();
+    }
+
+    this.finishResync(data.seq);
+  }
+
+  finishResync(seq = null) {
+    clearTimeout(this.resyncTimer);
+    this.resyncTimer = null;
+    if (seq !== null) this.lastSeq = Math.max(this.lastSeq ?? 0, seq);
+    this.isResyncing = false;
+
+    // Apply live updates that arrived during the resync, in order
+    const buffered = this.resyncBuffer.sort((a, b) => a.seq - b.seq);
+    this.resyncBuffer = [];
+    buffered.forEach(data => this.receiveSequenced(data));
+
+    if (!this.isResyncing) {
+      this.showConnectionStatus('connected');
+    }
+  }
+
   applyHMRUpdate(path, content) {
     console.log(`[HMR] Applying update to ${path}`);
     
@@ -93,10 +335,17 @@ class HMRClient {
       try {
         if (path.endsWith('.css')) {
           this.updateStyles(path, content);
-        } else if (path.endsWith('.tsx') || path.endsWith('.jsx')) {
-          await this.updateComponent(path, content);
         } else {
-          await this.updateModule(path, content);
+          this.moduleGraph.update(path, content);
+          this.sourceCache.set(path, content);
+
+          if (this.isReactBoundary(path)) {
+            await this.updateComponent(path, content);
+          } else {
+            await this.updateModule(path, content);
+            this.pendingInvalidations.add(path);
+          }
+          this.pendingInvalidations.delete(path);
         }
         
         console.log(`[HMR] ✓ Updated ${path}`);
@@ -106,6 +355,21 @@ class HMRClient {
       }
     }
     
+    // Propagate only once the whole queue (e.g. a batch) has been applied,
+    // so dependents never re-evaluate against half-updated modules
+    if (this.pendingInvalidations.size > 0) {
+      const changed = [...this.pendingInvalidations];
+      this.pendingInvalidations.clear();
+      try {
+        await this.invalidateDependents(changed);
+      } catch (error) {
+        // Dependents may now be half re-evaluated; only a reload is consistent
+        console.error(`[HMR] Failed to re-evaluate dependents of ${changed.join(', ')}:`, error);
+        this.showUpdateError(changed.join(', '), error);
+        this.fullReload();
+      }
+    }
+    
     this.isUpdating = false;
   }
 
@@ -123,54 +387,126 @@ class HMRClient {
   }
 
   async updateComponent(path, content) {
-    // Create a blob URL for the new module
-    const blob = new Blob([content], { type: 'application/javascript' });
-    const blobUrl = URL.createObjectURL(blob);
+    const newModule = await this.loadModule(path, content);
     
-    try {
-      // Dynamically import the new module
-      const newModule = await import(blobUrl);
-      
-      // Store in cache for future reference
-      this.moduleCache.set(path, newModule);
-      
-      // Trigger React Fast Refresh if available
-      if (window.$RefreshReg$ && window.$RefreshSig$) {
-        window.$RefreshReg$(newModule.default, path);
-        window.$RefreshRuntime$.performReactRefresh();
-      } else {
-        // Fall back to component re-render
-        this.rerenderComponent(path, newModule);
-      }
-    } finally {
-      // Clean up blob URL
-      URL.revokeObjectURL(blobUrl);
+    // Trigger React Fast Refresh if available
+    if (window.$RefreshReg$ && window.$RefreshSig$) {
+      window.$RefreshReg$(newModule.default, path);
+      window.$RefreshRuntime$.performReactRefresh();
+    } else {
+      // Fall back to component re-render
+      this.rerenderComponent(path, newModule);
     }
   }
 
   async updateModule(path, content) {
-    // For non-component modules, create and evaluate
-    const moduleWrapper = `
-      (function() {
-        const module = { exports: {} };
-        const exports = module.exports;
-        ${content}
-        return module.exports;
-      })()
-    `;
-    
+    // Non-component modules load as real ES modules; importers pick up the
+    // new version when invalidateDependents re-evaluates them
     try {
-      const moduleExports = eval(moduleWrapper);
-      this.moduleCache.set(path, moduleExports);
-      
-      // Notify dependent modules
-      this.invalidateDependents(path);
+      await this.loadModule(path, content);
     } catch (error) {
       console.error(`[HMR] Failed to evaluate module ${path}:`, error);
       throw error;
     }
   }
 
+  async loadModule(path, content) {
+    // Blob URLs have no hierarchical base, so every specifier is rewritten
+    // to an absolute URL before the module is imported
+    const blob = new Blob([this.rewriteImports(path, content)], { type: 'application/javascript' });
+    const blobUrl = URL.createObjectURL(blob);
+
+    let newModule;
+    try {
+      newModule = await import(blobUrl);
+    } catch (error) {
+      URL.revokeObjectURL(blobUrl);
+      throw error;
+    }
+
+    // Point the import map at the new version; the previous blob stays
+    // alive until now because already-loaded importers reference it
+    const previousUrl = this.importMap.imports[path];
+    this.importMap.imports[path] = blobUrl;
+    if (previousUrl?.startsWith('blob:')) {
+      URL.revokeObjectURL(previousUrl);
+    }
+
+    this.moduleCache.set(path, newModule);
+    return newModule;
+  }
+
+  // Throws when a specifier cannot be resolved: left as is, it would fail
+  // inside the blob module with an error that doesn't name the import
+  rewriteImports(path, content) {
+    const unresolved = [];
+    const rewritten = content.replace(IMPORT_PATTERN, (statement, staticSpecifier, dynamicSpecifier) => {
+      const specifier = staticSpecifier || dynamicSpecifier;
+
+      // Styles are applied through updateStyles, not the module system
+      if (staticSpecifier && specifier.endsWith('.css') && !/\sfrom\s/.test(statement)) {
+        return statement.replace(/(import|export)[\s\S]*$/, '');
+      }
+
+      const target = this.resolveSpecifier(path, specifier);
+      if (!target) {
+        unresolved.push(specifier);
+        return statement;
+      }
+      return statement.replace(/(['"])[^'"]+\1/, `$1${target}$1`);
+    });
+
+    if (unresolved.length > 0) {
+      throw new Error(`Cannot resolve ${unresolved.map(specifier => `"${specifier}"`).join(', ')} from ${path}`);
+    }
+    return rewritten;
+  }
+
+  // Returns the absolute URL a specifier loads from, or null when it can't
+  // be resolved. App modules resolve to their hot updated version when there
+  // is one and otherwise to the preview that served the original; bare
+  // package specifiers need an entry in the import map.
+  resolveSpecifier(fromPath, specifier) {
+    if (/^[a-z][a-z\d+.-]*:/i.test(specifier)) return specifier;
+
+    if (specifier.startsWith('/')) {
+      return this.previewOrigin ? new URL(specifier, this.previewOrigin).href : null;
+    }
+
+    if (!specifier.startsWith('.') && !specifier.startsWith('@/')) {
+      return this.importMap.imports[specifier] || null;
+    }
+
+    const resolved = this.moduleGraph.resolve(fromPath, specifier);
+    if (this.importMap.imports[resolved]) return this.importMap.imports[resolved];
+    return this.previewOrigin ? new URL(`/${resolved}`, this.previewOrigin).href : null;
+  }
+
+  setPreviewOrigin(previewUrl) {
+    // The client runs in the editor, so the preview's modules are not on
+    // window.location.origin
+    try {
+      this.previewOrigin = previewUrl ? new URL(previewUrl).origin : null;
+    } catch (error) {
+      console.warn('[HMR] Ignoring invalid preview URL:', previewUrl);
+      this.previewOrigin = null;
+    }
+  }
+
+  loadImportMap() {
+    // Start from the page's import map so bare package specifiers keep
+    // resolving to the same URLs the preview was built against
+    const imports = {};
+    document.querySelectorAll('script[type="importmap"]').forEach(script => {
+      try {
+        Object.assign(imports, JSON.parse(script.textContent).imports);
+      } catch (error) {
+        console.warn('[HMR] Ignoring invalid import map:', error);
+      }
+    });
+    return { imports };
+  }
+
   hotReloadComponent(componentName, code, sourceMap) {
     console.log(`[HMR] Hot reloading component: ${componentName}`);
     
@@ -187,13 +523,20 @@ class HMRClient {
   applyBatchUpdate(files) {
     console.log(`[HMR] Applying batch update for ${Object.keys(files).length} files`);
     
+    // Record the batch's imports first so ordering sees the new graph
+    this.moduleGraph.updateAll(files);
+
     // Sort files by dependency order
     const sortedPaths = this.sortByDependencyOrder(Object.keys(files));
     
-    // Apply updates in order
+    // Queue the whole batch before processing so it is applied as one unit
     sortedPaths.forEach(path => {
-      this.applyHMRUpdate(path, files[path]);
+      this.updateQueue.push({ path, content: files[path] });
     });
+    
+    if (!this.isUpdating) {
+      this.processUpdateQueue();
+    }
   }
 
   rerenderComponent(path, module) {
@@ -210,22 +553,145 @@ class HMRClient {
     });
   }
 
-  invalidateDependents(modulePath) {
-    // Find and update modules that depend on this one
-    // This would integrate with your module dependency graph
-    console.log(`[HMR] Invalidating dependents of ${modulePath}`);
+  async invalidateDependents(modulePaths) {
+    const paths = [].concat(modulePaths);
+    console.log(`[HMR] Invalidating dependents of ${paths.join(', ')}`);
+
+    // Walk up the importer chain until every path reaches a React boundary.
+    // Modules in between still hold the old import URLs, so they are
+    // re-evaluated along with the boundaries.
+    const boundaries = new Set();
+    const intermediates = new Set();
+    const visited = new Set(paths);
+    const queue = [...paths];
+
+    while (queue.length > 0) {
+      const path = queue.shift();
+      const importers = this.moduleGraph.importersOf(path);
+
+      if (importers.size === 0) {
+        console.log(`[HMR] No React boundary accepts ${path}, reloading`);
+        return this.fullReload();
+      }
+
+      importers.forEach(importer => {
+        if (visited.has(importer)) return;
+        visited.add(importer);
+
+        if (this.isReactBoundary(importer)) {
+          boundaries.add(importer);
+        } else {
+          intermediates.add(importer);
+          queue.push(importer);
+        }
+      });
+    }
+
+    // Modules are re-evaluated from their last compiled output; without
+    // one we cannot refresh in place
+    const stale = this.sortByDependencyOrder([...intermediates, ...boundaries]);
+    if (stale.some(path => !this.sourceCache.has(path))) {
+      console.log(`[HMR] No compiled source for ${stale.find(path => !this.sourceCache.has(path))}, reloading`);
+      return this.fullReload();
+    }
+
+    for (const path of stale) {
+      const content = this.sourceCache.get(path);
+      if (boundaries.has(path)) {
+        await this.updateComponent(path, content);
+      } else {
+        await this.loadModule(path, content);
+      }
+      console.log(`[HMR] ✓ Re-evaluated ${path}`);
+    }
   }
 
   sortByDependencyOrder(paths) {
-    // Sort paths so dependencies are updated before dependents
-    // For now, just ensure CSS comes before JS
-    return paths.sort((a, b) => {
-      if (a.endsWith('.css') && !b.endsWith('.css')) return -1;
-      if (!a.endsWith('.css') && b.endsWith('.css')) return 1;
-      return 0;
+    // Topological sort so dependencies are updated before dependents.
+    // CSS has no JS dependents and always goes first; modules caught in an
+    // import cycle keep their incoming order after the rest.
+    const styles = paths.filter(path => path.endsWith('.css'));
+    const modules = paths.filter(path => !path.endsWith('.css'));
+    const pending = new Set(modules);
+
+    const inDegree = new Map(modules.map(path => [
+      path,
+      [...(this.moduleGraph.imports.get(path) || [])].filter(dep => pending.has(dep) && dep !== path).length
+    ]));
+
+    const ordered = [];
+    let ready = modules.filter(path => inDegree.get(path) === 0);
+
+    while (ready.length > 0) {
+      const path = ready.shift();
+      ordered.push(path);
+      pending.delete(path);
+
+      this.moduleGraph.importersOf(path).forEach(importer => {
+        if (!pending.has(importer) || !inDegree.has(importer)) return;
+        inDegree.set(importer, inDegree.get(importer) - 1);
+        if (inDegree.get(importer) === 0) ready.push(importer);
+      });
+    }
+
+    return [...styles, ...ordered, ...modules.filter(path => pending.has(path))];
+  }
+
+  isReactBoundary(path) {
+    // Fast Refresh can only swap a module in place when everything it exports
+    // is a component; modules that also export hooks, constants or helpers
+    // have to be re-evaluated through their importers. The app entry mounts
+    // the root and has to be reloaded instead.
+    if (!/\.(tsx|jsx)$/.test(path) || /^src\/(main|index)\.(tsx|jsx)$/.test(path)) return false;
+
+    const source = this.sourceCache.get(path);
+    if (source === undefined) return false;
+
+    const exportNames = this.moduleGraph.parseExports(source);
+    return exportNames !== null && exportNames.length > 0 &&
+      exportNames.every(name => name === 'default' || /^[A-Z]/.test(name));
+  }
+
+  seedModuleGraph(files, modules = {}) {
+    // Source files from the server give us the full import graph up front,
+    // and their compiled output lets importers be re-evaluated in place
+    // before they have been hot updated themselves
+    this.moduleGraph.updateAll(files);
+    this.seedModules(modules);
+    console.log(`[HMR] Module graph seeded with ${this.moduleGraph.imports.size} modules`);
+  }
+
+  // Compiled modules arrive with the state when the server has them cached,
+  // and later from a background compile. Hot updates received meanwhile
+  // are newer, so they are kept.
+  seedModules(modules = {}) {
+    Object.entries(modules || {}).forEach(([path, content]) => {
+      if (!this.sourceCache.has(path)) this.sourceCache.set(path, content);
     });
   }
 
+  // Reloads the preview, never the editor around it. The preview is served
+  // from another origin, so its iframe is navigated again by setting src
+  // rather than by calling reload() on its location.
+  fullReload() {
+    clearTimeout(this.resyncTimer);
+    this.pendingInvalidations.clear();
+
+    const previewFrame = this.previewFrame();
+    if (previewFrame) {
+      previewFrame.src = previewFrame.src;
+    } else if (window.self !== window.top) {
+      // Running inside the preview iframe itself
+      window.location.reload();
+    } else {
+      console.warn('[HMR] No preview frame to reload');
+    }
+  }
+
+  previewFrame() {
+    return document.querySelector('#preview_frame iframe') || document.getElementById('preview-frame');
+  }
+
   getComponentName(path) {
     // Extract component name from path
     const match = path.match(/\/([^/]+)\.(tsx|jsx)$/);
@@ -263,7 +729,7 @@ class HMRClient {
     
     // Show less intrusive error notification
     const notification = this.createNotification();
-    notification.textContent = `HMR update failed for ${path}`;
+    notification.textContent = `HMR update failed for ${path}: ${error.message}`;
     notification.classList.add('hmr-error-notification');
     
     setTimeout(() => notification.remove(), 5000);
@@ -340,7 +806,7 @@ class HMRClient {
     console.log('[HMR] Preview refreshed:', data.url);
     
     // Update iframe if in editor view
-    const previewFrame = document.getElementById('preview-frame');
+    const previewFrame = this.previewFrame();
     if (previewFrame && previewFrame.src !== data.url) {
       previewFrame.src = data.url;
     }
@@ -348,13 +814,18 @@ class HMRClient {
 
   onConnected() {
     // Add visual indicator
-    this.showConnectionStatus('connected');
+    this.showConnectionStatus(this.isResyncing ? 'resyncing' : 'connected');
     
     // Request current state
     this.subscription.perform('request_state');
   }
 
   onDisconnected() {
+    // An interrupted resync restarts once the server confirms the new
+    // subscription; buffered updates are kept until then
+    clearTimeout(this.resyncTimer);
+    this.isResyncing = false;
+
     // Show reconnection UI
     this.showConnectionStatus('disconnected');
     
@@ -385,8 +856,14 @@ class HMRClient {
     if (status === 'connected') {
       indicator.style.background = '#4caf50';
       indicator.style.color = 'white';
+      indicator.style.opacity = '1';
       indicator.textContent = 'HMR Connected';
       setTimeout(() => indicator.style.opacity = '0.3', 2000);
+    } else if (status === 'resyncing') {
+      indicator.style.background = '#2196f3';
+      indicator.style.color = 'white';
+      indicator.style.opacity = '1';
+      indicator.textContent = 'HMR Resyncing...';
     } else {
       indicator.style.background = '#ff9800';
       indicator.style.color = 'white';
@@ -0,0 +1,191 @@
+// OverSkill Bridge - editor side of the postMessage protocol in public/overskill.js
+// Performs the versioned handshake with a preview iframe, pins its origin and
+// provides request/response and event subscription on top of postMessage.
+// The preview only accepts the handshake from origins listed in its
+// PUBLIC_EDITOR_ORIGINS (EDITOR_ORIGINS or BASE_URL here).
+// Controllers share one bridge per iframe through OverSkillBridge.for(iframe)
+// and give it back with release(); it disconnects when the last one does.
+
+const PROTOCOL_VERSION = 2;
+const REQUEST_TIMEOUT = 10000;
+const bridges = new WeakMap();
+
+class OverSkillBridge {
+  // Connected bridge for the iframe, shared by every caller until released
+  static for(iframe) {
+    let bridge = bridges.get(iframe);
+    if (!bridge) {
+      bridge = new OverSkillBridge(iframe);
+      bridges.set(iframe, bridge);
+      bridge.connect();
+    }
+    bridge.references++;
+    return bridge;
+  }
+
+  constructor(iframe) {
+    this.iframe = iframe;
+    this.connected = false;
+    this.pageId = null;
+    this.references = 0;
+    this.listeners = new Map();
+    this.pendingRequests = new Map();
+    this.nextRequestId = 1;
+
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handshake = this.handshake.bind(this);
+  }
+
+  get frameOrigin() {
+    try {
+      return new URL(this.iframe.src, window.location.href).origin;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  connect() {
+    window.addEventListener('message', this.handleMessage);
+    // Each navigation inside the iframe loads a fresh overskill.js
+    this.iframe.addEventListener('load', this.handshake);
+    this.handshake();
+  }
+
+  release() {
+    this.references--;
+    if (this.references > 0) return;
+
+    bridges.delete(this.iframe);
+    this.disconnect();
+  }
+
+  disconnect() {
+    window.removeEventListener('message', this.handleMessage);
+    this.iframe.removeEventListener('load', this.handshake);
+    this.pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error('Bridge disconnected'));
+    });
+    this.pendingRequests.clear();
+    this.connected = false;
+  }
+
+  handshake() {
+    if (!this.iframe.contentWindow || !this.frameOrigin) return;
+
+    this.connected = false;
+    this.iframe.contentWindow.postMessage({
+      source: 'overskill_editor',
+      type: 'handshake',
+      id: `editor-${this.nextRequestId++}`,
+      protocolVersion: PROTOCOL_VERSION
+    }, this.frameOrigin);
+  }
+
+  // Subscribe to a message type sent by the app; returns an unsubscribe function
+  on(type, callback) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(callback);
+    return () => this.listeners.get(type).delete(callback);
+  }
+
+  // Run callback once per preview page load, right away if already connected.
+  // Settings sent to the preview (telemetry, replay) are lost on reload, so
+  // this is where they're applied.
+  onReady(callback) {
+    if (this.connected) callback();
+    return this.on('ready', callback);
+  }
+
+  send(type, data, extra = {}) {
+    if (!this.connected) return false;
+
+    this.iframe.contentWindow.postMessage({
+      source: 'overskill_editor',
+      protocolVersion: PROTOCOL_VERSION,
+      type,
+      data,
+      ...extra
+    }, this.frameOrigin);
+    return true;
+  }
+
+  // Send a request and resolve with the app's correlated response
+  request(type, data, { timeout = REQUEST_TIMEOUT } = {}) {
+    const id = `editor-${this.nextRequestId++}`;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        reject(new Error(`Preview did not respond to ${type} within ${timeout}ms`));
+      }, timeout);
+
+      this.pendingRequests.set(id, { resolve, reject, timer });
+
+      if (!this.send(type, data, { id })) {
+        clearTimeout(timer);
+        this.pendingRequests.delete(id);
+        reject(new Error('Preview is not connected'));
+      }
+    });
+  }
+
+  handleMessage(event) {
+    const message = event.data;
+    if (!message || message.source !== 'overskill_app') return;
+    if (event.source !== this.iframe.contentWindow || event.origin !== this.frameOrigin) return;
+
+    switch (message.type) {
+      case 'handshake_request':
+        this.handshake();
+        return;
+
+      case 'handshake_ack':
+        this.connected = true;
+        // The iframe load and the app's handshake_request both trigger a
+        // handshake; only the first ack for a page is a new page
+        if (!message.data?.pageId || message.data.pageId !== this.pageId) {
+          this.pageId = message.data?.pageId;
+          this.emit(message.type, message.data, message);
+          this.emit('ready', message.data, message);
+        }
+        return;
+
+      case 'handshake_rejected':
+        console.warn('[OverSkill Bridge] Handshake rejected:', message.data?.reason);
+        break;
+
+      case 'response':
+        this.resolveRequest(message);
+        return;
+    }
+
+    this.emit(message.type, message.data, message);
+  }
+
+  resolveRequest(message) {
+    const pending = this.pendingRequests.get(message.replyTo);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(message.replyTo);
+
+    if (message.ok === false) {
+      pending.reject(new Error(message.error || 'Preview request failed'));
+    } else {
+      pending.resolve(message.data);
+    }
+  }
+
+  emit(type, data, message) {
+    [...(this.listeners.get(type) || []), ...(this.listeners.get('*') || [])].forEach(callback => {
+      try {
+        callback(data, message);
+      } catch (error) {
+        console.error(`[OverSkill Bridge] Error handling ${type}:`, error);
+      }
+    });
+  }
+}
+
+export default OverSkillBridge;
@@ -0,0 +1,29 @@
+# Deploys an app with only the selected part of a change proposal applied,
+# on a worker of the proposal's own, so the team can try it before approving
+class ChangeProposalPreviewJob < ApplicationJob
+  queue_as :preview_updates
+
+  PREVIEW_LIFETIME = 2.hours
+
+  def perform(proposal_id, approved_changes)
+    proposal = AppChangeProposal.find_by(id: proposal_id)
+    return unless proposal&.pending?
+
+    app = proposal.app
+    worker_name = proposal.preview_worker_name.presence || "preview-#{app.obfuscated_id.downcase}-#{proposal.callback_id.first(8)}"
+    files = ApprovalService.files_with_selection(proposal, approved_changes)
+
+    result = Deployment::CloudflarePreviewService.new(app).deploy_temporary_preview!(files, worker_name)
+
+    if result[:success]
+      proposal.update!(preview_worker_name: worker_name, preview_url: result[:preview_url])
+      TemporaryPreviewCleanupJob.set(wait: PREVIEW_LIFETIME).perform_later(app.id, worker_name)
+      ApprovalService.broadcast_preview(proposal, status: "ready", preview_url: result[:preview_url])
+    else
+      ApprovalService.broadcast_preview(proposal, status: "failed", error: result[:error])
+    end
+  rescue => e
+    Rails.logger.error "Change proposal preview failed for proposal #{proposal_id}: #{e.message}"
+    ApprovalService.broadcast_preview(proposal, status: "failed", error: e.message) if proposal
+  end
+end
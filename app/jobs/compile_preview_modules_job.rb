@@ -0,0 +1,20 @@
+# Compiles app files for HMR clients that asked for the preview state and
+# broadcasts the modules to the app's preview channel. Runs esbuild once per
+# file, so it is kept out of the ActionCable worker.
+class CompilePreviewModulesJob < ApplicationJob
+  queue_as :preview_updates
+
+  def perform(app_id, paths)
+    app = App.find_by(id: app_id)
+    return unless app
+
+    builder = FastBuildService.new(app)
+    modules = app.app_files.where(path: paths).each_with_object({}) do |file, hash|
+      result = builder.compile_module(file.path, file.content.to_s)
+      hash[file.path] = result[:compiled_content] if result[:success]
+    end
+    return if modules.empty?
+
+    AppPreviewChannel.broadcast_to(app, {type: "modules", modules: modules, timestamp: Time.current.to_i})
+  end
+end
@@ -0,0 +1,19 @@
+# Picks up a generation that AppBuilderV5 parked when it was paused (see
+# GenerationControlService.park). Enqueued when the user resumes or stops it,
+# and with expired set after MAX_PAUSE, when it is stopped if still paused.
+class ResumeGenerationJob < ApplicationJob
+  queue_as :ai_processing
+
+  def perform(message_id, token, expired = false)
+    return if expired && GenerationControlService.state(message_id) != "paused"
+
+    parked = GenerationControlService.unpark(message_id, token)
+    return unless parked
+
+    GenerationControlService.stop(message_id) if expired
+
+    assistant_message = AppChatMessage.find(message_id)
+    chat_message = AppChatMessage.find(parked[:chat_message_id])
+    Ai::AppBuilderV5.new(chat_message).resume!(assistant_message, parked, expired: expired)
+  end
+end
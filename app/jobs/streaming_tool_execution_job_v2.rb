@@ -22,6 +22,13 @@ class StreamingToolExecutionJobV2 < ApplicationJob
       {}
     end
 
+    # The user may have skipped this tool, or stopped the generation, while it was queued
+    if GenerationControlService.tool_skipped?(message_id, execution_id, tool_index) || GenerationControlService.stopped?(message_id)
+      Ai::StreamingToolCoordinatorV2.tool_skipped(message_id, execution_id, tool_index)
+      broadcast_final_update
+      return
+    end
+
     Rails.logger.info "[V2_TOOL_JOB] Executing #{tool_name} (#{tool_index}) in execution #{execution_id}"
 
     # Update status to running immediately with retry logic
@@ -80,7 +87,7 @@ class StreamingToolExecutionJobV2 < ApplicationJob
 
         # Don't overwrite final states
         current_status = tool["status"]
-        if %w[complete error].include?(current_status)
+        if %w[complete error skipped].include?(current_status)
           Rails.logger.info "[V2_TOOL_JOB] Tool already in final state '#{current_status}', skipping update"
           return
         end
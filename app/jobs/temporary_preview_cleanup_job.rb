@@ -0,0 +1,16 @@
+class TemporaryPreviewCleanupJob < ApplicationJob
+  queue_as :low
+
+  def perform(app_id, worker_name)
+    app = App.find_by(id: app_id)
+    return unless app
+
+    # A newer preview of the same proposal reuses the worker; keep that one
+    return if AppChangeProposal.pending.where(app: app, preview_worker_name: worker_name).where("updated_at > ?", ChangeProposalPreviewJob::PREVIEW_LIFETIME.ago).exists?
+
+    Deployment::CloudflarePreviewService.new(app).delete_worker!(worker_name)
+    AppChangeProposal.where(app: app, preview_worker_name: worker_name).update_all(preview_worker_name: nil, preview_url: nil)
+  rescue => e
+    Rails.logger.error "Failed to remove temporary preview #{worker_name}: #{e.message}"
+  end
+end
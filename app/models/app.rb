@@ -26,11 +26,14 @@ class App < ApplicationRecord
   has_many :app_collaborators, dependent: :destroy
   has_many :app_chat_messages, dependent: :destroy
   has_many :app_tables, dependent: :destroy
+  has_many :app_schema_migrations, dependent: :destroy
   has_many :app_oauth_providers, dependent: :destroy
   has_many :app_api_integrations, dependent: :destroy
   has_many :deployment_logs, dependent: :destroy
   has_many :app_settings, dependent: :destroy
   has_many :app_api_calls, dependent: :destroy
+  has_many :app_api_collections, dependent: :destroy
+  has_many :app_api_environments, dependent: :destroy
   has_one :app_auth_setting, dependent: :destroy
   # has_many :purchases # TODO: uncomment when Purchase model exists
   # has_many :app_reviews # TODO: uncomment when AppReview model exists
@@ -39,6 +42,7 @@ class App < ApplicationRecord
   # has_many :posts # TODO: uncomment when Post model exists
   has_many :app_security_policies, dependent: :destroy
   has_many :app_audit_logs, dependent: :destroy
+  has_many :app_change_proposals, dependent: :destroy
   has_many :app_env_vars, dependent: :destroy
   has_many :app_deployments, dependent: :destroy
   # 🚅 add has_many associations above.
@@ -0,0 +1,21 @@
+# A named group of saved API explorer requests, shared by everyone on the
+# app's team. Requests keep their {{variable}} placeholders; environments
+# supply the values when a request is sent.
+class AppApiCollection < ApplicationRecord
+  belongs_to :app
+  belongs_to :created_by, class_name: "User", optional: true
+
+  has_many :app_api_requests, -> { order(:position, :id) }, dependent: :destroy
+
+  validates :name, presence: true, uniqueness: {scope: :app_id}
+
+  scope :ordered, -> { order(:position, :name) }
+
+  before_create :set_position
+
+  private
+
+  def set_position
+    self.position = (app.app_api_collections.maximum(:position) || -1) + 1
+  end
+end
@@ -0,0 +1,31 @@
+# A set of variables (base URL, tokens, ids) substituted into API explorer
+# requests wherever they say {{key}}. Stored encrypted since they usually
+# hold credentials.
+class AppApiEnvironment < ApplicationRecord
+  belongs_to :app
+
+  serialize :variables, coder: JSON
+  encrypts :variables
+
+  validates :name, presence: true, uniqueness: {scope: :app_id}
+  validate :variables_have_keys
+
+  after_initialize { self.variables ||= [] }
+
+  # {key => value} for substitution
+  def values
+    variables.to_h { |variable| [variable["key"], variable["value"].to_s] }
+  end
+
+  private
+
+  def variables_have_keys
+    unless variables.is_a?(Array) && variables.all? { |variable| variable.is_a?(Hash) && variable["key"].to_s.match?(/\A[\w.-]+\z/) }
+      errors.add(:variables, "need a key made of letters, numbers, dots, dashes or underscores")
+      return
+    end
+
+    duplicates = variables.map { |variable| variable["key"] }.tally.select { |_, count| count > 1 }.keys
+    errors.add(:variables, "define #{duplicates.to_sentence} more than once") if duplicates.any?
+  end
+end
@@ -0,0 +1,29 @@
+class AppApiRequest < ApplicationRecord
+  HTTP_METHODS = %w[GET POST PUT PATCH DELETE HEAD OPTIONS].freeze
+
+  belongs_to :app_api_collection
+  has_one :app, through: :app_api_collection
+
+  validates :name, :url, presence: true
+  validates :http_method, inclusion: {in: HTTP_METHODS}
+  validate :headers_are_name_value_pairs
+
+  before_validation { self.http_method = http_method.to_s.upcase }
+  before_create :set_position
+
+  # Path parameters written as :name or {name} in the URL, in order
+  def path_params
+    url.to_s.scan(/(?<=\/):([A-Za-z_]\w*)|(?<!\{)\{([A-Za-z_]\w*)\}(?!\})/).map(&:compact).flatten.uniq
+  end
+
+  private
+
+  def headers_are_name_value_pairs
+    valid = headers.is_a?(Array) && headers.all? { |header| header.is_a?(Hash) && header["name"].is_a?(String) }
+    errors.add(:headers, "must be a list of name and value pairs") unless valid
+  end
+
+  def set_position
+    self.position = (app_api_collection.app_api_requests.maximum(:position) || -1) + 1
+  end
+end
@@ -4,7 +4,6 @@ class AppAuditLog < ApplicationRecord
   # 🚅 add attribute accessors above.
 
   belongs_to :app
-  belongs_to :resource_id
   # 🚅 add belongs_to associations above.
 
   # 🚅 add has_many associations above.
@@ -0,0 +1,99 @@
+# File changes the AI proposed for a chat message, held back until someone
+# on the team reviews them. Each change keeps the file as it was when the
+# change was proposed, so parts of it can be applied hunk by hunk.
+class AppChangeProposal < ApplicationRecord
+  belongs_to :app
+  belongs_to :app_chat_message
+  belongs_to :resolved_by, class_name: "User", optional: true
+
+  STATUSES = %w[pending applied rejected].freeze
+  ACTIONS = %w[create update delete].freeze
+
+  validates :callback_id, presence: true, uniqueness: true
+  validates :status, inclusion: {in: STATUSES}
+  validate :changes_are_well_formed
+
+  scope :pending, -> { where(status: "pending") }
+
+  before_validation :set_callback_id, on: :create
+
+  def pending?
+    status == "pending"
+  end
+
+  # {"file_path", "action", "original_content", "proposed_content", "edited"}
+  def change_for(path)
+    proposed_changes.find { |change| change["file_path"] == path }
+  end
+
+  def hunks_for(change)
+    return [] if change["action"] == "delete"
+
+    @hunks ||= {}
+    @hunks[[change["file_path"], change["proposed_content"]]] ||=
+      VersionControl::DiffService.new(change["original_content"], change["proposed_content"]).unified[:hunks]
+  end
+
+  # Replace the proposed content of one file with the reviewer's version
+  def edit_change!(path, content)
+    change = change_for(path)
+    raise ArgumentError, "#{path} isn't part of these changes" unless change
+    raise ArgumentError, "A deleted file can't be edited" if change["action"] == "delete"
+
+    change.merge!("proposed_content" => content.to_s, "edited" => true)
+    proposed_changes_will_change!
+    save!
+  end
+
+  # What each file of a selection ends up as, {path => content}, with nil for
+  # a deletion. selection is {path => hunk indexes or :all}.
+  def resulting_contents(selection)
+    selection.each_with_object({}) do |(path, hunk_indexes), result|
+      change = change_for(path)
+      next unless change
+
+      if change["action"] == "delete"
+        result[path] = nil
+        next
+      end
+
+      hunks = hunks_for(change)
+      chosen = (hunk_indexes == :all) ? hunks : hunks.values_at(*hunk_indexes.uniq).compact
+      next if chosen.empty?
+
+      result[path] = if chosen.size == hunks.size
+        change["proposed_content"]
+      else
+        VersionControl::DiffService.apply_hunks(change["original_content"], chosen)
+      end
+    end
+  end
+
+  # Files that no longer match what the changes were proposed against
+  def conflicting_paths(paths)
+    current = app.app_files.where(path: paths).index_by(&:path)
+
+    paths.select do |path|
+      original = change_for(path)&.dig("original_content")
+      file = current[path]
+      original.nil? ? file.present? : file&.content != original
+    end
+  end
+
+  private
+
+  def set_callback_id
+    self.callback_id ||= SecureRandom.uuid
+  end
+
+  def changes_are_well_formed
+    errors.add(:proposed_changes, "can't be empty") if proposed_changes.blank?
+
+    Array(proposed_changes).each do |change|
+      unless change.is_a?(Hash) && change["file_path"].present? && ACTIONS.include?(change["action"])
+        errors.add(:proposed_changes, "need a file path and one of #{ACTIONS.to_sentence(last_word_connector: " or ")}")
+        break
+      end
+    end
+  end
+end
@@ -3,10 +3,30 @@ class AppChatMessage < ApplicationRecord
   belongs_to :user, optional: true
   belongs_to :app_version, optional: true
 
+  # AI-proposed file changes waiting for (or past) review
+  has_many :app_change_proposals, dependent: :destroy
+
+  # Screenshots and mockups sent along with a user message so the AI can see them
+  has_many_attached :images
+
+  # What the model accepts; base64 adds a third, and it takes up to 5 MB per image
+  IMAGE_CONTENT_TYPES = %w[image/png image/jpeg image/gif image/webp].freeze
+  MAX_IMAGE_SIZE = 3_750.kilobytes
+  MAX_IMAGES = 5
+
+  # Composer slash commands that become AI messages, with the prompt used
+  # when nothing follows the command (/deploy, /restore and /undo call their
+  # endpoints directly and never reach the AI)
+  COMMANDS = {
+    "explain" => "Explain how this app works.",
+    "fix_errors" => "Find and fix the errors in my app."
+  }.freeze
+
   validates :role, inclusion: {in: %w[user assistant system]}
+  validate :images_are_usable, if: -> { images.attached? }
 
   # AI response statuses for better user feedback
-  STATUSES = %w[planning executing generating completed failed validation_error].freeze
+  STATUSES = %w[planning executing generating completed failed stopped validation_error].freeze
   validates :status, inclusion: {in: STATUSES}, allow_nil: true
 
   # Ensure only assistant messages can have status
@@ -38,6 +58,10 @@ class AppChatMessage < ApplicationRecord
     status == "failed"
   end
 
+  def stopped?
+    status == "stopped"
+  end
+
   def generating?
     status == "generating"
   end
@@ -62,6 +86,8 @@ class AppChatMessage < ApplicationRecord
       "fas fa-check-circle text-green-500"
     when "failed"
       "fas fa-exclamation-triangle text-red-500"
+    when "stopped"
+      "fas fa-stop-circle text-gray-500"
     else
       "fas fa-comment text-gray-500"
     end
@@ -77,11 +103,41 @@ class AppChatMessage < ApplicationRecord
       "Completed"
     when "failed"
       "Failed"
+    when "stopped"
+      "Stopped"
     else
       ""
     end
   end
 
+  # Anthropic image content blocks for the attached images, to go before the text
+  def image_content_blocks
+    images.map do |image|
+      {
+        type: "image",
+        source: {type: "base64", media_type: image.content_type, data: Base64.strict_encode64(image.download)}
+      }
+    end
+  end
+
+  def command
+    metadata&.dig("command")
+  end
+
+  # /explain asks about the code without changing it
+  def discussion?
+    command == "explain"
+  end
+
+  # Paths and table names the user @mentioned in the composer
+  def mentioned_file_paths
+    Array(metadata&.dig("context", "files"))
+  end
+
+  def mentioned_table_names
+    Array(metadata&.dig("context", "tables"))
+  end
+
   def partial_name
     # Use V5 partial if this is an agent message with V5 fields
     use_v5_partial? ? "agent_reply_v5" : "chat_message"
@@ -95,6 +151,20 @@ class AppChatMessage < ApplicationRecord
     end
   end
 
+  def images_are_usable
+    errors.add(:images, "can only be attached to your own messages") unless role == "user"
+    errors.add(:images, "are limited to #{MAX_IMAGES} per message") if images.size > MAX_IMAGES
+
+    images.each do |image|
+      unless IMAGE_CONTENT_TYPES.include?(image.content_type)
+        errors.add(:images, "must be PNG, JPEG, GIF or WebP (#{image.filename} isn't)")
+      end
+      if image.byte_size > MAX_IMAGE_SIZE
+        errors.add(:images, "must be #{ActiveSupport::NumberHelper.number_to_human_size(MAX_IMAGE_SIZE)} or smaller (#{image.filename} isn't)")
+      end
+    end
+  end
+
   def broadcast_message_created
     broadcast_append_to(
       "app_#{app.id}_chat",
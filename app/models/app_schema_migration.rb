@@ -0,0 +1,22 @@
+# One recorded change to an app's database schema, with the SQL that applied
+# it and the SQL that reverses it. changes_snapshot keeps the table and column
+# metadata from before and after so a rollback can restore the AppTable records.
+class AppSchemaMigration < ApplicationRecord
+  belongs_to :app
+  belongs_to :app_version, optional: true
+  belongs_to :user, optional: true
+
+  OPERATIONS = %w[create_table drop_table add_column alter_column drop_column].freeze
+
+  enum :status, {applied: "applied", rolled_back: "rolled_back"}
+
+  validates :version, presence: true, uniqueness: {scope: :app_id}
+  validates :name, :table_name, :up_sql, :down_sql, presence: true
+  validates :operation, inclusion: {in: OPERATIONS}
+
+  scope :newest_first, -> { order(version: :desc) }
+
+  def self.next_version_for(app)
+    (where(app: app).maximum(:version) || 0) + 1
+  end
+end
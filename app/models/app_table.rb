@@ -21,6 +21,26 @@ class AppTable < ApplicationRecord
     end
   end
 
+  # Reference columns in other tables (join tables included) pointing at this one
+  def referencing_columns
+    AppTableColumn.joins(:app_table)
+      .where(app_tables: {app_id: app_id}, column_type: "reference")
+      .where.not(app_table_id: id)
+      .select { |column| column.parsed_options["table_id"] == id }
+  end
+
+  # Generated for many-to-many relationships: nothing but two references
+  def join_table?
+    columns = app_table_columns.to_a
+    columns.size == 2 && columns.all?(&:reference?)
+  end
+
+  # Column shown when another table links to a row of this one
+  def label_column
+    text_columns = app_table_columns.order(:created_at).select { |column| column.column_type == "text" }.map(&:name)
+    (%w[name title label email] & text_columns).first || text_columns.first || "id"
+  end
+
   def create_in_supabase!
     Supabase::AppDatabaseService.new(app).create_table(name, schema)
   end
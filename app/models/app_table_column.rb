@@ -1,11 +1,15 @@
 class AppTableColumn < ApplicationRecord
   belongs_to :app_table
 
-  COLUMN_TYPES = %w[text number boolean date datetime select multiselect].freeze
+  COLUMN_TYPES = %w[text number boolean date datetime select multiselect reference].freeze
+
+  # What happens to rows referencing a deleted record
+  ON_DELETE_ACTIONS = %w[cascade set_null restrict].freeze
 
   validates :name, presence: true, uniqueness: {scope: :app_table_id}
   validates :name, format: {with: /\A[a-zA-Z][a-zA-Z0-9_]*\z/, message: "must start with a letter and contain only letters, numbers, and underscores"}
   validates :column_type, inclusion: {in: COLUMN_TYPES}
+  validate :referenced_table_exists, if: :reference?
 
   def supabase_type
     case column_type
@@ -15,14 +19,36 @@ class AppTableColumn < ApplicationRecord
     when "date" then "date"
     when "datetime" then "timestamp with time zone"
     when "select", "multiselect" then "text"
+    when "reference" then "integer"
     else "text"
     end
   end
 
+  # Reference columns hold the id of a row in another table of the same app;
+  # options are {"table_id", "table", "on_delete"}
+  def reference?
+    column_type == "reference"
+  end
+
+  def referenced_table
+    return nil unless reference?
+    app_table.app.app_tables.find_by(id: parsed_options["table_id"])
+  end
+
+  def on_delete
+    parsed_options["on_delete"].presence_in(ON_DELETE_ACTIONS) || "restrict"
+  end
+
   def parsed_options
     return {} unless options.present?
     JSON.parse(options)
   rescue JSON::ParserError
     {}
   end
+
+  private
+
+  def referenced_table_exists
+    errors.add(:options, "must name a table in this app to reference") unless referenced_table
+  end
 end
@@ -10,6 +10,7 @@ class AppVersion < ApplicationRecord
 
   has_many :app_chat_messages, dependent: :nullify
   has_many :app_version_files, dependent: :destroy
+  has_many :app_schema_migrations, dependent: :nullify
   # 🚅 add has_many associations above.
 
   # 🚅 add has_one associations above.
@@ -115,6 +115,7 @@ module Ai
 
       begin
         # Mark app as generating
+        @status_before_generation = app.status
         app.update!(status: "generating")
         update_thinking_status("Phase 1/6: Starting AI Agent")
 
@@ -162,6 +163,11 @@ module Ai
         app.update!(status: "failed", build_error: e.message)
 
         nil # Don't continue processing
+      rescue GenerationControlService::Paused
+        nil # Parked; ResumeGenerationJob carries on
+      rescue GenerationControlService::Stopped => e
+        handle_stop(e)
+        nil
       rescue => e
         Rails.logger.error "[V5_CRITICAL] AppBuilderV5 execute! failed: #{e.class.name}: #{e.message}"
         Rails.logger.error "[V5_CRITICAL] FULL STACK TRACE:"
@@ -181,6 +187,8 @@ module Ai
 
         handle_error(e)
         nil # CRITICAL: Don't continue to finalize_app_generation after error
+      ensure
+        GenerationControlService.clear(@assistant_message.id) if @assistant_message && @completion_status != :paused
       end
     end
 
@@ -285,27 +293,9 @@ module Ai
         # Claude's response (with tool calls) is already handled by execute_tool_calling_cycle
         Rails.logger.info "[V5_SIMPLE] Claude completed work"
 
-        # Phase 2: Build and deploy preview
-        update_thinking_status("Building and deploying preview...")
-        deploy_result = deploy_app
-
-        if deploy_result[:success]
-          # Phase 3: Complete
-          update_thinking_status("Complete!")
-
-          # Note; adds debugging logs in chat
-          # if is_continuation
-          #   add_loop_message("App updated successfully. Preview is ready at: #{deploy_result[:preview_url]}", type: 'status')
-          # else
-          #   add_loop_message("App generation complete. Preview is ready at: #{deploy_result[:preview_url]}", type: 'status')
-          # end
-
-          # Mark completion
-          @completion_status = :complete
-        else
-          add_loop_message("Deployment failed: #{deploy_result[:error]}", type: "error")
-          @completion_status = :failed
-        end
+        deploy_generated_app
+      rescue GenerationControlService::Interrupted
+        raise
       rescue => e
         Rails.logger.error "[V5_SIMPLE] Error in simple flow: #{e.class.name}: #{e.message}"
         Rails.logger.error "[V5_SIMPLE] FULL STACK TRACE:"
@@ -347,6 +337,20 @@ module Ai
       end
     end
 
+    # Phase 2 and 3 of the simple flow, also run when a paused generation is resumed
+    def deploy_generated_app
+      update_thinking_status("Building and deploying preview...")
+      deploy_result = deploy_app
+
+      if deploy_result[:success]
+        update_thinking_status("Complete!")
+        @completion_status = :complete
+      else
+        add_loop_message("Deployment failed: #{deploy_result[:error]}", type: "error")
+        @completion_status = :failed
+      end
+    end
+
     def deploy_preview_if_ready
       if @use_repository_mode && @app.using_repository_mode?
         # GitHub Migration Project: Use Cloudflare Workers Builds deployment
@@ -1256,7 +1260,7 @@ module Ai
 
       Rails.logger.info "[V5_DEPLOY] Build completed with R2 optimization: #{build_result[:size_stats][:r2_assets_count]} assets uploaded"
 
-      # Deploy to Cloudflare with R2 asset URLs
+      # Deploy to Cloudflare; the build files are served from R2
       deployer = Deployment::CloudflareWorkersDeployer.new(app)
       deploy_result = deployer.deploy_with_secrets(
         built_code: build_result[:built_code],
@@ -1740,6 +1744,9 @@ module Ai
         # Reset content tracking for each new API response
         content_added_to_flow = false
 
+        # Honor stop/pause and pass on retries and instructions from the chat
+        generation_checkpoint!(conversation_messages)
+
         # Log messages being sent to API
         Rails.logger.info "[V5_TOOLS] API Call #{tool_cycles + 1}: Sending #{conversation_messages.size} messages"
         Rails.logger.info "[V5_TOOLS] Message roles: #{conversation_messages.map { |m| m[:role] }.join(" -> ")}"
@@ -1806,6 +1813,7 @@ module Ai
             end
 
             # Execute all tool calls and collect results
+            raise_if_stopped!
             tool_results = execute_and_format_tool_results(response[:tool_calls])
 
             # CRITICAL: Add tool results as user message with correct formatting
@@ -1887,6 +1895,7 @@ module Ai
             end
 
             # Execute all tool calls and collect results
+            raise_if_stopped!
             tool_results = execute_and_format_tool_results(response[:tool_calls])
 
             # CRITICAL: Add tool results as user message with correct formatting
@@ -1933,6 +1942,15 @@ module Ai
               Rails.logger.info "[V5_TOOLS] Skipped adding text content - already added before tools"
             end
 
+            # An instruction or retry that came in while Claude was answering
+            # gets its own turn instead of being dropped
+            notes = take_generation_notes
+            if notes.any?
+              conversation_messages << {role: "assistant", content: response[:content].presence || "Done."}
+              conversation_messages << {role: "user", content: notes.map { |note| {type: "text", text: note} }}
+              next
+            end
+
             break
           end
 
@@ -2123,6 +2141,11 @@ module Ai
       end
 
       result
+    rescue GenerationControlService::Paused
+      nil
+    rescue GenerationControlService::Stopped => e
+      handle_stop(e)
+      nil
     rescue => e
       Rails.logger.error "[V5_INCREMENTAL] Error continuing conversation: #{e.message}"
       Rails.logger.error e.backtrace.first(5).join("\n")
@@ -2146,6 +2169,9 @@ module Ai
         # Use hash to make it mutable within lambdas (Ruby closure workaround)
         content_state = {added: false}
 
+        # Honor stop/pause and pass on instructions from the chat
+        generation_checkpoint!(conversation_messages)
+
         # Initialize incremental coordinator for this cycle
         coordinator = Ai::IncrementalToolCoordinator.new(@assistant_message, @app, @iteration_count)
         execution_id = coordinator.initialize_incremental_execution
@@ -3730,16 +3756,29 @@ module Ai
         Rails.logger.info "[SECURITY] Input sanitized after injection detection"
       end
 
-      # TODO Implement a is_discussion variable on the app chat message based on if they have it toggled on or off in UI
-      is_discussion = false
+      # Files, tables and errors the user pointed at from the composer
+      composer_context = build_composer_context
+      user_content = "#{user_content}\n\n#{composer_context}" if composer_context.present?
+
+      # /explain in the composer asks about the code without changing it
+      is_discussion = @chat_message.discussion?
 
-      # If not a discussion and appears to be a change request, append the instruction
-      if !is_discussion
+      if is_discussion
+        user_content = "#{user_content} <system-reminder>The user wants an explanation, not a change. Read whatever files you need and answer in plain language. Do NOT write, rename or delete any files.</system-reminder>"
+      else
+        # Not a discussion, so this is a change request: append the instruction
         user_content = "#{user_content} <system-reminder>Think ahead around tool calling needs, and update all necessary APPLICATION files in one response. IMPORTANT: Use existing UI components from @/components/ui/ - DO NOT create new UI component files (button.tsx, card.tsx, etc.) as they already exist in the template. IMPORTANT: If you need to update the UI, use the existing UI components from @/components/ui/ - DO NOT create new UI component files (button.tsx, card.tsx, etc.) as they already exist in the template.</system-reminder>"
         Rails.logger.info "[V5_PROMPT] Appended batch update instruction to user prompt with component clarification"
       end
 
-      messages << {role: "user", content: user_content}
+      # Attached screenshots and mockups go in ahead of the text so the model
+      # sees the design it is asked to implement (downloaded once per message)
+      if @chat_message.images.attached?
+        @chat_message_image_blocks ||= @chat_message.image_content_blocks
+        messages << {role: "user", content: [*@chat_message_image_blocks, {type: "text", text: user_content}]}
+      else
+        messages << {role: "user", content: user_content}
+      end
 
       # CRITICAL FIX: Add conversation history from previous iterations within this message
       if @iteration_count > 1
@@ -3754,9 +3793,50 @@ module Ai
       messages
     end
 
+    # Contents of the files and schemas of the tables @mentioned in the
+    # composer, plus the latest build and console errors for /fix-errors
+    def build_composer_context
+      sections = []
+
+      if @chat_message.mentioned_file_paths.any?
+        @app.app_files.where(path: @chat_message.mentioned_file_paths).order(:path).each do |file|
+          sections << "<file path=\"#{file.path}\">\n#{file.content}\n</file>"
+        end
+      end
+
+      if @chat_message.mentioned_table_names.any?
+        @app.app_tables.where(name: @chat_message.mentioned_table_names).order(:name).each do |table|
+          columns = table.schema.map do |column|
+            "- #{column[:name]}: #{column[:type]}#{" (required)" if column[:required]}#{" default #{column[:default]}" if column[:default].present?}"
+          end
+          sections << "<table name=\"#{table.name}\" supabase_table=\"#{table.supabase_table_name}\">\n" \
+            "- id, created_at, updated_at, app_user_id (standard)\n#{columns.join("\n")}\n</table>"
+        end
+      end
+
+      if @chat_message.command == "fix_errors"
+        errors = []
+        errors << "Last build error:\n#{@app.build_error}" if @app.build_error.present?
+        logs = Deployment::IframeBridgeService.new(@app).read_console_logs(nil, 50)
+        if logs[:success]
+          logs[:logs].select { |log| log["level"] == "error" }.first(10).each do |log|
+            errors << "Console error#{" at #{log["url"]}:#{log["line_number"]}" if log["url"].present?}: #{log["message"]}#{"\n#{log["stack"]}" if log["stack"].present?}"
+          end
+        end
+        errors << "No errors were recorded. Check the app's files for problems that would break the build or the page." if errors.empty?
+        sections << "<errors>\n#{errors.join("\n\n")}\n</errors>"
+      end
+
+      return nil if sections.empty?
+
+      Rails.logger.info "[V5_PROMPT] Added composer context: #{@chat_message.mentioned_file_paths.size} files, #{@chat_message.mentioned_table_names.size} tables, command=#{@chat_message.command.inspect}"
+      "<composer_context>\nThe user pointed at these; focus on exactly these targets.\n#{sections.join("\n\n")}\n</composer_context>"
+    end
+
     def add_previous_chat_messages(messages)
       # Get previous messages from the app's chat history (excluding current)
       previous_messages = @app.app_chat_messages
+        .with_attached_images
         .where.not(id: @chat_message.id)
         .order(created_at: :asc)
         .last(5) # Keep last 5 messages for context
@@ -3766,7 +3846,12 @@ module Ai
         next if msg.status == "failed"
 
         if msg.role == "user"
-          messages << {role: "user", content: msg.content}
+          # Earlier images are only named, to keep the context small
+          content = msg.content
+          if msg.images.attached?
+            content = "#{content}\n\n[Attached images: #{msg.images.map { |image| image.filename.to_s }.join(", ")}]"
+          end
+          messages << {role: "user", content: content}
         elsif msg.role == "assistant"
           # For assistant messages in continuation, we need to include thinking blocks
           # when thinking is enabled to satisfy Anthropic API requirements
@@ -4141,6 +4226,156 @@ module Ai
       end
     end
 
+    # =============================================================================
+    # GENERATION CONTROLS (stop, pause, retry and instructions from the chat)
+    # =============================================================================
+
+    # Before each AI call: park the generation when paused, give up when
+    # stopped, and add anything the user sent meanwhile to the next user turn
+    def generation_checkpoint!(conversation_messages)
+      raise_if_stopped!
+      park_if_paused!(conversation_messages)
+
+      notes = take_generation_notes
+      return if notes.empty?
+
+      blocks = notes.map { |note| {type: "text", text: note} }
+      last = conversation_messages.last
+
+      if last && last[:role] == "user"
+        content = last[:content].is_a?(Array) ? last[:content] : [{type: "text", text: last[:content].to_s}]
+        conversation_messages[-1] = last.merge(content: content + blocks)
+      else
+        conversation_messages << {role: "user", content: blocks}
+      end
+    end
+
+    # Before tools run. The conversation ends with their tool_use blocks here,
+    # so it can't be parked; a pause takes effect at the next AI call.
+    def raise_if_stopped!
+      raise GenerationControlService::Stopped if GenerationControlService.stopped?(@assistant_message.id)
+    end
+
+    # Save the conversation and end this run, so a pause doesn't hold a
+    # worker; ResumeGenerationJob calls resume! with the snapshot
+    def park_if_paused!(conversation_messages)
+      return unless GenerationControlService.state(@assistant_message.id) == "paused"
+
+      @completion_status = :paused
+      status_before_pause = @assistant_message.thinking_status
+      update_thinking_status("Paused - resume to continue")
+      broadcast_message_update
+
+      GenerationControlService.park(@assistant_message.id, {
+        chat_message_id: @chat_message.id,
+        messages: conversation_messages,
+        iteration_count: @iteration_count,
+        status_before_generation: @status_before_generation,
+        status_before_pause: status_before_pause,
+        modified_files: @agent_state[:modified_files]
+      })
+      raise GenerationControlService::Paused
+    end
+
+    # Carry on with a parked generation: the rest of its tool cycle, then
+    # the deploy and finalize steps of execute!. An expired pause ends it.
+    def resume!(assistant_message, parked, expired: false)
+      @assistant_message = assistant_message
+      @iteration_count = parked[:iteration_count]
+      @status_before_generation = parked[:status_before_generation]
+      @agent_state[:modified_files] = parked[:modified_files] || {}
+
+      begin
+        if expired
+          raise GenerationControlService::Stopped, "Generation stopped after being paused for #{GenerationControlService::MAX_PAUSE.inspect}"
+        end
+
+        update_thinking_status(parked[:status_before_pause])
+        broadcast_message_update
+
+        response = execute_tool_calling_cycle(Ai::AnthropicClient.instance, parked[:messages], @prompt_service.generate_tools,
+          "overskill-v5-#{@app.id}-#{Time.current.to_i}", "/app-#{@app.id}/resume")
+        # Incremental tools finish in IncrementalToolCompletionJob, which carries on
+        return response if response[:async_execution]
+
+        deploy_generated_app
+        finalize_app_generation
+      rescue GenerationControlService::Paused
+        nil
+      rescue GenerationControlService::Stopped => e
+        handle_stop(e)
+        nil
+      rescue => e
+        handle_error(e)
+        nil
+      ensure
+        GenerationControlService.clear(@assistant_message.id) unless @completion_status == :paused || response&.dig(:async_execution)
+      end
+    end
+
+    # Text for Claude about each retry and instruction queued since the last checkpoint
+    def take_generation_notes
+      GenerationControlService.take_inputs(@assistant_message.id).filter_map do |input|
+        case input["type"]
+        when "instruction"
+          @assistant_message.reload
+          add_to_conversation_flow(type: "instruction", content: input["text"])
+          broadcast_message_update
+          "<user_instruction>\nThe user sent this while you were working. Follow it from your next step on:\n#{input["text"]}\n</user_instruction>"
+        when "retry"
+          retry_failed_tool(input["execution_id"], input["tool_index"])
+        end
+      end
+    end
+
+    def retry_failed_tool(execution_id, tool_index)
+      tool = @assistant_message.reload.conversation_flow
+        .find { |item| item["type"] == "tools" && item["execution_id"] == execution_id }
+        &.dig("tools", tool_index)
+      return nil unless tool && tool["status"] == "error"
+
+      Rails.logger.info "[V5_CONTROL] Retrying #{tool["name"]} (#{execution_id}/#{tool_index}) at the user's request"
+      tool_call = {"function" => {"name" => tool["name"], "arguments" => (tool["args"] || {}).to_json}}
+      result = Ai::StreamingToolExecutor.new(@assistant_message, app, @iteration_count).execute_with_streaming(tool_call, tool_index)
+      error = result.is_a?(Hash) ? result[:error] : nil
+
+      flow = @assistant_message.reload.conversation_flow.deep_dup
+      retried = flow.find { |item| item["type"] == "tools" && item["execution_id"] == execution_id }&.dig("tools", tool_index)
+      if retried
+        retried.merge!("status" => error ? "error" : "complete", "error" => error, "retried" => true, "completed_at" => Time.current.iso8601)
+        @assistant_message.update_columns(conversation_flow: flow, updated_at: Time.current)
+        broadcast_message_update
+      end
+
+      target = tool["file_path"].present? ? " on #{tool["file_path"]}" : ""
+      if error
+        "The user retried your failed #{tool["name"]} call#{target}. It failed again: #{error}"
+      else
+        output = result.is_a?(Hash) ? (result[:content] || result["content"]) : nil
+        "The user retried your failed #{tool["name"]} call#{target} and it succeeded.#{" Result: #{output.to_s.truncate(2000)}" if output.present?}"
+      end
+    end
+
+    def handle_stop(stop)
+      Rails.logger.info "[V5_CONTROL] #{stop.message} (message #{@assistant_message.id}, iteration #{@iteration_count})"
+
+      @completion_status = :stopped
+      restored_status = (@status_before_generation.blank? || @status_before_generation == "generating") ? "generated" : @status_before_generation
+      app.update!(status: restored_status)
+
+      changed_files = @agent_state[:modified_files].size
+      @assistant_message.reload.update!(
+        thinking_status: nil,
+        status: "stopped",
+        content: "⏹️ #{stop.message}.#{" #{changed_files} #{"file".pluralize(changed_files)} changed before stopping #{(changed_files == 1) ? "was" : "were"} kept." if changed_files > 0} Send a message to pick up from here."
+      )
+      broadcast_message_update
+
+      # Keep the preview in step with the files that were changed
+      UpdatePreviewJob.perform_later(app.id) if changed_files > 0
+      GenerationControlService.broadcast(@assistant_message.id, event: "stopped")
+    end
+
     def handle_error(error)
       Rails.logger.error "[AppBuilderV5] Error: #{error.message}"
       Rails.logger.error error.backtrace.join("\n")
@@ -5066,9 +5301,7 @@ module Ai
           return  # Exit early but after saving any pending changes
         end
         flow_entry["tools"] = tools_to_add
-      when "status"
-        flow_entry["content"] = content
-      when "error"
+      when "status", "error", "instruction"
         flow_entry["content"] = content
       end
 
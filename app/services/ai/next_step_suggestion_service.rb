@@ -0,0 +1,251 @@
+module Ai
+  # Suggests what to ask for next in an app's chat, from the app's actual
+  # state rather than the wording of the last reply: a failing build, errors
+  # the preview reported, protected apps without login pages, accessibility
+  # problems in the source, tables with no data and pages nothing links to.
+  #
+  # Each suggestion has a key that identifies the problem it is about, so a
+  # dismissed suggestion stays hidden until the problem changes (another
+  # deployment fails, a different table is empty, ...).
+  class NextStepSuggestionService
+    LIMIT = 3
+    MAX_DISMISSED = 200
+    MAX_TABLES_CHECKED = 10
+    MAX_PREVIEW_ERRORS = 20
+    PREVIEW_ERROR_TTL = 1.day
+
+    # Higher scores are shown first
+    SCORES = {
+      "build" => 100,
+      "runtime_error" => 90,
+      "auth" => 70,
+      "accessibility" => 50,
+      "data" => 40,
+      "routes" => 30,
+      "publish" => 10
+    }.freeze
+
+    SOURCE_FILE = /\.(jsx|tsx)\z/
+    AUTH_PAGE = %r{(\A|/)((log-?in|sign-?in|auth)(page)?\.(jsx|tsx)\z|auth/)}i
+    # Pattern => [singular, plural] description of the problem
+    ACCESSIBILITY_CHECKS = {
+      /<img\b(?![^>]*\balt=)[^>]*>/m => ["image without alt text", "images without alt text"],
+      /<(?:div|span)\b(?![^>]*\brole=)[^>]*\bonClick=/m => ["clickable element that isn't a button", "clickable elements that aren't buttons"]
+    }.freeze
+    ROUTE_PATH = /<Route\b[^>]*\bpath=["']([^"']+)["']/
+    LINK_TARGET = /(?:\bto|\bhref)=\{?["'`](\/[^"'`?#]*)|navigate\(\s*["'`](\/[^"'`?#]*)/
+
+    class << self
+      # Called when the preview reports an uncaught error or rejected promise.
+      # Repeats of the same message are counted rather than stored again.
+      def record_preview_error(app, error)
+        message = error[:message].to_s.strip.first(500)
+        return if message.blank?
+
+        errors = preview_errors(app)
+        previous = errors.find { |existing| existing["message"] == message }
+        errors -= [previous]
+
+        errors.unshift(
+          "message" => message,
+          "type" => error[:type].to_s.presence,
+          "url" => error[:url].to_s.presence,
+          "count" => (previous&.dig("count") || 0) + 1,
+          "last_seen_at" => Time.current.iso8601
+        )
+        Rails.cache.write(preview_errors_key(app), errors.first(MAX_PREVIEW_ERRORS), expires_in: PREVIEW_ERROR_TTL)
+      end
+
+      def preview_errors(app)
+        Rails.cache.read(preview_errors_key(app)) || []
+      end
+
+      private
+
+      def preview_errors_key(app)
+        "next_step_suggestions:#{app.id}:preview_errors"
+      end
+    end
+
+    def initialize(app)
+      @app = app
+    end
+
+    # The highest ranked suggestions that haven't been dismissed
+    def suggestions(limit: LIMIT)
+      dismissed = @app.dismissed_suggestions
+
+      candidates
+        .reject { |suggestion| dismissed.include?(suggestion[:key]) }
+        .sort_by { |suggestion| -suggestion[:score] }
+        .first(limit)
+    end
+
+    def dismiss(key)
+      return false if key.blank?
+
+      dismissed = (@app.dismissed_suggestions - [key]) << key.to_s
+      @app.update_column(:dismissed_suggestions, dismissed.last(MAX_DISMISSED))
+    end
+
+    private
+
+    def candidates
+      [
+        build_failure,
+        *runtime_errors,
+        missing_auth_pages,
+        accessibility_issues,
+        empty_tables,
+        unused_routes,
+        publish
+      ].compact
+    end
+
+    def build_failure
+      deployment = @app.app_deployments.order(created_at: :desc).first
+
+      if deployment&.deployment_failed?
+        error = deployment.error_message.presence || "no error message was recorded"
+        suggestion(
+          "build",
+          key: "build_failed:deployment:#{deployment.id}",
+          label: "Fix the failing build",
+          prompt: "The last #{deployment.environment} build failed with this error:\n\n#{error}\n\nFind the cause and fix it.",
+          reason: "The last #{deployment.environment} deployment failed: #{error.truncate(160)}"
+        )
+      elsif @app.failed? && @app.build_error.present?
+        suggestion(
+          "build",
+          key: "build_failed:#{digest(@app.build_error)}",
+          label: "Fix the failing build",
+          prompt: "The last build failed with this error:\n\n#{@app.build_error}\n\nFind the cause and fix it.",
+          reason: "The last build failed: #{@app.build_error.truncate(160)}"
+        )
+      end
+    end
+
+    # Errors older than the app's latest version may already be fixed; the
+    # preview reports them again if not
+    def runtime_errors
+      since = @app.app_versions.maximum(:created_at)
+      errors = self.class.preview_errors(@app)
+      errors = errors.select { |error| Time.zone.parse(error["last_seen_at"]) >= since } if since
+
+      errors.sort_by { |error| -error["count"] }.first(2).map do |error|
+        times = (error["count"] == 1) ? "once" : "#{error["count"]} times"
+        suggestion(
+          "runtime_error",
+          key: "runtime_error:#{digest(error["message"])}",
+          label: "Fix \"#{error["message"].truncate(40)}\"",
+          prompt: "The preview throws this error#{" on #{error["url"]}" if error["url"]}:\n\n#{error["message"]}\n\nFind the cause and fix it.",
+          reason: "The preview reported this error #{times} since the last change",
+          boost: [error["count"], 9].min
+        )
+      end
+    end
+
+    def missing_auth_pages
+      requires_login = @app.app_auth_setting&.requires_authentication?
+      uses_auth = source_files.any? { |_path, content| content.include?("supabase.auth") }
+      return unless requires_login || uses_auth
+      return if source_files.keys.any? { |path| path.match?(AUTH_PAGE) }
+
+      suggestion(
+        "auth",
+        key: "missing_auth_pages",
+        label: "Add login and sign-up pages",
+        prompt: "Add login, sign-up and forgot-password pages wired to Supabase auth, and protect the pages that need a signed-in user.",
+        reason: requires_login ? "Visitors must sign in to use this app, but it has no login page" : "The app uses Supabase auth but has no login page"
+      )
+    end
+
+    def accessibility_issues
+      issues = source_files.flat_map do |path, content|
+        ACCESSIBILITY_CHECKS.flat_map do |pattern, descriptions|
+          Array.new(content.scan(pattern).size) { [path, descriptions] }
+        end
+      end
+      return if issues.empty?
+
+      files = issues.map(&:first).uniq
+      summary = issues.map(&:last).tally.map { |(singular, plural), count| "#{count} #{(count == 1) ? singular : plural}" }.to_sentence
+
+      suggestion(
+        "accessibility",
+        key: "accessibility:#{digest(issues.sort.to_json)}",
+        label: "Fix accessibility issues",
+        prompt: "Fix these accessibility issues: #{summary} in #{files.first(5).join(", ")}. Give images meaningful alt text and use buttons or links for clickable elements.",
+        reason: "Found #{summary} in #{files.first(3).to_sentence}#{" and others" if files.size > 3}",
+        boost: [issues.size, 9].min
+      )
+    end
+
+    def empty_tables
+      tables = @app.app_tables.order(:name).limit(MAX_TABLES_CHECKED).to_a
+      return if tables.empty?
+
+      database = Supabase::AppDatabaseService.new(@app)
+      empty = tables.select { |table| database.count_rows(table.name).zero? }
+      return if empty.empty?
+
+      names = empty.map(&:name)
+      suggestion(
+        "data",
+        key: "empty_tables:#{empty.map(&:id).sort.join(",")}",
+        label: "Add sample data",
+        prompt: "Add realistic sample data to the #{names.to_sentence} #{"table".pluralize(names.size)} so the app has something to show.",
+        reason: "#{names.to_sentence} #{(names.size == 1) ? "has" : "have"} no rows yet"
+      )
+    rescue => e
+      Rails.logger.warn "[NextStepSuggestions] Could not count table rows for app #{@app.id}: #{e.message}"
+      nil
+    end
+
+    # Static routes no link or navigate() call points at
+    def unused_routes
+      routes = source_files.values.flat_map { |content| content.scan(ROUTE_PATH).flatten }
+      routes = routes.uniq.reject { |path| path == "/" || path.include?(":") || path.include?("*") || !path.start_with?("/") }
+      return if routes.empty?
+
+      linked = source_files.values.flat_map { |content| content.scan(LINK_TARGET).flatten.compact }
+      linked = linked.map { |path| path.chomp("/").presence || "/" }.to_set
+
+      unused = routes.reject { |path| linked.include?(path.chomp("/")) }
+      return if unused.empty?
+
+      suggestion(
+        "routes",
+        key: "unused_routes:#{unused.sort.join(",")}",
+        label: "Link to #{(unused.size == 1) ? unused.first : "unreachable pages"}",
+        prompt: "These pages have routes but nothing links to them: #{unused.join(", ")}. Add them to the navigation where it makes sense, or remove the ones that aren't needed.",
+        reason: "Nothing links to #{unused.first(3).to_sentence}#{" and others" if unused.size > 3}"
+      )
+    end
+
+    def publish
+      return if @app.published? || @app.app_deployments.production.successful.exists?
+
+      suggestion(
+        "publish",
+        key: "publish",
+        label: "Publish the app",
+        prompt: "Deploy the current version to production",
+        reason: "This app hasn't been published yet"
+      )
+    end
+
+    def suggestion(category, key:, label:, prompt:, reason:, boost: 0)
+      {key: key, category: category, label: label, prompt: prompt, reason: reason, score: SCORES.fetch(category) + boost}
+    end
+
+    def source_files
+      @source_files ||= @app.app_files.select { |file| file.path.match?(SOURCE_FILE) }
+        .to_h { |file| [file.path, file.content.to_s] }
+    end
+
+    def digest(text)
+      Digest::SHA256.hexdigest(text.to_s)[0, 12]
+    end
+  end
+end
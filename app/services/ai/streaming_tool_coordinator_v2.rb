@@ -79,6 +79,23 @@ class Ai::StreamingToolCoordinatorV2
     end
   end
 
+  # Class method for tool jobs to report a tool the user skipped before it ran
+  def self.tool_skipped(message_id, execution_id, tool_index)
+    message = AppChatMessage.find(message_id)
+    Rails.logger.info "[V2_COORDINATOR] Tool #{tool_index} of execution #{execution_id} skipped by the user"
+
+    cache_key = "streaming_tools:#{execution_id}:tool_#{tool_index}_completed"
+    Rails.cache.write(cache_key, {status: "skipped", completed_at: Time.current.iso8601}, expires_in: CACHE_TTL)
+
+    coordinator = new(message, 0)
+    coordinator.send(:update_tool_status_atomically, execution_id, tool_index, "skipped")
+    coordinator.send(:broadcast_tool_update, tool_index, "skipped")
+
+    if coordinator.send(:all_tools_completed?, execution_id)
+      coordinator.send(:finalize_execution, execution_id)
+    end
+  end
+
   def handle_tool_completion(execution_id, tool_index, result, error)
     Rails.logger.info "[V2_COORDINATOR] Tool #{tool_index} completed: #{error ? "ERROR" : "SUCCESS"}"
 
@@ -202,6 +219,7 @@ class Ai::StreamingToolCoordinatorV2
     start_time = Time.current
     completed_tools = {}
     check_count = 0
+    stopped = false
 
     loop do
       check_count += 1
@@ -212,6 +230,13 @@ class Ai::StreamingToolCoordinatorV2
         break
       end
 
+      # Stop waiting once the user stops the generation
+      if GenerationControlService.stopped?(@message.id)
+        Rails.logger.info "[V2_COORDINATOR] Generation stopped, no longer waiting for tools"
+        stopped = true
+        break
+      end
+
       # Log every 10th check (every 5 seconds)
       if check_count % 10 == 0
         Rails.logger.info "[V2_COORDINATOR] Still waiting... Check ##{check_count}, completed: #{completed_tools.size}/#{total_tools}"
@@ -240,7 +265,7 @@ class Ai::StreamingToolCoordinatorV2
             }
             if tools_entry && tools_entry["tools"] && tools_entry["tools"][tool_index]
               tool = tools_entry["tools"][tool_index]
-              if %w[complete error].include?(tool["status"])
+              if %w[complete error skipped].include?(tool["status"])
                 completed_tools[tool_index] = {
                   "status" => tool["status"],
                   "result" => tool["result"],
@@ -266,9 +291,10 @@ class Ai::StreamingToolCoordinatorV2
     # Handle any tools that didn't complete
     (0...total_tools).each do |tool_index|
       unless completed_tools.key?(tool_index)
-        Rails.logger.warn "[V2_COORDINATOR] Tool #{tool_index} timed out"
-        handle_tool_completion(execution_id, tool_index, nil, "Tool execution timed out")
-        completed_tools[tool_index] = {"status" => "error", "error" => "Timeout"}
+        error = stopped ? "Generation stopped before the tool finished" : "Tool execution timed out"
+        Rails.logger.warn "[V2_COORDINATOR] Tool #{tool_index}: #{error}"
+        handle_tool_completion(execution_id, tool_index, nil, error)
+        completed_tools[tool_index] = {"status" => "error", "error" => stopped ? error : "Timeout"}
       end
     end
 
@@ -294,7 +320,7 @@ class Ai::StreamingToolCoordinatorV2
 
         # Don't overwrite final states with intermediate states
         current_status = tool["status"]
-        if %w[complete error].include?(current_status) && %w[queued running].include?(status)
+        if %w[complete error skipped].include?(current_status) && %w[queued running].include?(status)
           Rails.logger.info "[V2_COORDINATOR] Tool #{tool_index} already in final state '#{current_status}', skipping update to '#{status}'"
           return
         end
@@ -302,7 +328,7 @@ class Ai::StreamingToolCoordinatorV2
         # Update tool data
         tool["status"] = status
         tool["started_at"] ||= Time.current.iso8601 if status == "running"
-        tool["completed_at"] = Time.current.iso8601 if %w[complete error].include?(status)
+        tool["completed_at"] = Time.current.iso8601 if %w[complete error skipped].include?(status)
         tool["error"] = error if error
         tool["result"] = result if result && status == "complete"
 
@@ -361,7 +387,7 @@ class Ai::StreamingToolCoordinatorV2
 
       if tools_entry && tools_entry["tools"]
         total_tools = tools_entry["tools"].size
-        successful_count = tools_entry["tools"].count { |tool| tool["status"] == "complete" }
+        successful_count = tools_entry["tools"].count { |tool| %w[complete skipped].include?(tool["status"]) }
         Rails.logger.info "[V2_COORDINATOR] Database fallback - Tool success check: #{successful_count}/#{total_tools} successful"
         return successful_count == total_tools
       else
@@ -378,7 +404,7 @@ class Ai::StreamingToolCoordinatorV2
       tool_data = Rails.cache.read(completion_key)
       # Handle both symbol and string keys for compatibility
       tool_data = tool_data.with_indifferent_access if tool_data.is_a?(Hash)
-      if tool_data && tool_data["status"] == "complete"
+      if tool_data && %w[complete skipped].include?(tool_data["status"])
         successful_count += 1
         Rails.logger.debug "[V2_COORDINATOR] Tool #{tool_index}: complete"
       else
@@ -499,6 +525,8 @@ class Ai::StreamingToolCoordinatorV2
         Rails.logger.debug "[V2_COORDINATOR_FIX] Tool #{index} result processed: #{result.class}, has_content: #{result.is_a?(Hash) && (result[:content] || result["content"])}"
       when "error"
         tool_result_block[:content] = completion_data["error"] || "Tool execution failed"
+      when "skipped"
+        tool_result_block[:content] = "The user skipped this #{tool_name} call, so it did not run. Don't repeat it unless the user asks."
       else
         tool_result_block[:content] = "Tool #{tool_name} status unknown"
       end
@@ -0,0 +1,59 @@
+// Vite plugin that tags JSX elements with their source location
+// Adds data-os-source="src/path/File.tsx:line:column" to every JSX element so
+// the OverSkill editor can map a visual selection in the preview back to code
+
+import path from 'path';
+import MagicString from 'magic-string';
+import ts from 'typescript';
+
+export default function osSource() {
+  let root = process.cwd();
+
+  return {
+    name: 'overskill-os-source',
+    enforce: 'pre',
+
+    configResolved(config) {
+      root = config.root;
+    },
+
+    transform(code, id) {
+      const filePath = id.split('?')[0];
+      if (!/\.(tsx|jsx)$/.test(filePath) || filePath.includes('node_modules')) return null;
+
+      const file = path.relative(root, filePath).split(path.sep).join('/');
+      const source = ts.createSourceFile(
+        filePath,
+        code,
+        ts.ScriptTarget.Latest,
+        true,
+        filePath.endsWith('.tsx') ? ts.ScriptKind.TSX : ts.ScriptKind.JSX
+      );
+
+      const s = new MagicString(code);
+      const visit = (node) => {
+        if (ts.isJsxOpeningElement(node) || ts.isJsxSelfClosingElement(node)) {
+          const tag = node.tagName.getText(source);
+          const tagged = node.attributes.properties.some(
+            (attr) => ts.isJsxAttribute(attr) && attr.name.getText(source) === 'data-os-source'
+          );
+
+          // Inserted right after the tag name, so a later {...props} spread lets
+          // the call site's location win over the component's own markup
+          if (!tagged && !/(^|\.)Fragment$/.test(tag)) {
+            const { line, character } = source.getLineAndCharacterOfPosition(node.getStart(source));
+            s.appendLeft(node.tagName.end, ` data-os-source="${file}:${line + 1}:${character + 1}"`);
+          }
+        }
+        ts.forEachChild(node, visit);
+      };
+      visit(source);
+
+      if (!s.hasChanged()) return null;
+
+      // The map keeps later transforms and the browser pointing at the
+      // original lines and columns
+      return { code: s.toString(), map: s.generateMap({ source: filePath, includeContent: true, hires: true }) };
+    }
+  };
+}
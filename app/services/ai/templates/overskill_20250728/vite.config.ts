@@ -1,6 +1,7 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react-swc";
 import path from "path";
+import osSource from "./scripts/vite-plugin-os-source.js";
 
 // https://vitejs.dev/config/
 export default defineConfig(({ mode }) => ({
@@ -9,6 +10,9 @@ export default defineConfig(({ mode }) => ({
     port: 8080,
   },
   plugins: [
+    // Source locations let the editor turn visual edits into file patches.
+    // Preview builds keep them; publish builds set OVERSKILL_PUBLISH to strip them.
+    process.env.OVERSKILL_PUBLISH !== 'true' && osSource(),
     react(),
   ].filter(Boolean),
   resolve: {
@@ -0,0 +1,151 @@
+module ApiExplorer
+  # Writes an API explorer collection out as a Postman v2.1 collection or an
+  # OpenAPI 3 document. When an environment is given its variables go along
+  # (Postman collection variables, or the OpenAPI server URL), except that
+  # secret values are left blank.
+  class CollectionExportService
+    POSTMAN_SCHEMA = "https://schema.getpostman.com/json/collection/v2.1.0/collection.json".freeze
+    FORMATS = %w[postman openapi].freeze
+
+    def initialize(collection, environment: nil)
+      @collection = collection
+      @environment = environment
+      @requests = collection.app_api_requests.to_a
+    end
+
+    def filename(format)
+      base = @collection.name.parameterize.presence || "collection"
+      (format == "openapi") ? "#{base}.openapi.json" : "#{base}.postman_collection.json"
+    end
+
+    def export(format)
+      (format == "openapi") ? openapi : postman
+    end
+
+    def postman
+      {
+        info: {
+          name: @collection.name,
+          description: @collection.description,
+          schema: POSTMAN_SCHEMA
+        }.compact,
+        item: @requests.map { |request| postman_item(request) },
+        variable: exported_variables.map { |variable| {key: variable["key"], value: variable["value"]} }
+      }
+    end
+
+    def openapi
+      paths = {}
+      operation_ids = Set.new
+
+      @requests.each do |request|
+        path, query = openapi_path(request.url)
+        operation = openapi_operation(request, query, operation_ids)
+        (paths[path] ||= {})[request.http_method.downcase] ||= operation
+      end
+
+      document = {
+        openapi: "3.0.3",
+        info: {title: @collection.name, description: @collection.description, version: "1.0.0"}.compact
+      }
+
+      base_url = exported_variables.find { |variable| variable["key"] == "baseUrl" }&.dig("value")
+      document[:servers] = [{url: base_url}] if base_url.present?
+      document[:paths] = paths
+      if @requests.any? { |request| bearer_header(request) }
+        document[:components] = {securitySchemes: {bearerAuth: {type: "http", scheme: "bearer"}}}
+      end
+
+      document
+    end
+
+    private
+
+    def exported_variables
+      return [] unless @environment
+
+      @environment.variables.map do |variable|
+        variable.merge("value" => variable["secret"] ? "" : variable["value"].to_s)
+      end
+    end
+
+    def postman_item(request)
+      item = {
+        name: request.name,
+        request: {
+          method: request.http_method,
+          header: request.headers.map do |header|
+            {key: header["name"], value: header["value"].to_s, disabled: header["enabled"] == false}
+          end,
+          url: {raw: request.url}
+        }
+      }
+
+      if request.body.present?
+        item[:request][:body] = {mode: "raw", raw: request.body, options: {raw: {language: json?(request.body) ? "json" : "text"}}}
+      end
+
+      item
+    end
+
+    # [path with {params}, query string]; a leading {{baseUrl}} or scheme and host is dropped
+    def openapi_path(url)
+      path, query = url.to_s.sub(/\A\{\{[^}]+\}\}/, "").sub(%r{\A[a-z][a-z0-9+.-]*://[^/]+}i, "").split("?", 2)
+      path = "/#{path}" unless path.to_s.start_with?("/")
+      [path.gsub(/(?<=\/):([A-Za-z_]\w*)/, '{\1}'), query]
+    end
+
+    def openapi_operation(request, query, operation_ids)
+      operation_id = unique_operation_id(request.name, operation_ids)
+      parameters = request.path_params.map do |name|
+        {name: name, in: "path", required: true, schema: {type: "string"}}
+      end
+
+      query.to_s.split("&").each do |pair|
+        name, value = pair.split("=", 2)
+        next if name.blank?
+
+        parameters << {name: name, in: "query", schema: {type: "string"}, example: value}.compact
+      end
+
+      request.headers.each do |header|
+        next if %w[content-type authorization].include?(header["name"].downcase)
+
+        parameters << {name: header["name"], in: "header", required: header["enabled"] != false, schema: {type: "string"}, example: header["value"]}
+      end
+
+      operation = {summary: request.name, operationId: operation_id}
+      operation[:parameters] = parameters if parameters.any?
+
+      if request.body.present?
+        content_type = request.headers.find { |header| header["name"].casecmp?("content-type") }&.dig("value").presence
+        content_type ||= json?(request.body) ? "application/json" : "text/plain"
+        example = json?(request.body) ? JSON.parse(request.body) : request.body
+        operation[:requestBody] = {content: {content_type => {example: example}}}
+      end
+
+      operation[:security] = [{bearerAuth: []}] if bearer_header(request)
+      operation[:responses] = {default: {description: "Response"}}
+      operation
+    end
+
+    def unique_operation_id(name, operation_ids)
+      base = name.to_s.parameterize(separator: "_").camelize(:lower).presence || "request"
+      id = base
+      id = "#{base}#{operation_ids.size + 1}" while operation_ids.include?(id)
+      operation_ids << id
+      id
+    end
+
+    def bearer_header(request)
+      request.headers.any? { |header| header["name"].casecmp?("authorization") && header["value"].to_s.start_with?("Bearer ") }
+    end
+
+    def json?(text)
+      JSON.parse(text)
+      true
+    rescue JSON::ParserError
+      false
+    end
+  end
+end
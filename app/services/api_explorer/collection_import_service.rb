@@ -0,0 +1,299 @@
+require "yaml"
+
+module ApiExplorer
+  # Turns a Postman collection (v2.0/v2.1) or an OpenAPI 3 document into an
+  # API explorer collection. Variables the file defines (Postman collection
+  # variables, OpenAPI servers and bearer auth) become an environment of the
+  # same name so the imported {{placeholders}} resolve straight away.
+  class CollectionImportService
+    MAX_FILE_SIZE = 5.megabytes
+    MAX_REQUESTS = 1000
+    MAX_SCHEMA_DEPTH = 6
+
+    OPENAPI_METHODS = %w[get post put patch delete head options].freeze
+
+    class ImportError < StandardError; end
+
+    def initialize(app, content, user: nil)
+      @app = app
+      @content = content.to_s
+      @user = user
+    end
+
+    # {success:, format:, collection:, environment:} or {success: false, error:}
+    def import
+      raise ImportError, "File is larger than #{MAX_FILE_SIZE / 1.megabyte} MB" if @content.bytesize > MAX_FILE_SIZE
+
+      data = parse_document
+      format, name, description, requests, variables = if data["openapi"].to_s.start_with?("3")
+        ["openapi", *read_openapi(data)]
+      elsif data["swagger"].present?
+        raise ImportError, "Swagger 2.0 files aren't supported. Convert the file to OpenAPI 3 first."
+      elsif data["item"].is_a?(Array)
+        ["postman", *read_postman(data)]
+      else
+        raise ImportError, "This doesn't look like a Postman collection or an OpenAPI 3 document"
+      end
+
+      raise ImportError, "The file doesn't contain any requests" if requests.empty?
+      raise ImportError, "The file contains more than #{MAX_REQUESTS} requests" if requests.size > MAX_REQUESTS
+
+      collection, environment = save(name, description, requests, variables)
+      {success: true, format: format, collection: collection, environment: environment}
+    rescue ImportError => e
+      {success: false, error: e.message}
+    rescue ActiveRecord::RecordInvalid => e
+      {success: false, error: "Could not import: #{e.record.errors.full_messages.to_sentence}"}
+    end
+
+    private
+
+    def parse_document
+      content = @content.dup.force_encoding(Encoding::UTF_8).delete_prefix("﻿")
+      raise ImportError, "File is not valid UTF-8" unless content.valid_encoding?
+
+      data = begin
+        JSON.parse(content)
+      rescue JSON::ParserError
+        begin
+          YAML.safe_load(content, permitted_classes: [Date, Time], aliases: true)
+        rescue Psych::Exception => e
+          raise ImportError, "The file is neither valid JSON nor valid YAML: #{e.message}"
+        end
+      end
+      raise ImportError, "The file must contain a JSON or YAML object" unless data.is_a?(Hash)
+
+      data
+    end
+
+    def save(name, description, requests, variables)
+      AppApiCollection.transaction do
+        collection = @app.app_api_collections.create!(
+          name: unique_name(@app.app_api_collections, name),
+          description: description,
+          created_by: @user
+        )
+        requests.each { |attributes| collection.app_api_requests.create!(attributes) }
+
+        environment = if variables.any?
+          @app.app_api_environments.create!(name: unique_name(@app.app_api_environments, collection.name), variables: variables)
+        end
+
+        [collection, environment]
+      end
+    end
+
+    def unique_name(scope, name)
+      name = name.to_s.strip.presence || "Imported collection"
+      return name unless scope.exists?(name: name)
+
+      (2..).each do |number|
+        candidate = "#{name} (#{number})"
+        return candidate unless scope.exists?(name: candidate)
+      end
+    end
+
+    # Postman
+
+    def read_postman(data)
+      info = data["info"] || {}
+      requests = postman_items(data["item"])
+      variables = Array(data["variable"]).filter_map do |variable|
+        next unless variable.is_a?(Hash) && variable["key"].present?
+
+        {"key" => variable["key"].to_s, "value" => variable["value"].to_s, "secret" => false}
+      end
+
+      [info["name"], postman_description(info["description"]), requests, variables]
+    end
+
+    # Folders are flattened; their names prefix the requests inside them
+    def postman_items(items, folder = nil)
+      Array(items).flat_map do |item|
+        next [] unless item.is_a?(Hash)
+
+        name = [folder, item["name"].presence].compact.join(" / ")
+        if item["item"].is_a?(Array)
+          postman_items(item["item"], name)
+        elsif item["request"]
+          [postman_request(name.presence || "Request", item["request"])]
+        else
+          []
+        end
+      end
+    end
+
+    def postman_request(name, request)
+      request = {"url" => request} if request.is_a?(String)
+      headers = Array(request["header"]).filter_map do |header|
+        next unless header.is_a?(Hash) && header["key"].present?
+
+        {"name" => header["key"].to_s, "value" => header["value"].to_s, "enabled" => !header["disabled"]}
+      end
+
+      # Postman sets this header itself for form bodies
+      mode = request.dig("body", "mode") if request["body"].is_a?(Hash)
+      if %w[urlencoded formdata].include?(mode) && headers.none? { |header| header["name"].casecmp?("content-type") }
+        headers << {"name" => "Content-Type", "value" => "application/x-www-form-urlencoded", "enabled" => true}
+      end
+
+      {
+        name: name,
+        http_method: request["method"].presence || "GET",
+        url: postman_url(request["url"]),
+        headers: headers,
+        body: postman_body(request["body"])
+      }
+    end
+
+    def postman_url(url)
+      return url.to_s unless url.is_a?(Hash)
+      return url["raw"] if url["raw"].present?
+
+      host = Array(url["host"]).join(".")
+      path = Array(url["path"]).join("/")
+      query = Array(url["query"]).reject { |param| param["disabled"] }.map { |param| "#{param["key"]}=#{param["value"]}" }
+      "#{url["protocol"] ? "#{url["protocol"]}://" : ""}#{host}/#{path}#{query.any? ? "?#{query.join("&")}" : ""}"
+    end
+
+    def postman_body(body)
+      return nil unless body.is_a?(Hash)
+
+      case body["mode"]
+      when "raw" then body["raw"]
+      when "urlencoded", "formdata"
+        Array(body[body["mode"]]).reject { |field| field["disabled"] || field["type"] == "file" }
+          .map { |field| "#{field["key"]}=#{field["value"]}" }.join("&").presence
+      when "graphql"
+        JSON.pretty_generate(body["graphql"] || {})
+      end
+    end
+
+    def postman_description(description)
+      description.is_a?(Hash) ? description["content"] : description
+    end
+
+    # OpenAPI 3
+
+    def read_openapi(data)
+      @document = data
+      info = data["info"] || {}
+      bearer = bearer_schemes(data)
+
+      requests = (data["paths"] || {}).flat_map do |path, item|
+        next [] unless item.is_a?(Hash)
+
+        shared_parameters = Array(item["parameters"])
+        OPENAPI_METHODS.filter_map do |method|
+          operation = item[method]
+          next unless operation.is_a?(Hash)
+
+          openapi_request(method, path, operation, shared_parameters, bearer)
+        end
+      end
+
+      variables = []
+      server = Array(data["servers"]).first
+      variables << {"key" => "baseUrl", "value" => server_url(server), "secret" => false} if server
+      variables << {"key" => "token", "value" => "", "secret" => true} if requests.any? { |request| request[:headers].any? { |header| header["name"] == "Authorization" } }
+
+      [info["title"], info["description"], requests, variables]
+    end
+
+    def openapi_request(method, path, operation, shared_parameters, bearer)
+      parameters = (shared_parameters + Array(operation["parameters"])).map { |parameter| resolve(parameter) }
+      query = parameters.select { |parameter| parameter["in"] == "query" && parameter["required"] }
+        .map { |parameter| "#{parameter["name"]}=#{example_value(parameter)}" }
+
+      headers = parameters.select { |parameter| parameter["in"] == "header" }.map do |parameter|
+        {"name" => parameter["name"], "value" => example_value(parameter).to_s, "enabled" => parameter["required"] == true}
+      end
+
+      body = nil
+      if (request_body = resolve(operation["requestBody"])).is_a?(Hash)
+        content_type, media = (request_body["content"] || {}).min_by { |type, _| type.include?("json") ? 0 : 1 }
+        if content_type
+          headers.unshift({"name" => "Content-Type", "value" => content_type, "enabled" => true})
+          body = media_example(media || {}, content_type)
+        end
+      end
+
+      security = operation.key?("security") ? operation["security"] : @document["security"]
+      if Array(security).any? { |requirement| (requirement.keys & bearer).any? }
+        headers << {"name" => "Authorization", "value" => "Bearer {{token}}", "enabled" => true}
+      end
+
+      {
+        name: operation["summary"].presence || operation["operationId"].presence || "#{method.upcase} #{path}",
+        http_method: method.upcase,
+        url: "{{baseUrl}}#{path.gsub(/\{(\w+)\}/, ':\1')}#{query.any? ? "?#{query.join("&")}" : ""}",
+        headers: headers,
+        body: body
+      }
+    end
+
+    def bearer_schemes(data)
+      schemes = data.dig("components", "securitySchemes") || {}
+      schemes.select { |_, scheme| scheme.is_a?(Hash) && scheme["type"] == "http" && scheme["scheme"].to_s.casecmp?("bearer") }.keys
+    end
+
+    # Server variables are filled in with their defaults
+    def server_url(server)
+      (server["variables"] || {}).reduce(server["url"].to_s) do |url, (name, variable)|
+        url.gsub("{#{name}}", variable["default"].to_s)
+      end
+    end
+
+    def media_example(media, content_type)
+      example = media["example"]
+      example = resolve(media["examples"].values.first)&.dig("value") if example.nil? && media["examples"].is_a?(Hash) && media["examples"].any?
+      example = schema_example(media["schema"]) if example.nil?
+      return nil if example.nil?
+
+      (content_type.include?("json") || !example.is_a?(String)) ? JSON.pretty_generate(example) : example
+    end
+
+    def example_value(parameter)
+      parameter["example"] || parameter.dig("schema", "example") || parameter.dig("schema", "default") || ""
+    end
+
+    # A sample value built from the schema's examples, defaults and types
+    def schema_example(schema, depth = 0)
+      schema = resolve(schema)
+      return nil unless schema.is_a?(Hash) && depth < MAX_SCHEMA_DEPTH
+      return schema["example"] if schema.key?("example")
+      return schema["default"] if schema.key?("default")
+      return schema["enum"].first if schema["enum"].is_a?(Array)
+
+      combined = schema["allOf"] || schema["oneOf"] || schema["anyOf"]
+      if combined.is_a?(Array)
+        examples = combined.map { |part| schema_example(part, depth + 1) }
+        return (schema["allOf"] && examples.all?(Hash)) ? examples.reduce({}, :merge) : examples.first
+      end
+
+      case schema["type"]
+      when "object", nil
+        return nil unless schema["properties"].is_a?(Hash)
+
+        schema["properties"].to_h { |name, property| [name, schema_example(property, depth + 1)] }
+      when "array" then [schema_example(schema["items"], depth + 1)].compact
+      when "integer", "number" then 0
+      when "boolean" then false
+      when "string"
+        {"date" => Date.current.iso8601, "date-time" => Time.current.utc.iso8601, "email" => "user@example.com", "uuid" => SecureRandom.uuid}
+          .fetch(schema["format"], "string")
+      end
+    end
+
+    # Follows local "#/components/..." references
+    def resolve(node, seen = [])
+      return node unless node.is_a?(Hash) && node["$ref"].is_a?(String)
+
+      ref = node["$ref"]
+      return nil if seen.include?(ref) || !ref.start_with?("#/")
+
+      target = @document.dig(*ref.delete_prefix("#/").split("/").map { |part| part.gsub("~1", "/").gsub("~0", "~") })
+      resolve(target, seen + [ref])
+    end
+  end
+end
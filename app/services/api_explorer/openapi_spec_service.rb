@@ -0,0 +1,302 @@
+module ApiExplorer
+  # Builds an OpenAPI 3 document for an app's API as its deployed worker
+  # serves it: the tables through the /api/supabase proxy (PostgREST), the
+  # Supabase auth endpoints through the same proxy, and the routes of the
+  # app's API integrations. Table schemas come from the app's columns.
+  class OpenapiSpecService
+    OPENAPI_VERSION = "3.0.3".freeze
+    REST_PREFIX = "/supabase/rest/v1".freeze
+    AUTH_PREFIX = "/supabase/auth/v1".freeze
+    INTEGRATION_METHODS = %w[get post put delete].freeze
+
+    def initialize(app)
+      @app = app
+      @tables = app.app_tables.includes(:app_table_columns).order(:name).to_a
+      @schema_names = {}
+    end
+
+    def generate
+      paths = {}
+      schemas = {}
+
+      @tables.each do |table|
+        name = schema_name(table)
+        schemas[name] = row_schema(table)
+        schemas["#{name}Input"] = input_schema(table, required: true)
+        schemas["#{name}Update"] = input_schema(table, required: false)
+        paths["#{REST_PREFIX}/#{table.supabase_table_name}"] = table_operations(table, name)
+      end
+
+      schemas["Credentials"] = credentials_schema
+      schemas["Session"] = session_schema
+      paths.merge!(auth_paths)
+      paths.merge!(integration_paths)
+
+      {
+        openapi: OPENAPI_VERSION,
+        info: {
+          title: "#{@app.name} API",
+          description: "Generated by OverSkill from the app's database tables and API integrations.",
+          version: @app.app_versions.order(:created_at).last&.version_number.presence || "1.0.0"
+        },
+        servers: servers,
+        tags: tags,
+        paths: paths,
+        components: {schemas: schemas}
+      }
+    end
+
+    def filename(format)
+      "#{@app.name.parameterize.presence || "app-#{@app.id}"}.openapi.#{(format == "yaml") ? "yaml" : "json"}"
+    end
+
+    def to_yaml
+      generate.deep_stringify_keys.to_yaml
+    end
+
+    private
+
+    def servers
+      urls = @app.deployment_environments.map do |environment, url|
+        {url: "#{url.to_s.chomp("/")}/api", description: environment.to_s.humanize}
+      end
+      urls.presence || [{url: "/api", description: "Not deployed yet"}]
+    end
+
+    def tags
+      @tables.map { |table| {name: table.name, description: "Rows of the #{table.name} table"} } +
+        [{name: "auth", description: "Sign up and sign in app users"}] +
+        @app.app_api_integrations.map { |integration| {name: integration.name, description: "Proxied to #{integration.base_url}"} }
+    end
+
+    # Singular CamelCase, e.g. "blog_posts" => "BlogPost"; falls back to the
+    # plural when two tables would get the same name
+    def schema_name(table)
+      @schema_names[table.id] ||= begin
+        name = table.name.singularize.camelize
+        name = table.name.camelize if @schema_names.value?(name)
+        name
+      end
+    end
+
+    # Tables
+
+    def table_operations(table, name)
+      row_ref = {"$ref" => "#/components/schemas/#{name}"}
+      singular = table.name.singularize.humanize(capitalize: false)
+
+      {
+        get: {
+          tags: [table.name],
+          summary: "List #{table.name.humanize(capitalize: false)}",
+          operationId: "list#{table.name.camelize}",
+          parameters: [
+            query_parameter("select", "Columns to return, comma-separated", default: "*"),
+            query_parameter("order", "Sort order, e.g. created_at.desc"),
+            query_parameter("limit", "Maximum number of rows", type: "integer"),
+            query_parameter("offset", "Number of rows to skip", type: "integer"),
+            id_filter(required: false)
+          ],
+          responses: {"200" => json_response("The matching rows", {type: "array", items: row_ref})}
+        },
+        post: {
+          tags: [table.name],
+          summary: "Create a #{singular}",
+          operationId: "create#{name}",
+          parameters: [return_representation],
+          requestBody: json_body("#{name}Input"),
+          responses: {"201" => json_response("The created row", {type: "array", items: row_ref})}
+        },
+        patch: {
+          tags: [table.name],
+          summary: "Update a #{singular}",
+          operationId: "update#{name}",
+          parameters: [id_filter(required: true), return_representation],
+          requestBody: json_body("#{name}Update"),
+          responses: {"200" => json_response("The updated row", {type: "array", items: row_ref})}
+        },
+        delete: {
+          tags: [table.name],
+          summary: "Delete a #{singular}",
+          operationId: "delete#{name}",
+          parameters: [id_filter(required: true)],
+          responses: {"204" => {description: "Deleted"}}
+        }
+      }
+    end
+
+    def row_schema(table)
+      properties = {id: {type: "integer", readOnly: true}}
+      table.app_table_columns.sort_by(&:created_at).each { |column| properties[column.name] = column_schema(column) }
+      properties[:app_user_id] = {type: "string", nullable: true, readOnly: true}
+      properties[:created_at] = {type: "string", format: "date-time", readOnly: true}
+      properties[:updated_at] = {type: "string", format: "date-time", readOnly: true}
+
+      {type: "object", properties: properties}
+    end
+
+    # Only the app's own columns can be written; unknown keys are rejected
+    # by PostgREST, so they are here too
+    def input_schema(table, required:)
+      columns = table.app_table_columns.sort_by(&:created_at)
+      schema = {
+        type: "object",
+        properties: columns.to_h { |column| [column.name, column_schema(column)] },
+        additionalProperties: false
+      }
+      required_columns = columns.select { |column| column.required && column.default_value.blank? }.map(&:name)
+      schema[:required] = required_columns if required && required_columns.any?
+      schema
+    end
+
+    def column_schema(column)
+      schema = case column.column_type
+      when "number" then {type: "number"}
+      when "boolean" then {type: "boolean"}
+      when "date" then {type: "string", format: "date"}
+      when "datetime" then {type: "string", format: "date-time"}
+      when "reference"
+        {type: "integer", description: "id of a row in #{column.referenced_table&.name || "another table"}"}
+      when "select"
+        choices = column_choices(column)
+        choices.any? ? {type: "string", enum: choices} : {type: "string"}
+      when "multiselect"
+        choices = column_choices(column)
+        {type: "string", description: ["Comma-separated", choices.any? ? "values of #{choices.join(", ")}" : "values"].join(" ")}
+      else {type: "string"}
+      end
+
+      schema[:nullable] = true unless column.required
+      default = typed_default(column, schema[:type])
+      schema[:default] = default unless default.nil?
+      schema
+    end
+
+    def column_choices(column)
+      Array(column.parsed_options["choices"]).map(&:to_s)
+    end
+
+    def typed_default(column, type)
+      value = column.default_value
+      return nil if value.blank?
+
+      case type
+      when "number" then Float(value, exception: false)
+      when "integer" then Integer(value, exception: false)
+      when "boolean" then ActiveModel::Type::Boolean.new.cast(value)
+      else value
+      end
+    end
+
+    def id_filter(required:)
+      {
+        name: "id",
+        in: "query",
+        required: required,
+        description: "Row filter in PostgREST syntax, e.g. eq.1",
+        schema: {type: "string", pattern: "^(eq|neq|gt|gte|lt|lte|in)\\."},
+        example: "eq.1"
+      }
+    end
+
+    def return_representation
+      {
+        name: "Prefer",
+        in: "header",
+        description: "Ask for the written rows in the response",
+        schema: {type: "string", default: "return=representation"}
+      }
+    end
+
+    def query_parameter(name, description, type: "string", default: nil)
+      schema = {type: type}
+      schema[:default] = default if default
+      {name: name, in: "query", required: false, description: description, schema: schema}
+    end
+
+    def json_body(schema_name)
+      {required: true, content: {"application/json" => {schema: {"$ref" => "#/components/schemas/#{schema_name}"}}}}
+    end
+
+    def json_response(description, schema)
+      {description: description, content: {"application/json" => {schema: schema}}}
+    end
+
+    # Auth
+
+    def auth_paths
+      session = json_response("The new session", {"$ref" => "#/components/schemas/Session"})
+
+      {
+        "#{AUTH_PREFIX}/signup" => {
+          post: {
+            tags: ["auth"],
+            summary: "Sign up",
+            operationId: "signUp",
+            requestBody: json_body("Credentials"),
+            responses: {"200" => session}
+          }
+        },
+        "#{AUTH_PREFIX}/token" => {
+          post: {
+            tags: ["auth"],
+            summary: "Sign in with email and password",
+            operationId: "signIn",
+            parameters: [{name: "grant_type", in: "query", required: true, schema: {type: "string", enum: ["password"], default: "password"}}],
+            requestBody: json_body("Credentials"),
+            responses: {"200" => session}
+          }
+        }
+      }
+    end
+
+    def credentials_schema
+      {
+        type: "object",
+        required: %w[email password],
+        properties: {
+          email: {type: "string", format: "email", example: "user@example.com"},
+          password: {type: "string", minLength: 6, example: "password"}
+        }
+      }
+    end
+
+    def session_schema
+      {
+        type: "object",
+        properties: {
+          access_token: {type: "string"},
+          refresh_token: {type: "string"},
+          expires_in: {type: "integer"},
+          user: {type: "object"}
+        }
+      }
+    end
+
+    # Integrations are served by the API proxy worker from the app's root,
+    # not under /api, so each path names its own servers
+    def integration_paths
+      origins = @app.deployment_environments.map { |environment, url| {url: url.to_s.chomp("/"), description: environment.to_s.humanize} }
+
+      @app.app_api_integrations.each_with_object({}) do |integration, paths|
+        operations = INTEGRATION_METHODS.to_h do |method|
+          operation = {
+            tags: [integration.name],
+            summary: "#{integration.base_url}/{path}",
+            operationId: "#{method}#{integration.path_prefix.camelize.gsub(/\W/, "")}",
+            responses: {"default" => {description: "The response from #{integration.name}"}}
+          }
+          operation[:requestBody] = {content: {"application/json" => {schema: {type: "object"}}}} if %w[post put].include?(method)
+          [method.to_sym, operation]
+        end
+
+        paths["/#{integration.path_prefix}/{path}"] = {
+          description: "Forwarded to #{integration.base_url} with the integration's credentials",
+          parameters: [{name: "path", in: "path", required: true, description: "Path on #{integration.base_url}", schema: {type: "string"}}],
+          **(origins.any? ? {servers: origins} : {}),
+          **operations
+        }
+      end
+    end
+  end
+end
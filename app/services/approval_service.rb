@@ -0,0 +1,246 @@
+# Review of AI-proposed file changes from the chat's approval panel.
+# A generator hands its changes to request_approval instead of writing them;
+# the team then applies all of them, some files, or single hunks (after
+# editing a proposal if they like), can preview a selection on a temporary
+# worker first, or rejects them. Every decision is written to the app's
+# audit log. Results go back to the panel on the message's progress stream.
+class ApprovalService
+  class << self
+    # changes: [{file_path:, action: "create"|"update"|"delete", content:}]
+    def request_approval(chat_message, changes)
+      app = chat_message.app
+      current = app.app_files.where(path: changes.map { |change| change[:file_path] }).index_by(&:path)
+
+      proposal = app.app_change_proposals.create!(
+        app_chat_message: chat_message,
+        proposed_changes: changes.map do |change|
+          {
+            "file_path" => change[:file_path],
+            "action" => change[:action].to_s,
+            "original_content" => current[change[:file_path]]&.content,
+            "proposed_content" => (change[:action].to_s == "delete") ? nil : change[:content].to_s,
+            "edited" => false
+          }
+        end
+      )
+
+      Turbo::StreamsChannel.broadcast_update_to(
+        "app_#{app.id}_chat",
+        target: "approval-panel-#{chat_message.id}",
+        partial: "chat_messages/components/approval_panel",
+        locals: {proposal: proposal, chat_message: chat_message}
+      )
+      ActionCable.server.broadcast("app_#{app.id}_chat", {
+        action: "dispatch_event",
+        event_name: "approval:requested",
+        message_id: chat_message.id
+      })
+
+      proposal
+    end
+
+    # approved_changes: [{"file_path", "hunks" => [indexes] or "all"}];
+    # approved_files (whole files) is still accepted from older panels
+    def handle_approval(message_id:, callback_id:, approved_changes: nil, approved_files: nil, user: nil)
+      proposal = find_pending(message_id, callback_id)
+      return respond(message_id, callback_id, success: false, error: "These changes have already been reviewed") unless proposal
+
+      selection = selection_from(approved_changes, approved_files)
+      contents = proposal.resulting_contents(selection)
+      return respond(message_id, callback_id, success: false, error: "Select at least one change to apply") if contents.empty?
+
+      conflicts = proposal.conflicting_paths(contents.keys)
+      if conflicts.any?
+        return respond(message_id, callback_id, success: false,
+          error: "#{conflicts.to_sentence} changed since these changes were proposed. Reject them and ask again.")
+      end
+
+      version = AppChangeProposal.transaction do
+        contents.each { |path, content| write_file(proposal.app, path, content) }
+        proposal.update!(status: "applied", resolved_by: user, resolved_at: Time.current)
+        record_decision(proposal, user, "changes_approved", selection, contents)
+        create_version(proposal, user, contents)
+      end
+
+      UpdatePreviewJob.perform_later(proposal.app_id)
+      discard_preview(proposal)
+
+      applied_hunks = contents.keys.sum { |path| hunk_count(proposal, path, selection[path]) }
+      total_hunks = proposal.proposed_changes.sum { |change| hunk_count(proposal, change["file_path"], :all) }
+      respond(message_id, callback_id, success: true, version_id: version.id,
+        message: "Applied #{applied_hunks} of #{total_hunks} #{"change".pluralize(total_hunks)} to #{contents.size} #{"file".pluralize(contents.size)}.")
+    rescue ActiveRecord::RecordInvalid => e
+      respond(message_id, callback_id, success: false, error: e.record.errors.full_messages.to_sentence)
+    end
+
+    def handle_rejection(message_id:, callback_id:, user: nil)
+      proposal = find_pending(message_id, callback_id)
+      return respond(message_id, callback_id, success: false, error: "These changes have already been reviewed") unless proposal
+
+      AppChangeProposal.transaction do
+        proposal.update!(status: "rejected", resolved_by: user, resolved_at: Time.current)
+        record_decision(proposal, user, "changes_rejected", {}, {})
+      end
+      discard_preview(proposal)
+
+      respond(message_id, callback_id, success: true, rejected: true, message: "The proposed changes were discarded.")
+    end
+
+    # Swap in the reviewer's version of one file; the panel gets the file's
+    # block back with fresh hunks
+    def update_change(message_id:, callback_id:, file_path:, content:)
+      proposal = find_pending(message_id, callback_id)
+      return respond(message_id, callback_id, success: false, error: "These changes have already been reviewed") unless proposal
+
+      proposal.edit_change!(file_path, content)
+      ActionCable.server.broadcast("chat_progress_#{message_id}", {
+        action: "change_updated",
+        callback_id: callback_id,
+        file_path: file_path,
+        html: ApplicationController.render(
+          partial: "chat_messages/components/approval_change",
+          locals: {proposal: proposal, change: proposal.change_for(file_path), open: true}
+        )
+      })
+    rescue ArgumentError, ActiveRecord::RecordInvalid => e
+      respond(message_id, callback_id, success: false, error: e.message)
+    end
+
+    # Build the app with only the selected changes on a worker of its own
+    def preview(message_id:, callback_id:, approved_changes:, user: nil)
+      proposal = find_pending(message_id, callback_id)
+      return respond(message_id, callback_id, success: false, error: "These changes have already been reviewed") unless proposal
+
+      ChangeProposalPreviewJob.perform_later(proposal.id, approved_changes.to_a)
+      broadcast_preview(proposal, status: "building")
+    end
+
+    # The app's files with a selection of the proposal applied, for previews
+    def files_with_selection(proposal, approved_changes)
+      contents = proposal.resulting_contents(selection_from(approved_changes, nil))
+      files = proposal.app.app_files.to_h { |file| [file.path, file.content] }
+      contents.each { |path, content| content.nil? ? files.delete(path) : files[path] = content }
+      files
+    end
+
+    def broadcast_preview(proposal, status:, preview_url: nil, error: nil)
+      ActionCable.server.broadcast("chat_progress_#{proposal.app_chat_message_id}", {
+        action: "approval_preview",
+        callback_id: proposal.callback_id,
+        status: status,
+        preview_url: preview_url,
+        error: error
+      }.compact)
+    end
+
+    # Take down a proposal's temporary preview worker, if it has one
+    def discard_preview(proposal)
+      return if proposal.preview_worker_name.blank?
+
+      TemporaryPreviewCleanupJob.perform_later(proposal.app_id, proposal.preview_worker_name)
+      proposal.update_columns(preview_worker_name: nil, preview_url: nil)
+    end
+
+    private
+
+    def find_pending(message_id, callback_id)
+      AppChangeProposal.pending.find_by(app_chat_message_id: message_id, callback_id: callback_id)
+    end
+
+    # {path => [hunk indexes] or :all}
+    def selection_from(approved_changes, approved_files)
+      selection = Array(approved_files).to_h { |path| [path.to_s, :all] }
+
+      Array(approved_changes).each do |change|
+        change = change.to_h.stringify_keys
+        next if change["file_path"].blank?
+
+        selection[change["file_path"].to_s] = if change["hunks"] == "all"
+          :all
+        else
+          Array(change["hunks"]).map(&:to_i)
+        end
+      end
+
+      selection
+    end
+
+    def hunk_count(proposal, path, hunk_indexes)
+      change = proposal.change_for(path)
+      return 1 if change["action"] == "delete"
+
+      (hunk_indexes == :all) ? proposal.hunks_for(change).size : hunk_indexes.uniq.size
+    end
+
+    def write_file(app, path, content)
+      app_file = app.app_files.find_by(path: path)
+
+      if content.nil?
+        app_file&.destroy!
+      elsif app_file
+        app_file.update!(content: content, size_bytes: content.bytesize)
+      else
+        app.app_files.create!(
+          team: app.team,
+          path: path,
+          content: content,
+          file_type: File.extname(path).delete_prefix(".").presence || "text",
+          size_bytes: content.bytesize
+        )
+      end
+    end
+
+    def create_version(proposal, user, contents)
+      app = proposal.app
+      last_version = app.app_versions.order(created_at: :desc).first
+      parts = (last_version&.version_number || "1.0.0").delete_prefix("v").split(".").map(&:to_i)
+      parts[2] = (parts[2] || 0) + 1 if last_version
+
+      version = app.app_versions.create!(
+        version_number: parts.join("."),
+        team: app.team,
+        user: user,
+        changelog: "Applied reviewed changes to #{contents.keys.to_sentence}",
+        deployed: false,
+        external_commit: false,
+        environment: "preview",
+        files_snapshot: app.app_files.reload.map { |file| {path: file.path, content: file.content, file_type: file.file_type} }.to_json
+      )
+      version.generate_display_name!
+      version
+    end
+
+    # Who approved or rejected which files and hunks, and what was edited
+    def record_decision(proposal, user, action_type, selection, contents)
+      decisions = proposal.proposed_changes.map do |change|
+        path = change["file_path"]
+        hunks = proposal.hunks_for(change)
+        approved = contents.key?(path)
+        chosen = (selection[path] == :all) ? (0...hunks.size).to_a : Array(selection[path]).uniq.sort
+
+        {
+          file_path: path,
+          action: change["action"],
+          decision: approved ? ((change["action"] == "delete" || chosen.size == hunks.size) ? "approved" : "partially_approved") : "rejected",
+          approved_hunks: approved ? chosen.map { |index| hunks[index]&.dig(:header) }.compact : [],
+          rejected_hunks: hunks.each_with_index.reject { |_, index| approved && chosen.include?(index) }.map { |hunk, _| hunk[:header] },
+          edited: change["edited"] == true
+        }
+      end
+
+      proposal.app.app_audit_logs.create!(
+        action_type: action_type,
+        performed_by: user&.email || "unknown",
+        target_resource: "AppChangeProposal",
+        resource_id: proposal.id.to_s,
+        change_details: {callback_id: proposal.callback_id, chat_message_id: proposal.app_chat_message_id, changes: decisions}.to_json,
+        occurred_at: Time.current
+      )
+    end
+
+    def respond(message_id, callback_id, **payload)
+      ActionCable.server.broadcast("chat_progress_#{message_id}", {action: "approval_response", callback_id: callback_id, **payload})
+      payload
+    end
+  end
+end
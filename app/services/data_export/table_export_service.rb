@@ -0,0 +1,86 @@
+require "csv"
+
+module DataExport
+  # Streams one app table, or a sorted and filtered view of it, as CSV or JSON.
+  # Rows are fetched a page at a time so large tables never sit in memory.
+  class TableExportService
+    FORMATS = %w[csv json].freeze
+    PAGE_SIZE = 1000
+
+    def initialize(table, app_user_id, order: nil, filters: [])
+      @table = table
+      @app_user_id = app_user_id
+      @order = order || {column: "id", direction: "asc"}
+      @filters = filters
+      @database_service = Supabase::AppDatabaseService.new(table.app)
+    end
+
+    def columns
+      ["id"] + @table.schema.map { |column| column[:name] } + %w[created_at updated_at]
+    end
+
+    def filename(format)
+      "#{@table.name}_#{Time.current.strftime("%Y%m%d_%H%M%S")}.#{format}"
+    end
+
+    def content_type(format)
+      (format == "csv") ? "text/csv" : "application/json"
+    end
+
+    # Lazily yields the file in chunks, one per page of rows
+    def stream(format)
+      raise ArgumentError, "Unsupported export format: #{format}" unless FORMATS.include?(format)
+
+      Enumerator.new do |output|
+        (format == "csv") ? stream_csv(output) : stream_json(output)
+      rescue => e
+        # Headers are already sent, so the download just ends early
+        Rails.logger.error "[TableExport] Export of #{@table.name} failed: #{e.message}"
+      end
+    end
+
+    private
+
+    def stream_csv(output)
+      output << CSV.generate_line(columns)
+      each_page do |rows|
+        output << rows.map { |row| CSV.generate_line(columns.map { |column| csv_value(row[column]) }) }.join
+      end
+    end
+
+    def stream_json(output)
+      output << "["
+      first = true
+      each_page do |rows|
+        chunk = rows.map { |row| JSON.generate(row.slice(*columns)) }.join(",\n")
+        output << (first ? "\n" : ",\n") << chunk
+        first = false
+      end
+      output << "\n]\n"
+    end
+
+    def each_page
+      offset = 0
+      loop do
+        result = @database_service.query_table_data(
+          @table.name,
+          @app_user_id,
+          limit: PAGE_SIZE,
+          offset: offset,
+          order: @order,
+          filters: @filters
+        )
+        rows = result[:rows]
+        break if rows.empty?
+
+        yield rows
+        offset += rows.size
+        break if rows.size < PAGE_SIZE
+      end
+    end
+
+    def csv_value(value)
+      (value.is_a?(Hash) || value.is_a?(Array)) ? value.to_json : value
+    end
+  end
+end
@@ -0,0 +1,316 @@
+require "csv"
+
+module DataImport
+  # Bulk loads a CSV or JSON file into one app table.
+  # preview parses the file and proposes a column mapping; import validates
+  # every row against the table schema and inserts or upserts the valid ones.
+  class TableImportService
+    MAX_FILE_SIZE = 10.megabytes
+    MAX_ROWS = 50_000
+    BATCH_SIZE = 500
+    PREVIEW_ROWS = 10
+    MAX_REPORTED_ERRORS = 200
+    MODES = %w[insert upsert].freeze
+
+    TRUE_VALUES = %w[true t yes y 1].freeze
+    FALSE_VALUES = %w[false f no n 0].freeze
+
+    class ImportError < StandardError; end
+
+    def initialize(table, file, app_user_id)
+      @table = table
+      @file = file
+      @app_user_id = app_user_id
+      @database_service = Supabase::AppDatabaseService.new(table.app)
+    end
+
+    # {success:, format:, headers:, rows:, total_rows:, mapping:, columns:}
+    def preview
+      headers, rows = parse_file
+
+      {
+        success: true,
+        format: file_format,
+        headers: headers,
+        rows: rows.first(PREVIEW_ROWS),
+        total_rows: rows.size,
+        mapping: suggested_mapping(headers),
+        columns: target_columns
+      }
+    rescue ImportError => e
+      {success: false, error: e.message}
+    end
+
+    # mapping is {file header => table column}; unmapped headers are ignored.
+    # With validate_only nothing is written and the counts are what would happen.
+    # {success:, inserted:, updated:, failed:, errors: [{row:, column:, message:}], errors_truncated:}
+    def import(mapping:, mode: "insert", key: nil, validate_only: false)
+      raise ImportError, "Unknown import mode: #{mode}" unless MODES.include?(mode)
+
+      _, rows = parse_file
+      mapping = validate_mapping(mapping)
+      key = validate_key(key, mapping) if mode == "upsert"
+
+      @errors = []
+      records = rows.each_with_index.filter_map do |row, index|
+        record = build_record(row, mapping, index + 1)
+        [index + 1, record] if record
+      end
+      records = reject_duplicate_keys(records, key) if key
+
+      inserts, updates = (mode == "upsert") ? split_existing(records, key) : [records, []]
+      unless validate_only
+        write_batches(inserts, :insert) { |batch| @database_service.insert_records(@table.name, batch, @app_user_id) }
+        write_batches(updates, :update) { |batch| @database_service.upsert_records(@table.name, batch, @app_user_id) }
+      end
+
+      failed_rows = @errors.map { |error| error[:row] }.uniq.size
+      @errors = @errors.sort_by.with_index { |error, index| [error[:row], index] }
+      {
+        success: true,
+        validate_only: validate_only,
+        total_rows: rows.size,
+        inserted: inserts.size - @errors.count { |error| error[:batch] == :insert },
+        updated: updates.size - @errors.count { |error| error[:batch] == :update },
+        failed: failed_rows,
+        errors: @errors.first(MAX_REPORTED_ERRORS).map { |error| error.except(:batch) },
+        errors_truncated: @errors.size > MAX_REPORTED_ERRORS
+      }
+    rescue ImportError => e
+      {success: false, error: e.message}
+    end
+
+    private
+
+    def file_format
+      extension = File.extname(@file.original_filename.to_s).downcase
+      return "json" if extension == ".json" || @file.content_type.to_s.include?("json")
+      return "csv" if %w[.csv .tsv .txt].include?(extension) || @file.content_type.to_s.include?("csv")
+
+      raise ImportError, "Unsupported file type. Please upload a CSV or JSON file."
+    end
+
+    # [headers, rows] where rows are hashes keyed by header
+    def parse_file
+      raise ImportError, "File is larger than #{MAX_FILE_SIZE / 1.megabyte} MB" if @file.size > MAX_FILE_SIZE
+
+      content = @file.read.to_s.force_encoding(Encoding::UTF_8).delete_prefix("﻿")
+      @file.rewind if @file.respond_to?(:rewind)
+      raise ImportError, "File is not valid UTF-8" unless content.valid_encoding?
+
+      headers, rows = (file_format == "json") ? parse_json(content) : parse_csv(content)
+      raise ImportError, "The file has no rows" if rows.empty?
+      raise ImportError, "The file has more than #{MAX_ROWS} rows" if rows.size > MAX_ROWS
+
+      [headers, rows]
+    end
+
+    def parse_csv(content)
+      first_line = content.lines.first.to_s
+      separator = ["\t", ";", ","].max_by { |candidate| first_line.count(candidate) }
+
+      table = CSV.parse(content, headers: true, col_sep: separator, skip_blanks: true)
+      headers = table.headers.compact.map(&:strip)
+      raise ImportError, "The CSV file has no header row" if headers.empty?
+
+      rows = table.map { |row| headers.zip(row.fields).to_h }
+      [headers, rows]
+    rescue CSV::MalformedCSVError => e
+      raise ImportError, "Invalid CSV: #{e.message}"
+    end
+
+    # An array of objects, or an object wrapping one (our own exports use "records")
+    def parse_json(content)
+      data = JSON.parse(content)
+      data = data["records"] || data["rows"] || data["data"] if data.is_a?(Hash)
+      unless data.is_a?(Array) && data.all? { |row| row.is_a?(Hash) }
+        raise ImportError, "JSON must be an array of objects"
+      end
+
+      [data.flat_map(&:keys).uniq, data]
+    rescue JSON::ParserError => e
+      raise ImportError, "Invalid JSON: #{e.message}"
+    end
+
+    def target_columns
+      [{name: "id", type: "number", required: false, options: {}}] + @table.schema
+    end
+
+    def column_named(name)
+      target_columns.find { |column| column[:name] == name }
+    end
+
+    # Match headers to columns ignoring case, spaces and punctuation
+    def suggested_mapping(headers)
+      normalized = target_columns.index_by { |column| normalize(column[:name]) }
+      headers.index_with { |header| normalized[normalize(header)]&.dig(:name) }
+    end
+
+    def normalize(name)
+      name.to_s.downcase.gsub(/[^a-z0-9]/, "")
+    end
+
+    def validate_mapping(mapping)
+      mapping = mapping.to_h.transform_keys(&:to_s).compact_blank
+      raise ImportError, "Map at least one column" if mapping.empty?
+
+      mapping.each_value do |column|
+        raise ImportError, "Unknown column: #{column}" unless column_named(column)
+      end
+      duplicates = mapping.values.tally.select { |_, count| count > 1 }.keys
+      raise ImportError, "#{duplicates.to_sentence} is mapped more than once" if duplicates.any?
+
+      mapping
+    end
+
+    def validate_key(key, mapping)
+      raise ImportError, "Choose a key column to upsert by" if key.blank?
+      raise ImportError, "The key column #{key} must be mapped" unless mapping.value?(key)
+
+      key
+    end
+
+    # Typed record for one row, or nil after recording its errors
+    def build_record(row, mapping, row_number)
+      record = {}
+      invalid = []
+
+      mapping.each do |header, column_name|
+        column = column_named(column_name)
+        value = coerce(row[header], column)
+        record[column_name] = value unless value.nil? && column[:default].present?
+      rescue ArgumentError => e
+        add_error(row_number, column_name, e.message)
+        invalid << column_name
+      end
+
+      @table.schema.each do |column|
+        next unless column[:required] && column[:default].blank?
+        next if invalid.include?(column[:name]) || !record[column[:name]].nil?
+
+        add_error(row_number, column[:name], "is required")
+        invalid << column[:name]
+      end
+
+      invalid.empty? ? record : nil
+    end
+
+    def coerce(value, column)
+      value = value.strip if value.is_a?(String)
+      return nil if value.nil? || value == ""
+
+      case column[:type]
+      when "number", "reference" then coerce_number(value)
+      when "boolean" then coerce_boolean(value)
+      when "date" then coerce_date(value)
+      when "datetime" then coerce_datetime(value)
+      when "select" then coerce_choice(value, column)
+      when "multiselect" then coerce_choices(value, column)
+      else (value.is_a?(Hash) || value.is_a?(Array)) ? value.to_json : value.to_s
+      end
+    end
+
+    def coerce_number(value)
+      return value if value.is_a?(Numeric)
+
+      number = BigDecimal(value.to_s)
+      (number.frac.zero? && number.abs < 2**53) ? number.to_i : number.to_f
+    rescue ArgumentError, TypeError
+      raise ArgumentError, "#{value.to_s.truncate(40).inspect} is not a number"
+    end
+
+    def coerce_boolean(value)
+      return value if value == true || value == false
+
+      normalized = value.to_s.downcase
+      return true if TRUE_VALUES.include?(normalized)
+      return false if FALSE_VALUES.include?(normalized)
+
+      raise ArgumentError, "#{value.to_s.truncate(40).inspect} is not true or false"
+    end
+
+    def coerce_date(value)
+      Date.parse(value.to_s).iso8601
+    rescue Date::Error
+      raise ArgumentError, "#{value.to_s.truncate(40).inspect} is not a date"
+    end
+
+    def coerce_datetime(value)
+      time = Time.zone.parse(value.to_s)
+      raise ArgumentError, "#{value.to_s.truncate(40).inspect} is not a date and time" unless time
+
+      time.iso8601
+    end
+
+    def coerce_choice(value, column)
+      choices = column_choices(column)
+      value = value.to_s
+      if choices.any? && !choices.include?(value)
+        raise ArgumentError, "#{value.truncate(40).inspect} is not one of #{choices.to_sentence(last_word_connector: " or ")}"
+      end
+
+      value
+    end
+
+    # Stored comma-separated, like the record form does
+    def coerce_choices(value, column)
+      values = value.is_a?(Array) ? value.map(&:to_s) : value.to_s.split(",").map(&:strip)
+      values.reject(&:blank?).map { |choice| coerce_choice(choice, column) }.join(",").presence
+    end
+
+    def column_choices(column)
+      options = column[:options]
+      Array(options.is_a?(Hash) ? options["choices"] || options[:choices] : options).map(&:to_s)
+    end
+
+    # Later rows with a key value already seen earlier in the file are errors
+    def reject_duplicate_keys(records, key)
+      seen = {}
+      records.reject do |row_number, record|
+        value = record[key]
+        if value.nil?
+          add_error(row_number, key, "is required to upsert")
+          next true
+        end
+
+        if seen.key?(value.to_s)
+          add_error(row_number, key, "duplicates row #{seen[value.to_s]}")
+          next true
+        end
+
+        seen[value.to_s] = row_number
+        false
+      end
+    end
+
+    # [inserts, updates]; rows whose key matches an existing record become
+    # updates of that record's id
+    def split_existing(records, key)
+      existing = {}
+      records.each_slice(BATCH_SIZE) do |batch|
+        values = batch.map { |_, record| record[key] }
+        @database_service.find_records_by(@table.name, key, values, @app_user_id, select: ["id", key].uniq).each do |row|
+          existing[row[key].to_s] = row["id"]
+        end
+      end
+
+      records.partition { |_, record| !existing.key?(record[key].to_s) }.then do |inserts, updates|
+        [inserts, updates.map { |row_number, record| [row_number, record.merge("id" => existing[record[key].to_s])] }]
+      end
+    end
+
+    # A batch the database rejects fails as a whole, so every row in it is reported
+    def write_batches(records, type)
+      records.each_slice(BATCH_SIZE) do |batch|
+        yield batch.map(&:last)
+      rescue => e
+        Rails.logger.error "[TableImport] #{type.to_s.capitalize} batch failed for #{@table.name}: #{e.message}"
+        batch.each { |row_number, _| add_error(row_number, nil, e.message, batch: type) }
+      end
+    end
+
+    def add_error(row_number, column, message, batch: nil)
+      @errors << {row: row_number, column: column, message: message, batch: batch}
+    end
+  end
+end
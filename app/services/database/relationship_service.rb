@@ -0,0 +1,137 @@
+# Relationships between an app's tables. Each one is stored as a reference
+# column backed by a foreign key; many-to-many relationships get a generated
+# join table holding a reference to each side. The tables and columns are
+# created through SchemaMigrationService so they show up in the migration history.
+class Database::RelationshipService
+  KINDS = %w[one_to_many many_to_many].freeze
+
+  class RelationshipError < StandardError; end
+
+  def initialize(app, user: nil)
+    @app = app
+    @database_service = Supabase::AppDatabaseService.new(app)
+    @migrations = Database::SchemaMigrationService.new(app, user: user)
+  end
+
+  # One entry per reference column, except that a join table's two columns
+  # are reported together as a single many-to-many relationship
+  def relationships
+    tables = @app.app_tables.includes(:app_table_columns).to_a
+    tables_by_id = tables.index_by(&:id)
+
+    tables.flat_map do |table|
+      references = table.app_table_columns.select(&:reference?)
+      next [] if references.empty?
+
+      if table.join_table?
+        first, second = references.sort_by(&:created_at)
+        [{
+          id: first.id,
+          kind: "many_to_many",
+          join_table_id: table.id,
+          join_table: table.name,
+          table_ids: [first.parsed_options["table_id"], second.parsed_options["table_id"]],
+          columns: [serialize_reference(first, tables_by_id), serialize_reference(second, tables_by_id)]
+        }]
+      else
+        references.map { |column| serialize_reference(column, tables_by_id).merge(kind: "one_to_many") }
+      end
+    end
+  end
+
+  # For one_to_many the child holds the reference: many child rows belong to
+  # one parent row. For many_to_many the order of the two tables doesn't matter.
+  # Returns {success:, relationship:} or {success: false, error:}
+  def create(parent:, child:, kind:, on_delete: "restrict", column_name: nil)
+    return {success: false, error: "Unknown relationship kind: #{kind}"} unless KINDS.include?(kind)
+    unless AppTableColumn::ON_DELETE_ACTIONS.include?(on_delete)
+      return {success: false, error: "Unknown on delete behavior: #{on_delete}"}
+    end
+
+    relationship = if kind == "one_to_many"
+      column = add_reference(child, column_name.presence || reference_name(parent), parent, on_delete)
+      serialize_reference(column, @app.app_tables.index_by(&:id)).merge(kind: kind)
+    else
+      create_join_table(parent, child, on_delete)
+    end
+
+    {success: true, relationship: relationship}
+  rescue RelationshipError => e
+    {success: false, error: e.message}
+  end
+
+  # Removing either column of a join table removes the whole join table
+  def destroy(column)
+    table = column.app_table
+    result = table.join_table? ? @migrations.drop_table(table) : @migrations.drop_column(column)
+    return {success: true} if result[:success]
+
+    Rails.logger.error "[RelationshipService] Failed to remove #{table.name}.#{column.name}: #{result[:error]}"
+    {success: false, error: result[:error]}
+  end
+
+  private
+
+  def add_reference(table, name, target, on_delete)
+    migrated!(@migrations.add_column(table, {
+      name: name,
+      column_type: "reference",
+      options: {table_id: target.id, table: target.name, on_delete: on_delete}.to_json
+    }))
+  end
+
+  def create_join_table(first, second, on_delete)
+    name = [first.name, second.name].sort.join("_")
+    raise RelationshipError, "A table named #{name} already exists" if @app.app_tables.exists?(name: name)
+
+    first_column = reference_name(first)
+    # Relating a table to itself needs two distinct column names
+    second_column = (first == second) ? "related_#{first_column}" : reference_name(second)
+
+    join_table = migrated!(@migrations.create_table(name: name, description: "Links #{first.name} and #{second.name}"))
+    steps = 1
+
+    begin
+      add_reference(join_table, first_column, first, on_delete)
+      steps += 1
+      add_reference(join_table, second_column, second, on_delete)
+      steps += 1
+      check_sql_result!(@database_service.add_unique_constraint(name, [first_column, second_column]))
+    rescue RelationshipError
+      # Undo the join table's migrations so the history matches the database
+      @migrations.rollback(steps)
+      raise
+    end
+
+    relationships.find { |relationship| relationship[:join_table_id] == join_table.id }
+  end
+
+  # The created record, or RelationshipError with the migration's error
+  def migrated!(result)
+    raise RelationshipError, result[:error] unless result[:success]
+
+    result[:record]
+  end
+
+  def reference_name(table)
+    "#{table.name.singularize}_id"
+  end
+
+  def check_sql_result!(result)
+    error = result["error"] if result.is_a?(Hash)
+    raise RelationshipError, "Database error: #{error.is_a?(Hash) ? error["message"] : error}" if error.present?
+  end
+
+  def serialize_reference(column, tables_by_id)
+    target = tables_by_id[column.parsed_options["table_id"]]
+
+    {
+      id: column.id,
+      column: column.name,
+      child_table_id: column.app_table_id,
+      parent_table_id: target&.id,
+      parent_table: target&.name,
+      on_delete: column.on_delete
+    }
+  end
+end
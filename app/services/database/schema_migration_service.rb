@@ -0,0 +1,402 @@
+# Applies schema changes to an app's tables and records each one as an
+# AppSchemaMigration with its up and down SQL. Every change can be previewed
+# with dry_run: true, which returns the SQL and the number of rows it touches
+# without changing anything, and applied migrations can be rolled back
+# newest first.
+#
+# Migrations are linked to the app version that was current when they ran.
+class Database::SchemaMigrationService
+  class MigrationError < StandardError; end
+
+  def initialize(app, user: nil, app_version: nil)
+    @app = app
+    @user = user
+    @app_version = app_version || app.app_versions.order(created_at: :desc).first
+    @database_service = Supabase::AppDatabaseService.new(app)
+  end
+
+  # Each change returns {success: true, migration:, record:} once applied,
+  # {success: true, dry_run: true, migration: {..., affected_rows:, warnings:}}
+  # for a dry run, or {success: false, error:, errors:}
+
+  def create_table(attributes, dry_run: false)
+    table = @app.app_tables.build(attributes)
+    return invalid(table) unless table.valid?
+
+    plan = {
+      operation: "create_table",
+      name: "create_#{table.name}",
+      table_name: table.name,
+      up_sql: @database_service.create_table_sql(table.name, []),
+      down_sql: @database_service.drop_table_sql(table.name),
+      changes_snapshot: {after: table_snapshot(table)},
+      affected_rows: 0
+    }
+    return preview(plan) if dry_run
+
+    migrate(plan) do
+      table.save!
+      begin
+        check_sql_result!(table.create_in_supabase!)
+      rescue
+        table.destroy
+        raise
+      end
+      table
+    end
+  end
+
+  def drop_table(table, dry_run: false)
+    rows = count_rows(table.name)
+    plan = {
+      operation: "drop_table",
+      name: "drop_#{table.name}",
+      table_name: table.name,
+      up_sql: @database_service.drop_table_sql(table.name),
+      down_sql: restore_table_sql(table.name, table.schema),
+      changes_snapshot: {before: table_snapshot(table)},
+      affected_rows: rows,
+      warnings: rows.to_i.positive? ? ["#{pluralize_rows(rows)} will be deleted. Rolling back recreates the table without them."] : []
+    }
+    return preview(plan) if dry_run
+
+    migrate(plan) do
+      check_sql_result!(table.drop_from_supabase!)
+      table.destroy
+    end
+  end
+
+  def add_column(table, attributes, dry_run: false)
+    column = table.app_table_columns.build(attributes)
+    return invalid(column) unless column.valid?
+
+    rows = count_rows(table.name)
+    warnings = []
+    if column.required && column.default_value.blank? && rows.to_i.positive?
+      warnings << "#{column.name} is required but the #{pluralize_rows(rows)} already in #{table.name} will have no value"
+    end
+
+    plan = {
+      operation: "add_column",
+      name: "add_#{column.name}_to_#{table.name}",
+      table_name: table.name,
+      up_sql: add_column_sql(table.name, column_snapshot(column)),
+      down_sql: @database_service.drop_column_sql(table.name, column.name),
+      changes_snapshot: {after: column_snapshot(column)},
+      affected_rows: rows,
+      warnings: warnings
+    }
+    return preview(plan) if dry_run
+
+    migrate(plan) do
+      column.save!
+      begin
+        add_column_to_database(table, column_snapshot(column))
+      rescue
+        @database_service.drop_column(table.name, column.name)
+        column.destroy
+        raise
+      end
+      column
+    end
+  end
+
+  def alter_column(column, attributes, dry_run: false)
+    table = column.app_table
+    before = column_snapshot(column)
+    column.assign_attributes(attributes)
+    unless column.valid?
+      result = invalid(column)
+      column.restore_attributes
+      return result
+    end
+
+    after = column_snapshot(column)
+    old_type = supabase_type(before)
+    new_type = supabase_type(after)
+    type_changed = old_type != new_type
+
+    rows = type_changed ? count_rows(table.name, column: before["name"]) : 0
+    warnings = []
+    if type_changed && rows.to_i.positive?
+      warnings << "#{pluralize_rows(rows, "value")} will be converted from #{old_type} to #{new_type}. " \
+        "The change fails, leaving everything as it was, if any of them can't be converted."
+    end
+
+    plan = {
+      operation: "alter_column",
+      name: (before["name"] == after["name"]) ? "change_#{after["name"]}_in_#{table.name}" : "rename_#{before["name"]}_to_#{after["name"]}_in_#{table.name}",
+      table_name: table.name,
+      up_sql: alter_column_sql(table.name, before, after),
+      down_sql: alter_column_sql(table.name, after, before),
+      changes_snapshot: {before: before, after: after},
+      affected_rows: rows,
+      warnings: warnings
+    }
+    if dry_run
+      column.restore_attributes
+      return preview(plan)
+    end
+
+    migrate(plan) do
+      check_sql_result!(@database_service.alter_column(table.name, before["name"], after["name"], new_type, old_type: old_type))
+      column.save!
+      column
+    rescue
+      column.restore_attributes
+      raise
+    end
+  end
+
+  def drop_column(column, dry_run: false)
+    table = column.app_table
+    rows = count_rows(table.name, column: column.name)
+    plan = {
+      operation: "drop_column",
+      name: "remove_#{column.name}_from_#{table.name}",
+      table_name: table.name,
+      up_sql: @database_service.drop_column_sql(table.name, column.name),
+      down_sql: add_column_sql(table.name, column_snapshot(column)),
+      changes_snapshot: {before: column_snapshot(column)},
+      affected_rows: rows,
+      warnings: rows.to_i.positive? ? ["#{pluralize_rows(rows, "value")} in #{column.name} will be deleted. Rolling back restores the column but not its values."] : []
+    }
+    return preview(plan) if dry_run
+
+    migrate(plan) do
+      check_sql_result!(@database_service.drop_column(table.name, column.name))
+      column.destroy
+    end
+  end
+
+  # Reverts the last steps applied migrations, newest first, stopping at the
+  # first one that fails. {success:, rolled_back: [versions], error:}
+  def rollback(steps = 1, dry_run: false)
+    migrations = @app.app_schema_migrations.applied.newest_first.limit(steps).to_a
+    return {success: false, error: "There are no migrations to roll back"} if migrations.empty?
+
+    if dry_run
+      return {
+        success: true,
+        dry_run: true,
+        migrations: migrations.map { |migration| rollback_preview(migration) }
+      }
+    end
+
+    rolled_back = []
+    migrations.each do |migration|
+      revert!(migration)
+      migration.update!(status: "rolled_back", rolled_back_at: Time.current)
+      rolled_back << migration.version
+    rescue => e
+      Rails.logger.error "[SchemaMigration] Rollback of #{migration.version} (#{migration.name}) failed: #{e.message}"
+      return {
+        success: false,
+        rolled_back: rolled_back,
+        error: "Could not roll back #{migration.name}: #{e.message}"
+      }
+    end
+
+    {success: true, rolled_back: rolled_back}
+  end
+
+  private
+
+  def preview(plan)
+    {success: true, dry_run: true, migration: plan.except(:changes_snapshot).reverse_merge(warnings: [])}
+  end
+
+  def invalid(record)
+    {success: false, error: record.errors.full_messages.to_sentence, errors: record.errors.full_messages}
+  end
+
+  # Runs the change, then records it. The block undoes its own partial work
+  # before re-raising.
+  def migrate(plan)
+    record = yield
+
+    migration = @app.with_lock do
+      @app.app_schema_migrations.create!(
+        plan.slice(:operation, :name, :table_name, :up_sql, :down_sql, :changes_snapshot).merge(
+          version: AppSchemaMigration.next_version_for(@app),
+          app_version: @app_version,
+          user: @user,
+          status: "applied",
+          applied_at: Time.current
+        )
+      )
+    end
+
+    {success: true, migration: migration, record: record}
+  rescue => e
+    Rails.logger.error "[SchemaMigration] #{plan[:name]} failed: #{e.message}"
+    {success: false, error: e.message}
+  end
+
+  def rollback_preview(migration)
+    before = migration.changes_snapshot["before"]
+    after = migration.changes_snapshot["after"]
+
+    affected_rows, warning = case migration.operation
+    when "create_table"
+      rows = count_rows(migration.table_name)
+      [rows, "#{migration.table_name} and its #{pluralize_rows(rows)} will be deleted"]
+    when "add_column"
+      rows = count_rows(migration.table_name, column: after["name"])
+      [rows, "#{pluralize_rows(rows, "value")} in #{after["name"]} will be deleted"]
+    when "alter_column"
+      if supabase_type(before) == supabase_type(after)
+        [0, nil]
+      else
+        rows = count_rows(migration.table_name, column: after["name"])
+        [rows, "#{pluralize_rows(rows, "value")} will be converted back to #{supabase_type(before)}"]
+      end
+    when "drop_table"
+      [0, "#{migration.table_name} will be recreated empty"]
+    when "drop_column"
+      [0, "#{before["name"]} will be restored without its values"]
+    end
+
+    {
+      version: migration.version,
+      name: migration.name,
+      sql: migration.down_sql,
+      affected_rows: affected_rows,
+      warnings: [warning].compact
+    }
+  end
+
+  def revert!(migration)
+    before = migration.changes_snapshot["before"]
+    after = migration.changes_snapshot["after"]
+
+    case migration.operation
+    when "create_table"
+      table = find_table!(migration.table_name)
+      referencing = table.referencing_columns
+      if referencing.any?
+        raise MigrationError, "#{referencing.map { |column| "#{column.app_table.name}.#{column.name}" }.to_sentence} still reference it"
+      end
+
+      check_sql_result!(table.drop_from_supabase!)
+      table.destroy
+    when "drop_table"
+      raise MigrationError, "A table named #{before["name"]} already exists" if @app.app_tables.exists?(name: before["name"])
+
+      ActiveRecord::Base.transaction do
+        table = @app.app_tables.create!(name: before["name"], description: before["description"])
+        before["columns"].each { |snapshot| restore_column_record(table, snapshot) }
+        check_sql_result!(table.create_in_supabase!)
+        table.app_table_columns.select(&:reference?).each do |column|
+          check_sql_result!(@database_service.add_foreign_key(table.name, column.name, column.referenced_table.name, column.on_delete))
+        end
+      end
+    when "add_column"
+      table = find_table!(migration.table_name)
+      column = table.app_table_columns.find_by(name: after["name"])
+      raise MigrationError, "#{migration.table_name}.#{after["name"]} no longer exists" unless column
+
+      check_sql_result!(@database_service.drop_column(table.name, column.name))
+      column.destroy
+    when "drop_column"
+      table = find_table!(migration.table_name)
+      ActiveRecord::Base.transaction do
+        add_column_to_database(table, before)
+        restore_column_record(table, before)
+      end
+    when "alter_column"
+      table = find_table!(migration.table_name)
+      column = table.app_table_columns.find_by(name: after["name"])
+      raise MigrationError, "#{migration.table_name}.#{after["name"]} no longer exists" unless column
+
+      check_sql_result!(@database_service.alter_column(table.name, after["name"], before["name"], supabase_type(before), old_type: supabase_type(after)))
+      column.update!(before.slice("name", "column_type", "required", "default_value", "options"))
+    end
+  end
+
+  def find_table!(name)
+    @app.app_tables.find_by(name: name) || raise(MigrationError, "Table #{name} no longer exists")
+  end
+
+  # References are stored by table id, which changes when a dropped table is
+  # restored, so they are matched up again by name
+  def restore_column_record(table, snapshot)
+    attributes = snapshot.slice("name", "column_type", "required", "default_value", "options")
+
+    if attributes["column_type"] == "reference"
+      options = JSON.parse(attributes["options"])
+      target = @app.app_tables.find_by(name: options["table"])
+      raise MigrationError, "#{snapshot["name"]} references #{options["table"]}, which no longer exists" unless target
+
+      attributes["options"] = options.merge("table_id" => target.id).to_json
+    end
+
+    table.app_table_columns.create!(attributes)
+  end
+
+  def add_column_to_database(table, snapshot)
+    check_sql_result!(@database_service.add_column(table.name, snapshot["name"], supabase_type(snapshot)))
+    return unless snapshot["column_type"] == "reference"
+
+    options = JSON.parse(snapshot["options"])
+    on_delete = options["on_delete"].presence_in(AppTableColumn::ON_DELETE_ACTIONS) || "restrict"
+    check_sql_result!(@database_service.add_foreign_key(table.name, snapshot["name"], options["table"], on_delete))
+  end
+
+  def add_column_sql(table_name, snapshot)
+    sql = @database_service.add_column_sql(table_name, snapshot["name"], supabase_type(snapshot))
+    return sql unless snapshot["column_type"] == "reference"
+
+    options = JSON.parse(snapshot["options"])
+    on_delete = options["on_delete"].presence_in(AppTableColumn::ON_DELETE_ACTIONS) || "restrict"
+    "#{sql};\n#{@database_service.add_foreign_key_sql(table_name, snapshot["name"], options["table"], on_delete)}"
+  end
+
+  def alter_column_sql(table_name, from, to)
+    @database_service.alter_column_sql(table_name, from["name"], to["name"], supabase_type(to), old_type: supabase_type(from)) ||
+      "-- No database change: updates the settings of #{table_name}.#{to["name"]}"
+  end
+
+  def restore_table_sql(table_name, schema)
+    statements = [@database_service.create_table_sql(table_name, schema) + ";"]
+    schema.select { |column| column[:type] == "reference" }.each do |column|
+      on_delete = column[:options]["on_delete"].presence_in(AppTableColumn::ON_DELETE_ACTIONS) || "restrict"
+      statements << @database_service.add_foreign_key_sql(table_name, column[:name], column[:options]["table"], on_delete)
+    end
+    statements.join("\n")
+  end
+
+  def table_snapshot(table)
+    {
+      "name" => table.name,
+      "description" => table.description,
+      "columns" => table.app_table_columns.order(:created_at).map { |column| column_snapshot(column) }
+    }
+  end
+
+  def column_snapshot(column)
+    column.attributes.slice("name", "column_type", "required", "default_value", "options")
+  end
+
+  def supabase_type(snapshot)
+    AppTableColumn.new(column_type: snapshot["column_type"]).supabase_type
+  end
+
+  # nil when the table can't be counted, e.g. during a dry run of several
+  # rollbacks where an earlier one recreates it
+  def count_rows(table_name, column: nil)
+    @database_service.count_rows(table_name, column: column)
+  rescue => e
+    Rails.logger.warn "[SchemaMigration] Could not count rows in #{table_name}: #{e.message}"
+    nil
+  end
+
+  def pluralize_rows(count, word = "row")
+    count.nil? ? "an unknown number of #{word}s" : "#{count} #{word.pluralize(count)}"
+  end
+
+  def check_sql_result!(result)
+    error = result["error"] if result.is_a?(Hash)
+    raise MigrationError, "Database error: #{error.is_a?(Hash) ? error["message"] : error}" if error.present?
+  end
+end
@@ -48,6 +48,191 @@ class Deployment::AppVersionRestorationService
     {success: true, versions: restorable}
   end
 
+  # Three-way merge restore: re-applies the changes a version made (relative to
+  # its parent) onto the current files instead of overwriting them. Later edits
+  # elsewhere are kept; regions both changed come back with conflict markers.
+  # Nothing is written; commit the resolved files with commit_merge_restore.
+  def plan_merge_restore(app_version)
+    parent = previous_version(app_version)
+    base_files = parent ? snapshot_files(parent) : {}
+    restored_files = snapshot_files(app_version)
+    current_files = @app.app_files.to_h { |file| [file.path, file.content.to_s] }
+
+    if restored_files.empty?
+      return {success: false, error: "No restoration data available for version #{app_version.version_number}"}
+    end
+
+    files = (base_files.keys | restored_files.keys | current_files.keys).sort.filter_map do |path|
+      base = base_files[path]
+      restored = restored_files[path]
+      current = current_files[path]
+
+      # Untouched by the version, or already matching it
+      next if restored == base || current == restored
+
+      if current == base
+        status = if restored.nil?
+          "deleted"
+        else
+          (current.nil? ? "created" : "merged")
+        end
+        next {path: path, status: status, content: restored, conflicts: 0}
+      end
+
+      merge = VersionControl::MergeService.new(base, current, restored,
+        theirs_label: app_version.version_number).merge
+      {
+        path: path,
+        status: (merge[:conflicts] > 0) ? "conflict" : "merged",
+        content: merge[:content],
+        conflicts: merge[:conflicts],
+        # One side removed the file while the other changed it
+        deleted_in: (current.nil? ? "current" : ("restored" if restored.nil?))
+      }
+    end
+
+    {
+      success: true,
+      version_number: app_version.version_number,
+      base_version_number: parent&.version_number,
+      files: files,
+      conflicts: files.sum { |file| file[:conflicts] },
+      head_digest: files_digest(current_files)
+    }
+  end
+
+  # Write the resolved result of plan_merge_restore as a new version.
+  # resolved_files maps path => content, with nil deleting the file.
+  def commit_merge_restore(app_version, resolved_files, head_digest:, sync_to_github: true)
+    @logger.info "[AppVersionRestoration] Committing merge restore of version #{app_version.version_number}"
+
+    current_files = @app.app_files.to_h { |file| [file.path, file.content.to_s] }
+    if files_digest(current_files) != head_digest
+      return {success: false, error: "Files changed since the merge was prepared. Please review it again.", conflict: true}
+    end
+
+    unresolved = resolved_files.select { |_path, content| VersionControl::MergeService.conflicted?(content) }.keys
+    if unresolved.any?
+      return {success: false, error: "Resolve all conflicts before restoring: #{unresolved.join(", ")}", unresolved: unresolved}
+    end
+
+    restored_version = ActiveRecord::Base.transaction do
+      resolved_files.each do |path, content|
+        app_file = @app.app_files.find_by(path: path)
+
+        if content.nil?
+          app_file&.destroy!
+        elsif app_file
+          app_file.update!(content: content, size_bytes: content.bytesize)
+        else
+          @app.app_files.create!(
+            team: @app.team,
+            path: path,
+            content: content,
+            file_type: determine_file_type(path),
+            size_bytes: content.bytesize,
+            is_entry_point: (path == "index.html")
+          )
+        end
+      end
+
+      @app.app_versions.create!(
+        version_number: generate_restoration_version_number(app_version),
+        team: @app.team,
+        user: app_version.user,
+        changelog: "Restored from version #{app_version.version_number} (merged with later changes)",
+        deployed: false,
+        external_commit: false,
+        environment: "preview",
+        files_snapshot: @app.app_files.reload.map { |f|
+          {path: f.path, content: f.content, file_type: f.file_type}
+        }.to_json
+      )
+    end
+
+    restored_version.generate_display_name!
+
+    if @app.repository_name.present? && sync_to_github
+      sync_to_github(restored_version)
+    end
+
+    @logger.info "[AppVersionRestoration] ✅ Merge restored #{resolved_files.size} files from version #{app_version.version_number}"
+    {
+      success: true,
+      restored_count: resolved_files.size,
+      version: restored_version,
+      message: "Restored version #{app_version.version_number} and kept later changes"
+    }
+  rescue => e
+    @logger.error "[AppVersionRestoration] Merge restore failed: #{e.message}"
+    {success: false, error: e.message}
+  end
+
+  # Revert one hunk of the changes a version made to a file, applied to the
+  # file's current content. Fails as a conflict when the lines have moved on.
+  def restore_hunk(app_version, path, hunk_index, expected_header: nil)
+    @logger.info "[AppVersionRestoration] Reverting hunk #{hunk_index} of #{path} from version #{app_version.version_number}"
+
+    parent = previous_version(app_version)
+    old_content = parent && version_file_content(parent, path)
+    new_content = version_file_content(app_version, path)
+    if old_content.nil? && new_content.nil?
+      return {success: false, error: "#{path} was not changed in version #{app_version.version_number}"}
+    end
+
+    hunk = VersionControl::DiffService.new(old_content, new_content).unified[:hunks][hunk_index]
+    if hunk.nil? || (expected_header.present? && hunk[:header] != expected_header)
+      return {success: false, error: "That change no longer matches version #{app_version.version_number}", conflict: true}
+    end
+
+    app_file = @app.app_files.find_by(path: path)
+    reverted = VersionControl::DiffService.revert_hunk(app_file&.content, hunk)
+    if reverted.nil?
+      return {success: false, error: "#{path} has changed since this version, so the change can't be reverted automatically", conflict: true}
+    end
+
+    ActiveRecord::Base.transaction do
+      if reverted.empty? && old_content.nil?
+        # Reverting the only hunk of a file this version created removes it
+        app_file&.destroy!
+      elsif app_file
+        app_file.update!(content: reverted, size_bytes: reverted.bytesize)
+      else
+        @app.app_files.create!(
+          team: @app.team,
+          path: path,
+          content: reverted,
+          file_type: determine_file_type(path),
+          size_bytes: reverted.bytesize
+        )
+      end
+
+      restored_version = @app.app_versions.create!(
+        version_number: generate_restoration_version_number(app_version),
+        team: @app.team,
+        user: app_version.user,
+        changelog: "Reverted lines #{hunk[:new_start]}-#{hunk[:new_start] + [hunk[:new_lines] - 1, 0].max} of #{path} from version #{app_version.version_number}",
+        deployed: false,
+        external_commit: false,
+        environment: "preview",
+        files_snapshot: @app.app_files.reload.map { |f|
+          {path: f.path, content: f.content, file_type: f.file_type}
+        }.to_json
+      )
+      restored_version.generate_display_name!
+
+      @logger.info "[AppVersionRestoration] ✅ Reverted hunk #{hunk[:header]} in #{path}"
+      {
+        success: true,
+        version: restored_version,
+        message: "Reverted change to #{path}"
+      }
+    end
+  rescue => e
+    @logger.error "[AppVersionRestoration] Hunk revert failed: #{e.message}"
+    {success: false, error: e.message}
+  end
+
   private
 
   # Restore from GitHub tag (most reliable)
@@ -298,6 +483,37 @@ class Deployment::AppVersionRestorationService
     methods
   end
 
+  def previous_version(app_version)
+    @app.app_versions
+      .where("created_at < ?", app_version.created_at)
+      .order(created_at: :desc)
+      .first
+  end
+
+  # Full file set of a version as path => content
+  def snapshot_files(app_version)
+    if app_version.files_snapshot.present?
+      JSON.parse(app_version.files_snapshot).to_h { |file| [file["path"], file["content"].to_s] }
+    else
+      app_version.app_version_files.includes(:app_file).each_with_object({}) do |version_file, files|
+        next if version_file.action == "deleted" || version_file.app_file.nil?
+        files[version_file.app_file.path] = version_file.content.to_s
+      end
+    end
+  end
+
+  def files_digest(files)
+    Digest::SHA256.hexdigest(files.sort.map { |path, content| "#{path}\0#{content}" }.join("\0"))
+  end
+
+  # Content of a file as recorded in a version, as the comparison view reads it
+  def version_file_content(app_version, path)
+    app_version.app_version_files
+      .joins(:app_file)
+      .find_by(app_files: {path: path})
+      &.content
+  end
+
   # Generate version number for restored version
   def generate_restoration_version_number(original_version)
     base = original_version.version_number.delete("v").gsub("-restored", "")
@@ -131,6 +131,39 @@ class Deployment::CloudflarePreviewService
     deploy_to_environment(:production, production_subdomain)
   end
 
+  # Build the given files ({path => content}) onto a throwaway worker on
+  # workers.dev, leaving the app's own preview untouched
+  def deploy_temporary_preview!(files, worker_name)
+    return {success: false, error: "Missing Cloudflare credentials"} unless credentials_present?
+
+    build_result = Deployment::ViteBuildService.new(@app, files: files).build_app!
+    return {success: false, error: "Build failed: #{build_result[:error]}"} unless build_result[:success]
+
+    asset_urls = Deployment::R2AssetService.new(@app).upload_assets(build_result[:files])[:asset_urls]
+    code_files = build_result[:files].reject { |path, _| asset_urls.key?(path) }
+
+    upload_response = upload_worker(worker_name, generate_worker_script_with_r2_assets(code_files, asset_urls))
+    return {success: false, error: upload_response["error"] || "Failed to upload preview worker"} unless upload_response["success"]
+
+    set_worker_env_vars(worker_name)
+    enable_workers_dev_subdomain(worker_name)
+
+    {success: true, preview_url: "https://#{worker_name}.#{@account_id.tr("_", "-")}.workers.dev"}
+  rescue => e
+    Rails.logger.error "[CloudflarePreview] Temporary preview failed: #{e.message}"
+    {success: false, error: e.message}
+  end
+
+  def delete_worker!(worker_name)
+    return false unless credentials_present?
+
+    response = self.class.delete("/accounts/#{@account_id}/workers/scripts/#{worker_name}")
+    response.success? || response.code == 404
+  rescue => e
+    Rails.logger.warn "[CloudflarePreview] Could not delete worker #{worker_name}: #{e.message}"
+    false
+  end
+
   private
 
   def set_worker_env_vars(worker_name, environment = :preview)
@@ -496,7 +529,7 @@ class Deployment::CloudflarePreviewService
             })
           }
           
-          const targetUrl = supabaseUrl + path.replace('/api/supabase', '')
+          const targetUrl = supabaseUrl + path.replace('/api/supabase', '') + url.search
           const proxyRequest = new Request(targetUrl, request)
           proxyRequest.headers.set('apikey', supabaseKey)
           proxyRequest.headers.set('Authorization', `Bearer ${supabaseKey}`)
@@ -657,7 +690,7 @@ class Deployment::CloudflarePreviewService
           }
           
           // Proxy the request
-          const targetUrl = supabaseUrl + path.replace('/api/supabase', '')
+          const targetUrl = supabaseUrl + path.replace('/api/supabase', '') + url.search
           const proxyRequest = new Request(targetUrl, request)
           proxyRequest.headers.set('apikey', supabaseKey)
           proxyRequest.headers.set('Authorization', `Bearer ${supabaseKey}`)
@@ -826,7 +859,7 @@ class Deployment::CloudflarePreviewService
           }
           
           // Proxy the request
-          const targetUrl = supabaseUrl + path.replace('/api/supabase', '')
+          const targetUrl = supabaseUrl + path.replace('/api/supabase', '') + url.search
           const proxyRequest = new Request(targetUrl, request)
           proxyRequest.headers.set('apikey', supabaseKey)
           proxyRequest.headers.set('Authorization', `Bearer ${supabaseKey}`)
@@ -3,6 +3,9 @@ module Deployment
     include HTTParty
     base_uri "https://api.cloudflare.com/client/v4"
 
+    # Serves a Vite build uploaded to R2 (see R2AssetService#upload_build)
+    WORKER_TEMPLATE = Rails.root.join("app/services/deployment/worker_template.js")
+
     def initialize(app)
       @app = app
       @account_id = ENV["CLOUDFLARE_ACCOUNT_ID"]
@@ -28,13 +31,18 @@ module Deployment
       end
     end
 
-    def deploy_with_secrets(built_code:, deployment_type: :preview, r2_asset_urls: {}, worker_name_override: nil)
+    # built_code is either a finished Worker script or the files of a Vite
+    # build ({path => content} or ViteBuildService's {path => {content:, binary:,
+    # content_type:}}). Build files are uploaded to R2 and served by the
+    # worker template. r2_asset_urls names build files the builder already
+    # uploaded with R2AssetService#upload_assets ({path => url}); they are
+    # copied into the build so the worker serves them too.
+    def deploy_with_secrets(built_code:, r2_asset_urls: {}, deployment_type: :preview, worker_name_override: nil)
       worker_name = worker_name_override || generate_worker_name(deployment_type)
 
       Rails.logger.info "[CloudflareWorkersDeployer] Deploying to #{worker_name}"
 
-      # Generate Worker script from built code and R2 URLs
-      worker_script = generate_worker_script(built_code, r2_asset_urls)
+      worker_script, bindings = generate_worker_script(built_code, r2_asset_urls)
       worker_size_mb = (worker_script.bytesize / 1024.0 / 1024.0).round(2)
 
       Rails.logger.info "[CloudflareWorkersDeployer] Worker script size: #{worker_size_mb} MB"
@@ -44,7 +52,7 @@ module Deployment
       end
 
       # 1. Deploy the Worker script with environment variables included
-      deploy_worker(worker_name, worker_script)
+      deploy_worker(worker_name, worker_script, bindings)
 
       # 2. Configure routes based on deployment type
       worker_url = configure_worker_routes(worker_name, deployment_type)
@@ -163,7 +171,7 @@ module Deployment
       end
     end
 
-    def deploy_worker(worker_name, script_content)
+    def deploy_worker(worker_name, script_content, extra_bindings = [])
       Rails.logger.info "[CloudflareWorkersDeployer] Uploading Worker script with environment variables (#{script_content.bytesize} bytes)"
 
       # Get all secrets/env vars for this worker
@@ -177,6 +185,7 @@ module Deployment
           type: "plain_text"
         }
       end
+      bindings += extra_bindings
 
       # Create metadata with bindings
       metadata = {
@@ -279,171 +288,20 @@ module Deployment
       Rails.logger.info "[CloudflareWorkersDeployer] Finished setting #{secrets.count} secrets for #{worker_name}"
     end
 
+    # Returns the script and the bindings it needs besides the env vars
     def generate_worker_script(built_code, r2_asset_urls = {})
-      # Handle both string (legacy) and hash (new) formats
-      if built_code.is_a?(String)
-        return built_code  # Already a Worker script
-      end
-
-      # Ensure all file contents are properly escaped for JavaScript
-      # This prevents issues with apostrophes, quotes, and other special characters
-      sanitized_built_code = built_code.transform_values do |content|
-        # Ensure content is a string and properly escape any problematic characters
-        content.to_s
-      end
-
-      # Generate Worker script from file hash with proper JSON escaping
-      code_files_json = JSON.generate(sanitized_built_code)
-      asset_urls_json = JSON.generate(r2_asset_urls)
-
-      <<~JAVASCRIPT
-        // Code files embedded in Worker
-        const CODE_FILES = #{code_files_json};
-        
-        // Asset URLs in R2
-        const ASSET_URLS = #{asset_urls_json};
-        
-        // ES Module export for Cloudflare Workers
-        export default {
-          async fetch(request, env, ctx) {
-            return handleRequest(request, { env, ctx });
-          }
-        };
-        
-        async function handleRequest(request, event) {
-          const env = event.env || {}
-            const url = new URL(request.url);
-            const pathname = url.pathname;
-            
-            // Handle API routes
-            if (pathname.startsWith('/api/')) {
-              return handleApiRequest(request, env);
-            }
-            
-            // Clean path for lookups
-            const cleanPath = pathname === '/' ? 'index.html' : pathname.slice(1);
-            
-            // Check if this is an asset in R2
-            if (ASSET_URLS[cleanPath]) {
-              return Response.redirect(ASSET_URLS[cleanPath], 301);
-            }
-            
-            // Check if this is a code file
-            if (CODE_FILES[cleanPath]) {
-              const content = CODE_FILES[cleanPath];
-              const contentType = getContentType(cleanPath);
-              
-              // Special handling for index.html
-              if (cleanPath === 'index.html') {
-                const publicEnvVars = getPublicEnvVars(env);
-                const envScript = `<script>window.ENV = ${JSON.stringify(publicEnvVars)};</script>`;
-                
-                let modifiedHtml = content;
-                if (content.includes('</head>')) {
-                  modifiedHtml = content.replace('</head>', envScript + '</head>');
-                } else {
-                  modifiedHtml = envScript + content;
-                }
-                
-                return new Response(modifiedHtml, {
-                  headers: {
-                    'Content-Type': contentType,
-                    'Cache-Control': 'no-cache',
-                    'X-Frame-Options': 'ALLOWALL'
-                  }
-                });
-              }
-              
-              // Serve other code files
-              return new Response(content, {
-                headers: {
-                  'Content-Type': contentType,
-                  'Cache-Control': 'public, max-age=86400',
-                  'Access-Control-Allow-Origin': '*'
-                }
-              });
-            }
-            
-            // For all other routes, serve index.html (SPA routing)
-            const indexHtml = CODE_FILES['index.html'];
-            if (indexHtml) {
-              const publicEnvVars = getPublicEnvVars(env);
-              const envScript = `<script>window.ENV = ${JSON.stringify(publicEnvVars)};</script>`;
-              
-              let modifiedHtml = indexHtml;
-              if (indexHtml.includes('</head>')) {
-                modifiedHtml = indexHtml.replace('</head>', envScript + '</head>');
-              } else {
-                modifiedHtml = envScript + indexHtml;
-              }
-              
-              return new Response(modifiedHtml, {
-                headers: {
-                  'Content-Type': 'text/html',
-                  'Cache-Control': 'no-cache',
-                  'X-Frame-Options': 'ALLOWALL'
-                }
-              });
-            }
-            
-            return new Response('Not found', { status: 404 });
-        }
-        
-        function getContentType(path) {
-          const ext = path.split('.').pop().toLowerCase();
-          const types = {
-            'html': 'text/html',
-            'js': 'application/javascript',
-            'mjs': 'application/javascript',
-            'css': 'text/css',
-            'json': 'application/json'
-          };
-          return types[ext] || 'text/plain';
-        }
-        
-        function getPublicEnvVars(env) {
-          const publicVars = {};
-          const publicKeys = ['APP_ID', 'ENVIRONMENT', 'API_BASE_URL', 'SUPABASE_URL', 'SUPABASE_ANON_KEY'];
-          
-          for (const key in env) {
-            if (publicKeys.includes(key) || key.startsWith('PUBLIC_') || key.startsWith('VITE_')) {
-              publicVars[key] = env[key];
-            }
-          }
-          
-          return publicVars;
-        }
-        
-        async function handleApiRequest(request, env) {
-          const url = new URL(request.url);
-          const path = url.pathname;
-          
-          // Proxy to Supabase
-          if (path.startsWith('/api/supabase')) {
-            const supabaseUrl = env.SUPABASE_URL;
-            const supabaseKey = env.SUPABASE_SERVICE_KEY || env.SUPABASE_ANON_KEY;
-            
-            if (!supabaseUrl || !supabaseKey) {
-              return new Response(JSON.stringify({ error: 'Database not configured' }), {
-                status: 503,
-                headers: { 'Content-Type': 'application/json' }
-              });
-            }
-            
-            const targetUrl = supabaseUrl + path.replace('/api/supabase', '');
-            const proxyRequest = new Request(targetUrl, request);
-            proxyRequest.headers.set('apikey', supabaseKey);
-            proxyRequest.headers.set('Authorization', `Bearer ${supabaseKey}`);
-            
-            return fetch(proxyRequest);
-          }
-          
-          return new Response(JSON.stringify({ error: 'API endpoint not found' }), {
-            status: 404,
-            headers: { 'Content-Type': 'application/json' }
-          });
-        }
-      JAVASCRIPT
+      return [built_code, []] if built_code.is_a?(String) # Already a Worker script
+
+      build_id = "#{Time.current.strftime("%Y%m%d%H%M%S")}-#{SecureRandom.hex(4)}"
+      r2 = R2AssetService.new(@app)
+      r2.upload_build(built_code, build_id)
+      r2.copy_assets_to_build(r2_asset_urls.keys, build_id) if r2_asset_urls.present?
+
+      bindings = [
+        {name: "STORAGE", type: "r2_bucket", bucket_name: R2AssetService.bucket_name},
+        {name: "BUILD_ID", type: "plain_text", text: build_id}
+      ]
+      [File.read(WORKER_TEMPLATE), bindings]
     end
 
     def gather_all_secrets
@@ -86,7 +86,9 @@ class Deployment::GithubViteBuildService
         "VITE_APP_ID" => @app.obfuscated_id,
         "VITE_SUPABASE_URL" => ENV["SUPABASE_URL"],
         "VITE_SUPABASE_ANON_KEY" => ENV["SUPABASE_ANON_KEY"],
-        "NODE_ENV" => "production"
+        "NODE_ENV" => "production",
+        # Published apps don't carry the editor's data-os-source tags
+        "OVERSKILL_PUBLISH" => "true"
       }
 
       result = system(env, "npm run build 2>&1")
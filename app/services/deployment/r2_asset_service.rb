@@ -18,9 +18,13 @@ module Deployment
       .pdf .zip
     ].freeze
 
+    def self.bucket_name
+      ENV["CLOUDFLARE_R2_BUCKET"] || "overskill-apps-dev"
+    end
+
     def initialize(app)
       @app = app
-      @bucket_name = ENV["CLOUDFLARE_R2_BUCKET"] || "overskill-apps-dev"
+      @bucket_name = self.class.bucket_name
 
       # Initialize S3-compatible client for R2
       @client = Aws::S3::Client.new(
@@ -69,9 +73,43 @@ module Deployment
       }
     end
 
+    # Upload every file of a Vite build ({path => content} or
+    # {path => {content:, binary:, content_type:}}) under its own prefix,
+    # app-{id}/builds/{build_id}/, where worker_template.js serves them from.
+    # Returns the prefix.
+    def upload_build(built_files, build_id)
+      prefix = build_prefix(build_id)
+      Rails.logger.info "[R2Asset] Uploading #{built_files.size} build files to #{prefix}"
+
+      built_files.each do |path, file_data|
+        file_data = {content: file_data} unless file_data.is_a?(Hash)
+        clean_path = path.delete_prefix("/")
+
+        upload_file(clean_path, prepare_content(file_data), content_type: file_data[:content_type], key: "#{prefix}/#{clean_path}")
+      end
+
+      prefix
+    end
+
+    # Copy files uploaded earlier with upload_assets into a build, so the
+    # worker template finds them next to the rest of the build's files
+    def copy_assets_to_build(paths, build_id)
+      prefix = build_prefix(build_id)
+      Rails.logger.info "[R2Asset] Copying #{paths.size} uploaded assets to #{prefix}"
+
+      paths.each do |path|
+        @client.copy_object(
+          bucket: @bucket_name,
+          copy_source: "#{@bucket_name}/#{build_s3_key(path)}",
+          key: "#{prefix}/#{path.delete_prefix("/")}"
+        )
+      end
+
+      prefix
+    end
+
     # Upload a single file to R2
-    def upload_file(path, content, content_type: nil)
-      key = build_s3_key(path)
+    def upload_file(path, content, content_type: nil, key: build_s3_key(path))
 
       # Prepare upload parameters
       upload_params = {
@@ -144,6 +182,10 @@ module Deployment
       end
     end
 
+    def build_prefix(build_id)
+      "app-#{@app.id}/builds/#{build_id}"
+    end
+
     def build_s3_key(path)
       # Structure: app-{uuid}/{environment}/{path}
       # Remove leading slash if present
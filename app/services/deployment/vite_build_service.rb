@@ -2,8 +2,10 @@
 class Deployment::ViteBuildService
   include HTTParty
 
-  def initialize(app)
+  # files: {path => content} to build instead of the app's saved files
+  def initialize(app, files: nil)
     @app = app
+    @files = files
     @temp_dir = nil
   end
 
@@ -43,16 +45,17 @@ class Deployment::ViteBuildService
   private
 
   def write_app_files!
-    Rails.logger.info "[ViteBuild] Writing #{@app.app_files.count} files to #{@temp_dir}"
+    files = @files || @app.app_files.to_h { |app_file| [app_file.path, app_file.content] }
+    Rails.logger.info "[ViteBuild] Writing #{files.size} files to #{@temp_dir}"
 
-    @app.app_files.each do |app_file|
-      file_path = File.join(@temp_dir, app_file.path)
+    files.each do |path, content|
+      file_path = File.join(@temp_dir, path)
 
       # Create directory if it doesn't exist
       FileUtils.mkdir_p(File.dirname(file_path))
 
       # Write file content
-      File.write(file_path, app_file.content)
+      File.write(file_path, content)
     end
 
     # Ensure package.json exists with required dependencies
@@ -78,7 +78,10 @@ class Deployment::WfpPreviewBuildService
         "VITE_APP_ID" => @app.obfuscated_id,
         "VITE_SUPABASE_URL" => ENV["SUPABASE_URL"],
         "VITE_SUPABASE_ANON_KEY" => ENV["SUPABASE_ANON_KEY"],
-        "NODE_ENV" => "production"
+        "NODE_ENV" => "production",
+        # The preview keeps data-os-source tags for visual editing, even if
+        # the server's own environment sets OVERSKILL_PUBLISH
+        "OVERSKILL_PUBLISH" => "false"
       }
 
       # Run build command (typically 'tsc && vite build')
@@ -1,6 +1,11 @@
 /**
  * Cloudflare Worker Template for OverSkill Apps
  * Handles secure environment variables and serves app files
+ *
+ * Deployed by CloudflareWorkersDeployer for Vite builds. Files are read from
+ * the STORAGE R2 bucket or, when only that is bound, the ASSETS KV namespace,
+ * under the prefix R2AssetService#upload_build writes the dist output to:
+ *   app-{APP_ID}/builds/{BUILD_ID}/{path}
  */
 
 export default {
@@ -14,10 +19,62 @@ export default {
     }
     
     // Serve static files with public env vars injected
-    return serveStaticFile(path, env);
+    return serveStaticFile(request, env);
   },
 };
 
+/**
+ * Proxy routes used when no API_ROUTES binding is configured.
+ *
+ * Each route describes:
+ *   prefix        - path prefix matched at a segment boundary (longest wins)
+ *   upstream      - base URL the rest of the path is appended to, or
+ *   upstreamEnv   - name of the env var holding that base URL
+ *   auth          - one or more { scheme, secret } to inject; schemes are
+ *                   bearer, basic, header (with `header`) and query (with `param`)
+ *   injectSecrets - must be true for auth to use anything but public keys
+ *                   (see PUBLIC_ENV_KEYS), and then requireAuth must be too
+ *   requireAuth   - only signed-in users of the app (a valid Supabase access
+ *                   token in Authorization) may call the route
+ *   methods       - allowed HTTP methods
+ *   headers       - client request headers forwarded upstream (allow-list)
+ *   cors          - { origins, headers, maxAge } to answer browser requests
+ *   name          - label used in error messages
+ *
+ * The database route only adds the anon key and passes on the user's own
+ * access token, so Supabase applies row level security as that user. Routes
+ * that use secret keys, such as
+ *
+ *   { name: 'AI service', prefix: '/api/openai', upstream: 'https://api.openai.com/v1',
+ *     auth: { scheme: 'bearer', secret: 'OPENAI_API_KEY' }, injectSecrets: true,
+ *     requireAuth: true, methods: ['POST'], headers: ['content-type'] }
+ *
+ * have to be added to API_ROUTES by the app.
+ */
+const DEFAULT_API_ROUTES = [
+  {
+    name: 'Database',
+    prefix: '/api/supabase',
+    upstreamEnv: 'SUPABASE_URL',
+    auth: { scheme: 'header', header: 'apikey', secret: 'SUPABASE_ANON_KEY' },
+    methods: ['GET', 'POST', 'PATCH', 'PUT', 'DELETE'],
+    headers: ['accept', 'authorization', 'content-type', 'prefer', 'range'],
+  },
+];
+
+// Safe to expose to the client; any other env var is a secret
+const PUBLIC_ENV_KEYS = [
+  'APP_ID',
+  'ENVIRONMENT',
+  'API_BASE_URL',
+  'SUPABASE_URL',  // Public URL is safe
+  'SUPABASE_ANON_KEY',  // Anon key is meant to be public (RLS protects data)
+  'STRIPE_PUBLISHABLE_KEY',  // Publishable key is meant to be public
+  'PUBLIC_*',  // Any key starting with PUBLIC_
+];
+
+const DEFAULT_FORWARDED_HEADERS = ['accept', 'accept-language', 'content-type'];
+
 /**
  * Handle API requests with access to secret environment variables
  */
@@ -25,79 +82,222 @@ async function handleApiRequest(request, env) {
   const url = new URL(request.url);
   const path = url.pathname;
   
-  // Example: Supabase proxy endpoint
-  if (path === '/api/supabase') {
-    const supabaseUrl = env.SUPABASE_URL;
-    const supabaseKey = env.SUPABASE_SERVICE_KEY || env.SUPABASE_ANON_KEY;
-    
-    if (!supabaseUrl || !supabaseKey) {
-      return new Response('Database not configured', { status: 503 });
-    }
-    
-    // Proxy the request to Supabase with authentication
-    const supabaseRequest = new Request(
-      supabaseUrl + url.search,
-      request
-    );
-    supabaseRequest.headers.set('apikey', supabaseKey);
-    supabaseRequest.headers.set('Authorization', `Bearer ${supabaseKey}`);
-    
-    return fetch(supabaseRequest);
+  let routes;
+  try {
+    routes = loadApiRoutes(env);
+  } catch (error) {
+    console.error('Invalid API_ROUTES configuration:', error.message);
+    return new Response('API routes misconfigured', { status: 500 });
   }
   
-  // Example: OpenAI proxy endpoint
-  if (path === '/api/openai') {
-    const openaiKey = env.OPENAI_API_KEY;
-    
-    if (!openaiKey) {
-      return new Response('AI service not configured', { status: 503 });
+  const route = matchRoute(routes, path);
+  if (!route) {
+    return new Response('API endpoint not found', { status: 404 });
+  }
+  
+  const methods = (route.methods || ['GET']).map(method => method.toUpperCase());
+  const corsHeaders = getCorsHeaders(route, request, methods);
+  
+  // Answer CORS preflight without touching the upstream
+  if (request.method === 'OPTIONS' && route.cors) {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+  
+  if (!methods.includes(request.method)) {
+    return new Response('Method not allowed', {
+      status: 405,
+      headers: { ...corsHeaders, 'Allow': methods.join(', ') },
+    });
+  }
+  
+  if (route.requireAuth && !(await authenticate(request, env))) {
+    return new Response('Sign in required', { status: 401, headers: corsHeaders });
+  }
+  
+  const upstream = route.upstream || env[route.upstreamEnv];
+  if (!upstream) {
+    return new Response(`${route.name || route.prefix} not configured`, { status: 503, headers: corsHeaders });
+  }
+  
+  const target = new URL(upstream.replace(/\/+$/, '') + path.slice(route.prefix.length) + url.search);
+  
+  // Only allow-listed client headers are forwarded; cookies and client
+  // credentials never reach the upstream unless a route asks for them
+  const headers = new Headers();
+  const allowed = (route.headers || DEFAULT_FORWARDED_HEADERS).map(name => name.toLowerCase());
+  for (const [name, value] of request.headers) {
+    if (allowed.includes(name.toLowerCase())) headers.set(name, value);
+  }
+  
+  for (const auth of [].concat(route.auth || [])) {
+    const secret = readSecret(env, auth.secret);
+    if (!secret) {
+      return new Response(`${route.name || route.prefix} not configured`, { status: 503, headers: corsHeaders });
     }
-    
-    // Proxy to OpenAI with authentication
-    const openaiRequest = new Request(
-      'https://api.openai.com/v1' + path.replace('/api/openai', ''),
-      request
-    );
-    openaiRequest.headers.set('Authorization', `Bearer ${openaiKey}`);
-    
-    return fetch(openaiRequest);
+    applyAuth(auth, secret, headers, target);
   }
   
-  // Example: Stripe proxy endpoint
-  if (path.startsWith('/api/stripe')) {
-    const stripeKey = env.STRIPE_SECRET_KEY;
-    
-    if (!stripeKey) {
-      return new Response('Payment service not configured', { status: 503 });
+  const upstreamResponse = await fetch(target.toString(), {
+    method: request.method,
+    headers,
+    body: ['GET', 'HEAD'].includes(request.method) ? undefined : request.body,
+    redirect: 'manual',
+  });
+  
+  const response = new Response(upstreamResponse.body, upstreamResponse);
+  response.headers.delete('Set-Cookie');
+  for (const [name, value] of Object.entries(corsHeaders)) {
+    response.headers.set(name, value);
+  }
+  return response;
+}
+
+/**
+ * Route table from the API_ROUTES binding (JSON string or object)
+ */
+function loadApiRoutes(env) {
+  if (!env.API_ROUTES) return DEFAULT_API_ROUTES;
+  
+  const config = typeof env.API_ROUTES === 'string' ? JSON.parse(env.API_ROUTES) : env.API_ROUTES;
+  const routes = Array.isArray(config) ? config : config.routes;
+  
+  if (!Array.isArray(routes)) {
+    throw new Error('expected an array of routes');
+  }
+  for (const route of routes) {
+    if (!route.prefix || !route.prefix.startsWith('/api/')) {
+      throw new Error(`route prefix must start with /api/: ${route.prefix}`);
+    }
+    if (!route.upstream && !route.upstreamEnv) {
+      throw new Error(`route ${route.prefix} has no upstream`);
+    }
+    if (usesSecrets(route) && !(route.injectSecrets === true && route.requireAuth === true)) {
+      throw new Error(`route ${route.prefix} uses secret keys, so it needs injectSecrets: true and requireAuth: true`);
     }
-    
-    // Proxy to Stripe with authentication
-    const stripeRequest = new Request(
-      'https://api.stripe.com/v1' + path.replace('/api/stripe', ''),
-      request
-    );
-    stripeRequest.headers.set('Authorization', `Bearer ${stripeKey}`);
-    
-    return fetch(stripeRequest);
   }
+  return routes;
+}
+
+/**
+ * Whether any auth entry reads an env var that isn't public
+ */
+function usesSecrets(route) {
+  return [].concat(route.auth || [])
+    .some(auth => [].concat(auth.secret || []).some(name => !isPublicKey(name)));
+}
+
+/**
+ * The signed-in Supabase user for the request's access token, or null
+ */
+async function authenticate(request, env) {
+  const token = (request.headers.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (!token || !env.SUPABASE_URL || !env.SUPABASE_ANON_KEY) return null;
   
-  return new Response('API endpoint not found', { status: 404 });
+  const response = await fetch(`${env.SUPABASE_URL.replace(/\/+$/, '')}/auth/v1/user`, {
+    headers: { 'apikey': env.SUPABASE_ANON_KEY, 'Authorization': `Bearer ${token}` },
+  });
+  if (!response.ok) return null;
+  
+  const user = await response.json();
+  return user?.id ? user : null;
+}
+
+/**
+ * Longest prefix match at a path segment boundary
+ */
+function matchRoute(routes, path) {
+  return routes
+    .filter(route => {
+      const prefix = route.prefix.replace(/\/+$/, '');
+      return path === prefix || path.startsWith(prefix + '/');
+    })
+    .sort((a, b) => b.prefix.length - a.prefix.length)[0] || null;
+}
+
+/**
+ * First configured secret from a name or list of fallback names
+ */
+function readSecret(env, names) {
+  for (const name of [].concat(names || [])) {
+    if (env[name]) return env[name];
+  }
+  return null;
+}
+
+/**
+ * Inject credentials for one auth scheme
+ */
+function applyAuth(auth, secret, headers, target) {
+  switch (auth.scheme) {
+    case 'bearer':
+      headers.set('Authorization', `Bearer ${secret}`);
+      break;
+    case 'basic':
+      // Secret holds "user:password"
+      headers.set('Authorization', `Basic ${btoa(secret)}`);
+      break;
+    case 'header':
+      headers.set(auth.header, auth.prefix ? `${auth.prefix} ${secret}` : secret);
+      break;
+    case 'query':
+      target.searchParams.set(auth.param, secret);
+      break;
+    default:
+      throw new Error(`Unknown auth scheme: ${auth.scheme}`);
+  }
+}
+
+/**
+ * CORS response headers for routes that opt in
+ */
+function getCorsHeaders(route, request, methods) {
+  if (!route.cors) return {};
+  
+  const origin = request.headers.get('Origin');
+  const origins = route.cors.origins || ['*'];
+  const allowOrigin = origins.includes('*') ? '*' : (origins.includes(origin) ? origin : null);
+  if (!allowOrigin) return {};
+  
+  const headers = {
+    'Access-Control-Allow-Origin': allowOrigin,
+    'Access-Control-Allow-Methods': methods.join(', '),
+    'Access-Control-Allow-Headers': (route.cors.headers || route.headers || DEFAULT_FORWARDED_HEADERS).join(', '),
+    'Access-Control-Max-Age': String(route.cors.maxAge || 600),
+  };
+  if (allowOrigin !== '*') headers['Vary'] = 'Origin';
+  return headers;
 }
 
 /**
  * Serve static files with public environment variables injected
  */
-async function serveStaticFile(path, env) {
-  // Get the file content from KV storage or R2
-  // This is a simplified example - actual implementation would fetch from storage
-  const fileContent = await getFileContent(path);
+async function serveStaticFile(request, env) {
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    return new Response('Method not allowed', { status: 405, headers: { 'Allow': 'GET, HEAD' } });
+  }
+  
+  const path = normalizePath(new URL(request.url).pathname);
+  if (!path) {
+    return new Response('Bad request', { status: 400 });
+  }
+  
+  let servedPath = path;
+  let file = await getFileContent(servedPath, env);
   
-  if (!fileContent) {
+  // SPA routes resolve to index.html, but only for page navigations:
+  // a missing script or stylesheet must 404 instead of returning HTML
+  if (!file && isNavigationRequest(request, path)) {
+    servedPath = '/index.html';
+    file = await getFileContent(servedPath, env);
+  }
+  
+  if (!file) {
     return new Response('File not found', { status: 404 });
   }
   
   // For HTML files, inject public environment variables
-  if (path.endsWith('.html') || path === '/') {
+  if (servedPath.endsWith('.html')) {
+    const fileContent = await file.text();
     const publicEnvVars = getPublicEnvVars(env);
     const envScript = `
       <script>
@@ -116,22 +316,176 @@ async function serveStaticFile(path, env) {
       modifiedContent = envScript + fileContent;
     }
     
-    return new Response(modifiedContent, {
+    return new Response(request.method === 'HEAD' ? null : modifiedContent, {
       headers: {
-        'Content-Type': 'text/html',
+        'Content-Type': 'text/html; charset=utf-8',
         'Cache-Control': 'no-cache',
       },
     });
   }
   
-  // Serve other files as-is
-  const contentType = getContentType(path);
-  return new Response(fileContent, {
-    headers: {
-      'Content-Type': contentType,
-      'Cache-Control': 'public, max-age=3600',
-    },
+  const headers = new Headers({
+    'Content-Type': file.contentType || getContentType(servedPath),
+    'Cache-Control': getCacheControl(servedPath),
+    'ETag': file.etag,
+    'Accept-Ranges': 'bytes',
   });
+  
+  if (etagMatches(request.headers.get('If-None-Match'), file.etag)) {
+    return new Response(null, { status: 304, headers });
+  }
+  
+  // If-Range with a stale validator means the client must get the whole file
+  const ifRange = request.headers.get('If-Range');
+  const rangeHeader = !ifRange || ifRange === file.etag ? request.headers.get('Range') : null;
+  const range = parseRange(rangeHeader, file.size);
+  
+  if (range === 'unsatisfiable') {
+    headers.set('Content-Range', `bytes */${file.size}`);
+    return new Response(null, { status: 416, headers });
+  }
+  
+  if (range) {
+    headers.set('Content-Range', `bytes ${range.offset}-${range.offset + range.length - 1}/${file.size}`);
+    headers.set('Content-Length', String(range.length));
+    const body = request.method === 'HEAD' ? null : await file.read(range);
+    return new Response(body, { status: 206, headers });
+  }
+  
+  headers.set('Content-Length', String(file.size));
+  return new Response(request.method === 'HEAD' ? null : await file.read(), { headers });
+}
+
+/**
+ * Decode and validate the request path; directories map to index.html
+ */
+function normalizePath(pathname) {
+  let path;
+  try {
+    path = decodeURIComponent(pathname);
+  } catch (error) {
+    return null;
+  }
+  
+  if (path.split('/').some(segment => segment === '..') || path.includes('\0')) {
+    return null;
+  }
+  
+  return path.endsWith('/') ? path + 'index.html' : path;
+}
+
+/**
+ * Browser page loads (not subresource fetches) for extensionless or HTML paths
+ */
+function isNavigationRequest(request, path) {
+  const lastSegment = path.split('/').pop();
+  const looksLikePage = !lastSegment.includes('.') || lastSegment.endsWith('.html');
+  const mode = request.headers.get('Sec-Fetch-Mode');
+  const accept = request.headers.get('Accept') || '';
+  
+  return looksLikePage && (mode === 'navigate' || (!mode && accept.includes('text/html')));
+}
+
+/**
+ * Storage key for a file of the deployed build
+ */
+function storageKey(path, env) {
+  const cleanPath = path.replace(/^\/+/, '');
+  return `app-${env.APP_ID}/builds/${env.BUILD_ID}/${cleanPath}`;
+}
+
+/**
+ * Get file content from R2 (STORAGE) or KV (ASSETS)
+ * Returns { etag, size, contentType, read(range), text() } or null
+ */
+async function getFileContent(path, env) {
+  const key = storageKey(path, env);
+  
+  if (env.STORAGE) {
+    // head() first so conditional and range requests only read what they need
+    const object = await env.STORAGE.head(key);
+    if (!object) return null;
+    
+    return {
+      etag: object.httpEtag,
+      size: object.size,
+      contentType: object.httpMetadata?.contentType,
+      read: async (range) => (await env.STORAGE.get(key, range ? { range } : undefined))?.body ?? null,
+      text: async () => (await env.STORAGE.get(key))?.text() ?? '',
+    };
+  }
+  
+  if (env.ASSETS) {
+    const { value, metadata } = await env.ASSETS.getWithMetadata(key, 'arrayBuffer');
+    if (!value) return null;
+    
+    return {
+      etag: metadata?.etag ? `"${metadata.etag}"` : await computeEtag(value),
+      size: value.byteLength,
+      contentType: metadata?.contentType,
+      read: async (range) => range ? value.slice(range.offset, range.offset + range.length) : value,
+      text: async () => new TextDecoder().decode(value),
+    };
+  }
+  
+  console.error('No STORAGE (R2) or ASSETS (KV) binding configured');
+  return null;
+}
+
+/**
+ * Strong ETag from a SHA-1 of the content (KV has no stored validators)
+ */
+async function computeEtag(buffer) {
+  const digest = await crypto.subtle.digest('SHA-1', buffer);
+  const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `"${hex}"`;
+}
+
+/**
+ * Compare an If-None-Match header against an ETag (weak comparison)
+ */
+function etagMatches(header, etag) {
+  if (!header || !etag) return false;
+  if (header.trim() === '*') return true;
+  
+  const strip = tag => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => strip(tag) === strip(etag));
+}
+
+/**
+ * Parse a single-range Range header into { offset, length }
+ * Returns null to serve the whole file (no header, multiple ranges or
+ * other units) and 'unsatisfiable' when the range lies outside the file
+ */
+function parseRange(header, size) {
+  const match = header && header.match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+  
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return 'unsatisfiable';
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+  
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { offset: start, length: end - start + 1 };
+}
+
+/**
+ * Content-hashed build assets never change; everything else revalidates
+ */
+function getCacheControl(path) {
+  if (/^\/assets\/.+-[A-Za-z0-9_-]{8,}\.\w+$/.test(path)) {
+    return 'public, max-age=31536000, immutable';
+  }
+  return 'public, max-age=3600';
 }
 
 /**
@@ -140,27 +494,8 @@ async function serveStaticFile(path, env) {
 function getPublicEnvVars(env) {
   const publicVars = {};
   
-  // These are safe to expose to the client
-  const publicKeys = [
-    'APP_ID',
-    'ENVIRONMENT',
-    'API_BASE_URL',
-    'SUPABASE_URL',  // Public URL is safe
-    'SUPABASE_ANON_KEY',  // Anon key is meant to be public (RLS protects data)
-    'STRIPE_PUBLISHABLE_KEY',  // Publishable key is meant to be public
-    'PUBLIC_*',  // Any key starting with PUBLIC_
-  ];
-  
   for (const key in env) {
-    // Check if this key should be public
-    const isPublic = publicKeys.some(pattern => {
-      if (pattern.endsWith('*')) {
-        return key.startsWith(pattern.slice(0, -1));
-      }
-      return key === pattern;
-    });
-    
-    if (isPublic) {
+    if (isPublicKey(key)) {
       publicVars[key] = env[key];
     }
   }
@@ -169,38 +504,64 @@ function getPublicEnvVars(env) {
 }
 
 /**
- * Get file content (simplified - would use KV or R2 in production)
+ * Whether an env var may be exposed to the client
  */
-async function getFileContent(path) {
-  // In production, this would fetch from Cloudflare KV or R2
-  // For now, return a placeholder
-  const files = {
-    '/': '<html><head></head><body><h1>App</h1></body></html>',
-    '/index.html': '<html><head></head><body><h1>App</h1></body></html>',
-    '/app.js': 'console.log("App loaded");',
-    '/styles.css': 'body { font-family: sans-serif; }',
-  };
-  
-  return files[path] || files['/'];
+function isPublicKey(key) {
+  return PUBLIC_ENV_KEYS.some(pattern => {
+    if (pattern.endsWith('*')) {
+      return key.startsWith(pattern.slice(0, -1));
+    }
+    return key === pattern;
+  });
 }
 
 /**
  * Get content type for file
  */
 function getContentType(path) {
-  const ext = path.split('.').pop();
+  const ext = path.split('.').pop().toLowerCase();
   const types = {
-    'html': 'text/html',
-    'js': 'application/javascript',
-    'css': 'text/css',
-    'json': 'application/json',
+    // Documents and code
+    'html': 'text/html; charset=utf-8',
+    'htm': 'text/html; charset=utf-8',
+    'js': 'application/javascript; charset=utf-8',
+    'mjs': 'application/javascript; charset=utf-8',
+    'cjs': 'application/javascript; charset=utf-8',
+    'css': 'text/css; charset=utf-8',
+    'json': 'application/json; charset=utf-8',
+    'map': 'application/json; charset=utf-8',
+    'webmanifest': 'application/manifest+json',
+    'xml': 'application/xml; charset=utf-8',
+    'txt': 'text/plain; charset=utf-8',
+    'md': 'text/markdown; charset=utf-8',
+    'csv': 'text/csv; charset=utf-8',
+    'wasm': 'application/wasm',
+    'pdf': 'application/pdf',
+    'zip': 'application/zip',
+    // Images
     'png': 'image/png',
     'jpg': 'image/jpeg',
     'jpeg': 'image/jpeg',
     'gif': 'image/gif',
     'svg': 'image/svg+xml',
     'ico': 'image/x-icon',
+    'webp': 'image/webp',
+    'avif': 'image/avif',
+    'bmp': 'image/bmp',
+    // Fonts
+    'woff': 'font/woff',
+    'woff2': 'font/woff2',
+    'ttf': 'font/ttf',
+    'otf': 'font/otf',
+    'eot': 'application/vnd.ms-fontobject',
+    // Media
+    'mp4': 'video/mp4',
+    'webm': 'video/webm',
+    'ogg': 'audio/ogg',
+    'mp3': 'audio/mpeg',
+    'wav': 'audio/wav',
+    'm4a': 'audio/mp4',
   };
   
-  return types[ext] || 'text/plain';
-}
\ No newline at end of file
+  return types[ext] || 'application/octet-stream';
+}
@@ -521,7 +521,9 @@ module Deployment
         "OVERSKILL_API_BASE_URL" => ENV["OVERSKILL_API_BASE_URL"] || "https://api.overskill.app",
         "ENVIRONMENT" => Rails.env,
         "APP_DOMAIN" => ENV["WFP_APPS_DOMAIN"] || "overskill.app",
-        "HMR_ENABLED" => Rails.env.development? ? "true" : "false"
+        "HMR_ENABLED" => Rails.env.development? ? "true" : "false",
+        # Origins overskill.js accepts the editor handshake from
+        "PUBLIC_EDITOR_ORIGINS" => ENV["EDITOR_ORIGINS"].presence || ENV["BASE_URL"]
       }.compact
     end
 
@@ -47,10 +47,8 @@ class FastBuildService
 
   # Build a single file asynchronously using Vite's transform API
   def build_file_async(file_path, content, &block)
-    cache_key = "vite_build:#{app.id}:#{file_path}:#{Digest::MD5.hexdigest(content)}"
-
     # Check cache first
-    cached = build_cache.read(cache_key)
+    cached = build_cache.read(module_cache_key(file_path, content))
     if cached
       Rails.logger.info "[FastBuild] Cache hit for #{file_path}"
       block.call(cached)
@@ -60,16 +58,32 @@ class FastBuildService
     # Run build in background thread for non-blocking operation
     Thread.new do
       Rails.application.executor.wrap do
-        result = transform_file_with_vite(file_path, content)
+        block.call(compile_module(file_path, content))
+      end
+    end
+  end
 
-        # Cache successful builds
-        if result[:success]
-          build_cache.write(cache_key, result, expires_in: CACHE_TTL)
-        end
+  # The compiled output of an earlier build of this content, or nil
+  def cached_module(file_path, content)
+    build_cache.read(module_cache_key(file_path, content))
+  end
 
-        block.call(result)
-      end
+  # Compile a single file, reusing the output of earlier builds of the same
+  # content. Used to give HMR clients the compiled modules they re-evaluate.
+  def compile_module(file_path, content)
+    cache_key = module_cache_key(file_path, content)
+
+    cached = build_cache.read(cache_key)
+    return cached if cached
+
+    result = transform_file_with_vite(file_path, content)
+
+    # Cache successful builds
+    if result[:success]
+      build_cache.write(cache_key, result, expires_in: CACHE_TTL)
     end
+
+    result
   end
 
   # Start Vite dev server for HMR (Hot Module Replacement)
@@ -229,6 +243,10 @@ class FastBuildService
 
   private
 
+  def module_cache_key(file_path, content)
+    "vite_build:#{app.id}:#{file_path}:#{Digest::MD5.hexdigest(content)}"
+  end
+
   # Ensure Vite configuration is properly set up for IIFE output format
   # CRITICAL: Required for non-module script tags to avoid ES module errors
   def ensure_iife_vite_config(temp_dir)
@@ -0,0 +1,167 @@
+# Controls for an AI generation that is already running: stop, pause and
+# resume it, skip a tool call that hasn't started, retry one that failed, or
+# hand the agent a follow-up instruction. The chat's channels write requests
+# to the cache; AppBuilderV5 and the tool jobs read them at their checkpoints
+# (before each AI call and before each tool runs), so nothing is interrupted
+# halfway. A paused generation doesn't hold a worker: the builder parks its
+# conversation here and ends the run, and ResumeGenerationJob carries on from
+# it once the generation is resumed or stopped. Every change is broadcast on
+# the assistant message's progress stream so all open editors show the same
+# state.
+class GenerationControlService
+  # Ends the current run of a generation at a checkpoint
+  class Interrupted < StandardError; end
+
+  class Stopped < Interrupted
+    def initialize(message = "Generation stopped by the user")
+      super
+    end
+  end
+
+  # The generation was parked; a ResumeGenerationJob picks it up again
+  class Paused < Interrupted
+    def initialize(message = "Generation paused by the user")
+      super
+    end
+  end
+
+  CACHE_TTL = 2.hours
+  # Parked generations that aren't resumed within this are stopped
+  MAX_PAUSE = 15.minutes
+  MAX_INSTRUCTION_LENGTH = 4_000
+
+  class << self
+    def pause(message_id)
+      return state(message_id) if state(message_id) == "stopped"
+
+      change_state(message_id, "paused")
+    end
+
+    def resume(message_id)
+      return state(message_id) if state(message_id) == "stopped"
+
+      change_state(message_id, "running").tap { wake(message_id) }
+    end
+
+    # A parked generation is woken up too, so it can end as stopped
+    def stop(message_id)
+      change_state(message_id, "stopped").tap { wake(message_id) }
+    end
+
+    def state(message_id)
+      Rails.cache.read(cache_key(message_id, "state")) || "running"
+    end
+
+    def stopped?(message_id)
+      state(message_id) == "stopped"
+    end
+
+    # Only tools that haven't started can be skipped; the tool's job checks
+    # this before running
+    def skip_tool(message_id, execution_id, tool_index)
+      Rails.cache.write(cache_key(message_id, "skip:#{execution_id}:#{tool_index}"), true, expires_in: CACHE_TTL)
+      broadcast(message_id, event: "tool_skip_requested", execution_id: execution_id, tool_index: tool_index.to_i)
+    end
+
+    def tool_skipped?(message_id, execution_id, tool_index)
+      Rails.cache.read(cache_key(message_id, "skip:#{execution_id}:#{tool_index}")) == true
+    end
+
+    # Run a failed tool call again before the agent's next step
+    def retry_tool(message_id, execution_id, tool_index)
+      enqueue(message_id, {"type" => "retry", "execution_id" => execution_id.to_s, "tool_index" => tool_index.to_i})
+      broadcast(message_id, event: "tool_retry_requested", execution_id: execution_id, tool_index: tool_index.to_i)
+    end
+
+    def add_instruction(message_id, text)
+      text = text.to_s.strip.first(MAX_INSTRUCTION_LENGTH)
+      return false if text.blank?
+
+      enqueue(message_id, {"type" => "instruction", "text" => text})
+      broadcast(message_id, event: "instruction_queued")
+      true
+    end
+
+    # Keep what a paused generation needs to carry on (its conversation and
+    # builder state) and schedule the job that stops it after MAX_PAUSE
+    def park(message_id, snapshot)
+      token = SecureRandom.hex(8)
+      Rails.cache.write(cache_key(message_id, "parked"), snapshot.merge(token: token), expires_in: CACHE_TTL)
+      ResumeGenerationJob.set(wait: MAX_PAUSE).perform_later(message_id, token, true)
+
+      # Resumed or stopped before the snapshot was written
+      wake(message_id) unless state(message_id) == "paused"
+      token
+    end
+
+    # The parked snapshot for the job holding token. Only one job gets it,
+    # however many were enqueued for the same pause.
+    def unpark(message_id, token)
+      parked = Rails.cache.read(cache_key(message_id, "parked"))
+      return nil unless parked && parked[:token] == token
+      return nil unless Rails.cache.write(cache_key(message_id, "unparked:#{token}"), true, unless_exist: true, expires_in: CACHE_TTL)
+
+      Rails.cache.delete(cache_key(message_id, "parked"))
+      parked
+    end
+
+    # Retries and instructions queued since the last call, oldest first
+    def take_inputs(message_id)
+      taken = Rails.cache.read(cache_key(message_id, "inputs_taken")).to_i
+      inputs = []
+
+      loop do
+        key = cache_key(message_id, "input:#{taken + 1}")
+        input = Rails.cache.read(key)
+        break if input.nil?
+
+        Rails.cache.delete(key)
+        inputs << input
+        taken += 1
+      end
+
+      Rails.cache.write(cache_key(message_id, "inputs_taken"), taken, expires_in: CACHE_TTL) if inputs.any?
+      inputs
+    end
+
+    # Forget the controls of a generation that has ended, including any
+    # input that arrived too late to be used
+    def clear(message_id)
+      take_inputs(message_id)
+      %w[state input_sequence inputs_taken].each { |suffix| Rails.cache.delete(cache_key(message_id, suffix)) }
+    end
+
+    def broadcast(message_id, **payload)
+      ActionCable.server.broadcast("chat_progress_#{message_id}", {
+        action: "generation_control",
+        message_id: message_id.to_i,
+        state: state(message_id),
+        **payload
+      })
+    end
+
+    private
+
+    def wake(message_id)
+      parked = Rails.cache.read(cache_key(message_id, "parked"))
+      ResumeGenerationJob.perform_later(message_id, parked[:token]) if parked
+    end
+
+    def change_state(message_id, new_state)
+      Rails.cache.write(cache_key(message_id, "state"), new_state, expires_in: CACHE_TTL)
+      broadcast(message_id, event: "state_changed")
+      new_state
+    end
+
+    # Inputs are numbered so the builder can take them in order without
+    # racing a new one being added
+    def enqueue(message_id, input)
+      sequence = Rails.cache.increment(cache_key(message_id, "input_sequence"), 1, initial: 0, expires_in: CACHE_TTL)
+      Rails.cache.write(cache_key(message_id, "input:#{sequence}"), input.merge("queued_at" => Time.current.iso8601), expires_in: CACHE_TTL)
+    end
+
+    def cache_key(message_id, suffix)
+      "generation_control:#{message_id}:#{suffix}"
+    end
+  end
+end
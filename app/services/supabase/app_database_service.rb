@@ -30,22 +30,8 @@ class Supabase::AppDatabaseService
 
   def create_table(table_name, columns_schema)
     schema_name = create_app_database
-    full_table_name = "#{schema_name}.#{table_name}"
-
-    # Build CREATE TABLE SQL
-    columns_sql = columns_schema.map do |column|
-      build_column_definition(column)
-    end.join(", ")
-
-    # Add standard columns
-    columns_sql += ", id SERIAL PRIMARY KEY"
-    columns_sql += ", created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()"
-    columns_sql += ", updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()"
-    columns_sql += ", app_user_id TEXT" # For row-level security
 
-    sql = "CREATE TABLE IF NOT EXISTS #{full_table_name} (#{columns_sql})"
-
-    result = execute_sql(sql)
+    result = execute_sql(create_table_sql(table_name, columns_schema))
 
     if result["error"].nil?
       # Set up RLS policy for this table
@@ -58,10 +44,25 @@ class Supabase::AppDatabaseService
   end
 
   def drop_table(table_name)
+    execute_sql(drop_table_sql(table_name))
+  end
+
+  # Number of rows in a table, or of rows with a value in one of its columns
+  def count_rows(table_name, column: nil)
     schema_name = app_schema_name
-    full_table_name = "#{schema_name}.#{table_name}"
+    endpoint = "/rest/v1/#{schema_name}_#{table_name}"
+
+    query_params = {select: "id", limit: 1}
+    query_params[column] = "not.is.null" if column
+
+    response = self.class.get(endpoint, {
+      headers: @headers.merge("Prefer" => "count=exact"),
+      query: query_params
+    })
 
-    execute_sql("DROP TABLE IF EXISTS #{full_table_name}")
+    raise "Supabase query failed (#{response.code}): #{response.body}" unless response.success?
+
+    response.headers["content-range"].to_s.split("/").last.to_i
   end
 
   def get_table_data(table_name, app_user_id = nil)
@@ -80,6 +81,101 @@ class Supabase::AppDatabaseService
     response.parsed_response
   end
 
+  # One page of rows with sorting and filters applied by PostgREST.
+  # filters are {column:, operator:, value:} hashes with PostgREST operators.
+  # Returns {rows:, total:} where total counts every row matching the filters.
+  def query_table_data(table_name, app_user_id = nil, limit: 100, offset: 0, order: nil, filters: [])
+    schema_name = app_schema_name
+    endpoint = "/rest/v1/#{schema_name}_#{table_name}"
+
+    query_params = {limit: limit, offset: offset}
+    query_params["app_user_id"] = "eq.#{app_user_id}" if app_user_id
+    if order
+      # id breaks ties so offset pages don't overlap or skip rows
+      query_params["order"] = "#{order[:column]}.#{order[:direction]}.nullslast"
+      query_params["order"] += ",id.asc" unless order[:column] == "id"
+    end
+
+    conditions = filters.map { |filter| filter_condition(filter) }
+    query_params["and"] = "(#{conditions.join(",")})" if conditions.any?
+
+    response = self.class.get(endpoint, {
+      headers: @headers.merge("Prefer" => "count=exact"),
+      query: query_params
+    })
+
+    raise "Supabase query failed (#{response.code}): #{response.body}" unless response.success?
+
+    # Content-Range: 0-99/12345 ("*/0" when nothing matched)
+    total = response.headers["content-range"].to_s.split("/").last.to_i
+
+    {rows: response.parsed_response || [], total: total}
+  end
+
+  def update_records(table_name, record_ids, data, app_user_id)
+    schema_name = app_schema_name
+    endpoint = "/rest/v1/#{schema_name}_#{table_name}"
+
+    response = self.class.patch(endpoint, {
+      headers: @headers.merge("Prefer" => "return=representation"),
+      query: {
+        id: "in.(#{record_ids.map { |id| quote_value(id) }.join(",")})",
+        app_user_id: "eq.#{app_user_id}"
+      },
+      body: data.to_json
+    })
+
+    raise "Supabase update failed (#{response.code}): #{response.body}" unless response.success?
+
+    response.parsed_response
+  end
+
+  def delete_records(table_name, record_ids, app_user_id)
+    schema_name = app_schema_name
+    endpoint = "/rest/v1/#{schema_name}_#{table_name}"
+
+    response = self.class.delete(endpoint, {
+      headers: @headers,
+      query: {
+        id: "in.(#{record_ids.map { |id| quote_value(id) }.join(",")})",
+        app_user_id: "eq.#{app_user_id}"
+      }
+    })
+
+    raise "Supabase delete failed (#{response.code}): #{response.body}" unless response.success?
+
+    response.parsed_response
+  end
+
+  # Bulk insert in one request. Rows may omit columns, which then get their
+  # defaults; raises when the database rejects the batch.
+  def insert_records(table_name, rows, app_user_id)
+    write_records(table_name, rows, app_user_id, "return=minimal,missing=default")
+  end
+
+  # Bulk insert that updates rows whose id already exists
+  def upsert_records(table_name, rows, app_user_id)
+    write_records(table_name, rows, app_user_id, "return=minimal,missing=default,resolution=merge-duplicates", on_conflict: "id")
+  end
+
+  # Rows whose column matches any of the values
+  def find_records_by(table_name, column, values, app_user_id, select: ["*"])
+    schema_name = app_schema_name
+    endpoint = "/rest/v1/#{schema_name}_#{table_name}"
+
+    query_params = {select: select.join(","), column => "in.(#{values.map { |value| quote_value(value) }.join(",")})"}
+    query_params["app_user_id"] = "eq.#{app_user_id}" if app_user_id
+
+    response = self.class.get(endpoint, {
+      headers: @headers,
+      query: query_params
+    })
+
+    raise "Supabase query failed (#{response.code}): #{response.body}" unless response.success?
+
+    response.parsed_response || []
+  end
+
   def insert_record(table_name, data, app_user_id)
     schema_name = app_schema_name
     endpoint = "/rest/v1/#{schema_name}_#{table_name}"
@@ -127,38 +223,99 @@ class Supabase::AppDatabaseService
   end
 
   def add_column(table_name, column_name, column_type)
+    execute_sql(add_column_sql(table_name, column_name, column_type))
+  end
+
+  # Renames the column and, when old_type is given and differs, converts its values.
+  # Returns nil when there is nothing to change in the database.
+  def alter_column(table_name, old_name, new_name, new_type, old_type: nil)
+    sql = alter_column_sql(table_name, old_name, new_name, new_type, old_type: old_type)
+    execute_sql(sql) if sql
+  end
+
+  # Foreign key to the referenced table's id, indexed for lookups from the other side.
+  # on_delete is one of AppTableColumn::ON_DELETE_ACTIONS.
+  def add_foreign_key(table_name, column_name, referenced_table_name, on_delete)
+    execute_sql(add_foreign_key_sql(table_name, column_name, referenced_table_name, on_delete))
+  end
+
+  def add_unique_constraint(table_name, column_names)
     schema_name = app_schema_name
     full_table_name = "#{schema_name}.#{table_name}"
 
-    sql = "ALTER TABLE #{full_table_name} ADD COLUMN #{column_name} #{column_type}"
+    sql = "ALTER TABLE #{full_table_name} ADD CONSTRAINT #{table_name}_#{column_names.join("_")}_key UNIQUE (#{column_names.join(", ")})"
     execute_sql(sql)
   end
 
-  def alter_column(table_name, old_name, new_name, new_type)
-    schema_name = app_schema_name
-    full_table_name = "#{schema_name}.#{table_name}"
+  def drop_column(table_name, column_name)
+    execute_sql(drop_column_sql(table_name, column_name))
+  end
 
-    if old_name != new_name
-      # Rename column
-      rename_sql = "ALTER TABLE #{full_table_name} RENAME COLUMN #{old_name} TO #{new_name}"
-      execute_sql(rename_sql)
+  # Runs SQL written by the user or the AI under the app's own SQL policy.
+  # $1..$n in the SQL are bound to params; read-only queries may only SELECT.
+  # Returns execute-sql's response: results per statement ({columns, rows,
+  # row_count, truncated} or {row_count}), or "error" when it failed.
+  def run_query(sql, params: [], read_only: true, max_rows: 1000)
+    post_execute_sql(sql: sql, params: params, read_only: read_only, max_rows: max_rows)
+  end
+
+  # SQL for each schema change, used to run it and to record it in the
+  # app's migration history
+
+  def create_table_sql(table_name, columns_schema)
+    column_definitions = columns_schema.map do |column|
+      build_column_definition(column)
     end
 
-    # Note: Type changes are complex in PostgreSQL and may require data migration
-    # For now, we'll skip type changes to avoid data loss
-    # In production, this would need careful handling with data conversion
+    # Add standard columns
+    column_definitions << "id SERIAL PRIMARY KEY"
+    column_definitions << "created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()"
+    column_definitions << "updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()"
+    column_definitions << "app_user_id TEXT" # For row-level security
+
+    "CREATE TABLE IF NOT EXISTS #{full_table_name(table_name)} (#{column_definitions.join(", ")})"
   end
 
-  def drop_column(table_name, column_name)
-    schema_name = app_schema_name
-    full_table_name = "#{schema_name}.#{table_name}"
+  def drop_table_sql(table_name)
+    "DROP TABLE IF EXISTS #{full_table_name(table_name)}"
+  end
 
-    sql = "ALTER TABLE #{full_table_name} DROP COLUMN #{column_name}"
-    execute_sql(sql)
+  def add_column_sql(table_name, column_name, column_type)
+    "ALTER TABLE #{full_table_name(table_name)} ADD COLUMN #{column_name} #{column_type}"
+  end
+
+  def drop_column_sql(table_name, column_name)
+    "ALTER TABLE #{full_table_name(table_name)} DROP COLUMN #{column_name}"
+  end
+
+  def alter_column_sql(table_name, old_name, new_name, new_type, old_type: nil)
+    statements = []
+    if old_name != new_name
+      statements << "ALTER TABLE #{full_table_name(table_name)} RENAME COLUMN #{old_name} TO #{new_name};"
+    end
+    if old_type && old_type != new_type
+      # Fails, changing nothing, if any existing value can't be converted
+      statements << "ALTER TABLE #{full_table_name(table_name)} ALTER COLUMN #{new_name} TYPE #{new_type} USING #{new_name}::#{new_type};"
+    end
+
+    statements.join("\n").presence
+  end
+
+  def add_foreign_key_sql(table_name, column_name, referenced_table_name, on_delete)
+    <<~SQL
+      ALTER TABLE #{full_table_name(table_name)}
+        ADD CONSTRAINT #{table_name}_#{column_name}_fkey FOREIGN KEY (#{column_name})
+        REFERENCES #{app_schema_name}.#{referenced_table_name} (id) ON DELETE #{on_delete.tr("_", " ").upcase};
+      CREATE INDEX IF NOT EXISTS #{table_name}_#{column_name}_idx ON #{full_table_name(table_name)} (#{column_name});
+    SQL
   end
 
   private
 
+  def full_table_name(table_name)
+    "#{app_schema_name}.#{table_name}"
+  end
+
   def app_schema_name
     "app_#{@app.id}"
   end
@@ -174,6 +331,61 @@ class Supabase::AppDatabaseService
     response.parsed_response
   end
 
+  # execute-sql checks every statement against the app's SQL policy before
+  # running the batch in one transaction. Failures come back as
+  # {"error" => message}, with the policy violations appended when the batch
+  # was rejected.
+  def post_execute_sql(body)
+    response = self.class.post("/functions/v1/execute-sql", {
+      headers: @headers,
+      body: body.merge(app_id: @app.id).to_json
+    })
+
+    result = response.parsed_response
+    return {"error" => "execute-sql failed (#{response.code}): #{response.body}"} unless result.is_a?(Hash)
+    return result if result["success"]
+
+    violations = Array(result["violations"]).flat_map { |violation| violation["messages"] }
+    error = result["error"].presence || "execute-sql failed (#{response.code})"
+    result.merge("error" => violations.any? ? "#{error}: #{violations.join("; ")}" : error)
+  end
+
+  def write_records(table_name, rows, app_user_id, prefer, on_conflict: nil)
+    return if rows.empty?
+
+    schema_name = app_schema_name
+    endpoint = "/rest/v1/#{schema_name}_#{table_name}"
+
+    rows = rows.map { |row| row.merge("app_user_id" => app_user_id) }
+    # Bulk requests need the full column list when rows have different keys
+    query_params = {columns: rows.flat_map(&:keys).uniq.join(",")}
+    query_params[:on_conflict] = on_conflict if on_conflict
+
+    response = self.class.post(endpoint, {
+      headers: @headers.merge("Prefer" => prefer),
+      query: query_params,
+      body: rows.to_json
+    })
+
+    raise "Supabase write failed (#{response.code}): #{response.body}" unless response.success?
+
+    response
+  end
+
+  # PostgREST logic-tree condition; values are quoted so commas and
+  # parentheses in user input can't break out of the and=(...) list
+  def filter_condition(filter)
+    if filter[:operator] == "is"
+      return "#{filter[:column]}.is.#{%w[true false].include?(filter[:value].to_s) ? filter[:value] : "null"}"
+    end
+
+    "#{filter[:column]}.#{filter[:operator]}.#{quote_value(filter[:value])}"
+  end
+
+  def quote_value(value)
+    "\"#{value.to_s.gsub(/["\\]/) { |char| "\\#{char}" }}\""
+  end
+
   def build_column_definition(column)
     sql_type = map_column_type(column[:type])
     definition = "#{column[:name]} #{sql_type}"
@@ -219,6 +431,7 @@ class Supabase::AppDatabaseService
     when "date" then "DATE"
     when "datetime" then "TIMESTAMP WITH TIME ZONE"
     when "select", "multiselect" then "TEXT"
+    when "reference" then "INTEGER"
     else "TEXT"
     end
   end
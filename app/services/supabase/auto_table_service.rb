@@ -209,7 +209,7 @@ class Supabase::AutoTableService
 
     response = HTTParty.post(edge_function_url,
       headers: @headers,
-      body: {sql: rls_sql}.to_json)
+      body: {app_id: @app.id, sql: rls_sql}.to_json)
 
     if response.code == 200
       Rails.logger.info "[AutoTable] RLS enabled for #{table_name}"
@@ -0,0 +1,191 @@
+module VersionControl
+  # Line-based unified diffs between file versions
+  # Produces context hunks for the version comparison viewer and can reverse a
+  # single hunk against the current file for partial restores. Content is split
+  # keeping trailing empty lines, so a final newline is the last, empty line and
+  # joining the lines back gives the content exactly.
+  class DiffService
+    CONTEXT_LINES = 3
+
+    # Largest edit region (old lines x new lines) compared line by line;
+    # anything bigger is shown as a whole-block replacement
+    MAX_LCS_CELLS = 1_000_000
+
+    def initialize(old_content, new_content, context: CONTEXT_LINES)
+      @old_lines = self.class.lines_of(old_content)
+      @new_lines = self.class.lines_of(new_content)
+      @context = context
+    end
+
+    # { diff:, additions:, deletions:, hunks: [{ header:, old_start:, old_lines:, new_start:, new_lines:, lines: }] }
+    def unified
+      ops = edit_script
+      hunks = build_hunks(ops)
+
+      {
+        diff: hunks.flat_map { |hunk| [hunk[:header], *hunk[:lines]] }.join("\n"),
+        additions: ops.count { |op| op.first == :add },
+        deletions: ops.count { |op| op.first == :delete },
+        hunks: hunks
+      }
+    end
+
+    # [old_index, new_index] pairs of the lines both sides have in common, in order
+    def matching_lines
+      edit_script.select { |op| op.first == :equal }.map { |_, old_index, new_index| [old_index, new_index] }
+    end
+
+    # Undo one hunk in the current content of a file. Returns the new content,
+    # or nil when the hunk's lines are no longer present (the file has changed)
+    def self.revert_hunk(current_content, hunk)
+      lines = lines_of(current_content)
+
+      new_side = hunk[:lines].reject { |line| line.start_with?("-") }.map { |line| line[1..] }
+      old_side = hunk[:lines].reject { |line| line.start_with?("+") }.map { |line| line[1..] }
+
+      expected = hunk[:new_lines].zero? ? hunk[:new_start] : hunk[:new_start] - 1
+      index = locate(lines, new_side, expected)
+      return nil unless index
+
+      lines[index, new_side.length] = old_side
+      lines.join("\n")
+    end
+
+    # Apply some of the hunks of a diff to the content it was made from,
+    # leaving the rest of the file as it was. Returns nil when a hunk's lines
+    # aren't where the diff put them (the hunks belong to a different file)
+    def self.apply_hunks(old_content, hunks)
+      lines = lines_of(old_content)
+
+      # From the bottom up, so earlier hunks keep their line numbers
+      hunks.sort_by { |hunk| hunk[:old_start] }.reverse_each do |hunk|
+        old_side = hunk[:lines].reject { |line| line.start_with?("+") }.map { |line| line[1..] }
+        new_side = hunk[:lines].reject { |line| line.start_with?("-") }.map { |line| line[1..] }
+
+        index = hunk[:old_lines].zero? ? hunk[:old_start] : hunk[:old_start] - 1
+        return nil unless lines[index, old_side.length] == old_side
+
+        lines[index, old_side.length] = new_side
+      end
+
+      lines.join("\n")
+    end
+
+    def self.lines_of(content)
+      content.to_s.split("\n", -1)
+    end
+
+    # Nearest position to the expected line where the block still appears
+    def self.locate(lines, block, expected)
+      return (expected <= lines.length) ? expected : nil if block.empty?
+
+      candidates = (0..(lines.length - block.length)).select { |i| lines[i, block.length] == block }
+      candidates.min_by { |i| (i - expected).abs }
+    end
+
+    private
+
+    # Sequence of [:equal, old_index, new_index], [:delete, old_index] and [:add, new_index]
+    def edit_script
+      prefix = 0
+      prefix += 1 while prefix < @old_lines.length && prefix < @new_lines.length && @old_lines[prefix] == @new_lines[prefix]
+
+      suffix = 0
+      suffix += 1 while suffix < @old_lines.length - prefix && suffix < @new_lines.length - prefix &&
+        @old_lines[-1 - suffix] == @new_lines[-1 - suffix]
+
+      old_middle = (prefix...(@old_lines.length - suffix)).to_a
+      new_middle = (prefix...(@new_lines.length - suffix)).to_a
+
+      ops = (0...prefix).map { |i| [:equal, i, i] }
+      ops.concat(diff_region(old_middle, new_middle))
+      suffix.downto(1) { |offset| ops << [:equal, @old_lines.length - offset, @new_lines.length - offset] }
+      ops
+    end
+
+    def diff_region(old_indexes, new_indexes)
+      if old_indexes.empty? || new_indexes.empty? || old_indexes.length * new_indexes.length > MAX_LCS_CELLS
+        return old_indexes.map { |i| [:delete, i] } + new_indexes.map { |j| [:add, j] }
+      end
+
+      # Longest common subsequence table, filled from the end
+      rows = old_indexes.length
+      cols = new_indexes.length
+      table = Array.new(rows + 1) { Array.new(cols + 1, 0) }
+      (rows - 1).downto(0) do |i|
+        (cols - 1).downto(0) do |j|
+          table[i][j] = if @old_lines[old_indexes[i]] == @new_lines[new_indexes[j]]
+            table[i + 1][j + 1] + 1
+          else
+            [table[i + 1][j], table[i][j + 1]].max
+          end
+        end
+      end
+
+      ops = []
+      i = j = 0
+      while i < rows && j < cols
+        if @old_lines[old_indexes[i]] == @new_lines[new_indexes[j]]
+          ops << [:equal, old_indexes[i], new_indexes[j]]
+          i += 1
+          j += 1
+        elsif table[i + 1][j] >= table[i][j + 1]
+          ops << [:delete, old_indexes[i]]
+          i += 1
+        else
+          ops << [:add, new_indexes[j]]
+          j += 1
+        end
+      end
+      ops.concat(old_indexes[i..].map { |index| [:delete, index] })
+      ops.concat(new_indexes[j..].map { |index| [:add, index] })
+    end
+
+    # Group changes with surrounding context, merging hunks whose context overlaps
+    def build_hunks(ops)
+      changed = ops.each_index.reject { |index| ops[index].first == :equal }
+      return [] if changed.empty?
+
+      ranges = []
+      changed.each do |index|
+        from = [index - @context, 0].max
+        to = [index + @context, ops.length - 1].min
+        if ranges.any? && from <= ranges.last.last + 1
+          ranges[-1] = (ranges.last.first..to)
+        else
+          ranges << (from..to)
+        end
+      end
+
+      ranges.map { |range| hunk_for(ops[range], ops[0...range.first]) }
+    end
+
+    def hunk_for(ops, preceding)
+      old_start = preceding.count { |op| op.first != :add } + 1
+      new_start = preceding.count { |op| op.first != :delete } + 1
+
+      lines = ops.map do |type, index|
+        case type
+        when :equal then " #{@old_lines[index]}"
+        when :delete then "-#{@old_lines[index]}"
+        when :add then "+#{@new_lines[index]}"
+        end
+      end
+
+      old_count = ops.count { |op| op.first != :add }
+      new_count = ops.count { |op| op.first != :delete }
+      # Unified diff convention: an empty side starts at the line before it
+      old_start -= 1 if old_count.zero?
+      new_start -= 1 if new_count.zero?
+
+      {
+        header: "@@ -#{old_start},#{old_count} +#{new_start},#{new_count} @@",
+        old_start: old_start,
+        old_lines: old_count,
+        new_start: new_start,
+        new_lines: new_count,
+        lines: lines
+      }
+    end
+  end
+end
@@ -0,0 +1,71 @@
+module VersionControl
+  # Three-way line merge of two descendants of a common base (diff3)
+  # Changes made on only one side are applied automatically; overlapping
+  # changes are written out between git-style conflict markers
+  class MergeService
+    # A whole <<<<<<< ... ======= ... >>>>>>> block, so a lone ======= (a
+    # Markdown heading underline, say) isn't taken for a conflict
+    CONFLICT_BLOCK = /^<{7}(?:[ \t].*)?\n(?:.*\n)*?={7}\n(?:.*\n)*?>{7}(?:[ \t].*)?$/
+
+    def self.conflicted?(content)
+      content.to_s.match?(CONFLICT_BLOCK)
+    end
+
+    def initialize(base, ours, theirs, ours_label: "current", theirs_label: "restored")
+      @base = DiffService.lines_of(base)
+      @ours = DiffService.lines_of(ours)
+      @theirs = DiffService.lines_of(theirs)
+      @ours_label = ours_label
+      @theirs_label = theirs_label
+    end
+
+    # { content:, conflicts: }
+    def merge
+      ours_match = DiffService.new(@base.join("\n"), @ours.join("\n")).matching_lines.to_h
+      theirs_match = DiffService.new(@base.join("\n"), @theirs.join("\n")).matching_lines.to_h
+
+      output = []
+      conflicts = 0
+      base_index = ours_index = theirs_index = 0
+
+      # Walk base lines kept by both sides; everything between them is a chunk
+      # that one side, both sides or neither changed
+      @base.each_index do |index|
+        next unless ours_match[index] && theirs_match[index]
+
+        conflicts += 1 unless resolve_chunk(output,
+          @base[base_index...index],
+          @ours[ours_index...ours_match[index]],
+          @theirs[theirs_index...theirs_match[index]])
+
+        output << @base[index]
+        base_index = index + 1
+        ours_index = ours_match[index] + 1
+        theirs_index = theirs_match[index] + 1
+      end
+
+      conflicts += 1 unless resolve_chunk(output, @base[base_index..], @ours[ours_index..], @theirs[theirs_index..])
+
+      {content: output.join("\n"), conflicts: conflicts}
+    end
+
+    private
+
+    # Appends the merged chunk; returns false when it had to be marked as a conflict
+    def resolve_chunk(output, base, ours, theirs)
+      if ours == theirs || theirs == base
+        output.concat(ours)
+      elsif ours == base
+        output.concat(theirs)
+      else
+        output << "<<<<<<< #{@ours_label}"
+        output.concat(ours)
+        output << "======="
+        output.concat(theirs)
+        output << ">>>>>>> #{@theirs_label}"
+        return false
+      end
+      true
+    end
+  end
+end
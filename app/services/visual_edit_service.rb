@@ -0,0 +1,184 @@
+# Writes visual edits made in the preview back to the component source.
+# public/overskill.js applies an edit to the selected element live and
+# reports it with the JSX location of that element (from the build-time
+# data-os-source attribute); this patches the matching literal in the file
+# and records a version, so the change survives the next build without
+# another AI prompt. Edits that don't map onto a literal in the JSX (text
+# from a variable, classes built with cn(), ...) and unsafe attribute edits
+# raise VisualEditService::Error.
+class VisualEditService
+  class Error < StandardError; end
+
+  EDIT_TYPES = %w[set_text set_classes set_attribute].freeze
+  # Same allow-list as OverSkill.editing in public/overskill.js
+  EDITABLE_ATTRIBUTES = %w[id title alt placeholder href src target rel role type name value
+    width height disabled hidden tabindex lang dir for colspan rowspan loading].freeze
+  URL_ATTRIBUTES = %w[href src].freeze
+  URL_SCHEMES = %w[http https mailto tel].freeze
+  # DOM attribute names whose JSX prop is spelled differently
+  JSX_ATTRIBUTE_NAMES = {
+    "class" => "className",
+    "for" => "htmlFor",
+    "tabindex" => "tabIndex",
+    "colspan" => "colSpan",
+    "rowspan" => "rowSpan"
+  }.freeze
+
+  def initialize(app, user)
+    @app = app
+    @user = user
+  end
+
+  # change: {type:, before:, after:, name:, source: {file:, line:, column:, exact:}}
+  # Returns the updated AppFile
+  def apply(change)
+    type = change[:type].to_s
+    source = change[:source] || {}
+    raise Error, "Unknown edit type: #{type}" unless EDIT_TYPES.include?(type)
+    raise Error, missing_source_message if source[:file].blank?
+
+    app_file = @app.app_files.find_by(path: source[:file])
+    raise Error, "#{source[:file]} is not a file of this app" unless app_file
+
+    content = app_file.content.to_s
+    tag_start = offset_for(content, source[:line].to_i, source[:column].to_i)
+    raise Error, "#{source[:file]}:#{source[:line]} no longer starts a JSX element" unless content[tag_start] == "<"
+
+    # Text can come from a child rendered inside a tagged component; classes
+    # and attributes only belong to the tagged element itself
+    if type != "set_text" && source[:exact].to_s == "false"
+      raise Error, "The element is rendered by a component, so its #{(type == "set_classes") ? "classes" : "attributes"} aren't in #{source[:file]}"
+    end
+
+    patched = case type
+    when "set_text" then patch_text(content, tag_start, change[:before].to_s, change[:after].to_s)
+    when "set_classes" then patch_attribute(content, tag_start, "className", change[:after])
+    when "set_attribute"
+      check_attribute!(change[:name].to_s, change[:after])
+      patch_attribute(content, tag_start, jsx_name(change[:name]), change[:after])
+    end
+
+    save(app_file, patched, "Visual edit: #{type.delete_prefix("set_").tr("_", " ")} in #{app_file.path}")
+    app_file
+  end
+
+  private
+
+  # Apps generated before the source plugin joined the template never get
+  # data-os-source tags, so a rebuild alone won't help them
+  def missing_source_message
+    vite_config = @app.app_files.where(path: %w[vite.config.ts vite.config.js]).pick(:content)
+    if vite_config.to_s.include?("vite-plugin-os-source")
+      "The element has no source location; the preview may need a rebuild"
+    else
+      "This app's vite.config doesn't load scripts/vite-plugin-os-source.js, so visual edits can't be saved to its source"
+    end
+  end
+
+  def offset_for(content, line, column)
+    lines = content.lines
+    raise Error, "Line #{line} is outside the file" if line < 1 || line > lines.size
+
+    lines.first(line - 1).sum(&:length) + column - 1
+  end
+
+  # The element's text has to appear literally between its opening tag and
+  # the next tag
+  def patch_text(content, tag_start, before, after)
+    body_start = tag_end(content, tag_start) + 1
+    body_end = content.index("<", body_start) || content.length
+    body = content[body_start...body_end]
+
+    text = before.strip
+    position = text.present? ? body.index(text) : nil
+    raise Error, "The text isn't written literally in the JSX; it probably comes from a variable" unless position
+    raise Error, "Text with { or } can't be written to JSX as is" if after.match?(/[{}<>]/)
+
+    content.dup.tap { |patched| patched[body_start + position, text.length] = after.strip }
+  end
+
+  # Replaces a string literal attribute, adds it when missing and removes it
+  # when value is nil
+  def patch_attribute(content, tag_start, name, value)
+    raise Error, "Invalid attribute name" unless name.to_s.match?(/\A[a-zA-Z_][\w:.-]*\z/)
+
+    opening = content[tag_start..tag_end(content, tag_start)]
+    name_end = tag_start + opening[/\A<[\w.:-]*/].length
+    attribute = opening.match(/\s#{Regexp.escape(name)}(?=[\s=\/>])/)
+    if attribute
+      literal = opening.match(/\G=(?:"[^"]*"|'[^']*'|\{\s*(?:"[^"]*"|'[^']*'|`[^`$]*`)\s*\})(?=[\s\/>])/, attribute.end(0))
+      if opening[attribute.end(0)] == "=" && !literal
+        raise Error, "#{name} is an expression in the JSX, not a plain value"
+      end
+    end
+
+    replacement = value.nil? ? "" : %( #{name}="#{value.to_s.gsub('"', "&quot;")}")
+    content.dup.tap do |patched|
+      if attribute
+        patched[(tag_start + attribute.begin(0))...(tag_start + (literal || attribute).end(0))] = replacement
+      else
+        patched.insert(name_end, replacement)
+      end
+    end
+  end
+
+  # Index of the > that closes the opening tag at tag_start, skipping over
+  # strings and {expressions}
+  def tag_end(content, tag_start)
+    depth = 0
+    quote = nil
+    index = tag_start + 1
+
+    while index < content.length
+      char = content[index]
+      if quote
+        quote = nil if char == quote
+      elsif %w[" ' `].include?(char)
+        quote = char
+      elsif char == "{"
+        depth += 1
+      elsif char == "}"
+        depth -= 1
+      elsif char == ">" && depth.zero?
+        return index
+      end
+      index += 1
+    end
+
+    raise Error, "Couldn't find the end of the JSX tag"
+  end
+
+  def check_attribute!(name, value)
+    unless EDITABLE_ATTRIBUTES.include?(name.downcase) || name.match?(/\Aaria-[a-z-]+\z/)
+      raise Error, "The #{name} attribute can't be edited visually"
+    end
+    return unless URL_ATTRIBUTES.include?(name.downcase) && !value.nil?
+
+    # Browsers ignore whitespace and control characters inside the scheme
+    scheme = value.to_s.gsub(/[\x00-\x20]/, "")[/\A([a-z][a-z\d+.-]*):/i, 1]
+    raise Error, "Unsafe URL for #{name}" if scheme && !URL_SCHEMES.include?(scheme.downcase)
+  end
+
+  def jsx_name(name)
+    JSX_ATTRIBUTE_NAMES.fetch(name.to_s.downcase, name.to_s)
+  end
+
+  def save(app_file, content, changelog)
+    AppFile.transaction do
+      app_file.update!(content: content, size_bytes: content.bytesize)
+
+      last_version = @app.app_versions.order(created_at: :desc).first
+      parts = (last_version&.version_number || "1.0.0").delete_prefix("v").split(".").map(&:to_i)
+      parts[2] = (parts[2] || 0) + 1 if last_version
+
+      @app.app_versions.create!(
+        team: @app.team,
+        user: @user,
+        version_number: parts.join("."),
+        changelog: changelog,
+        changed_files: app_file.path,
+        files_snapshot: @app.app_files.reload.map { |file| {path: file.path, content: file.content, file_type: file.file_type} }.to_json
+      )
+    end
+  end
+end
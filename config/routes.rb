@@ -143,6 +143,11 @@ Rails.application.routes.draw do
           # Main editor interface at /account/apps/:id/editor
           resource :editor, controller: "app_editors", only: [:show] do
             post :create_message
+            get :composer_context
+            get :suggestions
+            post :dismiss_suggestion
+            post :preview_error
+            post :apply_visual_edit
             patch "files/:file_id", action: :update_file, as: :file
           end
 
@@ -168,20 +173,49 @@ Rails.application.routes.draw do
             delete "tables/:table_id", action: :delete_table, as: :delete_table
             get "tables/:table_id/data", action: :table_data, as: :table_data
             get "tables/:table_id/schema", action: :table_schema, as: :table_schema
+            get "tables/:table_id/export", action: :export_table_data, as: :export_table_data
+            post "tables/:table_id/import/preview", action: :preview_import, as: :preview_import
+            post "tables/:table_id/import", action: :import_records, as: :import_records
             post "tables/:table_id/columns", action: :create_column, as: :create_column
             patch "tables/:table_id/columns/:column_id", action: :update_column, as: :update_column
             delete "tables/:table_id/columns/:column_id", action: :delete_column, as: :delete_column
+            post "relationships", action: :create_relationship, as: :create_relationship
+            delete "relationships/:column_id", action: :delete_relationship, as: :delete_relationship
+            get "migrations", action: :schema_migrations_history, as: :schema_migrations
+            post "migrations/rollback", action: :rollback_schema_migrations, as: :rollback_schema_migrations
+            post "queries", action: :run_query, as: :run_query
             post "tables/:table_id/records", action: :create_record, as: :create_record
+            post "tables/:table_id/records/bulk_update", action: :bulk_update_records, as: :bulk_update_records
+            post "tables/:table_id/records/bulk_delete", action: :bulk_delete_records, as: :bulk_delete_records
             patch "tables/:table_id/records/:record_id", action: :update_record, as: :update_record
             delete "tables/:table_id/records/:record_id", action: :delete_record, as: :delete_record
           end
 
+          # Saved requests and environments for the dashboard's API explorer, and the app's OpenAPI spec
+          resource :api_explorer, controller: "app_api_explorer", only: [:show] do
+            get "openapi", action: :openapi, as: :openapi
+            post "collections", action: :create_collection, as: :create_collection
+            post "collections/import", action: :import_collection, as: :import_collection
+            patch "collections/:collection_id", action: :update_collection, as: :update_collection
+            delete "collections/:collection_id", action: :delete_collection, as: :delete_collection
+            get "collections/:collection_id/export", action: :export_collection, as: :export_collection
+            post "collections/:collection_id/requests", action: :create_request, as: :create_request
+            patch "requests/:request_id", action: :update_request, as: :update_request
+            delete "requests/:request_id", action: :delete_request, as: :delete_request
+            post "environments", action: :create_environment, as: :create_environment
+            patch "environments/:environment_id", action: :update_environment, as: :update_environment
+            delete "environments/:environment_id", action: :delete_environment, as: :delete_environment
+          end
+
           resources :app_versions do
             member do
               get :preview
               get "files/*path", action: :serve_file, as: :file, format: false
               get :compare
               post :restore
+              post :restore_hunk
+              get :merge_preview
+              post :merge_restore
               post :bookmark
             end
           end
@@ -0,0 +1,23 @@
+class CreateAppSchemaMigrations < ActiveRecord::Migration[8.0]
+  def change
+    create_table :app_schema_migrations do |t|
+      t.references :app, null: false, foreign_key: true
+      t.references :app_version, foreign_key: true
+      t.references :user, foreign_key: true
+      t.integer :version, null: false
+      t.string :name, null: false
+      t.string :operation, null: false # create_table, drop_table, add_column, alter_column, drop_column
+      t.string :table_name, null: false
+      t.text :up_sql, null: false
+      t.text :down_sql, null: false
+      t.jsonb :changes_snapshot, default: {}, null: false # table/column metadata before and after
+      t.string :status, default: "applied", null: false # applied, rolled_back
+      t.datetime :applied_at
+      t.datetime :rolled_back_at
+      t.timestamps
+    end
+
+    add_index :app_schema_migrations, [:app_id, :version], unique: true
+    add_index :app_schema_migrations, [:app_id, :status]
+  end
+end
@@ -0,0 +1,34 @@
+class CreateAppApiCollections < ActiveRecord::Migration[8.0]
+  def change
+    create_table :app_api_collections do |t|
+      t.references :app, null: false, foreign_key: true
+      t.references :created_by, foreign_key: {to_table: :users}
+      t.string :name, null: false
+      t.text :description
+      t.integer :position, default: 0, null: false
+      t.timestamps
+    end
+
+    add_index :app_api_collections, [:app_id, :name], unique: true
+
+    create_table :app_api_requests do |t|
+      t.references :app_api_collection, null: false, foreign_key: true
+      t.string :name, null: false
+      t.string :http_method, default: "GET", null: false
+      t.text :url, null: false
+      t.jsonb :headers, default: [], null: false # [{name, value, enabled}]
+      t.text :body
+      t.integer :position, default: 0, null: false
+      t.timestamps
+    end
+
+    create_table :app_api_environments do |t|
+      t.references :app, null: false, foreign_key: true
+      t.string :name, null: false
+      t.text :variables # encrypted JSON: [{key, value, secret}]
+      t.timestamps
+    end
+
+    add_index :app_api_environments, [:app_id, :name], unique: true
+  end
+end
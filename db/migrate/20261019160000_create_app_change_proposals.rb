@@ -0,0 +1,18 @@
+class CreateAppChangeProposals < ActiveRecord::Migration[8.0]
+  def change
+    create_table :app_change_proposals do |t|
+      t.references :app, null: false, foreign_key: true
+      t.references :app_chat_message, null: false, foreign_key: true
+      t.references :resolved_by, foreign_key: {to_table: :users}
+      t.string :callback_id, null: false
+      t.string :status, default: "pending", null: false
+      t.jsonb :proposed_changes, default: [], null: false # [{file_path, action, original_content, proposed_content, edited}]
+      t.string :preview_worker_name
+      t.string :preview_url
+      t.datetime :resolved_at
+      t.timestamps
+    end
+
+    add_index :app_change_proposals, :callback_id, unique: true
+  end
+end
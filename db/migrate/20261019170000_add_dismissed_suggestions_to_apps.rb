@@ -0,0 +1,5 @@
+class AddDismissedSuggestionsToApps < ActiveRecord::Migration[8.0]
+  def change
+    add_column :apps, :dismissed_suggestions, :jsonb, default: [], null: false # suggestion keys, see Ai::NextStepSuggestionService
+  end
+end
@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.0].define(version: 2025_09_09_180729) do
+ActiveRecord::Schema[8.0].define(version: 2026_10_19_170000) do
   # These are extensions that must be enabled in order to support this database
   enable_extension "pg_catalog.plpgsql"
 
@@ -151,6 +151,29 @@ ActiveRecord::Schema[8.0].define(version: 2025_09_09_180729) do
     t.index ["status_code"], name: "index_app_api_calls_on_status_code"
   end
 
+  create_table "app_api_collections", force: :cascade do |t|
+    t.bigint "app_id", null: false
+    t.bigint "created_by_id"
+    t.string "name", null: false
+    t.text "description"
+    t.integer "position", default: 0, null: false
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["app_id", "name"], name: "index_app_api_collections_on_app_id_and_name", unique: true
+    t.index ["app_id"], name: "index_app_api_collections_on_app_id"
+    t.index ["created_by_id"], name: "index_app_api_collections_on_created_by_id"
+  end
+
+  create_table "app_api_environments", force: :cascade do |t|
+    t.bigint "app_id", null: false
+    t.string "name", null: false
+    t.text "variables"
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["app_id", "name"], name: "index_app_api_environments_on_app_id_and_name", unique: true
+    t.index ["app_id"], name: "index_app_api_environments_on_app_id"
+  end
+
   create_table "app_api_integrations", force: :cascade do |t|
     t.bigint "app_id", null: false
     t.string "name"
@@ -165,6 +188,19 @@ ActiveRecord::Schema[8.0].define(version: 2025_09_09_180729) do
     t.index ["app_id"], name: "index_app_api_integrations_on_app_id"
   end
 
+  create_table "app_api_requests", force: :cascade do |t|
+    t.bigint "app_api_collection_id", null: false
+    t.string "name", null: false
+    t.string "http_method", default: "GET", null: false
+    t.text "url", null: false
+    t.jsonb "headers", default: [], null: false
+    t.text "body"
+    t.integer "position", default: 0, null: false
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["app_api_collection_id"], name: "index_app_api_requests_on_app_api_collection_id"
+  end
+
   create_table "app_audit_logs", force: :cascade do |t|
     t.bigint "app_id", null: false
     t.string "action_type"
@@ -194,6 +230,24 @@ ActiveRecord::Schema[8.0].define(version: 2025_09_09_180729) do
     t.index ["visibility"], name: "index_app_auth_settings_on_visibility"
   end
 
+  create_table "app_change_proposals", force: :cascade do |t|
+    t.bigint "app_id", null: false
+    t.bigint "app_chat_message_id", null: false
+    t.bigint "resolved_by_id"
+    t.string "callback_id", null: false
+    t.string "status", default: "pending", null: false
+    t.jsonb "proposed_changes", default: [], null: false
+    t.string "preview_worker_name"
+    t.string "preview_url"
+    t.datetime "resolved_at"
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["app_chat_message_id"], name: "index_app_change_proposals_on_app_chat_message_id"
+    t.index ["app_id"], name: "index_app_change_proposals_on_app_id"
+    t.index ["callback_id"], name: "index_app_change_proposals_on_callback_id", unique: true
+    t.index ["resolved_by_id"], name: "index_app_change_proposals_on_resolved_by_id"
+  end
+
   create_table "app_chat_messages", force: :cascade do |t|
     t.bigint "app_id", null: false
     t.text "content"
@@ -386,6 +440,29 @@ ActiveRecord::Schema[8.0].define(version: 2025_09_09_180729) do
     t.index ["team_id"], name: "index_app_oauth_providers_on_team_id"
   end
 
+  create_table "app_schema_migrations", force: :cascade do |t|
+    t.bigint "app_id", null: false
+    t.bigint "app_version_id"
+    t.bigint "user_id"
+    t.integer "version", null: false
+    t.string "name", null: false
+    t.string "operation", null: false
+    t.string "table_name", null: false
+    t.text "up_sql", null: false
+    t.text "down_sql", null: false
+    t.jsonb "changes_snapshot", default: {}, null: false
+    t.string "status", default: "applied", null: false
+    t.datetime "applied_at"
+    t.datetime "rolled_back_at"
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["app_id", "status"], name: "index_app_schema_migrations_on_app_id_and_status"
+    t.index ["app_id", "version"], name: "index_app_schema_migrations_on_app_id_and_version", unique: true
+    t.index ["app_id"], name: "index_app_schema_migrations_on_app_id"
+    t.index ["app_version_id"], name: "index_app_schema_migrations_on_app_version_id"
+    t.index ["user_id"], name: "index_app_schema_migrations_on_user_id"
+  end
+
   create_table "app_security_policies", force: :cascade do |t|
     t.bigint "app_id", null: false
     t.string "policy_name"
@@ -562,6 +639,7 @@ ActiveRecord::Schema[8.0].define(version: 2025_09_09_180729) do
     t.datetime "processing_started_at"
     t.datetime "processing_completed_at"
     t.datetime "last_processed_at"
+    t.jsonb "dismissed_suggestions", default: [], null: false
     t.index ["creator_id"], name: "index_apps_on_creator_id"
     t.index ["database_shard_id", "shard_app_id"], name: "index_apps_on_database_shard_id_and_shard_app_id", unique: true
     t.index ["database_shard_id"], name: "index_apps_on_database_shard_id"
@@ -1054,9 +1132,16 @@ ActiveRecord::Schema[8.0].define(version: 2025_09_09_180729) do
   add_foreign_key "active_storage_attachments", "active_storage_blobs", column: "blob_id"
   add_foreign_key "active_storage_variant_records", "active_storage_blobs", column: "blob_id"
   add_foreign_key "app_api_calls", "apps"
+  add_foreign_key "app_api_collections", "apps"
+  add_foreign_key "app_api_collections", "users", column: "created_by_id"
+  add_foreign_key "app_api_environments", "apps"
   add_foreign_key "app_api_integrations", "apps"
+  add_foreign_key "app_api_requests", "app_api_collections"
   add_foreign_key "app_audit_logs", "apps"
   add_foreign_key "app_auth_settings", "apps"
+  add_foreign_key "app_change_proposals", "app_chat_messages"
+  add_foreign_key "app_change_proposals", "apps"
+  add_foreign_key "app_change_proposals", "users", column: "resolved_by_id"
   add_foreign_key "app_chat_messages", "app_versions"
   add_foreign_key "app_chat_messages", "apps"
   add_foreign_key "app_chat_messages", "users"
@@ -1073,6 +1158,9 @@ ActiveRecord::Schema[8.0].define(version: 2025_09_09_180729) do
   add_foreign_key "app_o_auth_providers", "apps"
   add_foreign_key "app_oauth_providers", "apps"
   add_foreign_key "app_oauth_providers", "teams"
+  add_foreign_key "app_schema_migrations", "app_versions"
+  add_foreign_key "app_schema_migrations", "apps"
+  add_foreign_key "app_schema_migrations", "users"
   add_foreign_key "app_security_policies", "apps"
   add_foreign_key "app_settings", "apps"
   add_foreign_key "app_table_columns", "app_tables"
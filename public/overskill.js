@@ -1,6 +1,6 @@
 /**
  * OverSkill.js - Client-side utility for OverSkill-generated applications
- * Version: 1.0.0
+ * Version: 1.2.0
  * 
  * Provides cross-frame communication, error handling, and development tools
  * for applications generated by the OverSkill platform.
@@ -24,47 +24,294 @@
   };
 
   window.OverSkill = {
-    version: '1.1.0',
+    version: '1.2.0',
     
     /**
      * Cross-frame communication with OverSkill editor
+     *
+     * Protocol: the editor opens with a `handshake` message carrying its
+     * protocolVersion. It is accepted only from an allowed editor origin (see
+     * allowedOrigins); that origin is then pinned and every message in either
+     * direction is exchanged with it only. Messages carrying an `id` are
+     * requests; the receiver answers with a `response` whose `replyTo` holds
+     * that id. The `handshake_ack` carries a pageId that changes on every
+     * page load, so the editor can tell a reload from a repeated handshake.
      */
     messaging: {
+      PROTOCOL_VERSION: 2,
+      MIN_PROTOCOL_VERSION: 2,
+      REQUEST_TIMEOUT: 10000,
+      // Messages kept for the editor before the handshake; older ones are dropped
+      OUTBOX_LIMIT: 200,
+      
+      editorOrigin: null,
+      protocolVersion: null,
+      pageId: Date.now().toString(36) + Math.random().toString(36).slice(2),
+      outbox: [],
+      handlers: {},
+      listeners: [],
+      pendingRequests: {},
+      nextRequestId: 1,
+      
       /**
-       * Send messages to parent OverSkill editor
-       * @param {string} type - Message type
-       * @param {*} data - Message data
+       * Origins allowed to act as the editor: the ones configured in
+       * PUBLIC_EDITOR_ORIGINS (comma separated) and the app's own origin,
+       * for previews served by the editor itself
+       * @returns {string[]} Allowed origins
        */
-      toEditor: function(type, data) {
-        if (window.parent !== window) {
+      allowedOrigins: function() {
+        const configured = String(window.getEnv('PUBLIC_EDITOR_ORIGINS')).split(',');
+        return configured.concat(window.location.origin).map(function(entry) {
           try {
-            window.parent.postMessage({
-              source: 'overskill_app',
-              type: type,
-              data: data,
-              timestamp: Date.now(),
-              url: window.location.href
-            }, '*');
+            return new URL(entry.trim()).origin;
           } catch (error) {
-            console.warn('[OverSkill] Failed to send message to editor:', error);
+            return null;
           }
+        }).filter(Boolean);
+      },
+      
+      /**
+       * Whether the editor handshake has completed
+       * @returns {boolean} True once an editor origin is pinned
+       */
+      isConnected: function() {
+        return OverSkill.messaging.editorOrigin !== null;
+      },
+      
+      /**
+       * Send messages to parent OverSkill editor. Messages sent before the
+       * handshake are queued and delivered once the editor origin is known.
+       * @param {string} type - Message type
+       * @param {*} data - Message data
+       * @param {Object} extra - Additional envelope fields (id, replyTo)
+       */
+      toEditor: function(type, data, extra) {
+        if (window.parent === window) return;
+        
+        const message = Object.assign({
+          source: 'overskill_app',
+          protocolVersion: OverSkill.messaging.PROTOCOL_VERSION,
+          type: type,
+          data: data,
+          timestamp: Date.now(),
+          url: window.location.href
+        }, extra || {});
+        
+        if (!OverSkill.messaging.isConnected()) {
+          const outbox = OverSkill.messaging.outbox;
+          outbox.push(message);
+          if (outbox.length > OverSkill.messaging.OUTBOX_LIMIT) {
+            outbox.splice(0, outbox.length - OverSkill.messaging.OUTBOX_LIMIT);
+          }
+          return;
+        }
+        
+        OverSkill.messaging.post(message);
+      },
+      
+      /**
+       * Post an envelope to the pinned editor origin
+       * @param {Object} message - Message envelope
+       */
+      post: function(message) {
+        try {
+          window.parent.postMessage(message, OverSkill.messaging.editorOrigin);
+        } catch (error) {
+          console.warn('[OverSkill] Failed to send message to editor:', error);
         }
       },
       
+      /**
+       * Send a request to the editor and wait for its response
+       * @param {string} type - Message type
+       * @param {*} data - Message data
+       * @param {Object} options - { timeout } in milliseconds
+       * @returns {Promise} Resolves with the response data
+       */
+      request: function(type, data, options) {
+        const timeout = (options && options.timeout) || OverSkill.messaging.REQUEST_TIMEOUT;
+        const id = 'app-' + (OverSkill.messaging.nextRequestId++);
+        
+        return new Promise(function(resolve, reject) {
+          const timer = setTimeout(function() {
+            delete OverSkill.messaging.pendingRequests[id];
+            reject(new Error('Editor did not respond to ' + type + ' within ' + timeout + 'ms'));
+          }, timeout);
+          
+          OverSkill.messaging.pendingRequests[id] = { resolve: resolve, reject: reject, timer: timer };
+          OverSkill.messaging.toEditor(type, data, { id: id });
+        });
+      },
+      
+      /**
+       * Register the handler answering an editor message type. The handler's
+       * return value (or resolved promise) is sent back as the response.
+       * @param {string} type - Message type
+       * @param {function} handler - Receives (data, message)
+       */
+      handle: function(type, handler) {
+        OverSkill.messaging.handlers[type] = handler;
+      },
+      
       /**
        * Listen for messages from OverSkill editor
        * @param {function} callback - Message handler
        */
       onMessage: function(callback) {
-        window.addEventListener('message', function(event) {
-          if (event.data?.source === 'overskill_editor') {
-            try {
-              callback(event.data);
-            } catch (error) {
-              console.error('[OverSkill] Error handling message:', error);
-            }
+        OverSkill.messaging.listeners.push(callback);
+      },
+      
+      /**
+       * Validate incoming messages and route them to handlers
+       * @param {MessageEvent} event - Message event
+       */
+      receive: function(event) {
+        const message = event.data;
+        if (!message || message.source !== 'overskill_editor') return;
+        if (event.source !== window.parent) return;
+        
+        if (message.type === 'handshake') {
+          OverSkill.messaging.acceptHandshake(event);
+          return;
+        }
+        
+        // Everything else must come from the pinned origin on the agreed version
+        if (!OverSkill.messaging.isConnected() || event.origin !== OverSkill.messaging.editorOrigin) {
+          console.warn('[OverSkill] Rejected message from unverified origin:', event.origin);
+          return;
+        }
+        if (message.protocolVersion !== OverSkill.messaging.protocolVersion) {
+          console.warn('[OverSkill] Rejected message with protocol version:', message.protocolVersion);
+          return;
+        }
+        
+        if (message.type === 'response') {
+          OverSkill.messaging.resolveRequest(message);
+          return;
+        }
+        
+        OverSkill.messaging.listeners.forEach(function(callback) {
+          try {
+            callback(message);
+          } catch (error) {
+            console.error('[OverSkill] Error handling message:', error);
           }
         });
+        
+        OverSkill.messaging.dispatch(message);
+      },
+      
+      /**
+       * Pin the editor origin after validating its handshake
+       * @param {MessageEvent} event - Handshake message event
+       */
+      acceptHandshake: function(event) {
+        const message = event.data;
+        const version = message.protocolVersion;
+        const messaging = OverSkill.messaging;
+        
+        let reason = null;
+        if (messaging.allowedOrigins().indexOf(event.origin) === -1) {
+          reason = 'origin ' + event.origin + ' is not an allowed editor';
+        } else if (!Number.isInteger(version) || version < messaging.MIN_PROTOCOL_VERSION || version > messaging.PROTOCOL_VERSION) {
+          reason = 'unsupported protocol version ' + version;
+        } else if (messaging.editorOrigin && messaging.editorOrigin !== event.origin) {
+          reason = 'editor origin already pinned';
+        } else if (messaging.protocolVersion && version < messaging.protocolVersion) {
+          reason = 'protocol downgrade from ' + messaging.protocolVersion;
+        }
+        
+        if (reason) {
+          console.warn('[OverSkill] Handshake rejected:', reason);
+          // The reply carries no app data, so it is safe to address to the sender
+          event.source.postMessage({
+            source: 'overskill_app',
+            type: 'handshake_rejected',
+            replyTo: message.id,
+            data: { reason: reason, supportedVersions: [messaging.MIN_PROTOCOL_VERSION, messaging.PROTOCOL_VERSION] }
+          }, event.origin);
+          return;
+        }
+        
+        messaging.editorOrigin = event.origin;
+        messaging.protocolVersion = version;
+        
+        messaging.toEditor('handshake_ack', {
+          protocolVersion: version,
+          overskillVersion: OverSkill.version,
+          pageId: messaging.pageId
+        }, { replyTo: message.id, protocolVersion: version });
+        
+        // Deliver anything sent before the editor was known
+        const queued = messaging.outbox.splice(0);
+        queued.forEach(function(queuedMessage) {
+          queuedMessage.protocolVersion = version;
+          messaging.post(queuedMessage);
+        });
+      },
+      
+      /**
+       * Run the registered handler and reply when the message is a request
+       * @param {Object} message - Validated editor message
+       */
+      dispatch: function(message) {
+        const handler = OverSkill.messaging.handlers[message.type];
+        const reply = function(ok, payload) {
+          if (!message.id) return;
+          OverSkill.messaging.toEditor('response', ok ? payload : undefined, {
+            replyTo: message.id,
+            ok: ok,
+            error: ok ? undefined : payload
+          });
+        };
+        
+        if (!handler) {
+          console.log('[OverSkill] Unknown message type:', message.type);
+          reply(false, 'Unknown message type: ' + message.type);
+          return;
+        }
+        
+        Promise.resolve()
+          .then(function() { return handler(message.data, message); })
+          .then(function(result) { reply(true, result); })
+          .catch(function(error) {
+            console.error('[OverSkill] Error handling message:', error);
+            reply(false, error.message || String(error));
+          });
+      },
+      
+      /**
+       * Settle a pending app-initiated request
+       * @param {Object} message - Response message from editor
+       */
+      resolveRequest: function(message) {
+        const pending = OverSkill.messaging.pendingRequests[message.replyTo];
+        if (!pending) return;
+        
+        clearTimeout(pending.timer);
+        delete OverSkill.messaging.pendingRequests[message.replyTo];
+        
+        if (message.ok === false) {
+          pending.reject(new Error(message.error || 'Editor request failed'));
+        } else {
+          pending.resolve(message.data);
+        }
+      },
+      
+      /**
+       * Start listening and ask the editor to handshake
+       */
+      initialize: function() {
+        window.addEventListener('message', OverSkill.messaging.receive);
+        
+        if (window.parent !== window) {
+          // Only the supported versions are sent before an origin is pinned
+          window.parent.postMessage({
+            source: 'overskill_app',
+            type: 'handshake_request',
+            supportedVersions: [OverSkill.messaging.MIN_PROTOCOL_VERSION, OverSkill.messaging.PROTOCOL_VERSION]
+          }, '*');
+        }
       }
     },
     
@@ -90,6 +337,12 @@
         };
         
         console.error('[OverSkill] Error captured:', errorData);
+        
+        // Attach what the user did leading up to the error
+        if (OverSkill.replay.enabled) {
+          errorData.replay = OverSkill.replay.export();
+        }
+        
         OverSkill.messaging.toEditor('error', errorData);
       },
       
@@ -126,6 +379,7 @@
     selection: {
       enabled: false,
       currentHighlight: null,
+      selectedElement: null,
       
       /**
        * Enable element selection mode
@@ -171,12 +425,36 @@
         event.stopPropagation();
         
         const element = event.target;
+        OverSkill.selection.clearHighlight();
+        OverSkill.selection.select(element);
+        
         const elementInfo = OverSkill.selection.getElementInfo(element);
         
         OverSkill.messaging.toEditor('element_selected', elementInfo);
         OverSkill.selection.disable();
       },
       
+      /**
+       * Keep the picked element as the target for live edits
+       * @param {Element} element - DOM element
+       */
+      select: function(element) {
+        OverSkill.selection.clearSelection();
+        OverSkill.selection.selectedElement = element;
+        element.setAttribute('data-os-selected', 'true');
+      },
+      
+      /**
+       * Forget the picked element
+       */
+      clearSelection: function() {
+        const element = OverSkill.selection.selectedElement;
+        if (element) {
+          element.removeAttribute('data-os-selected');
+          OverSkill.selection.selectedElement = null;
+        }
+      },
+      
       /**
        * Handle element hover highlighting
        * @param {Event} event - Mouseover event
@@ -213,6 +491,8 @@
           className: element.className || '',
           id: element.id || '',
           textContent: (element.textContent || '').trim().substring(0, 200),
+          // set_text only applies to elements without child elements
+          childElementCount: element.children.length,
           attributes: Array.from(element.attributes || []).map(function(attr) {
             return {
               name: attr.name,
@@ -226,29 +506,273 @@
             height: rect.height
           },
           selector: OverSkill.selection.getSelector(element),
+          xpath: OverSkill.selection.getXPath(element),
+          componentStack: OverSkill.selection.getComponentStack(element),
+          source: OverSkill.selection.getSourceLocation(element),
           outerHTML: element.outerHTML ? element.outerHTML.substring(0, 500) : ''
         };
       },
       
       /**
-       * Generate CSS selector for element
+       * Resolve the JSX location that rendered an element from the
+       * build-time data-os-source="file:line:column" attribute
+       * @param {Element} element - DOM element
+       * @returns {Object|null} { file, line, column, exact } or null
+       */
+      getSourceLocation: function(element) {
+        const tagged = element.closest('[data-os-source]');
+        if (!tagged) return null;
+        
+        const match = tagged.getAttribute('data-os-source').match(/^(.+):(\d+):(\d+)$/);
+        if (!match) return null;
+        
+        return {
+          file: match[1],
+          line: parseInt(match[2], 10),
+          column: parseInt(match[3], 10),
+          // False when the location belongs to an ancestor, e.g. text rendered by a component
+          exact: tagged === element
+        };
+      },
+      
+      // Attributes that identify an element independently of its position,
+      // most stable first
+      ANCHOR_ATTRIBUTES: ['data-testid', 'data-test', 'data-cy', 'data-qa', 'name', 'aria-label', 'title', 'alt', 'placeholder', 'href'],
+      MAX_ANCHOR_LENGTH: 80,
+      
+      /**
+       * Generate the shortest CSS selector that matches only this element.
+       * Prefers stable ids, data attributes and ARIA labels; otherwise walks
+       * up the tree with nth-of-type steps until the path is unique.
        * @param {Element} element - DOM element
        * @returns {string} CSS selector
        */
       getSelector: function(element) {
-        if (element.id) {
-          return '#' + element.id;
+        const selection = OverSkill.selection;
+        const path = [];
+        let node = element;
+        
+        while (node && node.nodeType === Node.ELEMENT_NODE) {
+          const anchor = selection.getAnchorSelector(node);
+          if (anchor) {
+            path.unshift(anchor);
+            break;
+          }
+          
+          path.unshift(selection.getNthOfType(node));
+          if (selection.isUniqueSelector(path.join(' > '), element)) {
+            return path.join(' > ');
+          }
+          node = node.parentElement;
         }
         
-        if (element.className) {
-          const classes = element.className.split(' ').filter(Boolean);
-          if (classes.length > 0) {
-            return '.' + classes[0];
+        const selector = path.join(' > ');
+        return selection.isUniqueSelector(selector, element) ? selector : selection.getFullPath(element);
+      },
+      
+      /**
+       * Find a selector that identifies the node on its own
+       * @param {Element} node - DOM element
+       * @returns {string|null} Unique selector or null
+       */
+      getAnchorSelector: function(node) {
+        const selection = OverSkill.selection;
+        const tag = node.tagName.toLowerCase();
+        
+        if (tag === 'html' || tag === 'body') return tag;
+        
+        const candidates = [];
+        if (node.id && selection.isStableValue(node.id)) {
+          candidates.push('#' + selection.escape(node.id));
+        }
+        
+        selection.ANCHOR_ATTRIBUTES.forEach(function(name) {
+          const value = node.getAttribute(name);
+          if (value && selection.isStableValue(value)) {
+            candidates.push(tag + '[' + name + '="' + selection.escapeAttribute(value) + '"]');
           }
+        });
+        
+        const role = node.getAttribute('role');
+        if (role) {
+          const label = node.getAttribute('aria-label');
+          candidates.push(label
+            ? '[role="' + selection.escapeAttribute(role) + '"][aria-label="' + selection.escapeAttribute(label) + '"]'
+            : tag + '[role="' + selection.escapeAttribute(role) + '"]');
         }
         
-        // Fallback to tag name
-        return element.tagName.toLowerCase();
+        return candidates.find(function(candidate) {
+          return selection.isUniqueSelector(candidate, node);
+        }) || null;
+      },
+      
+      /**
+       * Position step for a node among its same-tag siblings
+       * @param {Element} node - DOM element
+       * @returns {string} Selector step
+       */
+      getNthOfType: function(node) {
+        const tag = OverSkill.selection.escape(node.tagName.toLowerCase());
+        const parent = node.parentElement;
+        if (!parent) return tag;
+        
+        const sameTag = Array.from(parent.children).filter(function(sibling) {
+          return sibling.tagName === node.tagName;
+        });
+        return sameTag.length > 1 ? tag + ':nth-of-type(' + (sameTag.indexOf(node) + 1) + ')' : tag;
+      },
+      
+      /**
+       * Fully positional selector from the root, used when nothing shorter is unique
+       * @param {Element} element - DOM element
+       * @returns {string} CSS selector
+       */
+      getFullPath: function(element) {
+        const path = [];
+        for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+          path.unshift(node.parentElement ? OverSkill.selection.getNthOfType(node) : 'html');
+        }
+        return path.join(' > ');
+      },
+      
+      /**
+       * Check that a selector matches exactly the given element
+       * @param {string} selector - CSS selector
+       * @param {Element} element - Expected match
+       * @returns {boolean} True if unique
+       */
+      isUniqueSelector: function(selector, element) {
+        try {
+          const matches = document.querySelectorAll(selector);
+          return matches.length === 1 && matches[0] === element;
+        } catch (error) {
+          return false;
+        }
+      },
+      
+      /**
+       * Reject generated values (React useId, Radix ids, hashes) that change between renders.
+       * Other values with a colon (e.g. "section:pricing") are fine: ids go
+       * through escape() and attribute values are quoted.
+       * @param {string} value - Attribute value
+       * @returns {boolean} True if the value is safe to anchor on
+       */
+      isStableValue: function(value) {
+        return value.length <= OverSkill.selection.MAX_ANCHOR_LENGTH &&
+          !/:r[0-9a-z]*:|«r[0-9a-z]*»|^\d|[0-9a-f]{8,}|\d{4,}/i.test(value);
+      },
+      
+      /**
+       * Escape a value for use as an identifier in a CSS selector
+       * @param {string} value - Identifier
+       * @returns {string} Escaped identifier
+       */
+      escape: function(value) {
+        return window.CSS && CSS.escape ? CSS.escape(value) : value.replace(/([^\w-])/g, '\\$1');
+      },
+      
+      escapeAttribute: function(value) {
+        return value.replace(/(["\\])/g, '\\$1');
+      },
+      
+      /**
+       * Generate an XPath for the element, anchored on a stable id,
+       * data attribute, ARIA label or the text of a nearby element
+       * @param {Element} element - DOM element
+       * @returns {string} XPath expression
+       */
+      getXPath: function(element) {
+        const selection = OverSkill.selection;
+        const steps = [];
+        
+        for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+          const anchor = selection.getXPathAnchor(node);
+          if (anchor) {
+            steps.unshift(anchor);
+            return steps.join('/');
+          }
+          
+          const tag = node.tagName.toLowerCase();
+          const parent = node.parentElement;
+          const sameTag = parent ? Array.from(parent.children).filter(function(sibling) {
+            return sibling.tagName === node.tagName;
+          }) : [node];
+          steps.unshift(sameTag.length > 1 ? tag + '[' + (sameTag.indexOf(node) + 1) + ']' : tag);
+        }
+        
+        return '/' + steps.join('/');
+      },
+      
+      /**
+       * Find an XPath step that identifies the node on its own
+       * @param {Element} node - DOM element
+       * @returns {string|null} Anchored XPath or null
+       */
+      getXPathAnchor: function(node) {
+        const selection = OverSkill.selection;
+        const tag = node.tagName.toLowerCase();
+        const candidates = [];
+        
+        if (node.id && selection.isStableValue(node.id)) {
+          candidates.push('//' + tag + '[@id=' + selection.xpathLiteral(node.id) + ']');
+        }
+        ['data-testid', 'data-test', 'data-cy', 'aria-label'].forEach(function(name) {
+          const value = node.getAttribute(name);
+          if (value && selection.isStableValue(value)) {
+            candidates.push('//' + tag + '[@' + name + '=' + selection.xpathLiteral(value) + ']');
+          }
+        });
+        
+        // Text anchors only for leaf elements with short, distinctive text
+        const text = (node.textContent || '').trim().replace(/\s+/g, ' ');
+        if (node.children.length === 0 && text && text.length <= 50) {
+          candidates.push('//' + tag + '[normalize-space()=' + selection.xpathLiteral(text) + ']');
+        }
+        
+        return candidates.find(function(candidate) {
+          try {
+            const result = document.evaluate(candidate, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+            return result.snapshotLength === 1 && result.snapshotItem(0) === node;
+          } catch (error) {
+            return false;
+          }
+        }) || null;
+      },
+      
+      xpathLiteral: function(value) {
+        if (value.indexOf('"') === -1) return '"' + value + '"';
+        if (value.indexOf("'") === -1) return "'" + value + "'";
+        return 'concat("' + value.split('"').join('", \'"\', "') + '")';
+      },
+      
+      /**
+       * List the React components that rendered the element, innermost first
+       * @param {Element} element - DOM element
+       * @returns {Array} Component names with dev-build source locations when available
+       */
+      getComponentStack: function(element) {
+        const fiberKey = Object.keys(element).find(function(key) {
+          return key.indexOf('__reactFiber$') === 0 || key.indexOf('__reactInternalInstance$') === 0;
+        });
+        const stack = [];
+        
+        for (let fiber = fiberKey ? element[fiberKey] : null; fiber; fiber = fiber.return) {
+          const type = fiber.type;
+          if (!type || typeof type === 'string') continue;
+          
+          const name = type.displayName || type.name ||
+            (type.render && (type.render.displayName || type.render.name)) ||
+            (type.type && (type.type.displayName || type.type.name));
+          if (!name) continue;
+          
+          const debugSource = fiber._debugSource;
+          stack.push({
+            name: name,
+            source: debugSource ? debugSource.fileName + ':' + debugSource.lineNumber : null
+          });
+        }
+        
+        return stack;
       },
       
       /**
@@ -276,6 +800,131 @@
       }
     },
     
+    /**
+     * Live edits to the selected element, driven by the editor. Each edit
+     * reports before/after values and the source location so the editor can
+     * write the change back to the component file.
+     */
+    editing: {
+      // Only plain content attributes can be edited; anything that can run
+      // script (event handlers, style, srcdoc, ...) is refused. Kept in sync
+      // with VisualEditService, which writes the edits back to the source.
+      EDITABLE_ATTRIBUTES: ['id', 'title', 'alt', 'placeholder', 'href', 'src', 'target', 'rel', 'role', 'type', 'name', 'value',
+        'width', 'height', 'disabled', 'hidden', 'tabindex', 'lang', 'dir', 'for', 'colspan', 'rowspan', 'loading'],
+      URL_ATTRIBUTES: ['href', 'src'],
+      URL_PROTOCOLS: ['http:', 'https:', 'mailto:', 'tel:'],
+      
+      /**
+       * Resolve the element an edit applies to
+       * @param {Object} data - Edit payload, optionally with a selector
+       * @returns {Element} Target element
+       */
+      target: function(data) {
+        const element = data && data.selector
+          ? document.querySelector(data.selector)
+          : OverSkill.selection.selectedElement;
+        
+        if (!element || !element.isConnected) {
+          throw new Error('No element selected');
+        }
+        return element;
+      },
+      
+      /**
+       * Replace the text of the selected element
+       * @param {Object} data - { text }
+       * @returns {Object} Change description
+       */
+      setText: function(data) {
+        const element = OverSkill.editing.target(data);
+        if (element.children.length > 0) {
+          throw new Error('Element contains child elements; select the text element itself');
+        }
+        
+        const before = element.textContent;
+        element.textContent = String(data.text);
+        return OverSkill.editing.report(element, 'set_text', before, element.textContent);
+      },
+      
+      /**
+       * Change the classes of the selected element
+       * @param {Object} data - { className } to replace, or { add, remove } arrays
+       * @returns {Object} Change description
+       */
+      setClasses: function(data) {
+        const element = OverSkill.editing.target(data);
+        const before = element.getAttribute('class') || '';
+        
+        if (typeof data.className === 'string') {
+          element.setAttribute('class', data.className);
+        } else {
+          (data.remove || []).forEach(function(name) { element.classList.remove(name); });
+          (data.add || []).forEach(function(name) { element.classList.add(name); });
+        }
+        
+        return OverSkill.editing.report(element, 'set_classes', before, element.getAttribute('class') || '');
+      },
+      
+      /**
+       * Set or remove an attribute of the selected element
+       * @param {Object} data - { name, value }; a null value removes the attribute
+       * @returns {Object} Change description
+       */
+      setAttribute: function(data) {
+        const editing = OverSkill.editing;
+        const element = editing.target(data);
+        const name = String(data.name || '').toLowerCase();
+        const removing = data.value === null || data.value === undefined;
+        
+        if (editing.EDITABLE_ATTRIBUTES.indexOf(name) === -1 && !/^aria-[a-z-]+$/.test(name)) {
+          throw new Error('Attribute cannot be edited: ' + name);
+        }
+        if (!removing && editing.URL_ATTRIBUTES.indexOf(name) !== -1 && !editing.isSafeUrl(String(data.value))) {
+          throw new Error('Unsafe URL for ' + name);
+        }
+        
+        const before = element.getAttribute(name);
+        if (removing) {
+          element.removeAttribute(name);
+        } else {
+          element.setAttribute(name, String(data.value));
+        }
+        
+        return OverSkill.editing.report(element, 'set_attribute', before, element.getAttribute(name), { name: name });
+      },
+      
+      /**
+       * Check a URL the way the browser will resolve it, so whitespace and
+       * control characters inside the scheme can't sneak a javascript: URL through
+       * @param {string} value - URL as written
+       * @returns {boolean} True for web, mail and phone links
+       */
+      isSafeUrl: function(value) {
+        try {
+          return OverSkill.editing.URL_PROTOCOLS.indexOf(new URL(value, window.location.href).protocol) !== -1;
+        } catch (error) {
+          return false;
+        }
+      },
+      
+      /**
+       * Describe an applied edit for the editor
+       * @returns {Object} Change description with source mapping
+       */
+      report: function(element, type, before, after, extra) {
+        const change = Object.assign({
+          type: type,
+          before: before,
+          after: after,
+          source: OverSkill.selection.getSourceLocation(element),
+          element: OverSkill.selection.getElementInfo(element)
+        }, extra || {});
+        
+        OverSkill.messaging.toEditor('element_changed', change);
+        return change;
+      }
+    },
+    
     /**
      * Environment variable utilities
      */
@@ -367,6 +1016,680 @@
       }
     },
     
+    /**
+     * Opt-in streaming of console output, network requests and Web Vitals
+     * to the editor's debug tabs. Entries are batched and rate-limited so a
+     * chatty app cannot flood the editor.
+     */
+    telemetry: {
+      enabled: false,
+      options: null,
+      queue: [],
+      dropped: 0,
+      windowStart: 0,
+      windowCount: 0,
+      flushTimer: null,
+      originals: {},
+      observers: [],
+      // Responses that never end or end late; reading them would hold the entry
+      STREAMING_TYPES: /event-stream|ndjson|stream\+json|multipart\/x-mixed-replace/,
+      
+      DEFAULTS: {
+        console: true,
+        network: true,
+        vitals: true,
+        flushInterval: 1000,
+        maxEntriesPerSecond: 100,
+        maxBodyLength: 2000,
+        maxArgLength: 1000
+      },
+      
+      /**
+       * Start capturing; safe to call again with new options
+       * @param {Object} options - Which streams to capture and limits
+       * @returns {Object} Effective options
+       */
+      enable: function(options) {
+        const telemetry = OverSkill.telemetry;
+        if (telemetry.enabled) telemetry.disable();
+        
+        telemetry.options = Object.assign({}, telemetry.DEFAULTS, options || {});
+        telemetry.enabled = true;
+        
+        if (telemetry.options.console) telemetry.captureConsole();
+        if (telemetry.options.network) telemetry.captureNetwork();
+        if (telemetry.options.vitals) telemetry.captureVitals();
+        
+        telemetry.flushTimer = setInterval(telemetry.flush, telemetry.options.flushInterval);
+        return telemetry.options;
+      },
+      
+      /**
+       * Stop capturing and restore the patched globals
+       */
+      disable: function() {
+        const telemetry = OverSkill.telemetry;
+        if (!telemetry.enabled) return;
+        
+        telemetry.flush();
+        clearInterval(telemetry.flushTimer);
+        
+        Object.keys(telemetry.originals).forEach(function(key) {
+          const original = telemetry.originals[key];
+          original.owner[original.name] = original.value;
+        });
+        telemetry.originals = {};
+        
+        telemetry.observers.forEach(function(observer) { observer.disconnect(); });
+        telemetry.observers = [];
+        telemetry.enabled = false;
+      },
+      
+      /**
+       * Queue an entry, counting it against the per-second budget
+       * @param {string} kind - console, network or vital
+       * @param {Object} entry - Entry payload
+       */
+      record: function(kind, entry) {
+        const telemetry = OverSkill.telemetry;
+        if (!telemetry.enabled) return;
+        
+        const now = Date.now();
+        if (now - telemetry.windowStart >= 1000) {
+          telemetry.windowStart = now;
+          telemetry.windowCount = 0;
+        }
+        if (telemetry.windowCount >= telemetry.options.maxEntriesPerSecond) {
+          telemetry.dropped++;
+          return;
+        }
+        
+        telemetry.windowCount++;
+        entry.kind = kind;
+        entry.timestamp = entry.timestamp || now;
+        telemetry.queue.push(entry);
+      },
+      
+      /**
+       * Send queued entries to the editor in one message
+       */
+      flush: function() {
+        const telemetry = OverSkill.telemetry;
+        if (telemetry.queue.length === 0 && telemetry.dropped === 0) return;
+        
+        const entries = telemetry.queue.splice(0);
+        const dropped = telemetry.dropped;
+        telemetry.dropped = 0;
+        
+        OverSkill.messaging.toEditor('telemetry', { entries: entries, dropped: dropped });
+      },
+      
+      /**
+       * Replace a method, remembering the original for disable()
+       */
+      patch: function(owner, name, key, replacement) {
+        OverSkill.telemetry.originals[key] = { owner: owner, name: name, value: owner[name] };
+        owner[name] = replacement;
+      },
+      
+      /**
+       * Convert a console argument into something postMessage can clone
+       * @param {*} value - Any value
+       * @param {number} depth - Remaining nesting depth
+       * @param {Array} seen - Objects already visited
+       * @returns {*} Serializable representation
+       */
+      serialize: function(value, depth, seen) {
+        const telemetry = OverSkill.telemetry;
+        const limit = telemetry.options.maxArgLength;
+        depth = depth === undefined ? 3 : depth;
+        seen = seen || [];
+        
+        if (value === null || value === undefined || typeof value === 'boolean' || typeof value === 'number') {
+          return value;
+        }
+        if (typeof value === 'string') {
+          return value.length > limit ? value.substring(0, limit) + '…' : value;
+        }
+        if (typeof value === 'function') return '[Function ' + (value.name || 'anonymous') + ']';
+        if (typeof value === 'symbol' || typeof value === 'bigint') return value.toString();
+        if (value instanceof Error || (typeof value.message === 'string' && typeof value.stack === 'string')) {
+          return { name: value.name, message: value.message, stack: value.stack };
+        }
+        if (typeof Element !== 'undefined' && value instanceof Element) {
+          return '<' + value.tagName.toLowerCase() + (value.id ? '#' + value.id : '') + '>';
+        }
+        if (seen.indexOf(value) !== -1) return '[Circular]';
+        if (depth <= 0) return Array.isArray(value) ? '[Array(' + value.length + ')]' : '[Object]';
+        
+        seen.push(value);
+        let result;
+        if (Array.isArray(value)) {
+          result = value.slice(0, 50).map(function(item) { return telemetry.serialize(item, depth - 1, seen); });
+        } else {
+          result = {};
+          Object.keys(value).slice(0, 50).forEach(function(key) {
+            try {
+              result[key] = telemetry.serialize(value[key], depth - 1, seen);
+            } catch (error) {
+              result[key] = '[Unreadable]';
+            }
+          });
+        }
+        seen.pop();
+        return result;
+      },
+      
+      /**
+       * Read at most maxBodyLength characters of a response, then cancel the
+       * rest so a large body is never buffered twice
+       * @param {Response} response - Cloned response
+       * @returns {Promise<string>} Start of the body
+       */
+      readBody: function(response) {
+        const limit = OverSkill.telemetry.options.maxBodyLength;
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let text = '';
+        
+        const pump = function() {
+          return reader.read().then(function(result) {
+            if (result.done) return text + decoder.decode();
+            text += decoder.decode(result.value, { stream: true });
+            if (text.length > limit) {
+              reader.cancel().catch(function() {});
+              return text;
+            }
+            return pump();
+          });
+        };
+        return pump();
+      },
+      
+      /**
+       * Cap a request or response body for telemetry
+       * @param {*} body - Body as sent or received
+       * @returns {string|null} Truncated text or a placeholder for binary bodies
+       */
+      truncateBody: function(body) {
+        if (body === null || body === undefined) return null;
+        if (typeof body !== 'string') {
+          if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) {
+            body = body.toString();
+          } else {
+            return '[' + (body.constructor ? body.constructor.name : 'binary') + ']';
+          }
+        }
+        const limit = OverSkill.telemetry.options.maxBodyLength;
+        return body.length > limit ? body.substring(0, limit) + '…' : body;
+      },
+      
+      /**
+       * Forward every console level while still printing locally
+       */
+      captureConsole: function() {
+        const telemetry = OverSkill.telemetry;
+        
+        ['log', 'info', 'warn', 'error', 'debug'].forEach(function(level) {
+          const original = console[level];
+          telemetry.patch(console, level, 'console.' + level, function() {
+            const args = Array.prototype.slice.call(arguments);
+            try {
+              telemetry.record('console', {
+                level: level,
+                args: args.map(function(arg) { return telemetry.serialize(arg); })
+              });
+            } catch (error) {
+              // Never let capture break the app's own logging
+            }
+            return original.apply(console, args);
+          });
+        });
+      },
+      
+      /**
+       * Summarize fetch and XMLHttpRequest traffic
+       */
+      captureNetwork: function() {
+        const telemetry = OverSkill.telemetry;
+        
+        if (window.fetch) {
+          const originalFetch = window.fetch;
+          telemetry.patch(window, 'fetch', 'fetch', function(input, init) {
+            const started = performance.now();
+            const request = {
+              method: ((init && init.method) || (input && input.method) || 'GET').toUpperCase(),
+              url: typeof input === 'string' ? input : (input && input.url) || String(input),
+              requestBody: telemetry.truncateBody(init && init.body)
+            };
+            
+            return originalFetch.apply(this, arguments).then(function(response) {
+              request.status = response.status;
+              request.duration = Math.round(performance.now() - started);
+              
+              const type = response.headers.get('content-type') || '';
+              if (telemetry.STREAMING_TYPES.test(type)) {
+                request.responseBody = '[stream]';
+                telemetry.record('network', request);
+              } else if (/json|text|xml|javascript/.test(type) && response.body) {
+                telemetry.readBody(response.clone()).then(function(text) {
+                  request.responseBody = telemetry.truncateBody(text);
+                  telemetry.record('network', request);
+                }, function() {
+                  telemetry.record('network', request);
+                });
+              } else {
+                telemetry.record('network', request);
+              }
+              return response;
+            }, function(error) {
+              request.status = 0;
+              request.error = error.message;
+              request.duration = Math.round(performance.now() - started);
+              telemetry.record('network', request);
+              throw error;
+            });
+          });
+        }
+        
+        if (window.XMLHttpRequest) {
+          const proto = XMLHttpRequest.prototype;
+          const originalOpen = proto.open;
+          const originalSend = proto.send;
+          
+          telemetry.patch(proto, 'open', 'xhr.open', function(method, url) {
+            this._overskillRequest = { method: String(method).toUpperCase(), url: String(url) };
+            return originalOpen.apply(this, arguments);
+          });
+          
+          telemetry.patch(proto, 'send', 'xhr.send', function(body) {
+            const xhr = this;
+            const request = xhr._overskillRequest;
+            if (request) {
+              const started = performance.now();
+              request.requestBody = telemetry.truncateBody(body);
+              xhr.addEventListener('loadend', function() {
+                request.status = xhr.status;
+                request.duration = Math.round(performance.now() - started);
+                if (xhr.responseType === '' || xhr.responseType === 'text') {
+                  request.responseBody = telemetry.truncateBody(xhr.responseText);
+                }
+                telemetry.record('network', request);
+              });
+            }
+            return originalSend.apply(this, arguments);
+          });
+        }
+      },
+      
+      /**
+       * Measure LCP, CLS and INP with PerformanceObserver
+       */
+      captureVitals: function() {
+        const telemetry = OverSkill.telemetry;
+        if (typeof PerformanceObserver === 'undefined') return;
+        
+        const observe = function(type, callback, options) {
+          try {
+            const observer = new PerformanceObserver(function(list) { callback(list.getEntries()); });
+            observer.observe(Object.assign({ type: type, buffered: true }, options || {}));
+            telemetry.observers.push(observer);
+          } catch (error) {
+            // Entry type not supported by this browser
+          }
+        };
+        
+        observe('largest-contentful-paint', function(entries) {
+          const last = entries[entries.length - 1];
+          if (last) telemetry.record('vital', { name: 'LCP', value: Math.round(last.startTime) });
+        });
+        
+        let cls = 0;
+        observe('layout-shift', function(entries) {
+          entries.forEach(function(entry) {
+            if (!entry.hadRecentInput) cls += entry.value;
+          });
+          telemetry.record('vital', { name: 'CLS', value: Math.round(cls * 1000) / 1000 });
+        });
+        
+        // INP approximated as the slowest interaction seen so far
+        let inp = 0;
+        observe('event', function(entries) {
+          entries.forEach(function(entry) {
+            if (entry.interactionId && entry.duration > inp) {
+              inp = entry.duration;
+              telemetry.record('vital', { name: 'INP', value: Math.round(inp), target: entry.name });
+            }
+          });
+        }, { durationThreshold: 40 });
+      }
+    },
+    
+    /**
+     * Opt-in session recorder. Buffers a DOM snapshot plus mutations and
+     * input events covering at least the last `windowMs`, so error reports
+     * can be replayed in the editor. Password fields, and the text and
+     * attribute values of anything inside [data-os-private], are masked
+     * before they leave the page.
+     */
+    replay: {
+      enabled: false,
+      options: null,
+      events: [],
+      nodeIds: null,
+      nextNodeId: 1,
+      observer: null,
+      checkpointTimer: null,
+      lastMouseMove: 0,
+      lastScroll: 0,
+      
+      DEFAULTS: {
+        windowMs: 30000,
+        mouseMoveInterval: 100,
+        scrollInterval: 100,
+        maxExportEvents: 2000
+      },
+      PRIVATE_SELECTOR: '[data-os-private]',
+      HTML_NAMESPACE: 'http://www.w3.org/1999/xhtml',
+      
+      /**
+       * Start recording; safe to call again with new options
+       * @param {Object} options - { windowMs, mouseMoveInterval, scrollInterval }
+       * @returns {Object} Effective options
+       */
+      enable: function(options) {
+        const replay = OverSkill.replay;
+        if (replay.enabled) replay.disable();
+        
+        replay.options = Object.assign({}, replay.DEFAULTS, options || {});
+        replay.enabled = true;
+        replay.events = [];
+        replay.nodeIds = new WeakMap();
+        replay.nextNodeId = 1;
+        
+        replay.checkpoint();
+        
+        replay.observer = new MutationObserver(replay.handleMutations);
+        replay.observer.observe(document.documentElement, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          characterData: true
+        });
+        
+        document.addEventListener('input', replay.handleInput, true);
+        document.addEventListener('change', replay.handleInput, true);
+        document.addEventListener('click', replay.handleClick, true);
+        document.addEventListener('scroll', replay.handleScroll, true);
+        document.addEventListener('mousemove', replay.handleMouseMove, true);
+        window.addEventListener('resize', replay.handleResize);
+        
+        replay.checkpointTimer = setInterval(replay.checkpoint, replay.options.windowMs);
+        return replay.options;
+      },
+      
+      /**
+       * Stop recording and drop the buffer
+       */
+      disable: function() {
+        const replay = OverSkill.replay;
+        if (!replay.enabled) return;
+        
+        replay.observer.disconnect();
+        clearInterval(replay.checkpointTimer);
+        
+        document.removeEventListener('input', replay.handleInput, true);
+        document.removeEventListener('change', replay.handleInput, true);
+        document.removeEventListener('click', replay.handleClick, true);
+        document.removeEventListener('scroll', replay.handleScroll, true);
+        document.removeEventListener('mousemove', replay.handleMouseMove, true);
+        window.removeEventListener('resize', replay.handleResize);
+        
+        replay.enabled = false;
+        replay.events = [];
+      },
+      
+      /**
+       * Take a full snapshot and trim the buffer so it starts at the
+       * previous snapshot, keeping between one and two windows of history
+       */
+      checkpoint: function() {
+        const replay = OverSkill.replay;
+        
+        let previous = -1;
+        replay.events.forEach(function(event, index) {
+          if (event.type === 'snapshot') previous = index;
+        });
+        if (previous > 0) replay.events = replay.events.slice(previous);
+        
+        replay.push({
+          type: 'snapshot',
+          node: replay.serialize(document.documentElement),
+          viewport: { width: window.innerWidth, height: window.innerHeight },
+          scroll: { x: window.scrollX, y: window.scrollY }
+        });
+      },
+      
+      /**
+       * Recording to attach to error reports: the events since the last
+       * snapshot taken before the window started, or since the latest
+       * snapshot when that is more than maxExportEvents. The buffer holds up
+       * to two windows, so a burst of errors doesn't copy all of it each time.
+       * @returns {Object} { url, startedAt, endedAt, events }
+       */
+      export: function() {
+        const replay = OverSkill.replay;
+        const windowStart = Date.now() - replay.options.windowMs;
+        let start = 0;
+        let latest = 0;
+        replay.events.forEach(function(event, index) {
+          if (event.type !== 'snapshot') return;
+          latest = index;
+          if (event.t <= windowStart) start = index;
+        });
+        if (replay.events.length - start > replay.options.maxExportEvents) start = latest;
+        
+        const events = replay.events.slice(start);
+        return {
+          url: window.location.href,
+          startedAt: events.length ? events[0].t : Date.now(),
+          endedAt: Date.now(),
+          events: events
+        };
+      },
+      
+      push: function(event) {
+        event.t = Date.now();
+        OverSkill.replay.events.push(event);
+      },
+      
+      idOf: function(node) {
+        const replay = OverSkill.replay;
+        if (!replay.nodeIds.has(node)) replay.nodeIds.set(node, replay.nextNodeId++);
+        return replay.nodeIds.get(node);
+      },
+      
+      isPrivate: function(node) {
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        return !!(element && element.closest(OverSkill.replay.PRIVATE_SELECTOR));
+      },
+      
+      mask: function(text) {
+        return String(text).replace(/\S/g, '*');
+      },
+      
+      maskValue: function(element, value) {
+        if (value === null || value === undefined) return value;
+        const masked = element.type === 'password' || OverSkill.replay.isPrivate(element);
+        return masked ? OverSkill.replay.mask(value) : value;
+      },
+      
+      /**
+       * Every attribute of a private element can carry its data (title, alt,
+       * href, aria-label, data-*), so all of them are masked there
+       * @param {Element} element - Element owning the attribute
+       * @param {string} name - Attribute name
+       * @param {string|null} value - Attribute value
+       * @returns {string|null} Value safe to record
+       */
+      maskAttribute: function(element, name, value) {
+        const replay = OverSkill.replay;
+        if (value === null || value === undefined) return value;
+        if (name === 'value') return replay.maskValue(element, value);
+        return replay.isPrivate(element) ? replay.mask(value) : value;
+      },
+      
+      /**
+       * Serialize a node tree with stable ids; scripts and inline
+       * event handlers are dropped so the player never runs app code
+       * @param {Node} node - DOM node
+       * @returns {Object|null} Serialized node
+       */
+      serialize: function(node) {
+        const replay = OverSkill.replay;
+        const id = replay.idOf(node);
+        
+        if (node.nodeType === Node.TEXT_NODE) {
+          const parentTag = node.parentElement ? node.parentElement.tagName : '';
+          let text = parentTag === 'SCRIPT' ? '' : node.textContent;
+          if (parentTag !== 'STYLE' && replay.isPrivate(node)) text = replay.mask(text);
+          return { id: id, type: 'text', text: text };
+        }
+        if (node.nodeType === Node.COMMENT_NODE) {
+          return { id: id, type: 'comment' };
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return null;
+        
+        const tag = node.tagName.toLowerCase();
+        const serialized = {
+          id: id,
+          type: 'element',
+          tag: tag,
+          attrs: replay.serializeAttributes(node),
+          children: tag === 'script' ? [] : Array.from(node.childNodes).map(replay.serialize).filter(Boolean)
+        };
+        if (node.namespaceURI && node.namespaceURI !== replay.HTML_NAMESPACE) {
+          serialized.ns = node.namespaceURI;
+        }
+        if ('value' in node && /^(input|textarea|select)$/.test(tag)) {
+          serialized.value = replay.maskValue(node, node.value);
+          if (node.checked !== undefined) serialized.checked = node.checked;
+        }
+        return serialized;
+      },
+      
+      serializeAttributes: function(element) {
+        const attrs = {};
+        Array.from(element.attributes).forEach(function(attr) {
+          if (/^on/i.test(attr.name)) return;
+          attrs[attr.name] = OverSkill.replay.maskAttribute(element, attr.name, attr.value);
+        });
+        return attrs;
+      },
+      
+      /**
+       * Record DOM changes as one event per MutationObserver callback
+       * @param {Array} records - MutationRecords
+       */
+      handleMutations: function(records) {
+        const replay = OverSkill.replay;
+        const event = { type: 'mutation', adds: [], removes: [], attrs: [], texts: [] };
+        const added = [];
+        
+        records.forEach(function(record) {
+          if (record.type === 'childList') {
+            record.removedNodes.forEach(function(node) {
+              if (replay.nodeIds.has(node)) event.removes.push({ id: replay.idOf(node) });
+            });
+            record.addedNodes.forEach(function(node) {
+              // Skip nodes moved again or removed before this callback ran, and
+              // nodes already serialized as part of an added ancestor
+              if (node.parentNode !== record.target) return;
+              if (added.some(function(ancestor) { return ancestor.contains(node); })) return;
+              added.push(node);
+              const serialized = replay.serialize(node);
+              if (!serialized) return;
+              event.adds.push({
+                parentId: replay.idOf(record.target),
+                nextId: node.nextSibling ? replay.idOf(node.nextSibling) : null,
+                node: serialized
+              });
+            });
+          } else if (record.type === 'attributes') {
+            if (/^on/i.test(record.attributeName)) return;
+            const value = record.target.getAttribute(record.attributeName);
+            event.attrs.push({
+              id: replay.idOf(record.target),
+              name: record.attributeName,
+              value: replay.maskAttribute(record.target, record.attributeName, value)
+            });
+          } else if (record.type === 'characterData') {
+            const node = record.target;
+            event.texts.push({
+              id: replay.idOf(node),
+              text: replay.isPrivate(node) ? replay.mask(node.textContent) : node.textContent
+            });
+          }
+        });
+        
+        if (event.adds.length || event.removes.length || event.attrs.length || event.texts.length) {
+          replay.push(event);
+        }
+      },
+      
+      handleInput: function(event) {
+        const target = event.target;
+        if (!target || !('value' in target)) return;
+        
+        OverSkill.replay.push({
+          type: 'input',
+          id: OverSkill.replay.idOf(target),
+          value: OverSkill.replay.maskValue(target, target.value),
+          checked: target.checked
+        });
+      },
+      
+      handleClick: function(event) {
+        OverSkill.replay.push({
+          type: 'click',
+          id: OverSkill.replay.idOf(event.target),
+          x: event.clientX,
+          y: event.clientY
+        });
+      },
+      
+      handleScroll: function(event) {
+        const replay = OverSkill.replay;
+        const now = Date.now();
+        if (now - replay.lastScroll < replay.options.scrollInterval) return;
+        replay.lastScroll = now;
+        
+        const target = event.target;
+        if (target === document || target === document.documentElement) {
+          replay.push({ type: 'scroll', id: null, x: window.scrollX, y: window.scrollY });
+        } else if (target.nodeType === Node.ELEMENT_NODE) {
+          replay.push({ type: 'scroll', id: replay.idOf(target), x: target.scrollLeft, y: target.scrollTop });
+        }
+      },
+      
+      handleMouseMove: function(event) {
+        const replay = OverSkill.replay;
+        const now = Date.now();
+        if (now - replay.lastMouseMove < replay.options.mouseMoveInterval) return;
+        replay.lastMouseMove = now;
+        
+        replay.push({ type: 'mouse', x: event.clientX, y: event.clientY });
+      },
+      
+      handleResize: function() {
+        OverSkill.replay.push({
+          type: 'viewport',
+          width: window.innerWidth,
+          height: window.innerHeight
+        });
+      }
+    },
+    
     /**
      * Initialize OverSkill utilities
      */
@@ -378,22 +1701,39 @@
         // Set up performance tracking
         OverSkill.performance.trackPageLoad();
         
+        // Apps can opt in to telemetry from the start to capture page load
+        if (OverSkill.env.get('OVERSKILL_TELEMETRY') === 'true') {
+          OverSkill.telemetry.enable();
+        }
+        if (OverSkill.env.get('OVERSKILL_REPLAY') === 'true') {
+          OverSkill.replay.enable();
+        }
+        
         // Set up message handling
-        OverSkill.messaging.onMessage(function(message) {
-          switch (message.type) {
-            case 'enable_selection':
-              OverSkill.selection.enable();
-              break;
-            case 'disable_selection':
-              OverSkill.selection.disable();
-              break;
-            case 'ping':
-              OverSkill.messaging.toEditor('pong', { timestamp: Date.now() });
-              break;
-            default:
-              console.log('[OverSkill] Unknown message type:', message.type);
+        OverSkill.messaging.handle('enable_selection', function() {
+          OverSkill.selection.enable();
+        });
+        OverSkill.messaging.handle('disable_selection', function() {
+          OverSkill.selection.disable();
+        });
+        OverSkill.messaging.handle('clear_selection', function() {
+          OverSkill.selection.clearSelection();
+        });
+        OverSkill.messaging.handle('set_text', OverSkill.editing.setText);
+        OverSkill.messaging.handle('set_classes', OverSkill.editing.setClasses);
+        OverSkill.messaging.handle('set_attribute', OverSkill.editing.setAttribute);
+        OverSkill.messaging.handle('enable_telemetry', OverSkill.telemetry.enable);
+        OverSkill.messaging.handle('disable_telemetry', OverSkill.telemetry.disable);
+        OverSkill.messaging.handle('enable_replay', OverSkill.replay.enable);
+        OverSkill.messaging.handle('disable_replay', OverSkill.replay.disable);
+        OverSkill.messaging.handle('ping', function(data, message) {
+          // Requests get a correlated response; plain pings keep the pong reply
+          if (!message.id) {
+            OverSkill.messaging.toEditor('pong', { timestamp: Date.now() });
           }
+          return { timestamp: Date.now() };
         });
+        OverSkill.messaging.initialize();
         
         // Notify editor that app is ready
         OverSkill.messaging.toEditor('app_ready', {
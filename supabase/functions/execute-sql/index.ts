@@ -1,14 +1,109 @@
-// Supabase Edge Function to execute SQL commands
+// Supabase Edge Function to execute SQL commands for an app
 // Deploy with: supabase functions deploy execute-sql
+// Requires the SQL in supabase/migrations (execute_sql_policy, exec_dynamic_sql_results)
+//
+// Body: { app_id, sql, params?, read_only?, max_rows? }. The batch is parsed,
+// every statement is checked against the app's policy (see policy.ts), and
+// only if all of them pass does the batch run, in a single transaction on a
+// direct database connection that bounds it with statement and lock timeouts.
+// params are bound to $1..$n in every statement that uses them. Each
+// statement returns either rows ({columns, rows, row_count, truncated}) or
+// the number of rows it changed ({row_count}). Every statement is written to
+// sql_audit_log, including rejected ones.
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
-import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { createClient, SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import postgres from 'https://deno.land/x/postgresjs@v3.4.4/mod.js'
+import { checkStatement, CheckedStatement, parseStatements, policyFor, SqlParseError } from './policy.ts'
+
+const DEFAULT_MAX_ROWS = 1000
+const STATEMENT_TIMEOUT = '10s'
+const LOCK_TIMEOUT = '3s'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
+interface AuditEntry {
+  statement_index: number
+  statement_kind: string
+  tables: string[]
+  sql: string
+  status: 'executed' | 'failed' | 'rolled_back' | 'rejected' | 'skipped'
+  error?: string | null
+  violations?: string[]
+  duration_ms?: number | null
+  row_count?: number | null
+}
+
+function respond(body: Record<string, unknown>, status: number) {
+  return new Response(
+    JSON.stringify(body),
+    {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      status
+    }
+  )
+}
+
+// Structured log lines for the function logs, plus rows in sql_audit_log.
+// A failed audit insert is logged but doesn't change the response.
+async function audit(supabase: SupabaseClient, requestId: string, appId: number, entries: AuditEntry[]) {
+  const rows = entries.map(entry => ({
+    request_id: requestId,
+    app_id: appId,
+    error: null,
+    violations: [],
+    duration_ms: null,
+    row_count: null,
+    ...entry
+  }))
+
+  rows.forEach(row => console.log(JSON.stringify({ event: 'execute_sql', ...row })))
+
+  const { error } = await supabase.from('sql_audit_log').insert(rows)
+  if (error) {
+    console.error(JSON.stringify({ event: 'execute_sql_audit_failed', request_id: requestId, error: error.message }))
+  }
+}
+
+function auditEntry(statement: CheckedStatement, status: AuditEntry['status'], extra: Partial<AuditEntry> = {}): AuditEntry {
+  return {
+    statement_index: statement.index,
+    statement_kind: statement.kind,
+    tables: statement.tables,
+    sql: statement.sql,
+    status,
+    violations: statement.violations,
+    ...extra
+  }
+}
+
+// SET LOCAL only bounds statements sent after it, so the timeouts are set in
+// their own statements before exec_dynamic_sql is called
+async function execBatch(statements: CheckedStatement[], params: unknown[], maxRows: number) {
+  const sql = postgres(Deno.env.get('SUPABASE_DB_URL') ?? '', { max: 1, prepare: false })
+
+  try {
+    return await sql.begin(async (tx) => {
+      await tx`SELECT set_config('statement_timeout', ${STATEMENT_TIMEOUT}, true)`
+      await tx`SELECT set_config('lock_timeout', ${LOCK_TIMEOUT}, true)`
+
+      const [{ result }] = await tx`
+        SELECT public.exec_dynamic_sql(${tx.json(statements.map(statement => ({
+          sql: statement.sql,
+          params: statement.params,
+          returns_rows: statement.returnsRows
+        })))}, ${tx.json(params)}, ${maxRows}) AS result
+      `
+      return result
+    })
+  } finally {
+    await sql.end()
+  }
+}
+
 serve(async (req) => {
   // Handle CORS
   if (req.method === 'OPTIONS') {
@@ -22,59 +117,28 @@ serve(async (req) => {
       throw new Error('Missing authorization header')
     }
 
-    // Verify this is a service role key (has admin privileges)
     const supabaseUrl = Deno.env.get('SUPABASE_URL') ?? ''
     const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
-    
-    // Only allow service role key
-    if (!authHeader.includes(supabaseServiceKey)) {
-      throw new Error('Unauthorized - service role key required')
+
+    // Only allow the service role key itself
+    if (!supabaseServiceKey || authHeader !== `Bearer ${supabaseServiceKey}`) {
+      return respond({ success: false, error: 'Unauthorized - service role key required' }, 401)
     }
 
     // Parse the request body
-    const { sql, params = [] } = await req.json()
-    
+    const { sql, params = [], app_id, read_only = false, max_rows = DEFAULT_MAX_ROWS } = await req.json()
+
     if (!sql) {
       throw new Error('SQL command is required')
     }
 
-    // Security checks
-    const sqlLower = sql.toLowerCase()
-    
-    // Only allow specific safe operations
-    const allowedOperations = [
-      'create table',
-      'create index',
-      'create policy',
-      'alter table',
-      'grant',
-      'create or replace function',
-      'create trigger'
-    ]
-    
-    const isAllowed = allowedOperations.some(op => sqlLower.includes(op))
-    
-    // Block dangerous operations
-    const blockedOperations = [
-      'drop database',
-      'drop schema public',
-      'truncate auth.',
-      'delete from auth.',
-      'drop table auth.',
-      'drop table storage.'
-    ]
-    
-    const isBlocked = blockedOperations.some(op => sqlLower.includes(op))
-    
-    if (isBlocked || !isAllowed) {
-      throw new Error('SQL operation not allowed')
+    if (!Array.isArray(params)) {
+      throw new Error('params must be an array')
     }
 
-    // Additional validation: must include app_ prefix for table operations
-    if (sqlLower.includes('create table') || sqlLower.includes('alter table')) {
-      if (!sqlLower.includes('app_')) {
-        throw new Error('Table names must include app_ prefix')
-      }
+    const appId = Number(app_id)
+    if (!Number.isInteger(appId) || appId <= 0) {
+      throw new Error('app_id is required')
     }
 
     // Create admin client
@@ -84,73 +148,128 @@ serve(async (req) => {
       }
     })
 
-    // Execute the SQL
-    const { data, error } = await supabase.rpc('exec_dynamic_sql', {
-      sql_query: sql,
-      sql_params: params
-    })
+    const requestId = crypto.randomUUID()
 
-    if (error) {
-      // If the RPC function doesn't exist, we need to create it first
-      if (error.message.includes('function') && error.message.includes('does not exist')) {
-        // Create the function
-        const createFunctionSQL = `
-          CREATE OR REPLACE FUNCTION exec_dynamic_sql(sql_query text, sql_params jsonb DEFAULT '[]'::jsonb)
-          RETURNS jsonb
-          LANGUAGE plpgsql
-          SECURITY DEFINER
-          SET search_path = public
-          AS $$
-          DECLARE
-            result jsonb;
-          BEGIN
-            -- Security check: only allow from edge functions
-            IF current_setting('request.jwt.claims', true)::jsonb->>'role' != 'service_role' THEN
-              RAISE EXCEPTION 'Unauthorized';
-            END IF;
-            
-            -- Execute the SQL
-            EXECUTE sql_query;
-            
-            -- Return success
-            RETURN jsonb_build_object('success', true, 'message', 'SQL executed successfully');
-          EXCEPTION
-            WHEN OTHERS THEN
-              RETURN jsonb_build_object('success', false, 'error', SQLERRM);
-          END;
-          $$;
-        `
-        
-        // Try to create the function (this might fail if we don't have permissions)
-        return new Response(
-          JSON.stringify({
-            success: false,
-            error: 'exec_dynamic_sql function needs to be created. Please run this SQL in Supabase Dashboard:\n\n' + createFunctionSQL
-          }),
-          { 
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-            status: 500
-          }
-        )
+    const { data: policyRow, error: policyError } = await supabase
+      .from('app_sql_policies')
+      .select('allowed_statements')
+      .eq('app_id', appId)
+      .maybeSingle()
+    if (policyError) {
+      throw new Error(`Could not load the SQL policy: ${policyError.message}`)
+    }
+    const policy = policyFor(appId, policyRow?.allowed_statements, { readOnly: read_only === true })
+
+    // Parse and check every statement before anything runs
+    let parsed
+    try {
+      parsed = await parseStatements(sql)
+    } catch (error) {
+      if (!(error instanceof SqlParseError)) throw error
+
+      await audit(supabase, requestId, appId, [{
+        statement_index: 0,
+        statement_kind: 'unparsed',
+        tables: [],
+        sql,
+        status: 'rejected',
+        error: error.message
+      }])
+      return respond({ success: false, request_id: requestId, error: error.message }, 400)
+    }
+
+    if (parsed.length === 0) {
+      throw new Error('SQL command is required')
+    }
+
+    const statements = await Promise.all(parsed.map(async statement => {
+      const checked = await checkStatement(statement, policy)
+      const missing = checked.params.filter(param => param.number > params.length)
+      if (missing.length > 0) {
+        checked.violations.push(`$${missing[0].number} is used but only ${params.length} ${params.length === 1 ? 'parameter was' : 'parameters were'} given`)
       }
-      
-      throw error
+      return checked
+    }))
+    const rejected = statements.filter(statement => statement.violations.length > 0)
+
+    if (rejected.length > 0) {
+      await audit(supabase, requestId, appId, statements.map(statement =>
+        auditEntry(statement, statement.violations.length > 0 ? 'rejected' : 'skipped')
+      ))
+
+      return respond({
+        success: false,
+        request_id: requestId,
+        error: 'SQL operation not allowed',
+        violations: rejected.map(statement => ({
+          statement: statement.index,
+          sql: statement.sql,
+          messages: statement.violations
+        }))
+      }, 403)
     }
 
-    return new Response(
-      JSON.stringify({ success: true, data }),
-      { 
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        status: 200
+    // Execute the batch in one transaction
+    const startedAt = performance.now()
+    let data
+    try {
+      data = await execBatch(statements, params, Number(max_rows) || DEFAULT_MAX_ROWS)
+    } catch (error) {
+      const duration = Math.round(performance.now() - startedAt)
+
+      // The timeout cancels the whole call, so there is no failed statement to point at
+      if (error.code === '57014') {
+        data = { success: false, error: `Query was cancelled because it took longer than ${STATEMENT_TIMEOUT}`, sqlstate: error.code }
+      } else {
+        await audit(supabase, requestId, appId, statements.map(statement =>
+          auditEntry(statement, 'failed', { error: error.message, duration_ms: duration })
+        ))
+
+        if (error.code === '42883') {
+          return respond({
+            success: false,
+            request_id: requestId,
+            error: 'exec_dynamic_sql is missing or out of date. Run the SQL files in supabase/migrations in the Supabase Dashboard.'
+          }, 500)
+        }
+
+        throw error
       }
-    )
+    }
+    const duration = Math.round(performance.now() - startedAt)
+
+    if (!data?.success) {
+      const failedIndex = data?.failed_statement ?? -1
+      await audit(supabase, requestId, appId, statements.map(statement =>
+        statement.index === failedIndex || failedIndex < 0
+          ? auditEntry(statement, 'failed', { error: data?.error, duration_ms: duration })
+          : auditEntry(statement, statement.index < failedIndex ? 'rolled_back' : 'skipped', { duration_ms: duration })
+      ))
+
+      return respond({
+        success: false,
+        request_id: requestId,
+        error: data?.error ?? 'SQL execution failed',
+        statement: failedIndex >= 0 ? failedIndex : null,
+        sqlstate: data?.sqlstate ?? null
+      }, 400)
+    }
+
+    await audit(supabase, requestId, appId, statements.map((statement, index) =>
+      auditEntry(statement, 'executed', { duration_ms: duration, row_count: data.results[index]?.row_count ?? null })
+    ))
+
+    return respond({
+      success: true,
+      request_id: requestId,
+      results: statements.map((statement, index) => ({
+        statement: statement.index,
+        kind: statement.kind,
+        tables: statement.tables,
+        ...data.results[index]
+      }))
+    }, 200)
   } catch (error) {
-    return new Response(
-      JSON.stringify({ success: false, error: error.message }),
-      { 
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        status: 400
-      }
-    )
+    return respond({ success: false, error: error.message }, 400)
   }
-})
\ No newline at end of file
+})
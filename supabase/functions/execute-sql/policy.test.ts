@@ -0,0 +1,146 @@
+// Run with: deno test supabase/functions/execute-sql/policy.test.ts
+
+import assert from 'node:assert/strict'
+import { checkStatement, parseStatements, policyFor, SqlParseError } from './policy.ts'
+
+const policy = policyFor(1)
+
+async function violations(sql: string, checkedPolicy = policy): Promise<string[]> {
+  const statements = await parseStatements(sql)
+  const checked = await Promise.all(statements.map(statement => checkStatement(statement, checkedPolicy)))
+  return checked.flatMap(statement => statement.violations)
+}
+
+async function assertAllowed(sql: string, checkedPolicy = policy) {
+  assert.deepEqual(await violations(sql, checkedPolicy), [])
+}
+
+async function assertRejected(sql: string, message: RegExp, checkedPolicy = policy) {
+  const found = await violations(sql, checkedPolicy)
+  assert(found.some(violation => message.test(violation)), `Expected a violation matching ${message}, got ${JSON.stringify(found)}`)
+}
+
+Deno.test('splits a batch into statements with their kinds', async () => {
+  const statements = await parseStatements('CREATE TABLE app_1_posts (id int);\n  SELECT * FROM app_1_posts WHERE id = $1')
+
+  assert.deepEqual(statements.map(statement => statement.kind), ['create_table', 'select'])
+  assert.deepEqual(statements[1].sql, 'SELECT * FROM app_1_posts WHERE id = $1')
+  assert.deepEqual(statements[1].params, [{ number: 1, offset: 37, length: 2 }])
+  assert(statements[1].returnsRows)
+})
+
+Deno.test('raises SqlParseError for invalid SQL', async () => {
+  let error
+  try {
+    await parseStatements('SELEC 1')
+  } catch (caught) {
+    error = caught
+  }
+  assert(error instanceof SqlParseError)
+})
+
+Deno.test("allows the app's own tables", async () => {
+  await assertAllowed('CREATE TABLE app_1_posts (id serial primary key, title text)')
+  await assertAllowed('SELECT p.title FROM public.app_1_posts p JOIN app_1_users u ON u.id = p.id')
+  await assertAllowed('CREATE INDEX app_1_posts_title_idx ON app_1_posts (title)')
+})
+
+Deno.test("rejects other apps' tables and other schemas", async () => {
+  await assertRejected('SELECT * FROM app_2_users', /does not belong to this app/)
+  await assertRejected('SELECT * FROM auth.users', /auth schema/)
+  await assertRejected('DROP TABLE app_2_users', /not allowed|does not belong/, policyFor(1, ['drop_table']))
+  await assertRejected('WITH x AS (SELECT 1) SELECT * FROM app_2_users, x', /does not belong to this app/)
+})
+
+Deno.test('resolves CTE names only inside the statement that defines them', async () => {
+  await assertAllowed('WITH recent AS (SELECT * FROM app_1_posts) SELECT * FROM recent')
+  await assertAllowed('SELECT * FROM (WITH recent AS (SELECT * FROM app_1_posts) SELECT * FROM recent) r')
+  await assertAllowed('WITH RECURSIVE tree AS (SELECT id FROM app_1_posts UNION ALL SELECT id FROM tree) SELECT * FROM tree')
+  await assertRejected(
+    'SELECT * FROM app_2_users, (WITH app_2_users AS (SELECT 1) SELECT * FROM app_2_users) t',
+    /Table app_2_users does not belong to this app/
+  )
+  await assertRejected(
+    'SELECT * FROM pg_shadow, (WITH pg_shadow AS (SELECT 1) SELECT * FROM pg_shadow) t',
+    /Table pg_shadow does not belong to this app/
+  )
+  await assertRejected('WITH app_2_users AS (SELECT * FROM app_2_users) SELECT * FROM app_2_users', /Table app_2_users does not belong/)
+  await assertRejected('WITH a AS (SELECT * FROM b), b AS (SELECT 1) SELECT * FROM a', /Table b does not belong/)
+  await assertRejected('WITH app_2_users AS (SELECT 1) INSERT INTO app_2_users VALUES (1)', /Table app_2_users does not belong/)
+})
+
+Deno.test('rejects renaming a table out of the app prefix', async () => {
+  await assertAllowed('ALTER TABLE app_1_posts RENAME TO app_1_articles')
+  await assertRejected('ALTER TABLE app_1_posts RENAME TO app_2_posts', /Table names must start with app_1_/)
+  await assertRejected('ALTER TABLE app_1_posts RENAME TO posts', /Table names must start with app_1_/)
+})
+
+Deno.test('rejects blocked functions and statement kinds', async () => {
+  await assertRejected("SELECT pg_read_file('/etc/passwd')", /Calling pg_read_file is not allowed/)
+  await assertRejected('SELECT app_2_secret()', /does not belong to this app/)
+  await assertRejected('DELETE FROM app_1_posts', /DELETE statements are not allowed/)
+  await assertRejected('WITH gone AS (DELETE FROM app_1_posts RETURNING *) SELECT * FROM gone', /DELETE statements are not allowed/)
+  await assertRejected('ALTER TABLE app_1_posts DISABLE ROW LEVEL SECURITY', /DisableRowSecurity/)
+})
+
+Deno.test('read-only policies only keep SELECT without writes', async () => {
+  const readOnly = policyFor(1, ['select', 'insert'], { readOnly: true })
+
+  assert.deepEqual(readOnly.allowedStatements, ['select'])
+  await assertRejected('INSERT INTO app_1_posts (title) VALUES ($1)', /INSERT statements are not allowed/, readOnly)
+  await assertRejected('SELECT * FROM app_1_posts FOR UPDATE', /Row locks/, readOnly)
+  await assertRejected("SELECT nextval('app_1_posts_id_seq')", /Calling nextval/, readOnly)
+})
+
+Deno.test('checks SQL function bodies', async () => {
+  await assertAllowed('CREATE FUNCTION app_1_count() RETURNS bigint LANGUAGE sql AS $$ SELECT count(*) FROM app_1_posts $$')
+  await assertRejected('CREATE FUNCTION app_1_count() RETURNS bigint LANGUAGE sql AS $$ SELECT count(*) FROM app_2_users $$', /Function body: Table app_2_users/)
+  await assertRejected('CREATE FUNCTION app_1_x() RETURNS int LANGUAGE sql SECURITY DEFINER AS $$ SELECT 1 $$', /SECURITY DEFINER/)
+  await assertRejected('CREATE FUNCTION app_2_x() RETURNS int LANGUAGE sql AS $$ SELECT 1 $$', /Function names must start with app_1_/)
+})
+
+Deno.test('rejects dynamic SQL in PL/pgSQL functions', async () => {
+  await assertRejected(
+    "CREATE FUNCTION app_1_x() RETURNS void LANGUAGE plpgsql AS $$BEGIN EXECUTE 'drop table app_2_users'; END$$",
+    /dynamic SQL \(EXECUTE\) is not allowed/
+  )
+  await assertRejected(
+    "CREATE FUNCTION app_1_x() RETURNS void LANGUAGE plpgsql AS $$DECLARE r record; BEGIN FOR r IN EXECUTE 'select 1' LOOP END LOOP; END$$",
+    /dynamic SQL/
+  )
+  await assertRejected(
+    "CREATE FUNCTION app_1_x() RETURNS void LANGUAGE plpgsql AS $$DECLARE c refcursor; BEGIN OPEN c FOR EXECUTE 'select 1'; END$$",
+    /dynamic SQL/
+  )
+})
+
+Deno.test('checks statements and expressions in PL/pgSQL functions', async () => {
+  await assertRejected(
+    'CREATE FUNCTION app_1_x() RETURNS void LANGUAGE plpgsql AS $$BEGIN DROP TABLE app_2_users; END$$',
+    /Function body: Table app_2_users/
+  )
+  await assertRejected(
+    'CREATE FUNCTION app_1_x() RETURNS int LANGUAGE plpgsql AS $$DECLARE v int; BEGIN v := (SELECT count(*) FROM app_2_users); RETURN v; END$$',
+    /Function body: Table app_2_users/
+  )
+  await assertRejected(
+    'CREATE FUNCTION app_1_x() RETURNS int LANGUAGE plpgsql AS $$BEGIN IF app_2_check() THEN RETURN 1; END IF; RETURN 0; END$$',
+    /Function app_2_check does not belong/
+  )
+  await assertRejected(
+    "CREATE FUNCTION app_1_x() RETURNS int LANGUAGE plpgsql AS $$BEGIN PERFORM pg_sleep(10); RETURN 0; END$$",
+    /Calling pg_sleep is not allowed/
+  )
+})
+
+Deno.test('allows PL/pgSQL trigger functions on the app\'s own tables', async () => {
+  await assertAllowed(`
+    CREATE FUNCTION app_1_touch() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN
+      NEW.updated_at := now();
+      INSERT INTO app_1_changes (post_id) VALUES (NEW.id);
+      RETURN NEW;
+    END
+    $$
+  `)
+})
@@ -0,0 +1,496 @@
+// Statement policy for execute-sql
+// Every statement is parsed with the real PostgreSQL parser and checked node by
+// node, so comments, string literals and batched statements can't hide anything.
+// Function bodies are parsed too (PL/pgSQL with the PL/pgSQL parser), and
+// every statement and expression in them is checked the same way.
+
+import { parse, parsePlPgSQL } from 'npm:@libpg-query/parser@17.6.10'
+
+// Statement kinds an app may run unless its app_sql_policies row narrows them
+export const DEFAULT_ALLOWED_STATEMENTS = [
+  'create_table',
+  'alter_table',
+  'create_index',
+  'create_policy',
+  'grant',
+  'create_function',
+  'create_trigger',
+  'select'
+]
+
+export const KNOWN_STATEMENTS = [
+  ...DEFAULT_ALLOWED_STATEMENTS,
+  'alter_policy',
+  'drop_table',
+  'drop_index',
+  'drop_policy',
+  'drop_trigger',
+  'drop_function',
+  'comment',
+  'insert',
+  'update',
+  'delete'
+]
+
+// The only kinds that take $1..$n parameters or return rows
+const DML_STATEMENTS = ['select', 'insert', 'update', 'delete']
+
+// Roles app tables can be granted to
+const GRANTEES = ['anon', 'authenticated', 'service_role']
+
+// Schema-qualified functions that RLS policies rely on
+const QUALIFIED_FUNCTIONS = ['auth.uid', 'auth.jwt', 'auth.role', 'auth.email']
+
+// Built-ins that read files, open connections or run SQL given as a string
+const BLOCKED_FUNCTION = /^(pg_|dblink|lo_|set_config$|query_to_xml|table_to_xml|cursor_to_xml|schema_to_xml|database_to_xml)/
+
+// Built-ins that write even when called from a SELECT
+const WRITING_FUNCTIONS = ['nextval', 'setval']
+
+const NESTED_DML: Record<string, string> = {
+  InsertStmt: 'insert',
+  UpdateStmt: 'update',
+  DeleteStmt: 'delete',
+  MergeStmt: 'merge'
+}
+
+// ALTER TABLE subcommands that would weaken or hand over a table
+const BLOCKED_ALTER_COMMANDS = [
+  'AT_ChangeOwner',
+  'AT_DisableRowSecurity',
+  'AT_NoForceRowSecurity',
+  'AT_SetTableSpace',
+  'AT_ReplicaIdentity'
+]
+
+const FUNCTION_LANGUAGES = ['sql', 'plpgsql']
+
+export interface Policy {
+  appId: number
+  tablePrefix: string
+  allowedStatements: string[]
+  readOnly: boolean
+}
+
+// A $n placeholder; offset and length locate it in the statement's sql
+export interface ParamReference {
+  number: number
+  offset: number
+  length: number
+}
+
+export interface ParsedStatement {
+  index: number
+  sql: string
+  kind: string
+  node: Record<string, any>
+  params: ParamReference[]
+  returnsRows: boolean
+}
+
+export interface CheckedStatement extends ParsedStatement {
+  tables: string[]
+  violations: string[]
+}
+
+export class SqlParseError extends Error {}
+
+// A read-only policy only keeps SELECT, and also rules out anything a SELECT
+// could write through: data-modifying CTEs, row locks and the app's own functions
+export function policyFor(appId: number, allowedStatements?: string[] | null, { readOnly = false } = {}): Policy {
+  const allowed = (allowedStatements ?? DEFAULT_ALLOWED_STATEMENTS)
+    .filter(kind => KNOWN_STATEMENTS.includes(kind))
+    .filter(kind => !readOnly || kind === 'select')
+
+  return {
+    appId,
+    tablePrefix: `app_${appId}_`,
+    allowedStatements: allowed,
+    readOnly
+  }
+}
+
+// Splits a batch into statements with their own source text
+export async function parseStatements(sql: string): Promise<ParsedStatement[]> {
+  let tree
+  try {
+    tree = await parse(sql)
+  } catch (error) {
+    throw new SqlParseError(`SQL syntax error: ${error.message}`)
+  }
+
+  return (tree.stmts ?? []).map((raw: Record<string, any>, index: number) => {
+    const untrimmed = raw.stmt_len ? sql.slice(raw.stmt_location ?? 0, (raw.stmt_location ?? 0) + raw.stmt_len) : sql.slice(raw.stmt_location ?? 0)
+    const start = (raw.stmt_location ?? 0) + untrimmed.length - untrimmed.trimStart().length
+    const text = untrimmed.trim()
+    const [type, node] = Object.entries(raw.stmt)[0] as [string, Record<string, any>]
+    const kind = statementKind(type, node)
+
+    return {
+      index,
+      sql: text,
+      kind,
+      node: { [type]: node },
+      params: DML_STATEMENTS.includes(kind) ? paramReferences(node, sql, start) : [],
+      returnsRows: kind === 'select' || (node.returningList ?? []).length > 0
+    }
+  })
+}
+
+// Locations are offsets into the whole batch; the result is relative to the statement
+function paramReferences(node: Record<string, any>, sql: string, start: number): ParamReference[] {
+  const params: ParamReference[] = []
+
+  walk(node, (key, child) => {
+    if (key !== 'ParamRef') return
+
+    const placeholder = sql.slice(child.location).match(/^\$\d+/)?.[0]
+    if (placeholder) params.push({ number: child.number, offset: child.location - start, length: placeholder.length })
+  })
+
+  return params
+}
+
+export async function checkStatement(statement: ParsedStatement, policy: Policy): Promise<CheckedStatement> {
+  const violations: string[] = []
+  const tables = new Set<string>()
+
+  if (!policy.allowedStatements.includes(statement.kind)) {
+    violations.push(`${describeKind(statement.kind)} statements are not allowed`)
+  }
+
+  // SELECT and DML can hide more DML in their CTEs, which needs its own permission
+  const nested = new Set<string>()
+  walk(statement.node, key => {
+    if (key && NESTED_DML[key] && NESTED_DML[key] !== statement.kind) nested.add(NESTED_DML[key])
+  })
+  for (const kind of nested) {
+    if (!policy.allowedStatements.includes(kind)) violations.push(`${kind.toUpperCase()} statements are not allowed`)
+  }
+
+  const [type, node] = Object.entries(statement.node)[0]
+  violations.push(...checkStatementShape(type, node, policy))
+  violations.push(...await checkReferences(statement.node, statement.sql, policy, tables))
+
+  return { ...statement, tables: [...tables], violations: [...new Set(violations)] }
+}
+
+function statementKind(type: string, node: Record<string, any>): string {
+  switch (type) {
+    case 'CreateStmt': return 'create_table'
+    case 'AlterTableStmt': return node.objtype === 'OBJECT_TABLE' ? 'alter_table' : 'unsupported'
+    case 'RenameStmt': return ['OBJECT_TABLE', 'OBJECT_COLUMN'].includes(node.renameType) ? 'alter_table' : 'unsupported'
+    case 'IndexStmt': return 'create_index'
+    case 'CreatePolicyStmt': return 'create_policy'
+    case 'AlterPolicyStmt': return 'alter_policy'
+    case 'GrantStmt': return node.is_grant ? 'grant' : 'revoke'
+    case 'CreateFunctionStmt': return 'create_function'
+    case 'CreateTrigStmt': return 'create_trigger'
+    case 'CommentStmt': return 'comment'
+    case 'SelectStmt': return node.intoClause ? 'create_table' : 'select'
+    case 'InsertStmt': return 'insert'
+    case 'UpdateStmt': return 'update'
+    case 'DeleteStmt': return 'delete'
+    case 'DropStmt': {
+      const kinds: Record<string, string> = {
+        OBJECT_TABLE: 'drop_table',
+        OBJECT_INDEX: 'drop_index',
+        OBJECT_POLICY: 'drop_policy',
+        OBJECT_TRIGGER: 'drop_trigger',
+        OBJECT_FUNCTION: 'drop_function'
+      }
+      return kinds[node.removeType] ?? 'unsupported'
+    }
+    default: return 'unsupported'
+  }
+}
+
+function describeKind(kind: string): string {
+  return kind === 'unsupported' ? 'These' : kind.replace('_', ' ').toUpperCase()
+}
+
+// Rules that depend on the statement type rather than on what it references
+function checkStatementShape(type: string, node: Record<string, any>, policy: Policy): string[] {
+  const violations: string[] = []
+  const prefixed = (name?: string) => !name || name.startsWith(policy.tablePrefix)
+
+  switch (type) {
+    case 'AlterTableStmt':
+      for (const { AlterTableCmd: command } of node.cmds ?? []) {
+        if (BLOCKED_ALTER_COMMANDS.includes(command?.subtype)) {
+          violations.push(`ALTER TABLE ${command.subtype.replace('AT_', '')} is not allowed`)
+        }
+      }
+      break
+    case 'IndexStmt':
+      if (!prefixed(node.idxname)) violations.push(`Index names must start with ${policy.tablePrefix}`)
+      break
+    case 'RenameStmt':
+      if (node.renameType === 'OBJECT_TABLE' && !node.newname?.startsWith(policy.tablePrefix)) {
+        violations.push(`Table names must start with ${policy.tablePrefix}`)
+      }
+      break
+    case 'GrantStmt':
+      if (node.objtype !== 'OBJECT_TABLE' || node.targtype !== 'ACL_TARGET_OBJECT') {
+        violations.push('GRANT is only allowed on individual tables')
+      }
+      for (const { RoleSpec: role } of node.grantees ?? []) {
+        if (!GRANTEES.includes(role?.rolename)) {
+          violations.push(`GRANT is only allowed to ${GRANTEES.join(', ')}`)
+        }
+      }
+      if (node.grant_option) violations.push('WITH GRANT OPTION is not allowed')
+      break
+    case 'CreateFunctionStmt': {
+      const name = qualifiedName(node.funcname).replace(/^public\./, '')
+      if (name.includes('.') || !prefixed(name)) violations.push(`Function names must start with ${policy.tablePrefix}`)
+
+      const options = functionOptions(node)
+      if (!FUNCTION_LANGUAGES.includes(options.language)) {
+        violations.push(`Functions must be written in ${FUNCTION_LANGUAGES.join(' or ')}`)
+      }
+      if (options.security) violations.push('SECURITY DEFINER functions are not allowed')
+      break
+    }
+    case 'DropStmt':
+      if (node.behavior === 'DROP_CASCADE') violations.push('DROP ... CASCADE is not allowed')
+      break
+  }
+
+  if (policy.readOnly) {
+    walk(node, (key, child) => {
+      if (key === 'LockingClause') violations.push('Row locks (FOR UPDATE/SHARE) are not allowed in read-only queries')
+      if (key === 'FuncCall') {
+        const name = qualifiedName(child.funcname).replace(/^(pg_catalog|public)\./, '')
+        if (WRITING_FUNCTIONS.includes(name) || name.startsWith('app_')) {
+          violations.push(`Calling ${name} is not allowed in read-only queries`)
+        }
+      }
+    })
+  }
+
+  return violations
+}
+
+// Walks the whole tree: every relation must be one of the app's tables in the
+// public schema, and function and type references must stay out of other schemas
+async function checkReferences(root: Record<string, any>, sql: string, policy: Policy, tables: Set<string>): Promise<string[]> {
+  const violations = new Set<string>()
+  const functionBodies: string[] = []
+  const plpgsqlFunctions: string[] = []
+
+  walkWithCtes(root, (key, node, ctes) => {
+    if (typeof node.relname === 'string') {
+      if (node.schemaname && node.schemaname !== 'public') {
+        violations.add(`References to the ${node.schemaname} schema are not allowed`)
+      } else if (!ctes.has(node.relname) || node.schemaname) {
+        tables.add(node.relname)
+        if (!node.relname.startsWith(policy.tablePrefix)) {
+          violations.add(`Table ${node.relname} does not belong to this app (names must start with ${policy.tablePrefix})`)
+        }
+      }
+    }
+
+    if (key === 'FuncCall' || key === 'CreateTrigStmt') {
+      const name = qualifiedName(node.funcname)
+      const violation = checkFunctionName(name, policy)
+      if (violation) violations.add(violation)
+    }
+
+    if (key === 'DropStmt' && node.removeType === 'OBJECT_FUNCTION') {
+      for (const object of node.objects ?? []) {
+        const name = qualifiedName(object.ObjectWithArgs?.objname)
+        if (!name.startsWith(policy.tablePrefix)) violations.add(`Function ${name} does not belong to this app`)
+      }
+    }
+
+    if (key === 'DropStmt' && node.removeType === 'OBJECT_INDEX') {
+      for (const object of node.objects ?? []) {
+        const name = qualifiedName(object.List?.items)
+        if (!name.startsWith(policy.tablePrefix)) violations.add(`Index ${name} does not belong to this app`)
+      }
+    }
+
+    if (Array.isArray(node.names) && 'typemod' in node) {
+      const schema = node.names.length > 1 ? stringValue(node.names[0]) : null
+      if (schema && schema !== 'pg_catalog' && schema !== 'public') {
+        violations.add(`Types from the ${schema} schema are not allowed`)
+      }
+    }
+
+    if (key === 'CreateFunctionStmt') {
+      const options = functionOptions(node)
+      if (options.language === 'sql' && options.body) functionBodies.push(options.body)
+      if (options.language === 'plpgsql') plpgsqlFunctions.push(sql)
+    }
+  })
+
+  // The table and column names DROP TABLE and DROP POLICY name are plain strings
+  walk(root, (key, node) => {
+    if (key !== 'DropStmt' || !['OBJECT_TABLE', 'OBJECT_POLICY', 'OBJECT_TRIGGER'].includes(node.removeType)) return
+
+    for (const object of node.objects ?? []) {
+      const parts = (object.List?.items ?? []).map(stringValue)
+      // DROP POLICY/TRIGGER name the object last, after its table
+      const relation = node.removeType === 'OBJECT_TABLE' ? parts : parts.slice(0, -1)
+      const name = relation[relation.length - 1]
+      if (relation.length > 1 && relation[0] !== 'public') {
+        violations.add(`References to the ${relation[0]} schema are not allowed`)
+      } else if (name) {
+        tables.add(name)
+        if (!name.startsWith(policy.tablePrefix)) {
+          violations.add(`Table ${name} does not belong to this app (names must start with ${policy.tablePrefix})`)
+        }
+      }
+    }
+  })
+
+  // SQL function bodies are statements too
+  for (const body of functionBodies) {
+    await checkFunctionBody(body, policy, tables, violations)
+  }
+
+  // So is every statement and expression in a PL/pgSQL body. Dynamic SQL
+  // (EXECUTE, FOR ... IN EXECUTE, OPEN ... FOR EXECUTE) is refused: a string
+  // built at run time can't be checked here
+  for (const source of plpgsqlFunctions) {
+    let tree
+    try {
+      tree = await parsePlPgSQL(source)
+    } catch (error) {
+      violations.add(`Function body: PL/pgSQL syntax error: ${error.message}`)
+      continue
+    }
+
+    const embedded: string[] = []
+    walk(tree, (key, node) => {
+      if (key?.startsWith('PLpgSQL_stmt_dyn') || node.dynquery) {
+        violations.add('Function body: dynamic SQL (EXECUTE) is not allowed')
+      }
+      if (key === 'PLpgSQL_expr') embedded.push(embeddedStatement(node))
+    })
+
+    for (const statement of embedded) {
+      await checkFunctionBody(statement, policy, tables, violations)
+    }
+  }
+
+  return [...violations]
+}
+
+async function checkFunctionBody(body: string, policy: Policy, tables: Set<string>, violations: Set<string>) {
+  let statements
+  try {
+    statements = await parseStatements(body)
+  } catch (error) {
+    violations.add(`Function body: ${error.message}`)
+    return
+  }
+
+  for (const statement of statements) {
+    const checked = await checkStatement(statement, { ...policy, allowedStatements: KNOWN_STATEMENTS })
+    checked.tables.forEach(table => tables.add(table))
+    checked.violations.forEach(violation => violations.add(`Function body: ${violation}`))
+  }
+}
+
+// PL/pgSQL keeps whole statements as they are (parseMode 0), but expressions
+// (2) and assignments (3 and up, "target := expression") without a SELECT
+function embeddedStatement(expr: Record<string, any>): string {
+  const query: string = expr.query ?? ''
+  if (!expr.parseMode) return query
+  if (expr.parseMode === 2) return `SELECT ${query}`
+  return `SELECT ${query.replace(/^[^=]*?:?=/, '')}`
+}
+
+function checkFunctionName(name: string, policy: Policy): string | null {
+  if (!name) return null
+
+  if (name.includes('.')) {
+    const [schema, ...rest] = name.split('.')
+    if (schema === 'pg_catalog') return checkFunctionName(rest.join('.'), policy)
+    if (schema === 'public') return checkFunctionName(rest.join('.'), policy) ?? appFunctionViolation(rest.join('.'), policy)
+    return QUALIFIED_FUNCTIONS.includes(name) ? null : `Calling ${name} is not allowed`
+  }
+
+  if (BLOCKED_FUNCTION.test(name)) return `Calling ${name} is not allowed`
+  return appFunctionViolation(name, policy)
+}
+
+// Unqualified app_ functions are other apps' functions unless they carry this app's prefix
+function appFunctionViolation(name: string, policy: Policy): string | null {
+  if (name.startsWith('app_') && !name.startsWith(policy.tablePrefix)) {
+    return `Function ${name} does not belong to this app`
+  }
+  return null
+}
+
+function functionOptions(node: Record<string, any>) {
+  const options: Record<string, any> = {}
+
+  for (const { DefElem: option } of node.options ?? []) {
+    if (!option) continue
+    if (option.defname === 'language') options.language = stringValue(option.arg)
+    if (option.defname === 'as') options.body = (option.arg?.List?.items ?? []).map(stringValue).join('')
+    if (option.defname === 'security') options.security = option.arg?.Boolean?.boolval === true
+  }
+
+  return options
+}
+
+function qualifiedName(parts?: Record<string, any>[]): string {
+  return (parts ?? []).map(stringValue).filter(Boolean).join('.')
+}
+
+function stringValue(node?: Record<string, any>): string {
+  return node?.String?.sval ?? node?.String?.str ?? ''
+}
+
+// Calls visit(nodeType, node) for wrapped nodes ({"FuncCall": {...}}) and
+// visit(null, node) for bare ones such as the relation of a CreateStmt
+function walk(value: unknown, visit: (key: string | null, node: Record<string, any>) => void, key: string | null = null) {
+  if (Array.isArray(value)) {
+    value.forEach(item => walk(item, visit))
+    return
+  }
+  if (!value || typeof value !== 'object') return
+
+  visit(key, value as Record<string, any>)
+  for (const [childKey, child] of Object.entries(value as Record<string, any>)) {
+    walk(child, visit, /^[A-Z]/.test(childKey) ? childKey : null)
+  }
+}
+
+// walk, also passing the CTE names a node can see. A WITH list is visible
+// only inside its own statement, and each CTE sees the ones before it (all of
+// them under WITH RECURSIVE). The table a statement writes to or defines is
+// never a CTE.
+function walkWithCtes(
+  value: unknown,
+  visit: (key: string | null, node: Record<string, any>, ctes: Set<string>) => void,
+  key: string | null = null,
+  ctes: Set<string> = new Set()
+) {
+  if (Array.isArray(value)) {
+    value.forEach(item => walkWithCtes(item, visit, null, ctes))
+    return
+  }
+  if (!value || typeof value !== 'object') return
+
+  const node = value as Record<string, any>
+  const withCtes: Record<string, any>[] = (node.withClause?.ctes ?? []).map((cte: any) => cte.CommonTableExpr).filter(Boolean)
+  const names = withCtes.map(cte => cte.ctename)
+  const scope = names.length ? new Set([...ctes, ...names]) : ctes
+
+  visit(key, node, scope)
+  for (const [childKey, child] of Object.entries(node)) {
+    if (childKey === 'withClause' && withCtes.length) {
+      withCtes.forEach((cte, index) => {
+        const visible = node.withClause.recursive ? scope : new Set([...ctes, ...names.slice(0, index)])
+        walkWithCtes(cte, visit, 'CommonTableExpr', visible)
+      })
+    } else {
+      walkWithCtes(child, visit, /^[A-Z]/.test(childKey) ? childKey : null, childKey === 'relation' ? new Set() : scope)
+    }
+  }
+}
@@ -0,0 +1,73 @@
+-- Support for the execute-sql edge function: per-app statement policies, the
+-- audit log, and exec_dynamic_sql running a whole batch in one transaction.
+
+-- Narrows the statement kinds an app may run; apps without a row get the defaults
+CREATE TABLE IF NOT EXISTS public.app_sql_policies (
+  app_id integer PRIMARY KEY,
+  allowed_statements text[] NOT NULL,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.app_sql_policies ENABLE ROW LEVEL SECURITY;
+
+-- One row per statement the function was asked to run, whatever happened to it
+CREATE TABLE IF NOT EXISTS public.sql_audit_log (
+  id bigserial PRIMARY KEY,
+  request_id uuid NOT NULL,
+  app_id integer NOT NULL,
+  statement_index integer NOT NULL,
+  statement_kind text NOT NULL,
+  tables text[] NOT NULL DEFAULT '{}',
+  sql text NOT NULL,
+  status text NOT NULL CHECK (status IN ('executed', 'failed', 'rolled_back', 'rejected', 'skipped')),
+  error text,
+  violations text[] NOT NULL DEFAULT '{}',
+  duration_ms integer,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS index_sql_audit_log_on_app_id_and_created_at ON public.sql_audit_log (app_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS index_sql_audit_log_on_request_id ON public.sql_audit_log (request_id);
+
+-- No policies: only the service role can read or write these tables
+ALTER TABLE public.sql_audit_log ENABLE ROW LEVEL SECURITY;
+
+DROP FUNCTION IF EXISTS public.exec_dynamic_sql(text, jsonb);
+
+-- Runs already-authorized statements in order. They share one block, so when
+-- one fails everything before it is rolled back and its position is reported.
+CREATE OR REPLACE FUNCTION public.exec_dynamic_sql(sql_statements text[], sql_params jsonb DEFAULT '[]'::jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  statement text;
+  current_index integer := -1;
+BEGIN
+  IF coalesce(current_setting('request.jwt.claims', true)::jsonb->>'role', '') <> 'service_role' THEN
+    RAISE EXCEPTION 'Unauthorized';
+  END IF;
+
+  BEGIN
+    FOREACH statement IN ARRAY coalesce(sql_statements, '{}') LOOP
+      current_index := current_index + 1;
+      EXECUTE statement;
+    END LOOP;
+  EXCEPTION
+    WHEN OTHERS THEN
+      RETURN jsonb_build_object(
+        'success', false,
+        'error', SQLERRM,
+        'sqlstate', SQLSTATE,
+        'failed_statement', current_index
+      );
+  END;
+
+  RETURN jsonb_build_object('success', true, 'executed', current_index + 1);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.exec_dynamic_sql(text[], jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.exec_dynamic_sql(text[], jsonb) TO service_role;
@@ -0,0 +1,133 @@
+-- exec_dynamic_sql with bound parameters and results: SELECTs (and DML with
+-- RETURNING) come back as rows with column names and types, other statements
+-- report how many rows they changed.
+
+DROP FUNCTION IF EXISTS public.exec_dynamic_sql(text[], jsonb);
+
+-- sql_statements: [{sql, params: [{number, offset, length}], returns_rows}] as
+-- prepared by the execute-sql edge function, which has already authorized them.
+-- Only the owner can call it: execute-sql connects to the database directly
+-- and sets statement_timeout and lock_timeout for its transaction before the
+-- call. A SET clause here wouldn't help, because a statement's timeout is
+-- armed when the client sends it, not when a function changes the setting.
+-- sql_params is bound with USING: each $n placeholder is replaced by a read of
+-- element n - 1 cast to the type Postgres infers for $n, so values never
+-- become part of the SQL text.
+CREATE OR REPLACE FUNCTION public.exec_dynamic_sql(
+  sql_statements jsonb,
+  sql_params jsonb DEFAULT '[]'::jsonb,
+  max_rows integer DEFAULT 1000
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SET search_path = public, pg_temp
+AS $$
+DECLARE
+  statement jsonb;
+  param jsonb;
+  query text;
+  param_types regtype[];
+  param_type regtype;
+  param_index integer;
+  current_index integer := -1;
+  affected bigint;
+  result_columns jsonb;
+  result_rows jsonb;
+  results jsonb := '[]'::jsonb;
+  row_limit integer := greatest(1, least(coalesce(max_rows, 1000), 10000));
+BEGIN
+  IF jsonb_typeof(sql_params) IS DISTINCT FROM 'array' THEN
+    RAISE EXCEPTION 'sql_params must be a JSON array';
+  END IF;
+
+  -- One block, so when a statement fails everything before it is rolled back
+  BEGIN
+    FOR statement IN SELECT value FROM jsonb_array_elements(sql_statements) LOOP
+      current_index := current_index + 1;
+      query := statement->>'sql';
+
+      IF jsonb_array_length(coalesce(statement->'params', '[]'::jsonb)) > 0 THEN
+        -- Let Postgres infer each placeholder's type from where it's used
+        IF EXISTS (SELECT 1 FROM pg_prepared_statements WHERE name = 'exec_dynamic_sql_params') THEN
+          DEALLOCATE exec_dynamic_sql_params;
+        END IF;
+        EXECUTE format('PREPARE exec_dynamic_sql_params AS %s', query);
+        SELECT parameter_types INTO param_types FROM pg_prepared_statements WHERE name = 'exec_dynamic_sql_params';
+        DEALLOCATE exec_dynamic_sql_params;
+
+        -- Replace from the end so earlier offsets stay valid
+        FOR param IN
+          SELECT value FROM jsonb_array_elements(statement->'params') ORDER BY (value->>'offset')::integer DESC
+        LOOP
+          param_index := (param->>'number')::integer;
+          IF param_index > jsonb_array_length(sql_params) THEN
+            RAISE EXCEPTION 'There is no parameter $%', param_index;
+          END IF;
+
+          param_type := param_types[param_index];
+          query := overlay(query PLACING (
+            CASE
+              WHEN param_type IN ('json'::regtype, 'jsonb'::regtype) THEN format('($1->%s)::%s', param_index - 1, param_type)
+              WHEN EXISTS (SELECT 1 FROM pg_type WHERE oid = param_type AND typcategory = 'A')
+                THEN format('ARRAY(SELECT jsonb_array_elements_text($1->%s))::%s', param_index - 1, param_type)
+              ELSE format('($1->>%s)::%s', param_index - 1, param_type)
+            END
+          ) FROM (param->>'offset')::integer + 1 FOR (param->>'length')::integer);
+        END LOOP;
+      END IF;
+
+      IF coalesce((statement->>'returns_rows')::boolean, false) THEN
+        -- A temp table gives us the column names and types, and the extra row tells us the limit was hit
+        EXECUTE format(
+          'CREATE TEMP TABLE exec_dynamic_sql_result ON COMMIT DROP AS WITH statement_rows AS (%s) SELECT * FROM statement_rows LIMIT %s',
+          query, row_limit + 1
+        ) USING sql_params;
+        GET DIAGNOSTICS affected = ROW_COUNT;
+
+        SELECT coalesce(jsonb_agg(jsonb_build_object('name', attname, 'type', format_type(atttypid, atttypmod)) ORDER BY attnum), '[]'::jsonb)
+        INTO result_columns
+        FROM pg_attribute
+        WHERE attrelid = 'pg_temp.exec_dynamic_sql_result'::regclass AND attnum > 0 AND NOT attisdropped;
+
+        EXECUTE format(
+          'SELECT coalesce(jsonb_agg(jsonb_build_array(%s)), ''[]''::jsonb) FROM (SELECT * FROM pg_temp.exec_dynamic_sql_result LIMIT %s) result_rows',
+          (SELECT coalesce(string_agg(format('result_rows.%I', column_info->>'name'), ', '), '') FROM jsonb_array_elements(result_columns) AS column_info),
+          row_limit
+        ) INTO result_rows;
+        DROP TABLE pg_temp.exec_dynamic_sql_result;
+
+        results := results || jsonb_build_array(jsonb_build_object(
+          'columns', result_columns,
+          'rows', result_rows,
+          'row_count', least(affected, row_limit),
+          'truncated', affected > row_limit
+        ));
+      ELSE
+        EXECUTE query USING sql_params;
+        GET DIAGNOSTICS affected = ROW_COUNT;
+        results := results || jsonb_build_array(jsonb_build_object('row_count', affected));
+      END IF;
+    END LOOP;
+  -- A statement timeout (query_canceled) isn't caught by OTHERS; it aborts
+  -- the whole call and execute-sql reports it
+  EXCEPTION
+    WHEN OTHERS THEN
+      RETURN jsonb_build_object(
+        'success', false,
+        'error', CASE SQLSTATE
+          WHEN '55P03' THEN 'Gave up waiting for a lock held by another query'
+          WHEN '42701' THEN SQLERRM || ' (give duplicate result columns an alias)'
+          ELSE SQLERRM
+        END,
+        'sqlstate', SQLSTATE,
+        'failed_statement', current_index
+      );
+  END;
+
+  RETURN jsonb_build_object('success', true, 'executed', current_index + 1, 'results', results);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.exec_dynamic_sql(jsonb, jsonb, integer) FROM PUBLIC, anon, authenticated, service_role;
+
+ALTER TABLE public.sql_audit_log ADD COLUMN IF NOT EXISTS row_count bigint;
@@ -0,0 +1,88 @@
+require "test_helper"
+
+class AppPreviewChannelTest < ActionCable::Channel::TestCase
+  include ActiveJob::TestHelper
+
+  setup do
+    @user = FactoryBot.create(:onboarded_user)
+    @app = create(:app, team: @user.current_team)
+    # The test environment's null store keeps nothing, and MemoryStore reads
+    # counters back with plain read. Use Redis, as in production.
+    @cache = ActiveSupport::Cache::RedisCacheStore.new(
+      url: ENV.fetch("REDIS_URL", "redis://localhost:6379/0"),
+      namespace: "test:app_preview_channel:#{SecureRandom.hex(4)}"
+    )
+    Rails.stubs(:cache).returns(@cache)
+
+    stub_connection current_user: @user
+    subscribe app_id: @app.id
+  end
+
+  teardown do
+    @cache.clear
+  end
+
+  test "stamps each update with the next sequence number" do
+    subscription.send(:broadcast_hmr_update, @app, "src/App.tsx", "export default 1")
+    subscription.send(:broadcast_hmr_batch, @app, {"src/a.ts" => "a", "src/b.ts" => "b"})
+
+    assert_equal 2, subscription.send(:current_sequence, @app)
+  end
+
+  test "tells new subscribers the current sequence number" do
+    subscription.send(:broadcast_hmr_update, @app, "src/App.tsx", "export default 1")
+    subscribe app_id: @app.id
+
+    assert_equal ["connected", 1], transmissions.last.values_at("type", "seq")
+  end
+
+  test "replays the updates a reconnecting client missed, in order" do
+    3.times { |i| subscription.send(:broadcast_hmr_update, @app, "src/App.tsx", "v#{i}") }
+
+    perform :resync, since: 1
+
+    assert_equal "replay", transmissions.last["type"]
+    assert_equal 3, transmissions.last["seq"]
+    assert_equal [2, 3], transmissions.last["updates"].map { |update| update["seq"] }
+    assert_equal "v2", transmissions.last["updates"].last["content"]
+  end
+
+  test "sends the file manifest when the missed updates are no longer replayable" do
+    create(:app_file, app: @app, path: "src/App.tsx", content: "v1")
+    create(:app_file, app: @app, path: "src/a.ts", content: "a")
+    subscription.send(:broadcast_hmr_update, @app, "src/App.tsx", "v1")
+    subscription.send(:broadcast_hmr_batch, @app, {"src/a.ts" => "a"})
+    Rails.cache.delete("preview_replay:#{@app.id}:1")
+
+    perform :resync, since: 0
+
+    assert_equal "manifest", transmissions.last["type"]
+    assert_equal({"hash" => Digest::SHA256.hexdigest("v1"), "seq" => 1}, transmissions.last["files"]["src/App.tsx"])
+    assert_equal 2, transmissions.last["files"]["src/a.ts"]["seq"]
+  end
+
+  test "sends the manifest when more updates were missed than the log keeps" do
+    Rails.cache.increment("preview_seq:#{@app.id}", AppPreviewChannel::REPLAY_LOG_SIZE + 1)
+
+    perform :resync, since: 0
+
+    assert_equal "manifest", transmissions.last["type"]
+  end
+
+  test "sends the state with cached modules and compiles the rest in the background" do
+    create(:app_file, app: @app, path: "src/App.tsx", content: "export default 1")
+    create(:app_file, app: @app, path: "src/a.ts", content: "export const a = 1")
+    create(:app_file, app: @app, path: "src/index.css", content: "body {}")
+    Rails.cache.write("vite_build:#{@app.id}:src/App.tsx:#{Digest::MD5.hexdigest("export default 1")}", {success: true, compiled_content: "compiled App"})
+    FastBuildService.any_instance.expects(:compile_module).never
+
+    assert_enqueued_with(job: CompilePreviewModulesJob, args: [@app.id, ["src/a.ts"]]) do
+      perform :request_state
+    end
+
+    state = transmissions.last
+    assert_equal "state", state["type"]
+    assert_equal ["src/App.tsx", "src/a.ts"], state["files"].keys.sort
+    assert_equal({"src/App.tsx" => "compiled App"}, state["modules"])
+  end
+end
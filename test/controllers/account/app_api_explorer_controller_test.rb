@@ -0,0 +1,111 @@
+require "test_helper"
+
+class Account::AppApiExplorerControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    @user = FactoryBot.create(:onboarded_user)
+    sign_in @user
+    @team = @user.current_team
+    @app = create(:app, team: @team)
+    @collection = @app.app_api_collections.create!(name: "Posts")
+  end
+
+  test "saves requests and environments for the team" do
+    post create_collection_account_app_api_explorer_url(@app), params: {collection: {name: "Users"}}, as: :json
+    assert_response :success
+    collection = @app.app_api_collections.find_by!(name: "Users")
+    assert_equal @user, collection.created_by
+
+    post create_request_account_app_api_explorer_url(@app, collection), params: {request: {
+      name: "List users", http_method: "get", url: "{{baseUrl}}/users",
+      headers: [{name: "Accept", value: "application/json"}, {name: "X-Debug", value: "1", enabled: false}]
+    }}, as: :json
+    assert_response :success
+    api_request = collection.app_api_requests.sole
+    assert_equal "GET", api_request.http_method
+    assert_equal [false], api_request.headers.filter_map { |header| header["enabled"] if header["name"] == "X-Debug" }
+
+    patch update_request_account_app_api_explorer_url(@app, api_request), params: {request: {collection_id: @collection.id}}, as: :json
+    assert_equal @collection, api_request.reload.app_api_collection
+
+    post create_environment_account_app_api_explorer_url(@app), params: {environment: {
+      name: "Staging", variables: [{key: "baseUrl", value: "https://staging.test"}, {key: "token", value: "abc", secret: true}]
+    }}, as: :json
+    assert_response :success
+
+    get account_app_api_explorer_url(@app)
+    body = JSON.parse(response.body)
+    assert_equal [["Posts", ["List users"]], ["Users", []]], body["collections"].map { |item| [item["name"], item["requests"].map { |request| request["name"] }] }
+    assert_equal [true], body["environments"].first["variables"].filter_map { |variable| variable["secret"] if variable["key"] == "token" }
+  end
+
+  test "reports invalid records" do
+    post create_collection_account_app_api_explorer_url(@app), params: {collection: {name: "Posts"}}, as: :json
+    assert_response :unprocessable_entity
+    assert_equal "Name has already been taken", JSON.parse(response.body)["error"]
+
+    post create_environment_account_app_api_explorer_url(@app), params: {environment: {name: "Bad", variables: [{key: "has space"}]}}, as: :json
+    assert_response :unprocessable_entity
+  end
+
+  test "imports and exports collections" do
+    document = {info: {name: "Shop"}, item: [{name: "Health", request: {method: "GET", url: "https://shop.test/health"}}]}.to_json
+    post import_collection_account_app_api_explorer_url(@app), params: {content: document}
+    assert_response :success
+    body = JSON.parse(response.body)
+    assert_equal ["postman", "Shop", ["Health"]], [body["format"], body["collection"]["name"], body["collection"]["requests"].map { |request| request["name"] }]
+
+    post import_collection_account_app_api_explorer_url(@app), params: {content: {swagger: "2.0"}.to_json}
+    assert_response :unprocessable_entity
+
+    get export_collection_account_app_api_explorer_url(@app, body["collection"]["id"], as: "openapi")
+    assert_response :success
+    assert_match(/attachment; filename="shop.openapi.json"/, response.headers["Content-Disposition"])
+    assert_equal ["/health"], JSON.parse(response.body)["paths"].keys
+  end
+
+  test "serves the app's OpenAPI spec" do
+    create(:app_table, app: @app, name: "posts")
+
+    get openapi_account_app_api_explorer_url(@app)
+    assert_response :success
+    assert_equal "application/json", response.media_type
+    assert_includes JSON.parse(response.body)["paths"].keys, "/supabase/rest/v1/app_#{@app.id}_posts"
+
+    get openapi_account_app_api_explorer_url(@app, as: "yaml", download: 1)
+    assert_equal "application/yaml", response.media_type
+    assert_match(/\Aattachment;/, response.headers["Content-Disposition"])
+    assert_equal "3.0.3", YAML.safe_load(response.body)["openapi"]
+  end
+
+  test "only reaches the team's own collections" do
+    other_app = create(:app)
+    other_collection = other_app.app_api_collections.create!(name: "Secret")
+    other_request = other_collection.app_api_requests.create!(name: "Admin", url: "https://other.test/admin", http_method: "GET")
+    other_environment = other_app.app_api_environments.create!(name: "Prod", variables: [{"key" => "token", "value" => "t0ken", "secret" => true}])
+
+    get account_app_api_explorer_url(other_app)
+    assert_response :not_found
+
+    get openapi_account_app_api_explorer_url(other_app)
+    assert_response :not_found
+
+    get export_collection_account_app_api_explorer_url(@app, other_collection)
+    assert_response :not_found
+
+    delete delete_request_account_app_api_explorer_url(@app, other_request)
+    assert_response :not_found
+
+    own_request = @collection.app_api_requests.create!(name: "Mine", url: "/mine", http_method: "GET")
+    patch update_request_account_app_api_explorer_url(@app, own_request), params: {request: {collection_id: other_collection.id}}, as: :json
+    assert_response :not_found
+
+    patch update_environment_account_app_api_explorer_url(@app, other_environment), params: {environment: {name: "Mine"}}, as: :json
+    assert_response :not_found
+
+    assert other_request.reload.persisted?
+    assert_equal @collection, own_request.reload.app_api_collection
+    assert_equal "Prod", other_environment.reload.name
+  end
+end
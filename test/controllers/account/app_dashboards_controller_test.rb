@@ -0,0 +1,222 @@
+require "test_helper"
+
+class Account::AppDashboardsControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    @user = FactoryBot.create(:onboarded_user)
+    sign_in @user
+    @team = @user.current_team
+    @app = create(:app, team: @team)
+    @table = create(:app_table, app: @app, name: "posts")
+    create(:app_table_column, app_table: @table, name: "title", column_type: "text", options: nil)
+  end
+
+  test "pages, sorts and filters table data" do
+    Supabase::AppDatabaseService.any_instance.expects(:query_table_data)
+      .with("posts", @user.id, limit: 500, offset: 0, order: {column: "title", direction: "desc"},
+        filters: [{column: "title", operator: "ilike", value: "%hello%"}])
+      .returns({rows: [{"id" => 1, "title" => "Hello"}], total: 1})
+
+    get table_data_account_app_dashboard_url(@app, @table), params: {
+      limit: 10_000, offset: -5, sort: "title", direction: "desc",
+      filters: [{column: "title", operator: "ilike", value: "%hello%"}].to_json
+    }
+
+    assert_response :success
+    body = JSON.parse(response.body)
+    assert_equal 1, body["total"]
+    assert_equal 500, body["limit"]
+    assert_equal [{"id" => 1, "title" => "Hello"}], body["data"]
+  end
+
+  test "refuses unknown sort columns and filter operators" do
+    Supabase::AppDatabaseService.any_instance.expects(:query_table_data).never
+
+    get table_data_account_app_dashboard_url(@app, @table), params: {sort: "secret"}
+    assert_response :bad_request
+
+    get table_data_account_app_dashboard_url(@app, @table), params: {filters: [{column: "title", operator: "like", value: "x"}].to_json}
+    assert_response :bad_request
+
+    get table_data_account_app_dashboard_url(@app, @table), params: {filters: "not json"}
+    assert_response :bad_request
+  end
+
+  test "updates and deletes records in bulk" do
+    Supabase::AppDatabaseService.any_instance.expects(:update_records)
+      .with("posts", ["1", "2"], has_entry("title", "Same"), @user.id)
+      .returns([{"id" => 1}, {"id" => 2}])
+    Supabase::AppDatabaseService.any_instance.expects(:delete_records).with("posts", ["3"], @user.id)
+
+    post bulk_update_records_account_app_dashboard_url(@app, @table), params: {ids: ["1", "2"], record: {title: "Same"}}, as: :json
+    assert_response :success
+    assert_equal "2 records updated successfully", JSON.parse(response.body)["message"]
+
+    post bulk_delete_records_account_app_dashboard_url(@app, @table), params: {ids: ["3"]}, as: :json
+    assert_response :success
+    assert_equal "1 record deleted successfully", JSON.parse(response.body)["message"]
+  end
+
+  test "reports bulk changes the database refuses" do
+    Supabase::AppDatabaseService.any_instance.expects(:update_records)
+      .raises(RuntimeError, "Supabase update failed (400): invalid input syntax for type integer")
+    Supabase::AppDatabaseService.any_instance.expects(:delete_records)
+      .raises(RuntimeError, "Supabase delete failed (409): violates foreign key constraint")
+
+    post bulk_update_records_account_app_dashboard_url(@app, @table), params: {ids: ["1"], record: {views: "many"}}, as: :json
+    assert_response :unprocessable_entity
+    body = JSON.parse(response.body)
+    assert_equal false, body["success"]
+    assert_match(/\AFailed to update records: .*invalid input syntax/, body["error"])
+
+    post bulk_delete_records_account_app_dashboard_url(@app, @table), params: {ids: ["1"]}, as: :json
+    assert_response :unprocessable_entity
+    assert_match(/\AFailed to delete records: .*foreign key/, JSON.parse(response.body)["error"])
+  end
+
+  test "imports an upload with the chosen mapping" do
+    DataImport::TableImportService.any_instance.expects(:import)
+      .with(mapping: {"Title" => "title"}, mode: "upsert", key: "title", validate_only: true)
+      .returns({success: true, inserted: 1, updated: 0, failed: 0, errors: []})
+
+    post import_records_account_app_dashboard_url(@app, @table), params: {
+      file: Rack::Test::UploadedFile.new(StringIO.new("Title\nHello\n"), "text/csv", original_filename: "posts.csv"),
+      mapping: {"Title" => "title"}.to_json, mode: "upsert", key: "title", validate_only: "true"
+    }
+
+    assert_response :success
+    assert_equal 1, JSON.parse(response.body)["inserted"]
+  end
+
+  test "refuses a mapping that isn't JSON" do
+    post import_records_account_app_dashboard_url(@app, @table), params: {
+      file: Rack::Test::UploadedFile.new(StringIO.new("Title\nHello\n"), "text/csv", original_filename: "posts.csv"),
+      mapping: "title"
+    }
+
+    assert_response :bad_request
+  end
+
+  test "exports the table as a download" do
+    Supabase::AppDatabaseService.any_instance.expects(:query_table_data)
+      .returns({rows: [{"id" => 1, "title" => "Hello"}], total: 1})
+
+    get export_table_data_account_app_dashboard_url(@app, @table), params: {format: "csv"}
+
+    assert_response :success
+    assert_equal "text/csv", response.media_type
+    assert_match(/attachment; filename="posts_\d+_\d+\.csv"/, response.headers["Content-Disposition"])
+    assert_equal "id,title,created_at,updated_at\n1,Hello,,\n", response.body
+  end
+
+  test "creates and removes relationships between the app's tables" do
+    authors = create(:app_table, app: @app, name: "authors")
+    Database::RelationshipService.any_instance.expects(:create)
+      .with(parent: authors, child: @table, kind: "one_to_many", on_delete: "set_null", column_name: nil)
+      .returns({success: true, relationship: {column: "author_id"}})
+
+    post create_relationship_account_app_dashboard_url(@app), params: {parent_table_id: authors.id, child_table_id: @table.id, on_delete: "set_null"}, as: :json
+
+    assert_response :success
+    assert_equal "author_id", JSON.parse(response.body)["relationship"]["column"]
+
+    other_column = create(:app_table_column, app_table: create(:app_table, app: create(:app), name: "posts"), name: "author_id", column_type: "text", options: nil)
+    delete delete_relationship_account_app_dashboard_url(@app, other_column), as: :json
+    assert_response :not_found
+  end
+
+  test "won't delete a table other tables reference" do
+    comments = create(:app_table, app: @app, name: "comments")
+    create(:app_table_column, app_table: comments, name: "post_id", column_type: "reference", default_value: nil,
+      options: {table_id: @table.id, table: "posts", on_delete: "restrict"}.to_json)
+    Supabase::AppDatabaseService.any_instance.expects(:drop_table).never
+
+    delete delete_table_account_app_dashboard_url(@app, @table), as: :json
+
+    assert_response :unprocessable_entity
+    assert_match(/comments.post_id/, JSON.parse(response.body)["error"])
+  end
+
+  test "previews a schema change without applying it" do
+    Supabase::AppDatabaseService.any_instance.expects(:count_rows).with("posts", column: nil).returns(5)
+    Supabase::AppDatabaseService.any_instance.expects(:add_column).never
+
+    post create_column_account_app_dashboard_url(@app, @table), params: {column: {name: "views", column_type: "number"}, dry_run: true}, as: :json
+
+    assert_response :success
+    body = JSON.parse(response.body)
+    assert body["dry_run"]
+    assert_equal 5, body["migration"]["affected_rows"]
+    assert_not @table.app_table_columns.exists?(name: "views")
+  end
+
+  test "lists and rolls back schema migrations" do
+    Supabase::AppDatabaseService.any_instance.stubs(:count_rows).returns(0)
+    Supabase::AppDatabaseService.any_instance.stubs(:add_column).returns({})
+    post create_column_account_app_dashboard_url(@app, @table), params: {column: {name: "views", column_type: "number"}}, as: :json
+    assert_response :success
+
+    get schema_migrations_account_app_dashboard_url(@app), as: :json
+    migrations = JSON.parse(response.body)["migrations"]
+    assert_equal ["add_views_to_posts"], migrations.map { |migration| migration["name"] }
+    assert_equal @user.name, migrations.first["user"]
+
+    post rollback_schema_migrations_account_app_dashboard_url(@app), params: {steps: 0}, as: :json
+    assert_response :unprocessable_entity
+
+    Supabase::AppDatabaseService.any_instance.expects(:drop_column).with("posts", "views").returns({})
+    post rollback_schema_migrations_account_app_dashboard_url(@app), params: {steps: 1}, as: :json
+    assert_response :success
+    assert_equal [1], JSON.parse(response.body)["rolled_back"]
+  end
+
+  test "runs a read-only query with params and a row limit" do
+    result = {"success" => true, "results" => [{"statement" => 0, "kind" => "select", "columns" => [{"name" => "title", "type" => "text"}], "rows" => [["Hello"]], "row_count" => 1, "truncated" => false}]}
+    Supabase::AppDatabaseService.any_instance.expects(:run_query)
+      .with("SELECT title FROM app_#{@app.id}_posts WHERE id = $1", params: ["7"], read_only: true, max_rows: 1000)
+      .returns(result)
+
+    post run_query_account_app_dashboard_url(@app), params: {
+      sql: "SELECT title FROM app_#{@app.id}_posts WHERE id = $1", params: ["7"], max_rows: 1000
+    }, as: :json
+
+    assert_response :success
+    assert_equal [["Hello"]], JSON.parse(response.body)["results"].first["rows"]
+  end
+
+  test "falls back to the smallest row limit and can run writes" do
+    Supabase::AppDatabaseService.any_instance.expects(:run_query)
+      .with("CREATE INDEX app_#{@app.id}_posts_title_idx ON app_#{@app.id}_posts (title)", params: [], read_only: false, max_rows: 100)
+      .returns({"success" => true, "results" => []})
+
+    post run_query_account_app_dashboard_url(@app), params: {
+      sql: "CREATE INDEX app_#{@app.id}_posts_title_idx ON app_#{@app.id}_posts (title)", read_only: false, max_rows: 5_000_000
+    }, as: :json
+
+    assert_response :success
+  end
+
+  test "reports policy violations" do
+    Supabase::AppDatabaseService.any_instance.expects(:run_query)
+      .returns({"success" => false, "error" => "SQL operation not allowed: Table app_2_users does not belong to this app"})
+
+    post run_query_account_app_dashboard_url(@app), params: {sql: "SELECT * FROM app_2_users"}, as: :json
+
+    assert_response :unprocessable_entity
+    assert_match(/does not belong to this app/, JSON.parse(response.body)["error"])
+  end
+
+  test "requires a query" do
+    post run_query_account_app_dashboard_url(@app), params: {sql: " "}, as: :json
+
+    assert_response :unprocessable_entity
+  end
+  test "only reaches the team's own tables" do
+    other_table = create(:app_table, app: create(:app), name: "posts")
+
+    post bulk_delete_records_account_app_dashboard_url(other_table.app, other_table), params: {ids: ["1"]}, as: :json
+
+    assert_response :not_found
+  end
+end
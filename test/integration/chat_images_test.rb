@@ -0,0 +1,52 @@
+require "test_helper"
+
+# Images attached in the editor's chat form, sent as signed blob ids
+class ChatImagesTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    @user = FactoryBot.create(:onboarded_user)
+    sign_in @user
+    @team = @user.current_team
+    @app = create(:app, team: @team, status: "generated")
+    App.any_instance.stubs(:initiate_generation!)
+  end
+
+  test "attaches the uploaded images to the message" do
+    blob = upload("mockup.png", "image/png")
+
+    assert_difference("AppChatMessage.count") do
+      post create_message_account_app_editor_url(@app), params: {app_chat_message: {content: "Match this", images: ["", blob.signed_id]}}, as: :turbo_stream
+    end
+
+    message = @app.app_chat_messages.last
+    assert_equal ["user", "Match this", @user], [message.role, message.content, message.user]
+    assert_equal [blob], message.images.blobs
+  end
+
+  test "asks for the design when only images are sent" do
+    post create_message_account_app_editor_url(@app), params: {app_chat_message: {content: "", images: [upload("mockup.png", "image/png").signed_id]}}, as: :turbo_stream
+
+    assert_equal "Please implement the design shown in the attached image(s).", @app.app_chat_messages.last.content
+  end
+
+  test "keeps the message text without images" do
+    post create_message_account_app_editor_url(@app), params: {app_chat_message: {content: "", content_mobile: "From my phone"}}, as: :turbo_stream
+
+    message = @app.app_chat_messages.last
+    assert_equal "From my phone", message.content
+    assert_not message.images.attached?
+  end
+
+  test "refuses files that aren't images" do
+    assert_no_difference("AppChatMessage.count") do
+      post create_message_account_app_editor_url(@app), params: {app_chat_message: {content: "Read this", images: [upload("notes.pdf", "application/pdf").signed_id]}}, as: :turbo_stream
+    end
+  end
+
+  private
+
+  def upload(filename, content_type)
+    ActiveStorage::Blob.create_and_upload!(io: StringIO.new("image bytes"), filename: filename, content_type: content_type, identify: false)
+  end
+end
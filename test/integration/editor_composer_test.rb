@@ -0,0 +1,72 @@
+require "test_helper"
+
+# The JSON endpoints the editor's chat composer calls
+class EditorComposerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    Rails.stubs(:cache).returns(ActiveSupport::Cache::MemoryStore.new)
+
+    @user = FactoryBot.create(:onboarded_user)
+    sign_in @user
+    @team = @user.current_team
+    @app = create(:app, team: @team, status: "generated")
+  end
+
+  test "lists the files, tables and versions the composer can mention" do
+    @app.app_files.delete_all
+    create(:app_file, app: @app, team: @team, path: "src/pages/Home.tsx", content: "", file_type: "typescript")
+    create(:app_file, app: @app, team: @team, path: "src/App.tsx", content: "", file_type: "typescript")
+    create(:app_table, app: @app, name: "posts")
+    create(:app_version, app: @app, team: @team, version_number: "v1.0.0", display_name: nil, changelog: "Initial version", created_at: 2.days.ago)
+    create(:app_version, app: @app, team: @team, version_number: "v1.0.1", display_name: "Dark mode", created_at: 1.day.ago)
+
+    get composer_context_account_app_editor_url(@app), as: :json
+
+    assert_response :success
+    context = JSON.parse(response.body)
+    assert_equal ["src/App.tsx", "src/pages/Home.tsx"], context["files"]
+    assert_equal ["posts"], context["tables"]
+    assert_equal [[2, "v1.0.1", "Dark mode"], [1, "v1.0.0", "Initial version"]],
+      context["versions"].map { |version| version.values_at("number", "version_number", "title") }
+  end
+
+  test "lists the ranked suggestions" do
+    @app.update!(status: "failed", build_error: "boom")
+
+    get suggestions_account_app_editor_url(@app), as: :json
+
+    assert_response :success
+    suggestions = JSON.parse(response.body)["suggestions"]
+    assert_equal "build", suggestions.first["category"]
+    assert_operator suggestions.size, :<=, Ai::NextStepSuggestionService::LIMIT
+  end
+
+  test "dismisses a suggestion and returns the rest" do
+    post dismiss_suggestion_account_app_editor_url(@app), params: {key: "publish"}, as: :json
+
+    assert_response :success
+    assert_includes @app.reload.dismissed_suggestions, "publish"
+    assert_not_includes JSON.parse(response.body)["suggestions"].map { |suggestion| suggestion["key"] }, "publish"
+  end
+
+  test "records errors the preview reports" do
+    post preview_error_account_app_editor_url(@app), params: {error: {message: "x is undefined", type: "error", url: "/cart", stack: "ignored"}}, as: :json
+
+    assert_response :no_content
+    error = Ai::NextStepSuggestionService.preview_errors(@app).first
+    assert_equal "x is undefined", error["message"]
+    assert_equal "/cart", error["url"]
+    assert_nil error["stack"]
+  end
+
+  test "only reaches the team's own apps" do
+    other_app = create(:app, status: "generated")
+
+    get composer_context_account_app_editor_url(other_app), as: :json
+    assert_response :not_found
+
+    get suggestions_account_app_editor_url(other_app), as: :json
+    assert_response :not_found
+  end
+end
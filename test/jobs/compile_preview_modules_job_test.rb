@@ -0,0 +1,30 @@
+require "test_helper"
+
+class CompilePreviewModulesJobTest < ActiveJob::TestCase
+  include ActionCable::TestHelper
+
+  setup do
+    @app = create(:app)
+    create(:app_file, app: @app, path: "src/a.ts", content: "export const a = 1")
+    create(:app_file, app: @app, path: "src/b.ts", content: "export const b = ")
+  end
+
+  test "broadcasts the modules that compiled" do
+    FastBuildService.any_instance.stubs(:compile_module).with("src/a.ts", "export const a = 1").returns({success: true, compiled_content: "compiled a"})
+    FastBuildService.any_instance.stubs(:compile_module).with("src/b.ts", "export const b = ").returns({success: false, error: "Unexpected end of file"})
+
+    freeze_time do
+      assert_broadcast_on(AppPreviewChannel.broadcasting_for(@app), type: "modules", modules: {"src/a.ts" => "compiled a"}, timestamp: Time.current.to_i) do
+        CompilePreviewModulesJob.perform_now(@app.id, ["src/a.ts", "src/b.ts"])
+      end
+    end
+  end
+
+  test "broadcasts nothing when no module compiled" do
+    FastBuildService.any_instance.stubs(:compile_module).returns({success: false, error: "boom"})
+
+    assert_no_broadcasts(AppPreviewChannel.broadcasting_for(@app)) do
+      CompilePreviewModulesJob.perform_now(@app.id, ["src/b.ts"])
+    end
+  end
+end
@@ -1,7 +1,46 @@
 require "test_helper"
 
 class AppChatMessageTest < ActiveSupport::TestCase
-  # test "the truth" do
-  #   assert true
-  # end
+  setup do
+    @message = build(:app_chat_message, status: nil)
+  end
+
+  test "accepts up to five images on a user message" do
+    AppChatMessage::MAX_IMAGES.times { |number| attach_image("mockup-#{number}.png") }
+
+    assert @message.valid?, @message.errors.full_messages.to_sentence
+  end
+
+  test "refuses images the model can't read" do
+    attach_image("notes.txt", content_type: "text/plain")
+    attach_image("huge.png", size: AppChatMessage::MAX_IMAGE_SIZE + 1)
+
+    assert_not @message.valid?
+    assert_equal [
+      "Images must be PNG, JPEG, GIF or WebP (notes.txt isn't)",
+      "Images must be 3.66 MB or smaller (huge.png isn't)"
+    ], @message.errors.full_messages
+  end
+
+  test "refuses too many images and images on AI messages" do
+    @message.role = "assistant"
+    (AppChatMessage::MAX_IMAGES + 1).times { |number| attach_image("mockup-#{number}.png") }
+
+    assert_not @message.valid?
+    assert_equal ["Images can only be attached to your own messages", "Images are limited to 5 per message"], @message.errors.full_messages
+  end
+
+  test "turns the images into base64 content blocks" do
+    attach_image("mockup.jpg", content_type: "image/jpeg", data: "jpeg bytes")
+    @message.save!
+
+    assert_equal [{type: "image", source: {type: "base64", media_type: "image/jpeg", data: Base64.strict_encode64("jpeg bytes")}}],
+      @message.reload.image_content_blocks
+  end
+
+  private
+
+  def attach_image(filename, content_type: "image/png", size: 16, data: "0" * size)
+    @message.images.attach(io: StringIO.new(data), filename: filename, content_type: content_type, identify: false)
+  end
 end
@@ -0,0 +1,75 @@
+require "test_helper"
+
+module Ai
+  class NextStepSuggestionServiceTest < ActiveSupport::TestCase
+    setup do
+      Rails.stubs(:cache).returns(ActiveSupport::Cache::MemoryStore.new)
+      @app = create(:app, status: "generated")
+      # Start from no source so only the files a test adds are checked
+      @app.app_files.delete_all
+      @service = NextStepSuggestionService.new(@app)
+    end
+
+    test "ranks a failing build first, then preview errors by how often they happen" do
+      @app.update!(status: "failed", build_error: "Cannot find module './Header'")
+      NextStepSuggestionService.record_preview_error(@app, {message: "x is undefined"})
+      2.times { NextStepSuggestionService.record_preview_error(@app, {message: "y is not a function", url: "/cart"}) }
+
+      suggestions = @service.suggestions(limit: 10)
+
+      assert_equal %w[build runtime_error runtime_error], suggestions.first(3).map { |suggestion| suggestion[:category] }
+      assert_match(/y is not a function/, suggestions.second[:label])
+      assert_match(%r{on /cart}, suggestions.second[:prompt])
+      scores = suggestions.map { |suggestion| suggestion[:score] }
+      assert_equal scores.sort.reverse, scores
+    end
+
+    test "counts repeats of a preview error instead of storing them again" do
+      3.times { NextStepSuggestionService.record_preview_error(@app, {message: "boom"}) }
+
+      errors = NextStepSuggestionService.preview_errors(@app)
+      assert_equal 1, errors.size
+      assert_equal 3, errors.first["count"]
+    end
+
+    test "forgets preview errors from before the latest version" do
+      NextStepSuggestionService.record_preview_error(@app, {message: "boom"})
+      travel 1.minute do
+        create(:app_version, app: @app, team: @app.team)
+        assert_empty @service.suggestions(limit: 10).select { |suggestion| suggestion[:category] == "runtime_error" }
+      end
+    end
+
+    test "suggests accessibility fixes found in the source" do
+      create(:app_file, app: @app, team: @app.team, path: "src/Gallery.tsx", file_type: "typescript",
+        content: %(export default () => <div onClick={open}><img src="/a.png" /><img src="/b.png" alt="B" /></div>))
+
+      suggestion = @service.suggestions(limit: 10).find { |candidate| candidate[:category] == "accessibility" }
+
+      assert_match(/1 image without alt text/, suggestion[:reason])
+      assert_match(/1 clickable element that isn't a button/, suggestion[:reason])
+      assert_includes suggestion[:prompt], "src/Gallery.tsx"
+    end
+
+    test "hides a dismissed suggestion until its problem changes" do
+      @app.update!(status: "failed", build_error: "first error")
+      key = @service.suggestions.first[:key]
+
+      @service.dismiss(key)
+      assert_not_includes @service.suggestions(limit: 10).map { |suggestion| suggestion[:key] }, key
+
+      @app.update!(build_error: "second error")
+      assert_equal "build", @service.suggestions.first[:category]
+      assert_not_equal key, @service.suggestions.first[:key]
+    end
+
+    test "keeps the dismissed keys bounded and unique" do
+      2.times { @service.dismiss("publish") }
+      (NextStepSuggestionService::MAX_DISMISSED + 5).times { |i| @service.dismiss("key-#{i}") }
+
+      assert_equal NextStepSuggestionService::MAX_DISMISSED, @app.reload.dismissed_suggestions.size
+      assert_not_includes @app.dismissed_suggestions, "publish"
+      assert_not @service.dismiss("")
+    end
+  end
+end
@@ -0,0 +1,55 @@
+require "test_helper"
+
+class ApiExplorer::CollectionExportServiceTest < ActiveSupport::TestCase
+  setup do
+    @app = create(:app)
+    @collection = @app.app_api_collections.create!(name: "Blog API", description: "Posts")
+    @collection.app_api_requests.create!(name: "Get post", http_method: "GET", url: "{{baseUrl}}/posts/:id?fields=title",
+      headers: [{"name" => "Authorization", "value" => "Bearer {{token}}"}, {"name" => "X-Trace", "value" => "abc", "enabled" => false}])
+    @collection.app_api_requests.create!(name: "Create post", http_method: "POST", url: "{{baseUrl}}/posts", body: %({"title": "Hi"}))
+    @environment = @app.app_api_environments.create!(name: "Production", variables: [
+      {"key" => "baseUrl", "value" => "https://api.test", "secret" => false},
+      {"key" => "token", "value" => "s3cret", "secret" => true}
+    ])
+  end
+
+  test "exports a Postman collection without secret values" do
+    exporter = ApiExplorer::CollectionExportService.new(@collection, environment: @environment)
+    postman = JSON.parse(exporter.export("postman").to_json)
+
+    assert_equal "blog-api.postman_collection.json", exporter.filename("postman")
+    assert_equal ["Get post", "Create post"], postman["item"].map { |item| item["name"] }
+    assert_equal({"raw" => "{{baseUrl}}/posts/:id?fields=title"}, postman["item"].first["request"]["url"])
+    assert_equal true, postman["item"].first["request"]["header"].last["disabled"]
+    assert_equal "json", postman["item"].last["request"]["body"]["options"]["raw"]["language"]
+    assert_equal [{"key" => "baseUrl", "value" => "https://api.test"}, {"key" => "token", "value" => ""}], postman["variable"]
+  end
+
+  test "exports an OpenAPI document with parameters, bodies and bearer auth" do
+    openapi = JSON.parse(ApiExplorer::CollectionExportService.new(@collection, environment: @environment).export("openapi").to_json)
+
+    assert_equal [{"url" => "https://api.test"}], openapi["servers"]
+    assert_equal ["/posts/{id}", "/posts"], openapi["paths"].keys
+
+    get_post = openapi["paths"]["/posts/{id}"]["get"]
+    assert_equal "getPost", get_post["operationId"]
+    assert_equal [
+      {"name" => "id", "in" => "path", "required" => true, "schema" => {"type" => "string"}},
+      {"name" => "fields", "in" => "query", "schema" => {"type" => "string"}, "example" => "title"},
+      {"name" => "X-Trace", "in" => "header", "required" => false, "schema" => {"type" => "string"}, "example" => "abc"}
+    ], get_post["parameters"]
+    assert_equal [{"bearerAuth" => []}], get_post["security"]
+    assert_equal({"type" => "http", "scheme" => "bearer"}, openapi["components"]["securitySchemes"]["bearerAuth"])
+
+    assert_equal({"application/json" => {"example" => {"title" => "Hi"}}}, openapi["paths"]["/posts"]["post"]["requestBody"]["content"])
+  end
+
+  test "round-trips through the importer" do
+    document = ApiExplorer::CollectionExportService.new(@collection).export("postman").to_json
+    imported = ApiExplorer::CollectionImportService.new(@app, document).import[:collection]
+
+    assert_equal "Blog API (2)", imported.name
+    assert_equal @collection.app_api_requests.map { |request| [request.name, request.http_method, request.url, request.body] },
+      imported.app_api_requests.map { |request| [request.name, request.http_method, request.url, request.body] }
+  end
+end
@@ -0,0 +1,129 @@
+require "test_helper"
+
+class ApiExplorer::CollectionImportServiceTest < ActiveSupport::TestCase
+  POSTMAN = {
+    info: {name: "Shop", description: {content: "Shop API"}},
+    variable: [{key: "baseUrl", value: "https://shop.test"}],
+    item: [
+      {name: "Orders", item: [
+        {name: "List", request: {method: "GET", url: {raw: "{{baseUrl}}/orders"}, header: [
+          {key: "Accept", value: "application/json"},
+          {key: "X-Debug", value: "1", disabled: true}
+        ]}},
+        {name: "Create", request: {method: "POST", url: "{{baseUrl}}/orders", body: {mode: "urlencoded", urlencoded: [
+          {key: "sku", value: "A1"}, {key: "qty", value: "2"}, {key: "note", value: "x", disabled: true}
+        ]}}}
+      ]},
+      {name: "Health", request: "https://shop.test/health"}
+    ]
+  }.to_json
+
+  OPENAPI = <<~YAML
+    openapi: 3.0.3
+    info:
+      title: Blog API
+    servers:
+      - url: https://{host}/api
+        variables:
+          host:
+            default: blog.example.com
+    security:
+      - bearer: []
+    components:
+      securitySchemes:
+        bearer:
+          type: http
+          scheme: bearer
+      schemas:
+        Post:
+          type: object
+          properties:
+            title:
+              type: string
+              example: Hello
+            published:
+              type: boolean
+    paths:
+      /posts/{id}:
+        parameters:
+          - {name: id, in: path, required: true, schema: {type: integer}}
+        get:
+          summary: Get a post
+          parameters:
+            - {name: fields, in: query, required: true, example: title}
+            - {name: page, in: query}
+        put:
+          operationId: updatePost
+          security: []
+          requestBody:
+            content:
+              application/json:
+                schema:
+                  $ref: "#/components/schemas/Post"
+  YAML
+
+  setup do
+    @user = create(:onboarded_user)
+    @app = create(:app, team: @user.current_team)
+  end
+
+  test "imports a Postman collection with its folders and variables" do
+    result = import(POSTMAN)
+
+    assert_equal "postman", result[:format]
+    collection = result[:collection]
+    assert_equal ["Shop", "Shop API", @user], [collection.name, collection.description, collection.created_by]
+    assert_equal ["Orders / List", "Orders / Create", "Health"], collection.app_api_requests.map(&:name)
+
+    list, create_order, health = collection.app_api_requests
+    assert_equal "{{baseUrl}}/orders", list.url
+    assert_equal [{"name" => "Accept", "value" => "application/json", "enabled" => true}, {"name" => "X-Debug", "value" => "1", "enabled" => false}], list.headers
+    assert_equal ["POST", "sku=A1&qty=2"], [create_order.http_method, create_order.body]
+    assert_equal "application/x-www-form-urlencoded", create_order.headers.first["value"]
+    assert_equal ["GET", "https://shop.test/health"], [health.http_method, health.url]
+
+    assert_equal "Shop", result[:environment].name
+    assert_equal [{"key" => "baseUrl", "value" => "https://shop.test", "secret" => false}], result[:environment].variables
+  end
+
+  test "imports an OpenAPI document with example bodies and bearer auth" do
+    result = import(OPENAPI)
+
+    assert_equal "openapi", result[:format]
+    get_post, update_post = result[:collection].app_api_requests
+
+    assert_equal ["Get a post", "GET", "{{baseUrl}}/posts/:id?fields=title"], [get_post.name, get_post.http_method, get_post.url]
+    assert_equal [{"name" => "Authorization", "value" => "Bearer {{token}}", "enabled" => true}], get_post.headers
+
+    assert_equal ["updatePost", "PUT"], [update_post.name, update_post.http_method]
+    assert_equal [{"name" => "Content-Type", "value" => "application/json", "enabled" => true}], update_post.headers
+    assert_equal({"title" => "Hello", "published" => false}, JSON.parse(update_post.body))
+
+    assert_equal [
+      {"key" => "baseUrl", "value" => "https://blog.example.com/api", "secret" => false},
+      {"key" => "token", "value" => "", "secret" => true}
+    ], result[:environment].variables
+  end
+
+  test "numbers the names of repeated imports" do
+    import(POSTMAN)
+    result = import(POSTMAN)
+
+    assert_equal "Shop (2)", result[:collection].name
+    assert_equal "Shop (2)", result[:environment].name
+  end
+
+  test "refuses files it can't import" do
+    assert_match(/Swagger 2.0/, import({swagger: "2.0", paths: {}}.to_json)[:error])
+    assert_match(/doesn't look like/, import({name: "x"}.to_json)[:error])
+    assert_match(/neither valid JSON nor valid YAML/, import("{ not: [valid")[:error])
+    assert_equal "The file doesn't contain any requests", import({info: {name: "Empty"}, item: []}.to_json)[:error]
+    assert_empty @app.app_api_collections
+  end
+
+  private
+
+  def import(content)
+    ApiExplorer::CollectionImportService.new(@app, content, user: @user).import
+  end
+end
@@ -0,0 +1,68 @@
+require "test_helper"
+
+class ApiExplorer::OpenapiSpecServiceTest < ActiveSupport::TestCase
+  setup do
+    @app = create(:app, name: "Blog")
+    @app.update_columns(preview_url: nil, staging_url: nil, production_url: "https://blog.overskill.app/")
+    create(:app_version, app: @app, team: @app.team, version_number: "1.4.0")
+
+    @posts = create(:app_table, app: @app, name: "posts")
+    create(:app_table_column, app_table: @posts, name: "title", column_type: "text", required: true, options: nil, default_value: nil)
+    create(:app_table_column, app_table: @posts, name: "views", column_type: "number", required: true, options: nil, default_value: "0")
+    create(:app_table_column, app_table: @posts, name: "status", column_type: "select", options: {choices: %w[draft live]}.to_json, default_value: "draft")
+    @comments = create(:app_table, app: @app, name: "comments")
+    create(:app_table_column, app_table: @comments, name: "post_id", column_type: "reference", options: {table_id: @posts.id}.to_json, default_value: nil)
+
+    @app.app_api_integrations.create!(name: "Weather", base_url: "https://api.weather.test", auth_type: "none", path_prefix: "weather")
+  end
+
+  test "describes the app's tables through the Supabase proxy" do
+    spec = generate
+
+    assert_equal ["3.0.3", "Blog API", "1.4.0"], [spec["openapi"], spec["info"]["title"], spec["info"]["version"]]
+    assert_equal [{"url" => "https://blog.overskill.app/api", "description" => "Production"}], spec["servers"]
+
+    posts = spec["paths"]["/supabase/rest/v1/app_#{@app.id}_posts"]
+    assert_equal %w[get post patch delete], posts.keys
+    assert_equal ["listPosts", "createPost", "updatePost", "deletePost"], posts.values.map { |operation| operation["operationId"] }
+    assert_equal({"$ref" => "#/components/schemas/PostInput"}, posts["post"]["requestBody"]["content"]["application/json"]["schema"])
+    assert_equal [true], posts["patch"]["parameters"].filter_map { |parameter| parameter["required"] if parameter["name"] == "id" }
+
+    schemas = spec["components"]["schemas"]
+    assert_equal %w[id title views status app_user_id created_at updated_at], schemas["Post"]["properties"].keys
+    assert_equal({"type" => "number", "default" => 0.0}, schemas["Post"]["properties"]["views"])
+    assert_equal({"type" => "string", "enum" => %w[draft live], "nullable" => true, "default" => "draft"}, schemas["Post"]["properties"]["status"])
+    assert_equal ["title"], schemas["PostInput"]["required"]
+    assert_nil schemas["PostUpdate"]["required"]
+    assert_equal false, schemas["PostInput"]["additionalProperties"]
+    assert_equal "id of a row in posts", schemas["Comment"]["properties"]["post_id"]["description"]
+  end
+
+  test "adds the auth endpoints and the app's integrations" do
+    paths = generate["paths"]
+
+    assert_equal "signIn", paths["/supabase/auth/v1/token"]["post"]["operationId"]
+    assert_equal({"$ref" => "#/components/schemas/Credentials"}, paths["/supabase/auth/v1/signup"]["post"]["requestBody"]["content"]["application/json"]["schema"])
+
+    weather = paths["/weather/{path}"]
+    assert_equal [{"url" => "https://blog.overskill.app", "description" => "Production"}], weather["servers"]
+    assert_equal %w[getWeather postWeather putWeather deleteWeather], %w[get post put delete].map { |method| weather[method]["operationId"] }
+    assert weather["post"]["requestBody"]
+    assert_nil weather["get"]["requestBody"]
+  end
+
+  test "falls back to a relative server and writes YAML" do
+    @app.update_columns(production_url: nil)
+    spec = ApiExplorer::OpenapiSpecService.new(@app)
+
+    assert_equal [{url: "/api", description: "Not deployed yet"}], spec.generate[:servers]
+    assert_equal "Blog API", YAML.safe_load(spec.to_yaml)["info"]["title"]
+    assert_equal ["blog.openapi.yaml", "blog.openapi.json"], [spec.filename("yaml"), spec.filename("json")]
+  end
+
+  private
+
+  def generate
+    JSON.parse(ApiExplorer::OpenapiSpecService.new(@app).generate.to_json)
+  end
+end
@@ -0,0 +1,101 @@
+require "test_helper"
+
+class ApprovalServiceTest < ActiveSupport::TestCase
+  include ActiveJob::TestHelper
+
+  ORIGINAL = (1..12).map { |i| "line #{i}" }.join("\n") + "\n"
+
+  setup do
+    Turbo::StreamsChannel.stubs(:broadcast_update_to)
+    ActionCable.server.stubs(:broadcast)
+    ApplicationController.stubs(:render).returns("")
+
+    @user = FactoryBot.create(:onboarded_user)
+    @app = create(:app, team: @user.current_team)
+    @file = create(:app_file, app: @app, team: @app.team, path: "src/App.tsx", content: ORIGINAL, file_type: "typescript")
+    @message = create(:app_chat_message, :assistant_message, app: @app, user: @user)
+
+    # Two hunks in App.tsx, one new file
+    @proposal = ApprovalService.request_approval(@message, [
+      {file_path: "src/App.tsx", action: "update", content: ORIGINAL.sub("line 1\n", "LINE 1\n").sub("line 12\n", "LINE 12\n")},
+      {file_path: "src/Button.tsx", action: "create", content: "export const Button = () => null\n"}
+    ])
+  end
+
+  test "keeps each proposed change with the file as it was" do
+    change = @proposal.change_for("src/App.tsx")
+
+    assert @proposal.pending?
+    assert_equal ORIGINAL, change["original_content"]
+    assert_equal 2, @proposal.hunks_for(change).size
+    assert_nil @proposal.change_for("src/Button.tsx")["original_content"]
+  end
+
+  test "applies the selected hunks, records a version and audits the decision" do
+    result = approve([{"file_path" => "src/App.tsx", "hunks" => [1]}])
+
+    assert result[:success]
+    assert_equal ORIGINAL.sub("line 12\n", "LINE 12\n"), @file.reload.content
+    assert_not @app.app_files.exists?(path: "src/Button.tsx")
+    assert_equal "applied", @proposal.reload.status
+    assert_equal @user, @proposal.resolved_by
+
+    decisions = JSON.parse(@app.app_audit_logs.last.change_details)["changes"].index_by { |change| change["file_path"] }
+    assert_equal "partially_approved", decisions["src/App.tsx"]["decision"]
+    assert_equal "rejected", decisions["src/Button.tsx"]["decision"]
+    assert_equal result[:version_id], @app.app_versions.last.id
+  end
+
+  test "applies whole files" do
+    result = approve([{"file_path" => "src/App.tsx", "hunks" => "all"}, {"file_path" => "src/Button.tsx", "hunks" => "all"}])
+
+    assert result[:success]
+    assert_includes @file.reload.content, "LINE 1\n"
+    assert_includes @file.content, "LINE 12\n"
+    assert_equal "export const Button = () => null\n", @app.app_files.find_by(path: "src/Button.tsx").content
+  end
+
+  test "applies the reviewer's edit of a proposal" do
+    ApprovalService.update_change(message_id: @message.id, callback_id: @proposal.callback_id,
+      file_path: "src/Button.tsx", content: "export const Button = () => <button />\n")
+
+    approve([{"file_path" => "src/Button.tsx", "hunks" => "all"}])
+
+    assert_equal "export const Button = () => <button />\n", @app.app_files.find_by(path: "src/Button.tsx").content
+    assert JSON.parse(@app.app_audit_logs.last.change_details)["changes"].find { |change| change["file_path"] == "src/Button.tsx" }["edited"]
+  end
+
+  test "refuses changes to files that changed since they were proposed" do
+    @file.update!(content: "someone else's edit\n")
+
+    result = approve([{"file_path" => "src/App.tsx", "hunks" => "all"}])
+
+    assert_not result[:success]
+    assert_match(/changed since/, result[:error])
+    assert @proposal.reload.pending?
+  end
+
+  test "needs a selection" do
+    result = approve([])
+
+    assert_not result[:success]
+    assert @proposal.reload.pending?
+  end
+
+  test "rejects once and audits it" do
+    result = ApprovalService.handle_rejection(message_id: @message.id, callback_id: @proposal.callback_id, user: @user)
+
+    assert result[:rejected]
+    assert_equal "rejected", @proposal.reload.status
+    assert_equal ORIGINAL, @file.reload.content
+    assert_equal "changes_rejected", @app.app_audit_logs.last.action_type
+    assert_not approve([{"file_path" => "src/App.tsx", "hunks" => "all"}])[:success]
+  end
+
+  private
+
+  def approve(approved_changes)
+    ApprovalService.handle_approval(message_id: @message.id, callback_id: @proposal.callback_id,
+      approved_changes: approved_changes, user: @user)
+  end
+end
@@ -0,0 +1,42 @@
+require "test_helper"
+
+class DataExport::TableExportServiceTest < ActiveSupport::TestCase
+  setup do
+    @app = create(:app)
+    @table = create(:app_table, app: @app, name: "posts")
+    create(:app_table_column, app_table: @table, name: "title", column_type: "text", options: nil)
+    create(:app_table_column, app_table: @table, name: "tags", column_type: "text", options: nil)
+  end
+
+  test "streams CSV a page at a time with the viewer's sort and filters" do
+    order = {column: "title", direction: "desc"}
+    filters = [{column: "title", operator: "ilike", value: "%a%"}]
+    full_page = Array.new(DataExport::TableExportService::PAGE_SIZE) { |i| {"id" => i, "title" => "a #{i}", "secret" => "x"} }
+    Supabase::AppDatabaseService.any_instance.expects(:query_table_data)
+      .with("posts", 7, limit: 1000, offset: 0, order: order, filters: filters).returns({rows: full_page, total: 1001})
+    Supabase::AppDatabaseService.any_instance.expects(:query_table_data)
+      .with("posts", 7, limit: 1000, offset: 1000, order: order, filters: filters)
+      .returns({rows: [{"id" => 1000, "title" => "a, \"quoted\"", "tags" => ["x", "y"]}], total: 1001})
+
+    csv = DataExport::TableExportService.new(@table, 7, order: order, filters: filters).stream("csv").to_a.join
+    lines = CSV.parse(csv)
+
+    assert_equal %w[id title tags created_at updated_at], lines.first
+    assert_equal 1002, lines.size
+    assert_equal ["1000", "a, \"quoted\"", "[\"x\",\"y\"]", nil, nil], lines.last
+  end
+
+  test "streams JSON with only the table's columns" do
+    Supabase::AppDatabaseService.any_instance.expects(:query_table_data)
+      .with("posts", 7, limit: 1000, offset: 0, order: {column: "id", direction: "asc"}, filters: [])
+      .returns({rows: [{"id" => 1, "title" => "Hello", "app_user_id" => "7"}], total: 1})
+
+    json = DataExport::TableExportService.new(@table, 7).stream("json").to_a.join
+
+    assert_equal [{"id" => 1, "title" => "Hello"}], JSON.parse(json)
+  end
+
+  test "refuses other formats" do
+    assert_raises(ArgumentError) { DataExport::TableExportService.new(@table, 7).stream("xml") }
+  end
+end
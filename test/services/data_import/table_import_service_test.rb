@@ -0,0 +1,111 @@
+require "test_helper"
+
+class DataImport::TableImportServiceTest < ActiveSupport::TestCase
+  setup do
+    @app = create(:app)
+    @table = create(:app_table, app: @app, name: "posts")
+    add_column("title", "text", required: true)
+    add_column("views", "number")
+    add_column("published", "boolean")
+    add_column("published_on", "date")
+    add_column("category", "select", options: {choices: %w[news blog video]}.to_json)
+  end
+
+  test "previews the file and suggests a mapping" do
+    result = importer("Title;Views;Published on;Notes\nHello;12;2026-01-02;x\n").preview
+
+    assert result[:success]
+    assert_equal "csv", result[:format]
+    assert_equal 1, result[:total_rows]
+    assert_equal({"Title" => "title", "Views" => "views", "Published on" => "published_on", "Notes" => nil}, result[:mapping])
+    assert_equal [{"Title" => "Hello", "Views" => "12", "Published on" => "2026-01-02", "Notes" => "x"}], result[:rows]
+  end
+
+  test "coerces values to the column types" do
+    Supabase::AppDatabaseService.any_instance.expects(:insert_records).with("posts", [
+      {"title" => "Hello", "views" => 12, "published" => true, "published_on" => "2026-01-02", "category" => "news"},
+      {"title" => "World", "views" => 2.5, "published" => false, "published_on" => nil, "category" => nil}
+    ], 7)
+
+    result = importer("Title,Views,Published,Published on,Category\nHello,12,yes,2 Jan 2026,news\nWorld, 2.5 ,0,,\n")
+      .import(mapping: mapping)
+
+    assert result[:success]
+    assert_equal 2, result[:inserted]
+    assert_equal 0, result[:failed]
+  end
+
+  test "reports each bad row and imports the rest" do
+    Supabase::AppDatabaseService.any_instance.expects(:insert_records).with("posts", [{"title" => "Good", "views" => 1, "category" => nil}], 7)
+
+    result = importer("Title,Views,Category\nGood,1,\n,many,other\nAlso bad,3,\"news, blog\"\n")
+      .import(mapping: {"Title" => "title", "Views" => "views", "Category" => "category"})
+
+    assert_equal 1, result[:inserted]
+    assert_equal 2, result[:failed]
+    assert_equal [
+      {row: 2, column: "views", message: "\"many\" is not a number"},
+      {row: 2, column: "category", message: "\"other\" is not one of news, blog or video"},
+      {row: 2, column: "title", message: "is required"},
+      {row: 3, column: "category", message: "\"news, blog\" is not one of news, blog or video"}
+    ], result[:errors]
+  end
+
+  test "reports every row of a batch the database rejects" do
+    Supabase::AppDatabaseService.any_instance.expects(:insert_records).raises(RuntimeError, "Supabase write failed (409)")
+
+    result = importer("Title\nOne\nTwo\n").import(mapping: {"Title" => "title"})
+
+    assert result[:success]
+    assert_equal 0, result[:inserted]
+    assert_equal [1, 2], result[:errors].map { |error| error[:row] }
+    assert_equal ["Supabase write failed (409)"], result[:errors].map { |error| error[:message] }.uniq
+  end
+
+  test "upserts by a key column and refuses duplicate keys in the file" do
+    Supabase::AppDatabaseService.any_instance.expects(:find_records_by)
+      .with("posts", "title", ["Hello", "New"], 7, select: ["id", "title"])
+      .returns([{"id" => 5, "title" => "Hello"}])
+    Supabase::AppDatabaseService.any_instance.expects(:insert_records).with("posts", [{"title" => "New", "views" => 2}], 7)
+    Supabase::AppDatabaseService.any_instance.expects(:upsert_records).with("posts", [{"title" => "Hello", "views" => 1, "id" => 5}], 7)
+
+    result = importer("Title,Views\nHello,1\nNew,2\nHello,3\n")
+      .import(mapping: {"Title" => "title", "Views" => "views"}, mode: "upsert", key: "title")
+
+    assert_equal 1, result[:inserted]
+    assert_equal 1, result[:updated]
+    assert_equal [{row: 3, column: "title", message: "duplicates row 1"}], result[:errors]
+  end
+
+  test "writes nothing when only validating" do
+    Supabase::AppDatabaseService.any_instance.expects(:insert_records).never
+
+    result = importer(%({"records": [{"title": "Hello", "views": "12"}]}), "posts.json")
+      .import(mapping: {"title" => "title", "views" => "views"}, validate_only: true)
+
+    assert result[:validate_only]
+    assert_equal 1, result[:inserted]
+  end
+
+  test "refuses files it can't read" do
+    assert_equal "JSON must be an array of objects", importer(%({"title": "Hello"}), "posts.json").preview[:error]
+    assert_equal "The file has no rows", importer("Title\n").preview[:error]
+    assert_match(/Unsupported file type/, importer("x", "posts.xlsx").preview[:error])
+    assert_equal "Unknown column: secret", importer("Title\nHello\n").import(mapping: {"Title" => "secret"})[:error]
+  end
+
+  private
+
+  def add_column(name, type, required: false, options: nil)
+    create(:app_table_column, app_table: @table, name: name, column_type: type, required: required, default_value: nil, options: options)
+  end
+
+  def mapping
+    {"Title" => "title", "Views" => "views", "Published" => "published", "Published on" => "published_on", "Category" => "category"}
+  end
+
+  def importer(content, filename = "posts.csv")
+    file = Rack::Test::UploadedFile.new(StringIO.new(content), "application/octet-stream", original_filename: filename)
+    DataImport::TableImportService.new(@table, file, 7)
+  end
+end
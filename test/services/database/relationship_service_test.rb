@@ -0,0 +1,83 @@
+require "test_helper"
+
+class Database::RelationshipServiceTest < ActiveSupport::TestCase
+  setup do
+    Supabase::AppDatabaseService.any_instance.stubs(:count_rows).returns(0)
+    @app = create(:app)
+    @authors = create(:app_table, app: @app, name: "authors")
+    @posts = create(:app_table, app: @app, name: "posts")
+    @tags = create(:app_table, app: @app, name: "tags")
+    @service = Database::RelationshipService.new(@app)
+  end
+
+  test "adds a reference column with a foreign key for one-to-many" do
+    Supabase::AppDatabaseService.any_instance.expects(:add_column).with("posts", "author_id", "integer").returns({})
+    Supabase::AppDatabaseService.any_instance.expects(:add_foreign_key).with("posts", "author_id", "authors", "cascade").returns({})
+
+    result = @service.create(parent: @authors, child: @posts, kind: "one_to_many", on_delete: "cascade")
+
+    assert result[:success]
+    column = @posts.app_table_columns.find_by!(name: "author_id")
+    assert_equal @authors, column.referenced_table
+    assert_equal [{id: column.id, column: "author_id", child_table_id: @posts.id, parent_table_id: @authors.id,
+      parent_table: "authors", on_delete: "cascade", kind: "one_to_many"}], @service.relationships
+    assert_equal [column], @authors.referencing_columns
+  end
+
+  test "removes the column again when the foreign key fails" do
+    Supabase::AppDatabaseService.any_instance.stubs(:add_column).returns({})
+    Supabase::AppDatabaseService.any_instance.stubs(:add_foreign_key).returns({"error" => {"message" => "type mismatch"}})
+    Supabase::AppDatabaseService.any_instance.expects(:drop_column).with("posts", "writer_id")
+
+    result = @service.create(parent: @authors, child: @posts, kind: "one_to_many", column_name: "writer_id")
+
+    assert_equal({success: false, error: "Database error: type mismatch"}, result)
+    assert_not @posts.app_table_columns.exists?(name: "writer_id")
+  end
+
+  test "creates a join table for many-to-many" do
+    Supabase::AppDatabaseService.any_instance.expects(:create_table).with("posts_tags", []).returns({})
+    Supabase::AppDatabaseService.any_instance.expects(:add_column).twice.returns({})
+    Supabase::AppDatabaseService.any_instance.expects(:add_foreign_key).twice.returns({})
+    Supabase::AppDatabaseService.any_instance.expects(:add_unique_constraint).with("posts_tags", ["post_id", "tag_id"]).returns({})
+
+    result = @service.create(parent: @posts, child: @tags, kind: "many_to_many")
+
+    assert result[:success]
+    join_table = @app.app_tables.find_by!(name: "posts_tags")
+    assert join_table.join_table?
+    assert_equal "many_to_many", result[:relationship][:kind]
+    assert_equal [@posts.id, @tags.id], result[:relationship][:table_ids]
+    assert_equal 1, @service.relationships.size
+  end
+
+  test "refuses unknown kinds and delete behaviors" do
+    assert_equal "Unknown relationship kind: one_to_one", @service.create(parent: @authors, child: @posts, kind: "one_to_one")[:error]
+    assert_equal "Unknown on delete behavior: nothing", @service.create(parent: @authors, child: @posts, kind: "one_to_many", on_delete: "nothing")[:error]
+  end
+
+  test "removing a join table's column drops the join table" do
+    join_table = create(:app_table, app: @app, name: "posts_tags")
+    column = add_reference(join_table, "post_id", @posts)
+    add_reference(join_table, "tag_id", @tags)
+    Supabase::AppDatabaseService.any_instance.expects(:drop_table).with("posts_tags").returns({})
+
+    assert @service.destroy(column)[:success]
+    assert_not AppTable.exists?(join_table.id)
+  end
+
+  test "removing a reference drops its column" do
+    column = add_reference(@posts, "author_id", @authors)
+    Supabase::AppDatabaseService.any_instance.expects(:drop_column).with("posts", "author_id").returns({})
+
+    assert @service.destroy(column)[:success]
+    assert_not AppTableColumn.exists?(column.id)
+  end
+
+  private
+
+  def add_reference(table, name, target)
+    create(:app_table_column, app_table: table, name: name, column_type: "reference", default_value: nil,
+      options: {table_id: target.id, table: target.name, on_delete: "restrict"}.to_json)
+  end
+end
@@ -0,0 +1,109 @@
+require "test_helper"
+
+class Database::SchemaMigrationServiceTest < ActiveSupport::TestCase
+  setup do
+    @user = create(:onboarded_user)
+    @app = create(:app, team: @user.current_team)
+    @version = create(:app_version, app: @app, team: @app.team)
+    @table = create(:app_table, app: @app, name: "posts")
+    @title = create(:app_table_column, app_table: @table, name: "title", column_type: "text", default_value: nil, options: nil)
+    @service = Database::SchemaMigrationService.new(@app, user: @user)
+  end
+
+  test "records an applied change with its SQL, user and app version" do
+    Supabase::AppDatabaseService.any_instance.stubs(:count_rows).returns(0)
+    Supabase::AppDatabaseService.any_instance.expects(:add_column).with("posts", "views", "numeric").returns({})
+
+    result = @service.add_column(@table, {name: "views", column_type: "number"})
+
+    assert result[:success]
+    migration = result[:migration]
+    assert_equal [1, "add_views_to_posts", "applied"], [migration.version, migration.name, migration.status]
+    assert_equal "ALTER TABLE app_#{@app.id}.posts ADD COLUMN views numeric", migration.up_sql
+    assert_equal "ALTER TABLE app_#{@app.id}.posts DROP COLUMN views", migration.down_sql
+    assert_equal @user, migration.user
+    assert_equal @version, migration.app_version
+    assert @table.app_table_columns.exists?(name: "views")
+  end
+
+  test "dry runs count the rows a change touches and change nothing" do
+    Supabase::AppDatabaseService.any_instance.expects(:count_rows).with("posts", column: nil).returns(12)
+    Supabase::AppDatabaseService.any_instance.expects(:drop_table).never
+
+    result = @service.drop_table(@table, dry_run: true)
+
+    assert result[:dry_run]
+    assert_equal 12, result[:migration][:affected_rows]
+    assert_equal "DROP TABLE IF EXISTS app_#{@app.id}.posts", result[:migration][:up_sql]
+    assert_match(/\ACREATE TABLE IF NOT EXISTS app_#{@app.id}\.posts \(title TEXT, id SERIAL PRIMARY KEY/, result[:migration][:down_sql])
+    assert_equal ["12 rows will be deleted. Rolling back recreates the table without them."], result[:migration][:warnings]
+    assert AppTable.exists?(@table.id)
+    assert_empty @app.app_schema_migrations
+  end
+
+  test "dry runs of a type change count the values to convert and keep the column as it was" do
+    Supabase::AppDatabaseService.any_instance.expects(:count_rows).with("posts", column: "title").returns(3)
+
+    result = @service.alter_column(@title, {column_type: "number"}, dry_run: true)
+
+    assert_equal 3, result[:migration][:affected_rows]
+    assert_includes result[:migration][:up_sql], "ALTER COLUMN title TYPE numeric USING title::numeric"
+    assert_match(/3 values will be converted from text to numeric/, result[:migration][:warnings].first)
+    assert_equal "text", @title.reload.column_type
+  end
+
+  test "warns when a required column is added to a table that has rows" do
+    Supabase::AppDatabaseService.any_instance.stubs(:count_rows).returns(4)
+
+    result = @service.add_column(@table, {name: "slug", column_type: "text", required: true}, dry_run: true)
+
+    assert_equal ["slug is required but the 4 rows already in posts will have no value"], result[:migration][:warnings]
+    assert_not @table.app_table_columns.exists?(name: "slug")
+  end
+
+  test "rolls back the newest migrations first" do
+    Supabase::AppDatabaseService.any_instance.stubs(:count_rows).returns(0)
+    Supabase::AppDatabaseService.any_instance.stubs(:add_column).returns({})
+    @service.add_column(@table, {name: "views", column_type: "number"})
+    @service.add_column(@table, {name: "likes", column_type: "number"})
+    Supabase::AppDatabaseService.any_instance.expects(:drop_column).with("posts", "likes").returns({})
+
+    result = @service.rollback(1)
+
+    assert_equal({success: true, rolled_back: [2]}, result)
+    assert_equal %w[rolled_back applied], @app.app_schema_migrations.newest_first.pluck(:status)
+    assert_equal %w[title views], @table.app_table_columns.order(:created_at).pluck(:name)
+  end
+
+  test "stops a rollback at the first migration that fails" do
+    Supabase::AppDatabaseService.any_instance.stubs(:count_rows).returns(0)
+    Supabase::AppDatabaseService.any_instance.stubs(:add_column).returns({})
+    @service.add_column(@table, {name: "views", column_type: "number"})
+    Supabase::AppDatabaseService.any_instance.expects(:drop_column).returns({"error" => "permission denied"})
+
+    result = @service.rollback(2)
+
+    assert_not result[:success]
+    assert_equal [], result[:rolled_back]
+    assert_equal "Could not roll back add_views_to_posts: Database error: permission denied", result[:error]
+    assert @app.app_schema_migrations.last.applied?
+  end
+
+  test "keeps nothing when the database refuses a change" do
+    Supabase::AppDatabaseService.any_instance.stubs(:count_rows).returns(0)
+    Supabase::AppDatabaseService.any_instance.expects(:create_table).returns({"error" => {"message" => "relation exists"}})
+
+    result = @service.create_table({name: "comments"})
+
+    assert_equal "Database error: relation exists", result[:error]
+    assert_not @app.app_tables.exists?(name: "comments")
+    assert_empty @app.app_schema_migrations
+  end
+
+  test "reports invalid changes" do
+    result = @service.add_column(@table, {name: "title", column_type: "text"})
+
+    assert_not result[:success]
+    assert_includes result[:errors], "Name has already been taken"
+  end
+end
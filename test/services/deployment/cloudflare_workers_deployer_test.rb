@@ -99,6 +99,30 @@ class Deployment::CloudflareWorkersDeployerTest < ActiveSupport::TestCase
     end
   end
 
+  test "deploys Vite builds from R2 with the worker template" do
+    files = {"index.html" => {content: "<html></html>", binary: false, content_type: "text/html"}}
+    r2 = mock("r2")
+    r2.expects(:upload_build).with(files, regexp_matches(/\A\d{14}-\h{8}\z/))
+    Deployment::R2AssetService.stubs(:new).with(@app).returns(r2)
+
+    script, bindings = @deployer.send(:generate_worker_script, files)
+
+    assert_equal File.read(Deployment::CloudflareWorkersDeployer::WORKER_TEMPLATE), script
+    assert_includes script, "app-${env.APP_ID}/builds/${env.BUILD_ID}/"
+    assert_equal({name: "STORAGE", type: "r2_bucket", bucket_name: Deployment::R2AssetService.bucket_name}, bindings.first)
+    assert_match(/\A\d{14}-\h{8}\z/, bindings.find { |binding| binding[:name] == "BUILD_ID" }[:text])
+  end
+
+  test "copies assets the builder uploaded into the build" do
+    files = {"index.html" => "<html></html>"}
+    r2 = mock("r2")
+    r2.expects(:upload_build).with(files, anything)
+    r2.expects(:copy_assets_to_build).with(["assets/hero.png"], regexp_matches(/\A\d{14}-\h{8}\z/))
+    Deployment::R2AssetService.stubs(:new).with(@app).returns(r2)
+
+    @deployer.send(:generate_worker_script, files, {"assets/hero.png" => "https://pub.overskill.app/app-#{@app.id}/production/assets/hero.png"})
+  end
+
   test "deploy_with_secrets handles production deployment" do
     @app.update!(custom_domain: "app.example.com")
 
@@ -0,0 +1,30 @@
+require "test_helper"
+
+class Deployment::R2AssetServiceTest < ActiveSupport::TestCase
+  setup do
+    @app = create(:app)
+    @client = mock("s3")
+    Aws::S3::Client.stubs(:new).returns(@client)
+    @service = Deployment::R2AssetService.new(@app)
+    @bucket = Deployment::R2AssetService.bucket_name
+  end
+
+  test "uploads every build file under the build's prefix" do
+    @client.expects(:put_object).with(has_entries(bucket: @bucket, key: "app-#{@app.id}/builds/b1/index.html", body: "<html></html>", content_type: "text/html"))
+    @client.expects(:put_object).with(has_entries(key: "app-#{@app.id}/builds/b1/assets/logo.png", body: "png", content_type: "image/png"))
+
+    prefix = @service.upload_build({"/index.html" => "<html></html>", "assets/logo.png" => {content: Base64.encode64("png"), binary: true, content_type: "image/png"}}, "b1")
+
+    assert_equal "app-#{@app.id}/builds/b1", prefix
+  end
+
+  test "copies assets uploaded earlier into the build's prefix" do
+    @client.expects(:copy_object).with(
+      bucket: @bucket,
+      copy_source: "#{@bucket}/app-#{@app.id}/production/assets/hero.png",
+      key: "app-#{@app.id}/builds/b1/assets/hero.png"
+    )
+
+    @service.copy_assets_to_build(["/assets/hero.png"], "b1")
+  end
+end
@@ -0,0 +1,77 @@
+require "test_helper"
+
+class GenerationControlServiceTest < ActiveSupport::TestCase
+  include ActiveJob::TestHelper
+
+  MESSAGE_ID = 42
+
+  setup do
+    Rails.stubs(:cache).returns(ActiveSupport::Cache::MemoryStore.new)
+    ActionCable.server.stubs(:broadcast)
+  end
+
+  test "pauses, resumes and stops" do
+    assert_equal "running", GenerationControlService.state(MESSAGE_ID)
+
+    GenerationControlService.pause(MESSAGE_ID)
+    assert_equal "paused", GenerationControlService.state(MESSAGE_ID)
+
+    GenerationControlService.resume(MESSAGE_ID)
+    assert_equal "running", GenerationControlService.state(MESSAGE_ID)
+
+    GenerationControlService.stop(MESSAGE_ID)
+    GenerationControlService.resume(MESSAGE_ID)
+    assert GenerationControlService.stopped?(MESSAGE_ID)
+  end
+
+  test "parking schedules the pause to expire" do
+    GenerationControlService.pause(MESSAGE_ID)
+
+    token = GenerationControlService.park(MESSAGE_ID, {messages: []})
+
+    assert_enqueued_jobs 1, only: ResumeGenerationJob
+    assert_enqueued_with(job: ResumeGenerationJob, args: [MESSAGE_ID, token, true])
+  end
+
+  test "resuming a parked generation enqueues the job that carries on" do
+    GenerationControlService.pause(MESSAGE_ID)
+    token = GenerationControlService.park(MESSAGE_ID, {messages: []})
+
+    assert_enqueued_with(job: ResumeGenerationJob, args: [MESSAGE_ID, token]) do
+      GenerationControlService.resume(MESSAGE_ID)
+    end
+  end
+
+  test "a generation resumed before it was parked is woken up right away" do
+    token = GenerationControlService.park(MESSAGE_ID, {messages: []})
+
+    assert_enqueued_with(job: ResumeGenerationJob, args: [MESSAGE_ID, token])
+  end
+
+  test "only one job unparks a snapshot" do
+    GenerationControlService.pause(MESSAGE_ID)
+    token = GenerationControlService.park(MESSAGE_ID, {messages: [{role: "user", content: "hi"}], iteration_count: 3})
+
+    assert_nil GenerationControlService.unpark(MESSAGE_ID, "other")
+    parked = GenerationControlService.unpark(MESSAGE_ID, token)
+    assert_equal 3, parked[:iteration_count]
+    assert_equal [{role: "user", content: "hi"}], parked[:messages]
+    assert_nil GenerationControlService.unpark(MESSAGE_ID, token)
+  end
+
+  test "hands out queued inputs once, oldest first" do
+    GenerationControlService.add_instruction(MESSAGE_ID, "Use blue")
+    GenerationControlService.retry_tool(MESSAGE_ID, "exec-1", 2)
+
+    inputs = GenerationControlService.take_inputs(MESSAGE_ID)
+
+    assert_equal ["instruction", "retry"], inputs.map { |input| input["type"] }
+    assert_equal "Use blue", inputs.first["text"]
+    assert_empty GenerationControlService.take_inputs(MESSAGE_ID)
+  end
+
+  test "ignores blank instructions" do
+    assert_not GenerationControlService.add_instruction(MESSAGE_ID, "  ")
+    assert_empty GenerationControlService.take_inputs(MESSAGE_ID)
+  end
+end
@@ -0,0 +1,119 @@
+require "test_helper"
+
+class Supabase::AppDatabaseServiceTest < ActiveSupport::TestCase
+  setup do
+    @original_env = ENV.to_h.slice("SUPABASE_SERVICE_KEY", "SUPABASE_ANON_KEY")
+    ENV["SUPABASE_SERVICE_KEY"] = "test_service_key"
+    ENV["SUPABASE_ANON_KEY"] = "test_anon_key"
+
+    @app = create(:app)
+    @service = Supabase::AppDatabaseService.new(@app)
+    @endpoint = %r{/rest/v1/app_#{@app.id}_posts}
+  end
+
+  teardown do
+    %w[SUPABASE_SERVICE_KEY SUPABASE_ANON_KEY].each { |key| ENV[key] = @original_env[key] }
+  end
+
+  test "queries one page with sorting, filters and the exact count" do
+    request = stub_request(:get, @endpoint)
+      .with(
+        headers: {"Prefer" => "count=exact"},
+        query: {
+          "limit" => "50", "offset" => "100", "app_user_id" => "eq.7",
+          "order" => "title.desc.nullslast,id.asc",
+          "and" => %[(title.ilike."%a, (b)%",published.is.true)]
+        }
+      )
+      .to_return(status: 206, body: [{id: 1, title: "a, (b)"}].to_json,
+        headers: {"Content-Type" => "application/json", "Content-Range" => "100-100/101"})
+
+    result = @service.query_table_data("posts", 7, limit: 50, offset: 100,
+      order: {column: "title", direction: "desc"},
+      filters: [{column: "title", operator: "ilike", value: "%a, (b)%"}, {column: "published", operator: "is", value: "true"}])
+
+    assert_requested request
+    assert_equal [{"id" => 1, "title" => "a, (b)"}], result[:rows]
+    assert_equal 101, result[:total]
+  end
+
+  test "counts nothing when no rows match" do
+    stub_request(:get, @endpoint)
+      .to_return(status: 200, body: "[]", headers: {"Content-Type" => "application/json", "Content-Range" => "*/0"})
+
+    assert_equal({rows: [], total: 0}, @service.query_table_data("posts"))
+  end
+
+  test "raises when the query fails" do
+    stub_request(:get, @endpoint).to_return(status: 400, body: {message: "column posts.nope does not exist"}.to_json)
+
+    error = assert_raises(RuntimeError) { @service.query_table_data("posts", filters: [{column: "nope", operator: "eq", value: "1"}]) }
+    assert_match(/column posts.nope does not exist/, error.message)
+  end
+
+  test "updates and deletes the user's selected records" do
+    update = stub_request(:patch, @endpoint)
+      .with(query: {"id" => %[in.("1","2")], "app_user_id" => "eq.7"}, body: {published: true}.to_json)
+      .to_return(status: 200, body: [{id: 1}, {id: 2}].to_json, headers: {"Content-Type" => "application/json"})
+    delete = stub_request(:delete, @endpoint)
+      .with(query: {"id" => %[in.("1","2")], "app_user_id" => "eq.7"})
+      .to_return(status: 204)
+
+    assert_equal 2, @service.update_records("posts", [1, 2], {published: true}, 7).size
+    @service.delete_records("posts", [1, 2], 7)
+
+    assert_requested update
+    assert_requested delete
+  end
+
+  test "raises when a bulk change fails" do
+    stub_request(:patch, @endpoint).to_return(status: 400, body: {message: "invalid input syntax for type integer"}.to_json)
+    stub_request(:delete, @endpoint).to_return(status: 409, body: {message: "violates foreign key constraint"}.to_json)
+
+    error = assert_raises(RuntimeError) { @service.update_records("posts", ["x"], {views: "many"}, 7) }
+    assert_match(/Supabase update failed \(400\).*invalid input syntax/, error.message)
+
+    error = assert_raises(RuntimeError) { @service.delete_records("posts", [1], 7) }
+    assert_match(/Supabase delete failed \(409\).*foreign key/, error.message)
+  end
+
+  test "quotes the ids of a bulk change" do
+    delete = stub_request(:delete, @endpoint)
+      .with(query: {"id" => %[in.("1)","2\\"")], "app_user_id" => "eq.7"})
+      .to_return(status: 204)
+
+    @service.delete_records("posts", ["1)", "2\""], 7)
+
+    assert_requested delete
+  end
+
+  test "runs queries under the app's own policy with params and limits" do
+    request = stub_request(:post, %r{/functions/v1/execute-sql\z})
+      .with(body: {sql: "SELECT * FROM app_#{@app.id}_posts WHERE id = $1", params: [7], read_only: true, max_rows: 100, app_id: @app.id})
+      .to_return(status: 200, body: {success: true, results: [{columns: [], rows: [], row_count: 0, truncated: false}]}.to_json, headers: {"Content-Type" => "application/json"})
+
+    result = @service.run_query("SELECT * FROM app_#{@app.id}_posts WHERE id = $1", params: [7], max_rows: 100)
+
+    assert_requested request
+    assert_equal 0, result["results"].first["row_count"]
+  end
+
+  test "reports policy violations as the error" do
+    stub_request(:post, %r{/functions/v1/execute-sql\z})
+      .to_return(status: 403, headers: {"Content-Type" => "application/json"}, body: {
+        success: false,
+        error: "SQL operation not allowed",
+        violations: [{statement: 0, sql: "DROP TABLE app_2_users", messages: ["Table app_2_users does not belong to this app"]}]
+      }.to_json)
+
+    result = @service.run_query("DROP TABLE app_2_users", read_only: false)
+
+    assert_equal "SQL operation not allowed: Table app_2_users does not belong to this app", result["error"]
+  end
+
+  test "reports non-JSON failures as the error" do
+    stub_request(:post, %r{/functions/v1/execute-sql\z}).to_return(status: 502, body: "Bad Gateway")
+
+    assert_match(/execute-sql failed \(502\)/, @service.run_query("SELECT 1")["error"])
+  end
+end
@@ -0,0 +1,60 @@
+require "test_helper"
+
+class VersionControl::DiffServiceTest < ActiveSupport::TestCase
+  test "builds context hunks with counts" do
+    old_content = (1..10).map { |i| "line #{i}" }.join("\n") + "\n"
+    new_content = old_content.sub("line 5\n", "line five\n")
+
+    result = VersionControl::DiffService.new(old_content, new_content).unified
+
+    assert_equal 1, result[:additions]
+    assert_equal 1, result[:deletions]
+    assert_equal ["@@ -2,7 +2,7 @@"], result[:hunks].map { |hunk| hunk[:header] }
+    assert_equal ["-line 5", "+line five"], result[:hunks].first[:lines].grep(/\A[-+]/)
+  end
+
+  test "keeps trailing empty lines" do
+    result = VersionControl::DiffService.new("a\n", "a\n\n\n").unified
+
+    assert_equal 2, result[:additions]
+    assert_equal ["+", "+"], result[:hunks].first[:lines].grep(/\A\+/)
+  end
+
+  test "shows a removed final newline as a change" do
+    result = VersionControl::DiffService.new("a\nb\n", "a\nb").unified
+
+    assert_equal 1, result[:deletions]
+  end
+
+  test "reverts one hunk against the current content" do
+    old_content = "a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n"
+    new_content = "A\nb\nc\nd\ne\nf\ng\nh\ni\nJ\n"
+    hunks = VersionControl::DiffService.new(old_content, new_content).unified[:hunks]
+    assert_equal 2, hunks.size
+
+    reverted = VersionControl::DiffService.revert_hunk(new_content, hunks.last)
+
+    assert_equal "A\nb\nc\nd\ne\nf\ng\nh\ni\nj\n", reverted
+  end
+
+  test "doesn't revert a hunk whose lines are gone" do
+    hunk = VersionControl::DiffService.new("a\n", "b\n").unified[:hunks].first
+
+    assert_nil VersionControl::DiffService.revert_hunk("c\n", hunk)
+  end
+
+  test "applies a selection of hunks and keeps trailing blank lines" do
+    old_content = "a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n\n"
+    new_content = "A\nb\nc\nd\ne\nf\ng\nh\ni\nJ\n\n"
+    hunks = VersionControl::DiffService.new(old_content, new_content).unified[:hunks]
+
+    assert_equal "A\nb\nc\nd\ne\nf\ng\nh\ni\nj\n\n", VersionControl::DiffService.apply_hunks(old_content, [hunks.first])
+    assert_equal new_content, VersionControl::DiffService.apply_hunks(old_content, hunks)
+  end
+
+  test "creates a new file from its only hunk" do
+    hunks = VersionControl::DiffService.new(nil, "a\nb\n").unified[:hunks]
+
+    assert_equal "a\nb\n", VersionControl::DiffService.apply_hunks(nil, hunks)
+  end
+end
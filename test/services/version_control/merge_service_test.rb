@@ -0,0 +1,47 @@
+require "test_helper"
+
+class VersionControl::MergeServiceTest < ActiveSupport::TestCase
+  BASE = "one\ntwo\nthree\nfour\nfive\n"
+
+  test "applies changes made on either side" do
+    ours = BASE.sub("one", "ONE")
+    theirs = BASE.sub("five", "FIVE")
+
+    result = VersionControl::MergeService.new(BASE, ours, theirs).merge
+
+    assert_equal "ONE\ntwo\nthree\nfour\nFIVE\n", result[:content]
+    assert_equal 0, result[:conflicts]
+  end
+
+  test "takes identical changes once" do
+    changed = BASE.sub("three", "THREE")
+
+    result = VersionControl::MergeService.new(BASE, changed, changed).merge
+
+    assert_equal changed, result[:content]
+    assert_equal 0, result[:conflicts]
+  end
+
+  test "marks overlapping changes as conflicts" do
+    ours = BASE.sub("three", "ours")
+    theirs = BASE.sub("three", "theirs")
+
+    result = VersionControl::MergeService.new(BASE, ours, theirs, theirs_label: "v2").merge
+
+    assert_equal 1, result[:conflicts]
+    assert_equal "one\ntwo\n<<<<<<< current\nours\n=======\ntheirs\n>>>>>>> v2\nfour\nfive\n", result[:content]
+    assert VersionControl::MergeService.conflicted?(result[:content])
+  end
+
+  test "keeps trailing empty lines" do
+    result = VersionControl::MergeService.new("a\n", "a\n\n\n", "a\n").merge
+
+    assert_equal "a\n\n\n", result[:content]
+  end
+
+  test "only takes a full marker block for a conflict" do
+    assert_not VersionControl::MergeService.conflicted?("Title\n=======\n\nText\n")
+    assert_not VersionControl::MergeService.conflicted?("<<<<<<< current\nonly the start\n")
+    assert VersionControl::MergeService.conflicted?("<<<<<<< current\n=======\ntheirs\n>>>>>>> v2")
+  end
+end
@@ -0,0 +1,86 @@
+require "test_helper"
+
+class VisualEditServiceTest < ActiveSupport::TestCase
+  SOURCE = <<~TSX
+    export default function Hero() {
+      return (
+        <section className="p-8">
+          <h1 className="text-2xl font-bold" title="Welcome">Hello world</h1>
+          <img src={logo} alt="Logo" />
+          <p>{subtitle}</p>
+        </section>
+      );
+    }
+  TSX
+
+  setup do
+    @user = FactoryBot.create(:onboarded_user)
+    @app = create(:app, team: @user.current_team)
+    @file = create(:app_file, app: @app, team: @app.team, path: "src/Hero.tsx", content: SOURCE, file_type: "typescript")
+    @service = VisualEditService.new(@app, @user)
+  end
+
+  test "replaces literal text and records a version" do
+    assert_difference -> { @app.app_versions.count } do
+      @service.apply(edit("set_text", line: 4, before: "Hello world", after: "Hi there"))
+    end
+
+    assert_includes @file.reload.content, %(title="Welcome">Hi there</h1>)
+    assert_equal "src/Hero.tsx", @app.app_versions.last.changed_files
+  end
+
+  test "replaces the className literal" do
+    @service.apply(edit("set_classes", line: 4, after: "text-4xl"))
+
+    assert_includes @file.reload.content, %(<h1 className="text-4xl" title="Welcome">)
+  end
+
+  test "adds, updates and removes plain attributes" do
+    @service.apply(edit("set_attribute", line: 5, name: "alt", after: "Company \"logo\""))
+    assert_includes @file.reload.content, %(alt="Company &quot;logo&quot;")
+
+    @service.apply(edit("set_attribute", line: 4, name: "title", after: nil))
+    assert_includes @file.reload.content, %(<h1 className="text-2xl font-bold">)
+
+    @service.apply(edit("set_attribute", line: 4, name: "tabindex", after: "0"))
+    assert_includes @file.reload.content, %(<h1 tabIndex="0" className="text-2xl font-bold">)
+  end
+
+  test "refuses edits that aren't literals in the JSX" do
+    assert_raises(VisualEditService::Error) { @service.apply(edit("set_attribute", line: 5, name: "src", after: "/logo.png")) }
+    assert_raises(VisualEditService::Error) { @service.apply(edit("set_text", line: 6, before: "A subtitle", after: "Other")) }
+    assert_equal SOURCE, @file.reload.content
+  end
+
+  test "refuses attributes outside the allow-list and unsafe URLs" do
+    assert_raises(VisualEditService::Error) { @service.apply(edit("set_attribute", line: 4, name: "onclick", after: "alert(1)")) }
+    assert_raises(VisualEditService::Error) { @service.apply(edit("set_attribute", line: 4, name: "href", after: " java\tscript:alert(1)")) }
+    assert_equal SOURCE, @file.reload.content
+  end
+
+  test "refuses classes of an element rendered by a component" do
+    error = assert_raises(VisualEditService::Error) do
+      @service.apply(edit("set_classes", line: 4, after: "text-4xl", exact: false))
+    end
+    assert_match(/rendered by a component/, error.message)
+  end
+
+  test "tells apps without the source plugin why edits can't be saved" do
+    untagged = {type: "set_text", before: "Hello world", after: "Hi there", source: {}}
+
+    error = assert_raises(VisualEditService::Error) { @service.apply(untagged) }
+    assert_match(/doesn't load scripts\/vite-plugin-os-source\.js/, error.message)
+
+    create(:app_file, app: @app, team: @app.team, path: "vite.config.ts", file_type: "typescript",
+      content: %(import osSource from "./scripts/vite-plugin-os-source.js";\n))
+    error = assert_raises(VisualEditService::Error) { @service.apply(untagged) }
+    assert_match(/may need a rebuild/, error.message)
+  end
+
+  private
+
+  def edit(type, line:, before: nil, after: nil, name: nil, exact: true)
+    column = SOURCE.lines[line - 1].index("<") + 1
+    {type: type, before: before, after: after, name: name, source: {file: "src/Hero.tsx", line: line, column: column, exact: exact}}
+  end
+end